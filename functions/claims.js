@@ -0,0 +1,225 @@
+import { createHash, randomInt } from 'node:crypto';
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import * as logger from 'firebase-functions/logger';
+import { HttpsError, onCall } from 'firebase-functions/v2/https';
+import { db } from './admin.js';
+import { normalizeEmail } from './shared/promoCodes.js';
+
+// Guest orders can be claimed into an account by the verified email they were
+// placed with, or by their phone number once the customer has confirmed it
+// with a one-time code. Codes and confirmed numbers are kept server-side in
+// `phoneVerifications/{uid}`: phone, codeHash, expiresAt, attempts, verifiedPhone.
+// Codes sent are limited per account (on that document) and per number (in
+// `phoneCodeSends/{phone}`), each with windowStart, sendCount and lastSentAt.
+// Orders are looked up by their lowercased `customerEmail` and by
+// `contactPhone`, the normalised shipping phone placeOrder stores.
+
+// Phone numbers are compared on their last 10 digits so 0300…, +92300… and
+// 92 300 … all match
+export const normalizePhone = (phone) => (phone || '').replace(/\D/g, '').slice(-10);
+
+const CODE_LIFETIME_MS = 10 * 60 * 1000;
+// Wrong guesses allowed per account until the send window below starts over,
+// however many codes are requested meanwhile
+const MAX_CODE_ATTEMPTS = 5;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const SEND_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MAX_CODES_PER_WINDOW = 5;
+// claimOrders takes at most this many orders at once
+const MAX_CLAIMABLE_ORDERS = 100;
+
+const hashCode = (uid, code) => createHash('sha256').update(`${uid}:${code}`).digest('hex');
+
+const requireUser = (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Please sign in first.');
+  }
+  return request.auth;
+};
+
+// Stand-in for an SMS provider: the code only goes to the function logs,
+// which the emulator prints
+const sendVerificationSms = async (phone, code) => {
+  logger.info(`Verification code for ${phone}: ${code}`);
+};
+
+// The email and phone the signed-in customer has proven they own
+const getVerifiedContacts = async (auth) => {
+  const verification = await db.collection('phoneVerifications').doc(auth.uid).get();
+  return {
+    email: auth.token.email_verified ? normalizeEmail(auth.token.email) : '',
+    phone: verification.exists ? verification.data().verifiedPhone || '' : '',
+  };
+};
+
+// How a guest order matches the customer's contacts: 'email', 'phone' or null
+const matchOrder = (order, contacts) => {
+  if (order.userId || order.customerType !== 'guest') return null;
+  if (contacts.email && normalizeEmail(order.customerEmail) === contacts.email) return 'email';
+  if (contacts.phone && normalizePhone(order.shippingAddress?.phone) === contacts.phone) return 'phone';
+  return null;
+};
+
+const tooMany = (message) => new HttpsError('resource-exhausted', message);
+
+// Whether `record` (an account's or a number's) is inside its current send window
+const inSendWindow = (record, now) => !!record?.windowStart && record.windowStart.toMillis() + SEND_WINDOW_MS > now;
+
+// Check `record`'s send limits and return its limit fields after one more send
+const countSend = (record, now) => {
+  if (record?.lastSentAt && record.lastSentAt.toMillis() + RESEND_COOLDOWN_MS > now) {
+    throw tooMany('Please wait a minute before asking for another code.');
+  }
+  const inWindow = inSendWindow(record, now);
+  if (inWindow && record.sendCount >= MAX_CODES_PER_WINDOW) {
+    throw tooMany('Too many codes have been requested. Please try again tomorrow.');
+  }
+  return {
+    windowStart: inWindow ? record.windowStart : Timestamp.fromMillis(now),
+    sendCount: inWindow ? record.sendCount + 1 : 1,
+    lastSentAt: Timestamp.fromMillis(now),
+  };
+};
+
+export const sendPhoneCode = onCall(async (request) => {
+  const auth = requireUser(request);
+  const phone = normalizePhone(request.data?.phone);
+  if (phone.length < 10) {
+    throw new HttpsError('invalid-argument', 'Please enter a valid phone number.');
+  }
+
+  const code = String(randomInt(0, 1000000)).padStart(6, '0');
+  const verificationRef = db.collection('phoneVerifications').doc(auth.uid);
+  const sendsRef = db.collection('phoneCodeSends').doc(phone);
+
+  await db.runTransaction(async (transaction) => {
+    const [verificationSnap, sendsSnap] = await transaction.getAll(verificationRef, sendsRef);
+    const verification = verificationSnap.exists ? verificationSnap.data() : null;
+    const now = Date.now();
+
+    // Wrong guesses carry over to new codes until the account's window starts over
+    const attempts = inSendWindow(verification, now) ? verification.attempts || 0 : 0;
+    if (attempts >= MAX_CODE_ATTEMPTS) {
+      throw tooMany('Too many wrong codes. Please try again tomorrow.');
+    }
+
+    transaction.set(verificationRef, {
+      phone,
+      codeHash: hashCode(auth.uid, code),
+      expiresAt: Timestamp.fromMillis(now + CODE_LIFETIME_MS),
+      attempts,
+      ...countSend(verification, now),
+    }, { merge: true });
+    transaction.set(sendsRef, countSend(sendsSnap.exists ? sendsSnap.data() : null, now));
+  });
+
+  await sendVerificationSms(request.data.phone, code);
+  return { sent: true };
+});
+
+export const verifyPhoneCode = onCall(async (request) => {
+  const auth = requireUser(request);
+  const code = String(request.data?.code || '').trim();
+  const ref = db.collection('phoneVerifications').doc(auth.uid);
+
+  const phone = await db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(ref);
+    const verification = snap.exists ? snap.data() : null;
+    if (!verification?.codeHash || verification.expiresAt.toMillis() < Date.now()) {
+      throw new HttpsError('failed-precondition', 'This code has expired. Please request a new one.');
+    }
+    if (verification.attempts >= MAX_CODE_ATTEMPTS) {
+      throw tooMany('Too many wrong codes. Please try again tomorrow.');
+    }
+    if (verification.codeHash !== hashCode(auth.uid, code)) {
+      transaction.update(ref, { attempts: FieldValue.increment(1) });
+      return null;
+    }
+
+    transaction.update(ref, {
+      verifiedPhone: verification.phone,
+      codeHash: FieldValue.delete(),
+      expiresAt: FieldValue.delete(),
+      attempts: 0,
+    });
+    return verification.phone;
+  });
+
+  // Thrown outside the transaction so the failed attempt is still counted
+  if (!phone) {
+    throw new HttpsError('invalid-argument', 'That code is not right. Please check it and try again.');
+  }
+  return { verified: true };
+});
+
+// Guest orders the customer can claim. Resolves to
+// { email, phone, orders: [{ orderId, createdAt, total, itemCount, matchedBy }] }.
+export const findClaimableOrders = onCall(async (request) => {
+  const contacts = await getVerifiedContacts(requireUser(request));
+  if (!contacts.email && !contacts.phone) {
+    return { ...contacts, orders: [] };
+  }
+
+  // Guest orders placed with either contact, newest first. Only the fields
+  // needed for matching and the summary are read.
+  const findGuestOrders = (field, value) => db.collection('orders')
+    .where('customerType', '==', 'guest')
+    .where(field, '==', value)
+    .orderBy('createdAt', 'desc')
+    .limit(MAX_CLAIMABLE_ORDERS)
+    .select('customerType', 'customerEmail', 'shippingAddress.phone', 'userId', 'createdAt', 'total', 'items')
+    .get();
+  const snapshots = await Promise.all([
+    contacts.email ? findGuestOrders('customerEmail', contacts.email) : null,
+    contacts.phone ? findGuestOrders('contactPhone', contacts.phone) : null,
+  ]);
+
+  // An order placed with both contacts turns up in both queries
+  const docs = new Map(snapshots.flatMap(snapshot => snapshot?.docs || []).map(doc => [doc.id, doc]));
+  const orders = [...docs.values()]
+    .map(doc => {
+      const order = doc.data();
+      return {
+        orderId: doc.id,
+        createdAt: order.createdAt?.toMillis?.() || null,
+        total: order.total || 0,
+        itemCount: (order.items || []).length,
+        matchedBy: matchOrder(order, contacts),
+      };
+    })
+    .filter(order => order.matchedBy)
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+    .slice(0, MAX_CLAIMABLE_ORDERS);
+
+  return { ...contacts, orders };
+});
+
+// Move the given guest orders into the customer's account. Orders that don't
+// match their verified contacts are skipped. Resolves to { claimed }.
+export const claimOrders = onCall(async (request) => {
+  const auth = requireUser(request);
+  const orderIds = Array.isArray(request.data?.orderIds) ? request.data.orderIds.slice(0, MAX_CLAIMABLE_ORDERS) : [];
+  if (orderIds.length === 0) {
+    throw new HttpsError('invalid-argument', 'Choose the orders to add to your account.');
+  }
+
+  const contacts = await getVerifiedContacts(auth);
+
+  const claimed = await db.runTransaction(async (transaction) => {
+    const refs = orderIds.map(id => db.collection('orders').doc(String(id)));
+    const snaps = await transaction.getAll(...refs);
+    const matching = snaps.filter(snap => snap.exists && matchOrder(snap.data(), contacts));
+
+    matching.forEach(snap => {
+      transaction.update(snap.ref, {
+        userId: auth.uid,
+        customerType: 'customer',
+        claimedAt: FieldValue.serverTimestamp(),
+        claimedBy: matchOrder(snap.data(), contacts),
+      });
+    });
+    return matching.length;
+  });
+
+  return { claimed };
+});
@@ -0,0 +1,315 @@
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import { HttpsError, onCall } from 'firebase-functions/v2/https';
+import { db } from './admin.js';
+import { normalizePhone } from './claims.js';
+import {
+  CASH_ON_DELIVERY,
+  COD_UNAVAILABLE,
+  DEFAULT_COD_SETTINGS,
+  PAYMENT_METHODS,
+  PAYMENT_STATUS,
+  getCodQuote,
+} from './shared/cashOnDelivery.js';
+import { PRICE_CHANGED, getUnitPrice } from './shared/discounts.js';
+import { INSUFFICIENT_STOCK, getTotalStock, getVariantKey, getVariantStock, hasStockTracking } from './shared/inventory.js';
+import { INVALID_PROMO_CODE, evaluatePromoCode, normalizeEmail } from './shared/promoCodes.js';
+import { DEFAULT_SHIPPING_SETTINGS, getShippingQuote } from './shared/shipping.js';
+import { formatPrice, text } from './util.js';
+
+export { claimOrders, findClaimableOrders, sendPhoneCode, verifyPhoneCode } from './claims.js';
+export { onDiscountWritten, onProductUpdated, sendQueuedNotification } from './notifications.js';
+export { deleteOrder, trackOrder, updateOrderStatus } from './orders.js';
+export {
+  onDiscountSortWritten,
+  onOrderWritten,
+  onProductFacetsWritten,
+  rebuildProductStats,
+  refreshDiscountPercentages,
+} from './productStats.js';
+export { onReviewWritten, submitReview } from './reviews.js';
+
+const ORDER_ID_PATTERN = /^(ORDER|BUYNOW)_\d+_[a-z0-9]+$/;
+const MAX_ORDER_LINES = 50;
+const REQUIRED_ADDRESS_FIELDS = ['fullName', 'phone', 'address', 'city', 'country'];
+const ADDRESS_FIELDS = [...REQUIRED_ADDRESS_FIELDS, 'postalCode', 'region'];
+
+const invalid = (message) => new HttpsError('invalid-argument', message);
+
+// An error the checkout can act on; `details.code` matches the client's error codes
+const orderError = (code, message, details = {}) =>
+  new HttpsError('failed-precondition', message, { code, ...details });
+
+const describePriceChange = (payment, { total, transferAmount, shippingCost }) => {
+  const amounts = payment === CASH_ON_DELIVERY || shippingCost === 0
+    ? `Your order total is now ${formatPrice(total)}.`
+    : `Your order total is now ${formatPrice(total)}: ${formatPrice(transferAmount)} by EasyPaisa and ` +
+      `${formatPrice(shippingCost)} delivery charges to the rider.`;
+  return `Prices have changed since you opened checkout. ${amounts} Please check your order and place it again.`;
+};
+
+const describeItem = (item) =>
+  [item.title, item.variation, item.size].filter(Boolean).join(' – ');
+
+// Check the request's shape and keep only the fields an order is built from
+const readRequest = (data = {}) => {
+  const orderId = text(data.orderId, 100);
+  if (!ORDER_ID_PATTERN.test(orderId)) {
+    throw invalid('Invalid order ID.');
+  }
+
+  if (!Array.isArray(data.items) || data.items.length === 0 || data.items.length > MAX_ORDER_LINES) {
+    throw invalid(`Orders need between 1 and ${MAX_ORDER_LINES} items.`);
+  }
+  const lines = data.items.map(line => {
+    const quantity = Number(line?.quantity);
+    if (!text(line?.productId) || !Number.isInteger(quantity) || quantity < 1) {
+      throw invalid('Every item needs a product and a quantity of at least 1.');
+    }
+    return {
+      productId: text(line.productId),
+      variation: text(line.variation) || null,
+      size: text(line.size) || null,
+      quantity,
+    };
+  });
+
+  const shippingAddress = Object.fromEntries(
+    ADDRESS_FIELDS.map(field => [field, text(data.shippingAddress?.[field])])
+  );
+  const missing = REQUIRED_ADDRESS_FIELDS.filter(field => !shippingAddress[field]);
+  if (missing.length > 0) {
+    throw invalid(`Missing address fields: ${missing.join(', ')}.`);
+  }
+
+  if (!PAYMENT_METHODS.includes(data.payment)) {
+    throw invalid('Unknown payment method.');
+  }
+
+  return {
+    orderId,
+    lines,
+    shippingAddress,
+    payment: data.payment,
+    // Lowercased so guest orders can be found by the email in findClaimableOrders
+    customerEmail: normalizeEmail(text(data.customerEmail, 320)),
+    promoCode: text(data.promoCode, 100).toUpperCase(),
+    notes: text(data.notes, 2000),
+    shipping: text(data.shipping, 100),
+    buyNow: data.buyNow === true,
+    // The total the checkout showed; null when the client didn't send one
+    expectedTotal: Number.isFinite(data.expectedTotal) ? data.expectedTotal : null,
+  };
+};
+
+// Price each line from the catalogue and take it out of stock.
+// Returns { items, stockByProduct, shortages }.
+const priceLines = (lines, products, discounts) => {
+  const items = [];
+  const stockByProduct = {};
+  const shortages = [];
+
+  lines.forEach(line => {
+    const product = products[line.productId];
+    const { productId, variation, size, quantity } = line;
+
+    if (!product) {
+      shortages.push({
+        productId, variation, size, requested: quantity, available: 0,
+        message: 'One of the items in your order is no longer available',
+      });
+      return;
+    }
+
+    const item = {
+      productId,
+      title: product.title,
+      quantity,
+      category: product.category || null,
+      image: product.coverImage || null,
+      variation,
+      size,
+      originalPrice: Number(product.price) || 0,
+      ...getUnitPrice(product, discounts),
+    };
+
+    if ((variation && !(product.variations || []).includes(variation)) ||
+        (size && !(product.sizes || []).includes(size))) {
+      shortages.push({
+        productId, variation, size, requested: quantity, available: 0,
+        message: `${describeItem(item)} is no longer available`,
+      });
+      return;
+    }
+
+    // Products without stock tracking can't run short unless marked unavailable
+    const tracked = hasStockTracking(product);
+    const stock = tracked ? stockByProduct[productId] || { ...product.stock } : null;
+    const left = getVariantStock(tracked ? { ...product, stock } : product, variation, size);
+
+    if (quantity > left) {
+      shortages.push({
+        productId, variation, size, requested: quantity, available: left,
+        message: left === 0
+          ? `${describeItem(item)} is ${tracked ? 'sold out' : 'out of stock'}`
+          : `Only ${left} left of ${describeItem(item)}`,
+      });
+      return;
+    }
+
+    if (tracked) {
+      stock[getVariantKey(variation, size)] = left - quantity;
+      stockByProduct[productId] = stock;
+    }
+    items.push(item);
+  });
+
+  return { items, stockByProduct, shortages };
+};
+
+// Place an order at the store's own prices. The client sends what to buy and
+// where to send it; prices, discounts, promo codes, shipping and the Cash on
+// Delivery fee are all worked out here, and stock is taken in the same
+// transaction. Orders placed while signed in carry the customer's `userId`.
+// With `expectedTotal` the order is refused (PRICE_CHANGED, with the new
+// `total` in the details) unless it comes to exactly that amount.
+// Resolves to { orderId, total }.
+export const placeOrder = onCall(async (request) => {
+  const order = readRequest(request.data);
+  // Signed-in customers see the order in their account
+  const userId = request.auth?.uid || null;
+  const paymentProofPath = order.payment === CASH_ON_DELIVERY ? null : `paymentProofs/${order.orderId}.jpg`;
+
+  if (paymentProofPath) {
+    const [proofUploaded] = await getStorage().bucket().file(paymentProofPath).exists();
+    if (!proofUploaded) {
+      throw invalid('Please upload a screenshot of your EasyPaisa transfer.');
+    }
+  }
+
+  const orderRef = db.collection('orders').doc(order.orderId);
+
+  const total = await db.runTransaction(async (transaction) => {
+    const productIds = [...new Set(order.lines.map(line => line.productId))];
+    const productSnaps = await transaction.getAll(...productIds.map(id => db.collection('products').doc(id)));
+    const products = Object.fromEntries(
+      productSnaps.map(snap => [snap.id, snap.exists ? { id: snap.id, ...snap.data() } : null])
+    );
+    const discountsSnap = await transaction.get(db.collection('discounts').where('isActive', '==', true));
+    const discounts = discountsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const promoRef = order.promoCode ? db.collection('promoCodes').doc(order.promoCode) : null;
+    // How often this email has used the code; the document ID is the (normalised) email
+    const redemptionRef = promoRef && order.customerEmail
+      ? promoRef.collection('redemptions').doc(order.customerEmail)
+      : null;
+    const [orderSnap, promoSnap, redemptionSnap, shippingSnap, codSnap] = await Promise.all([
+      transaction.get(orderRef),
+      promoRef ? transaction.get(promoRef) : null,
+      redemptionRef ? transaction.get(redemptionRef) : null,
+      transaction.get(db.collection('settings').doc('shipping')),
+      transaction.get(db.collection('settings').doc('cashOnDelivery')),
+    ]);
+
+    if (orderSnap.exists) {
+      throw new HttpsError('already-exists', 'This order has already been placed.');
+    }
+
+    const { items, stockByProduct, shortages } = priceLines(order.lines, products, discounts);
+    if (shortages.length > 0) {
+      throw orderError(INSUFFICIENT_STOCK, shortages.map(shortage => shortage.message).join('\n'), { shortages });
+    }
+
+    const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+    let discount = 0;
+    let promoRedemption = null;
+    if (promoRef) {
+      const promo = promoSnap.exists ? promoSnap.data() : null;
+      const result = evaluatePromoCode(promo, {
+        items,
+        subtotal,
+        email: order.customerEmail,
+        emailUses: Number(redemptionSnap?.get('count')) || 0,
+      });
+      if (!result.valid) {
+        throw orderError(INVALID_PROMO_CODE, result.error);
+      }
+
+      discount = result.discount;
+      promoRedemption = { code: promoSnap.id, type: promo.type, value: promo.value, discount };
+
+      transaction.update(promoRef, { usedCount: FieldValue.increment(1) });
+      if (redemptionRef) {
+        transaction.set(redemptionRef, { count: FieldValue.increment(1) }, { merge: true });
+      }
+    }
+
+    // Free-shipping thresholds are checked against the goods total after discounts
+    const shippingSettings = { ...DEFAULT_SHIPPING_SETTINGS, ...shippingSnap.data() };
+    const shippingQuote = getShippingQuote(shippingSettings, order.shippingAddress.city, subtotal - discount);
+
+    let codFee = 0;
+    if (order.payment === CASH_ON_DELIVERY) {
+      const codQuote = getCodQuote({ ...DEFAULT_COD_SETTINGS, ...codSnap.data() }, {
+        city: order.shippingAddress.city,
+        orderValue: subtotal - discount + shippingQuote.cost,
+      });
+      if (!codQuote.eligible) {
+        throw orderError(COD_UNAVAILABLE, codQuote.reason);
+      }
+      codFee = codQuote.fee;
+    }
+
+    const orderTotal = subtotal - discount + shippingQuote.cost + codFee;
+
+    // The customer confirmed (and for EasyPaisa, transferred) the amount the
+    // checkout showed; don't charge a different one
+    if (order.expectedTotal !== null && order.expectedTotal !== orderTotal) {
+      throw orderError(PRICE_CHANGED, describePriceChange(order.payment, {
+        total: orderTotal,
+        transferAmount: subtotal - discount,
+        shippingCost: shippingQuote.cost,
+      }), { total: orderTotal });
+    }
+
+    Object.entries(stockByProduct).forEach(([productId, stock]) => {
+      transaction.update(db.collection('products').doc(productId), {
+        stock,
+        available: getTotalStock({ ...products[productId], stock }) > 0,
+      });
+    });
+
+    transaction.create(orderRef, {
+      orderId: order.orderId,
+      customerType: userId ? 'customer' : 'guest',
+      userId,
+      customerEmail: order.customerEmail,
+      items,
+      shipping: order.shipping,
+      payment: order.payment,
+      paymentStatus: order.payment === CASH_ON_DELIVERY ? PAYMENT_STATUS.PENDING : PAYMENT_STATUS.PROOF_SUBMITTED,
+      shippingAddress: order.shippingAddress,
+      contactPhone: normalizePhone(order.shippingAddress.phone),
+      promoCode: promoRedemption ? order.promoCode : '',
+      promoRedemption,
+      discount,
+      notes: order.notes,
+      subtotal,
+      shippingCost: shippingQuote.cost,
+      codFee,
+      shippingZone: shippingQuote.zoneName,
+      deliveryEstimate: shippingQuote.deliveryEstimate,
+      total: orderTotal,
+      createdAt: FieldValue.serverTimestamp(),
+      status: 'pending-verification',
+      statusHistory: [{ status: 'pending-verification', at: Timestamp.now() }],
+      paymentProofPath,
+      stockDeducted: true,
+      ...(order.buyNow && { buyNow: true }),
+    });
+
+    return orderTotal;
+  });
+
+  return { orderId: order.orderId, total };
+});
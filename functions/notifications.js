@@ -0,0 +1,210 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import * as logger from 'firebase-functions/logger';
+import { onDocumentCreated, onDocumentUpdated, onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { db } from './admin.js';
+import { getUnitPrice } from './shared/discounts.js';
+import { getTotalStock, getVariantCombinations, getVariantStock } from './shared/inventory.js';
+import { formatPrice, getActiveDiscounts } from './util.js';
+
+// Tells customers when a product on their wishlist comes back into stock or
+// its price drops, as in-app notifications in `notifications/{id}` (see
+// src/notifications.js). A price drop is only announced once per price: the
+// wishlist entry remembers the last price we told the customer about.
+//
+// "Notify me when available" requests (`stockAlerts`, see src/stockAlerts.js)
+// are queued into the same collection on the email and WhatsApp channels,
+// with `to` and `status`, and sent by sendQueuedNotification.
+
+const IN_APP = 'in-app';
+const EMAIL = 'email';
+const WHATSAPP = 'whatsapp';
+const BATCH_LIMIT = 500;
+
+const getWishlistEntries = async (productId) => {
+  const snapshot = await db.collectionGroup('wishlist').where('productId', '==', productId).get();
+  return snapshot.docs.map(doc => ({ ref: doc.ref, userId: doc.ref.parent.parent.id, ...doc.data() }));
+};
+
+// `writes` are [ref, data, merge] triples, committed in batches
+const commitWrites = async (writes) => {
+  for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_LIMIT).forEach(([ref, data, merge]) => batch.set(ref, data, { merge }));
+    await batch.commit();
+  }
+};
+
+const toNotification = (userId, product, type, title, message) => [
+  db.collection('notifications').doc(),
+  {
+    channel: IN_APP,
+    userId,
+    type,
+    productId: product.id,
+    title,
+    message,
+    image: product.coverImage || product.imageUrl || '',
+    read: false,
+    createdAt: FieldValue.serverTimestamp(),
+  },
+  false,
+];
+
+const notifyBackInStock = async (product) => {
+  const entries = await getWishlistEntries(product.id);
+  await commitWrites(entries.map(entry => toNotification(
+    entry.userId,
+    product,
+    'back-in-stock',
+    'Back in stock',
+    `${product.title} is back in stock.`
+  )));
+};
+
+// Customers are told when the price is below what it was when they saved the
+// product and below the last drop we announced to them
+const notifyPriceDrop = async (product, price) => {
+  const entries = await getWishlistEntries(product.id);
+  const writes = [];
+
+  entries.forEach((entry) => {
+    const previousPrice = Math.min(
+      Number(entry.priceWhenAdded) || Infinity,
+      Number(entry.notifiedPrice) || Infinity
+    );
+    if (price >= previousPrice) return;
+
+    writes.push(toNotification(
+      entry.userId,
+      product,
+      'price-drop',
+      'Price drop',
+      `${product.title} is now ${formatPrice(price)} (was ${formatPrice(previousPrice)}).`
+    ));
+    writes.push([entry.ref, { notifiedPrice: price }, true]);
+  });
+
+  await commitWrites(writes);
+};
+
+// Whether the colour/size the alert asked for (either may be "any") has stock
+const isAlertInStock = (product, alert) =>
+  getVariantCombinations(product.variations, product.sizes).some(({ variation, size }) =>
+    (!alert.variation || alert.variation === variation) &&
+    (!alert.size || alert.size === size) &&
+    getVariantStock(product, variation, size) > 0
+  );
+
+const describeVariant = (alert) => [alert.variation, alert.size].filter(Boolean).join(' / ');
+
+// Queue one message per contact for every pending alert that can now be filled.
+// Someone who subscribed twice for the same option only hears once.
+const queueStockAlerts = async (product) => {
+  const snapshot = await db.collection('stockAlerts')
+    .where('productId', '==', product.id)
+    .where('status', '==', 'pending')
+    .get();
+
+  const writes = [];
+  const queued = new Set();
+
+  snapshot.docs.forEach((doc) => {
+    const alert = doc.data();
+    if (!isAlertInStock(product, alert)) return;
+
+    const variant = describeVariant(alert);
+    const message = `Good news! ${product.title}${variant ? ` (${variant})` : ''} is back in stock.`;
+    const contacts = [[EMAIL, alert.email], [WHATSAPP, alert.phone]].filter(([, to]) => to);
+
+    contacts.forEach(([channel, to]) => {
+      const key = [channel, to, variant].join('|');
+      if (queued.has(key)) return;
+      queued.add(key);
+      writes.push([db.collection('notifications').doc(), {
+        channel,
+        to,
+        type: 'back-in-stock',
+        productId: product.id,
+        variation: alert.variation || null,
+        size: alert.size || null,
+        stockAlertId: doc.id,
+        title: 'Back in stock',
+        message,
+        status: 'pending',
+        createdAt: FieldValue.serverTimestamp(),
+      }, false]);
+    });
+    writes.push([doc.ref, { status: 'queued', queuedAt: FieldValue.serverTimestamp() }, true]);
+  });
+
+  await commitWrites(writes);
+};
+
+export const onProductUpdated = onDocumentUpdated('products/{productId}', async (event) => {
+  const before = { id: event.params.productId, ...event.data.before.data() };
+  const after = { id: event.params.productId, ...event.data.after.data() };
+  if (after.available === false) return;
+
+  if ((getTotalStock(before) === 0 || before.available === false) && getTotalStock(after) > 0) {
+    await notifyBackInStock(after);
+  }
+
+  // A single colour or size can come back while the product stays available
+  const stockChanged = before.available !== after.available
+    || JSON.stringify(before.stock || null) !== JSON.stringify(after.stock || null);
+  if (stockChanged && getTotalStock(after) > 0) {
+    await queueStockAlerts(after);
+  }
+
+  if (Number(after.price) < Number(before.price)) {
+    const discounts = await getActiveDiscounts();
+    await notifyPriceDrop(after, getUnitPrice(after, discounts).price);
+  }
+});
+
+// Tell wishlisters about the discounted price of each of `productIds` that's
+// in stock. Also called by the hourly refreshDiscountPercentages pass for
+// discounts whose start date has arrived, which no write announces.
+export const notifyDiscountedProducts = async (productIds, discounts) => {
+  for (const productId of productIds) {
+    const snapshot = await db.collection('products').doc(productId).get();
+    if (!snapshot.exists) continue;
+    const product = { id: snapshot.id, ...snapshot.data() };
+    if (product.available === false || getTotalStock(product) === 0) continue;
+    await notifyPriceDrop(product, getUnitPrice(product, discounts).price);
+  }
+};
+
+// Starting or deepening a discount lowers the price of every product it covers
+export const onDiscountWritten = onDocumentWritten('discounts/{discountId}', async (event) => {
+  const after = event.data.after.exists ? event.data.after.data() : null;
+  if (!after?.isActive) return;
+
+  await notifyDiscountedProducts(after.productIds || [], await getActiveDiscounts());
+});
+
+// Stand-ins for the mail and WhatsApp providers: messages only go to the
+// function logs, which the emulator prints
+const SENDERS = {
+  [EMAIL]: async ({ to, title, message }) => {
+    logger.info(`Email to ${to}: ${title} – ${message}`);
+  },
+  [WHATSAPP]: async ({ to, message }) => {
+    logger.info(`WhatsApp to ${to}: ${message}`);
+  },
+};
+
+// Drains queued email and WhatsApp notifications as they are written
+export const sendQueuedNotification = onDocumentCreated('notifications/{notificationId}', async (event) => {
+  const notification = event.data.data();
+  const send = SENDERS[notification.channel];
+  if (!send || notification.status !== 'pending') return;
+
+  try {
+    await send(notification);
+    await event.data.ref.update({ status: 'sent', sentAt: FieldValue.serverTimestamp() });
+  } catch (error) {
+    logger.error(`Sending notification ${event.params.notificationId} failed`, error);
+    await event.data.ref.update({ status: 'failed', error: error.message || String(error) });
+  }
+});
@@ -0,0 +1,200 @@
+import { getStorage } from 'firebase-admin/storage';
+import * as logger from 'firebase-functions/logger';
+import { HttpsError, onCall } from 'firebase-functions/v2/https';
+import { db } from './admin.js';
+import { normalizePhone } from './claims.js';
+import { FULFILMENT_ROLES, MANAGER_ROLES, requireRole } from './staff.js';
+import { getTotalStock, getVariantKey, hasStockTracking } from './shared/inventory.js';
+import {
+  CLOSED_STATUSES,
+  INVALID_STATUS_TRANSITION,
+  ORDER_STATUS,
+  canTransition,
+  createStatusEntry,
+  formatOrderStatus,
+  getOrderStatus,
+} from './shared/orderStatus.js';
+import { normalizeEmail } from './shared/promoCodes.js';
+import { text } from './util.js';
+
+// Staff move orders through the lifecycle in shared/orderStatus.js here rather
+// than writing to them directly, so the transitions are checked where they
+// can't be skipped. Cancelled, returned and deleted orders give their stock back.
+// Customers without an account look their orders up through trackOrder.
+
+// An error AdminPortal can show as is; `details.code` matches the client's error codes
+const invalidTransition = (message) =>
+  new HttpsError('failed-precondition', message, { code: INVALID_STATUS_TRANSITION });
+
+// Put an order's items back into stock inside `transaction`. Only orders that
+// took stock on placement are restored, and only once. Returns whether stock
+// was restored. All reads happen before any write.
+const restoreStock = async (transaction, order) => {
+  if (!order.stockDeducted || order.stockRestored) return false;
+
+  const items = order.items || [];
+  const productIds = [...new Set(items.map(item => item.productId).filter(Boolean))];
+  if (productIds.length === 0) return true;
+  const snapshots = await transaction.getAll(...productIds.map(id => db.collection('products').doc(id)));
+  const products = Object.fromEntries(
+    snapshots.map(snap => [snap.id, snap.exists ? { id: snap.id, ...snap.data() } : null])
+  );
+
+  const stockByProduct = {};
+  items.forEach(item => {
+    const product = products[item.productId];
+    if (!hasStockTracking(product)) return;
+
+    const stock = stockByProduct[product.id] || { ...product.stock };
+    const variantKey = getVariantKey(item.variation, item.size);
+    stock[variantKey] = (Number(stock[variantKey]) || 0) + (item.quantity || 0);
+    stockByProduct[product.id] = stock;
+  });
+
+  Object.entries(stockByProduct).forEach(([productId, stock]) => {
+    transaction.update(db.collection('products').doc(productId), {
+      stock,
+      available: getTotalStock({ ...products[productId], stock }) > 0,
+    });
+  });
+  return true;
+};
+
+// `data` is { orderId, status, courier, trackingNumber }; shipping needs the
+// courier and tracking number. Resolves to { status }.
+export const updateOrderStatus = onCall(async (request) => {
+  await requireRole(request, FULFILMENT_ROLES, 'Only owners, managers and fulfilment staff can update orders.');
+
+  const orderId = text(request.data?.orderId, 100);
+  const status = text(request.data?.status, 50);
+  const details = status === ORDER_STATUS.SHIPPED
+    ? { courier: text(request.data?.courier, 200), trackingNumber: text(request.data?.trackingNumber, 200) }
+    : {};
+  if (!orderId) {
+    throw new HttpsError('invalid-argument', 'Choose the order to update.');
+  }
+
+  await db.runTransaction(async (transaction) => {
+    const orderRef = db.collection('orders').doc(orderId);
+    const orderSnap = await transaction.get(orderRef);
+    if (!orderSnap.exists) {
+      throw invalidTransition('This order no longer exists.');
+    }
+
+    const order = orderSnap.data();
+    const currentStatus = getOrderStatus(order);
+    if (!canTransition(currentStatus, status)) {
+      throw invalidTransition(
+        `A ${formatOrderStatus(currentStatus).toLowerCase()} order can't be marked ${formatOrderStatus(status).toLowerCase()}.`
+      );
+    }
+    if (status === ORDER_STATUS.SHIPPED && (!details.courier || !details.trackingNumber)) {
+      throw invalidTransition('Enter the courier and tracking number to mark this order shipped.');
+    }
+
+    const update = {
+      ...details,
+      status,
+      statusHistory: [...(order.statusHistory || []), createStatusEntry(status, details)],
+    };
+
+    // Confirming an EasyPaisa order means its transfer screenshot was checked
+    if (status === ORDER_STATUS.CONFIRMED && order.paymentStatus === 'proof-submitted') {
+      update.paymentStatus = 'verified';
+    }
+
+    if (CLOSED_STATUSES.includes(status)) {
+      update.stockRestored = (await restoreStock(transaction, order)) || !!order.stockRestored;
+    }
+
+    transaction.update(orderRef, update);
+  });
+
+  return { status };
+});
+
+// Delete an order, returning its stock if it still holds it (i.e. it wasn't
+// cancelled first), and its payment proof. Resolves to { deleted }.
+export const deleteOrder = onCall(async (request) => {
+  await requireRole(request, MANAGER_ROLES, 'Only owners and managers can delete orders.');
+
+  const orderId = text(request.data?.orderId, 100);
+  if (!orderId) {
+    throw new HttpsError('invalid-argument', 'Choose the order to delete.');
+  }
+
+  const order = await db.runTransaction(async (transaction) => {
+    const orderRef = db.collection('orders').doc(orderId);
+    const orderSnap = await transaction.get(orderRef);
+    if (!orderSnap.exists) return null;
+
+    const order = orderSnap.data();
+    await restoreStock(transaction, order);
+    transaction.delete(orderRef);
+    return order;
+  });
+
+  // Storage isn't part of the transaction, so the proof goes once the order is gone
+  if (order?.paymentProofPath) {
+    await getStorage().bucket().file(order.paymentProofPath).delete({ ignoreNotFound: true })
+      .catch(error => logger.warn(`Could not delete payment proof ${order.paymentProofPath}`, error));
+  }
+
+  return { deleted: !!order };
+});
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : value instanceof Date ? value.getTime() : value || null);
+
+const TRACKING_ITEM_FIELDS = ['title', 'variation', 'size', 'type', 'lining', 'quantity', 'price', 'originalPrice', 'discountApplied', 'image'];
+
+// What the tracking and thank-you pages show of an order; staff-only fields
+// and the customer's account details stay on the server
+const toTrackingView = (id, order) => ({
+  id,
+  orderId: order.orderId || id,
+  createdAt: toMillis(order.createdAt),
+  status: order.status || null,
+  statusHistory: (order.statusHistory || []).map(entry => ({
+    status: entry.status,
+    at: toMillis(entry.at),
+    ...(entry.courier && { courier: entry.courier }),
+    ...(entry.trackingNumber && { trackingNumber: entry.trackingNumber }),
+  })),
+  courier: order.courier || null,
+  trackingNumber: order.trackingNumber || null,
+  deliveryEstimate: order.deliveryEstimate || '',
+  items: (order.items || []).map(item =>
+    Object.fromEntries(TRACKING_ITEM_FIELDS.filter(field => item[field] !== undefined).map(field => [field, item[field]]))
+  ),
+  subtotal: order.subtotal || 0,
+  discount: order.discount || 0,
+  promoCode: order.promoCode || '',
+  shippingCost: order.shippingCost || 0,
+  codFee: order.codFee || 0,
+  total: order.total || 0,
+  payment: order.payment || '',
+  paymentStatus: order.paymentStatus || null,
+  shippingAddress: order.shippingAddress || null,
+  customerEmail: order.customerEmail || '',
+});
+
+// Look an order up by its ID and the email or phone it was placed with.
+// `data` is { orderId, contact }; resolves to { order }, with order null when
+// nothing matches (a wrong ID and a wrong contact look the same).
+export const trackOrder = onCall(async (request) => {
+  const orderId = text(request.data?.orderId, 100);
+  const contact = text(request.data?.contact, 320);
+  if (!orderId || !contact) {
+    throw new HttpsError('invalid-argument', 'Enter your order ID and the email or phone number you ordered with.');
+  }
+
+  const snap = await db.collection('orders').doc(orderId).get();
+  if (!snap.exists) return { order: null };
+
+  const order = snap.data();
+  const emailMatches = !!order.customerEmail && normalizeEmail(order.customerEmail) === normalizeEmail(contact);
+  const phone = normalizePhone(contact);
+  const phoneMatches = phone.length >= 7 && normalizePhone(order.shippingAddress?.phone) === phone;
+
+  return { order: emailMatches || phoneMatches ? toTrackingView(snap.id, order) : null };
+});
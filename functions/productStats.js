@@ -0,0 +1,163 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import { onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { onCall } from 'firebase-functions/v2/https';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { db } from './admin.js';
+import { notifyDiscountedProducts } from './notifications.js';
+import { getUnitPrice } from './shared/discounts.js';
+import { CLOSED_STATUSES } from './shared/orderStatus.js';
+import { MANAGER_ROLES, requireRole } from './staff.js';
+import { getActiveDiscounts } from './util.js';
+
+// Product fields the shop's sort options order by (see src/productListing.js):
+//   salesCount         – units sold in orders that weren't cancelled or returned
+//   discountPercentage – the running discount's percentage, 0 when none
+//   ratingAverage, ratingCount – kept by reviews.js
+// Firestore leaves products without the field out of a query ordered by it,
+// so every product carries all four, starting at 0.
+//
+// The listing's sidebar counts its colour and size options from one
+// `stats/productFacets` doc rather than reading the products themselves: its
+// `products` map holds, by product ID, the fields the filters look at.
+
+const BATCH_LIMIT = 500;
+const FACETS_DOC = 'stats/productFacets';
+// getAll reads at most this many documents per call
+const READ_LIMIT = 100;
+
+// Units of each product an order counts for; closed and deleted orders count for none
+const getSoldUnits = (order) => {
+  const units = {};
+  if (!order || CLOSED_STATUSES.includes(order.status)) return units;
+  (order.items || []).forEach(({ productId, quantity }) => {
+    if (productId) units[productId] = (units[productId] || 0) + (Number(quantity) || 0);
+  });
+  return units;
+};
+
+// `updates` maps product IDs to the fields to update; products that no longer
+// exist are skipped. Resolves to the snapshots of the products updated, as
+// they were before the update.
+const updateProducts = async (updates) => {
+  const productIds = Object.keys(updates);
+  const existing = [];
+  for (let i = 0; i < productIds.length; i += READ_LIMIT) {
+    const refs = productIds.slice(i, i + READ_LIMIT).map(id => db.collection('products').doc(id));
+    const snapshots = await db.getAll(...refs);
+    existing.push(...snapshots.filter(snapshot => snapshot.exists));
+  }
+  for (let i = 0; i < existing.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    existing.slice(i, i + BATCH_LIMIT).forEach(snapshot => batch.update(snapshot.ref, updates[snapshot.id]));
+    await batch.commit();
+  }
+  return existing;
+};
+
+// A product's entry in the facets doc. Fields Firestore wouldn't filter on
+// (a missing `available`, a `price` that isn't a number) are kept as null so
+// the sidebar leaves the product out the same way the listing's query does.
+const toFacetEntry = (product) => ({
+  title: product.title || '',
+  category: product.category ?? null,
+  available: typeof product.available === 'boolean' ? product.available : null,
+  price: typeof product.price === 'number' ? product.price : null,
+  variations: product.variations || [],
+  sizes: product.sizes || [],
+  discountPercentage: Number(product.discountPercentage) || 0,
+});
+
+export const onProductFacetsWritten = onDocumentWritten('products/{productId}', async (event) => {
+  const before = event.data.before.exists ? toFacetEntry(event.data.before.data()) : null;
+  const after = event.data.after.exists ? toFacetEntry(event.data.after.data()) : null;
+  // Sales and rating updates leave the entry as it was
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
+  await db.doc(FACETS_DOC).set({ products: { [event.params.productId]: after || FieldValue.delete() } }, { merge: true });
+});
+
+export const onOrderWritten = onDocumentWritten('orders/{orderId}', async (event) => {
+  const before = getSoldUnits(event.data.before.exists ? event.data.before.data() : null);
+  const after = getSoldUnits(event.data.after.exists ? event.data.after.data() : null);
+
+  const updates = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(productId => {
+    const change = (after[productId] || 0) - (before[productId] || 0);
+    if (change) updates[productId] = { salesCount: FieldValue.increment(change) };
+  });
+  if (Object.keys(updates).length) await updateProducts(updates);
+});
+
+// Set `discountPercentage` on the given products from the discounts running
+// now. Resolves to the discounts and the IDs of the products whose discount grew.
+const syncDiscountPercentages = async (productIds) => {
+  if (!productIds.length) return { discounts: [], raised: [] };
+  const discounts = await getActiveDiscounts();
+  const updates = {};
+  productIds.forEach(id => {
+    updates[id] = { discountPercentage: Number(getUnitPrice({ id }, discounts).discountApplied) || 0 };
+  });
+  const products = await updateProducts(updates);
+  const raised = products
+    .filter(snapshot => updates[snapshot.id].discountPercentage > (Number(snapshot.get('discountPercentage')) || 0))
+    .map(snapshot => snapshot.id);
+  return { discounts, raised };
+};
+
+export const onDiscountSortWritten = onDocumentWritten('discounts/{discountId}', async (event) => {
+  const before = event.data.before.exists ? event.data.before.data() : null;
+  const after = event.data.after.exists ? event.data.after.data() : null;
+  await syncDiscountPercentages([...new Set([...(before?.productIds || []), ...(after?.productIds || [])])]);
+});
+
+// Discounts start and end on their own dates without a write to trigger on
+export const refreshDiscountPercentages = onSchedule('every 60 minutes', async () => {
+  const [discounts, discounted] = await Promise.all([
+    db.collection('discounts').select('productIds').get(),
+    db.collection('products').where('discountPercentage', '>', 0).select().get(),
+  ]);
+  const productIds = new Set(discounted.docs.map(doc => doc.id));
+  discounts.docs.forEach(doc => (doc.get('productIds') || []).forEach(id => productIds.add(id)));
+  const { discounts: running, raised } = await syncDiscountPercentages([...productIds]);
+  // A scheduled discount reaching its start date is a price drop no write announced
+  await notifyDiscountedProducts(raised, running);
+});
+
+// Recount every product's sort fields from the orders, discounts and reviews
+// fields already stored, and rewrite the facets doc. Run once for products
+// added before the fields existed; safe to run again.
+export const rebuildProductStats = onCall(async (request) => {
+  await requireRole(request, MANAGER_ROLES, 'Only owners and managers can recalculate product stats.');
+
+  const [products, orders, discounts] = await Promise.all([
+    db.collection('products')
+      .select('ratingAverage', 'ratingCount', 'title', 'category', 'available', 'price', 'variations', 'sizes')
+      .get(),
+    db.collection('orders').select('items', 'status').get(),
+    getActiveDiscounts(),
+  ]);
+
+  const salesCounts = {};
+  orders.docs.forEach(doc => {
+    Object.entries(getSoldUnits(doc.data())).forEach(([productId, units]) => {
+      salesCounts[productId] = (salesCounts[productId] || 0) + units;
+    });
+  });
+
+  const writes = products.docs.map(doc => [doc.ref, {
+    salesCount: salesCounts[doc.id] || 0,
+    discountPercentage: Number(getUnitPrice({ id: doc.id }, discounts).discountApplied) || 0,
+    ratingAverage: Number(doc.get('ratingAverage')) || 0,
+    ratingCount: Number(doc.get('ratingCount')) || 0,
+  }]);
+  for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    writes.slice(i, i + BATCH_LIMIT).forEach(([ref, data]) => batch.update(ref, data));
+    await batch.commit();
+  }
+
+  await db.doc(FACETS_DOC).set({
+    products: Object.fromEntries(products.docs.map((doc, i) => [doc.id, toFacetEntry({ ...doc.data(), ...writes[i][1] })])),
+  });
+
+  return { products: writes.length };
+});
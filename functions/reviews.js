@@ -0,0 +1,111 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import * as logger from 'firebase-functions/logger';
+import { onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { HttpsError, onCall } from 'firebase-functions/v2/https';
+import { db } from './admin.js';
+import { text } from './util.js';
+
+// Product reviews live in `reviews/{orderId}_{productId}` (see src/reviews.js):
+//   productId, orderId, userId, authorName, rating, text, photoPaths[], status,
+//   createdAt, moderatedBy, moderatedAt
+// Only the customer who received a delivered order can review its products,
+// once per order. Reviews wait for staff approval; approved ones are averaged
+// into the product's `ratingAverage` and `ratingCount`.
+
+const MAX_TEXT_LENGTH = 2000;
+const MAX_PHOTOS = 3;
+
+export const submitReview = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Please sign in to leave a review.');
+  }
+  const { uid, token } = request.auth;
+  const orderId = text(request.data?.orderId, 100);
+  const productId = text(request.data?.productId, 100);
+  const rating = Number(request.data?.rating);
+  const reviewText = text(request.data?.text, MAX_TEXT_LENGTH);
+  const photoPaths = Array.isArray(request.data?.photoPaths) ? request.data.photoPaths : [];
+
+  if (!orderId || !productId) {
+    throw new HttpsError('invalid-argument', 'Choose the order you are reviewing.');
+  }
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new HttpsError('invalid-argument', 'Choose a rating from 1 to 5 stars.');
+  }
+  if (photoPaths.length > MAX_PHOTOS || photoPaths.some(path =>
+    typeof path !== 'string' || !path.startsWith(`reviewPhotos/${uid}/`) || path.includes('..')
+  )) {
+    throw new HttpsError('invalid-argument', `Add up to ${MAX_PHOTOS} photos.`);
+  }
+
+  const orderSnap = await db.collection('orders').doc(orderId).get();
+  const order = orderSnap.exists ? orderSnap.data() : null;
+  if (!order || order.userId !== uid || !(order.items || []).some(item => item.productId === productId)) {
+    throw new HttpsError('permission-denied', 'You can only review products from your own orders.');
+  }
+  if (order.status !== 'delivered') {
+    throw new HttpsError('failed-precondition', 'You can review this product once your order has been delivered.');
+  }
+
+  try {
+    await db.collection('reviews').doc(`${orderId}_${productId}`).create({
+      productId,
+      orderId,
+      userId: uid,
+      authorName: text(token.name, 100) || 'Verified buyer',
+      rating,
+      text: reviewText,
+      photoPaths,
+      status: 'pending',
+      createdAt: FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    if (error.code === 6) { // ALREADY_EXISTS
+      throw new HttpsError('already-exists', 'You have already reviewed this product for this order.');
+    }
+    throw error;
+  }
+
+  return { reviewId: `${orderId}_${productId}` };
+});
+
+const deletePhotos = async (paths) => {
+  const bucket = getStorage().bucket();
+  await Promise.all(paths.map(path =>
+    bucket.file(path).delete().catch(error => logger.warn(`Could not delete review photo ${path}`, error))
+  ));
+};
+
+// Keep the product's rating in step with its approved reviews, and remove the
+// photos of deleted reviews
+export const onReviewWritten = onDocumentWritten('reviews/{reviewId}', async (event) => {
+  const before = event.data.before.exists ? event.data.before.data() : null;
+  const after = event.data.after.exists ? event.data.after.data() : null;
+  const review = after || before;
+
+  if (before && !after) {
+    await deletePhotos(before.photoPaths || []);
+  }
+
+  const wasApproved = before?.status === 'approved';
+  const isApproved = after?.status === 'approved';
+  if (!wasApproved && !isApproved) return;
+  if (wasApproved && isApproved && before.rating === after.rating) return;
+
+  const snapshot = await db.collection('reviews')
+    .where('productId', '==', review.productId)
+    .where('status', '==', 'approved')
+    .select('rating')
+    .get();
+  const ratings = snapshot.docs.map(doc => Number(doc.get('rating')) || 0);
+  const ratingCount = ratings.length;
+  const ratingAverage = ratingCount
+    ? Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratingCount) * 10) / 10
+    : 0;
+
+  const productRef = db.collection('products').doc(review.productId);
+  const productSnap = await productRef.get();
+  if (!productSnap.exists) return;
+  await productRef.update({ ratingAverage, ratingCount });
+});
@@ -0,0 +1,46 @@
+import { FieldPath } from 'firebase-admin/firestore';
+import { db } from '../admin.js';
+import { normalizePhone } from '../claims.js';
+import { normalizeEmail } from '../shared/promoCodes.js';
+
+// Gives orders placed before findClaimableOrders looked guest orders up by
+// contact a lowercased `customerEmail` and a `contactPhone`, so they can still
+// be claimed. Run once per project after deploying the functions, like
+// seed:owners:
+//
+//   GOOGLE_CLOUD_PROJECT=<project-id> npm run migrate:order-contacts
+//
+// Orders that already have both are left alone, so it is safe to run again.
+
+const PAGE_SIZE = 500;
+
+let updated = 0;
+let last = null;
+
+for (;;) {
+  let page = db.collection('orders')
+    .orderBy(FieldPath.documentId())
+    .select('customerEmail', 'shippingAddress.phone', 'contactPhone')
+    .limit(PAGE_SIZE);
+  if (last) page = page.startAfter(last);
+  const snapshot = await page.get();
+  if (snapshot.empty) break;
+
+  const batch = db.batch();
+  let changes = 0;
+  snapshot.docs.forEach(doc => {
+    const order = doc.data();
+    const customerEmail = normalizeEmail(order.customerEmail);
+    const contactPhone = normalizePhone(order.shippingAddress?.phone);
+    if (customerEmail !== (order.customerEmail || '') || contactPhone !== order.contactPhone) {
+      batch.update(doc.ref, { customerEmail, contactPhone });
+      changes += 1;
+    }
+  });
+  if (changes) await batch.commit();
+
+  updated += changes;
+  last = snapshot.docs[snapshot.docs.length - 1];
+}
+
+console.log(`Done: ${updated} order${updated === 1 ? '' : 's'} updated.`);
@@ -0,0 +1,52 @@
+import { FieldPath, FieldValue } from 'firebase-admin/firestore';
+import { db } from '../admin.js';
+import { normalizeEmail } from '../shared/promoCodes.js';
+
+// Moves the per-email counts promo codes used to keep in a `usageByEmail` map
+// (readable by anyone who knew the code) into `promoCodes/{code}/redemptions/{email}`,
+// and removes the map. Run once per project after deploying the functions,
+// like seed:owners:
+//
+//   GOOGLE_CLOUD_PROJECT=<project-id> npm run migrate:promo-redemptions
+//
+// Counts are added to any the new placeOrder has already recorded, and each
+// email leaves the map in the same transaction, so an interrupted run can
+// simply be repeated.
+
+// A transaction writes at most 500 documents
+const CHUNK_SIZE = 400;
+
+const snapshot = await db.collection('promoCodes').get();
+let moved = 0;
+
+for (const promoDoc of snapshot.docs) {
+  const usage = promoDoc.get('usageByEmail');
+  if (usage === undefined) continue;
+
+  const emails = Object.keys(usage || {});
+  for (let i = 0; i < emails.length; i += CHUNK_SIZE) {
+    const chunk = emails.slice(i, i + CHUNK_SIZE);
+    await db.runTransaction(async (transaction) => {
+      const promoSnap = await transaction.get(promoDoc.ref);
+      const counts = new Map();
+      chunk.forEach(key => {
+        const email = normalizeEmail(key);
+        const count = Number(promoSnap.get(new FieldPath('usageByEmail', key))) || 0;
+        if (email && count > 0) counts.set(email, (counts.get(email) || 0) + count);
+      });
+      const refs = [...counts.keys()].map(email => promoDoc.ref.collection('redemptions').doc(email));
+      const existing = refs.length ? await transaction.getAll(...refs) : [];
+
+      existing.forEach((snap, index) => {
+        transaction.set(refs[index], { count: (Number(snap.get('count')) || 0) + counts.get(snap.id) });
+      });
+      transaction.update(promoDoc.ref, ...chunk.flatMap(key => [new FieldPath('usageByEmail', key), FieldValue.delete()]));
+    });
+    moved += chunk.length;
+  }
+
+  await promoDoc.ref.update({ usageByEmail: FieldValue.delete() });
+  console.log(`${promoDoc.id}: moved ${emails.length} email${emails.length === 1 ? '' : 's'}.`);
+}
+
+console.log(`Done: ${moved} emails moved.`);
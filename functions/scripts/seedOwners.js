@@ -0,0 +1,29 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import { db } from '../admin.js';
+import { normalizeEmail } from '../shared/promoCodes.js';
+
+// Gives the shop's owners their `staff/{email}` documents, so AdminPortal is
+// reachable before anyone can invite staff from it. Run once per project:
+//
+//   GOOGLE_CLOUD_PROJECT=<project-id> npm run seed:owners [-- email ...]
+//
+// with Application Default Credentials (or FIRESTORE_EMULATOR_HOST set for the
+// emulator). Without arguments it seeds the admins AdminPortal used to have
+// hard-coded. Existing staff documents are left as they are.
+
+const BOOTSTRAP_OWNERS = ['mueezimran1@gmail.com', 'areebahareeg6@gmail.com'];
+
+const emails = (process.argv.length > 2 ? process.argv.slice(2) : BOOTSTRAP_OWNERS)
+  .map(normalizeEmail)
+  .filter(Boolean);
+
+for (const email of emails) {
+  const ref = db.collection('staff').doc(email);
+  try {
+    await ref.create({ email, role: 'owner', invitedBy: 'seed', createdAt: FieldValue.serverTimestamp() });
+    console.log(`Added ${email} as an owner.`);
+  } catch (error) {
+    if (error.code !== 6) throw error; // ALREADY_EXISTS
+    console.log(`${email} is already staff (${(await ref.get()).get('role')}); left unchanged.`);
+  }
+}
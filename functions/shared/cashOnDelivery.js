@@ -0,0 +1,51 @@
+// Cash on Delivery rules live in the `settings/cashOnDelivery` document:
+//   enabled, fee, maxOrderValue (null for no limit), cities[] (empty for every city)
+
+export const CASH_ON_DELIVERY = 'Cash on Delivery';
+
+export const PAYMENT_METHODS = ['EasyPaisa', CASH_ON_DELIVERY];
+
+// `code` set on the error placeOrder throws when COD no longer applies to an order
+export const COD_UNAVAILABLE = 'cod-unavailable';
+
+// Order `paymentStatus` values. COD orders stay pending until the rider's cash
+// is collected; EasyPaisa proofs are verified when the order is confirmed.
+export const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  PROOF_SUBMITTED: 'proof-submitted',
+  VERIFIED: 'verified',
+  COLLECTED: 'collected',
+};
+
+export const DEFAULT_COD_SETTINGS = {
+  enabled: true,
+  fee: 0,
+  maxOrderValue: null,
+  cities: [],
+};
+
+const normalizeCity = (city) => (city || '').toLowerCase().trim();
+
+// Whether COD can be used for an order and what it adds to the total.
+// `orderValue` is the goods total after discounts plus shipping.
+// Returns { eligible: true, fee } or { eligible: false, fee: 0, reason }.
+export const getCodQuote = (settings, { city, orderValue }) => {
+  if (!settings.enabled) {
+    return { eligible: false, fee: 0, reason: 'Cash on Delivery is currently unavailable.' };
+  }
+
+  const cities = settings.cities || [];
+  if (cities.length > 0 && city && !cities.some(c => normalizeCity(c) === normalizeCity(city))) {
+    return { eligible: false, fee: 0, reason: `Cash on Delivery is not available in ${city}.` };
+  }
+
+  if (settings.maxOrderValue && orderValue > settings.maxOrderValue) {
+    return {
+      eligible: false,
+      fee: 0,
+      reason: `Cash on Delivery is only available on orders up to PKR ${Number(settings.maxOrderValue).toLocaleString()}.`,
+    };
+  }
+
+  return { eligible: true, fee: Number(settings.fee) || 0 };
+};
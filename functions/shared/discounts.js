@@ -0,0 +1,39 @@
+// Product discounts live in `discounts/{id}`:
+//   productIds[], discountPercentage, startDate, endDate, isActive, description
+// A discount without a start date runs from when it's saved, and one without an
+// end date runs until it's switched off.
+
+// placeOrder's error code when the order no longer comes to the total the
+// customer confirmed at checkout
+export const PRICE_CHANGED = 'price-changed';
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+// 'disabled', 'scheduled', 'expired' or 'active'
+export const getDiscountStatus = (discount, now = new Date()) => {
+  if (!discount.isActive) return 'disabled';
+  const startDate = toDate(discount.startDate);
+  const endDate = toDate(discount.endDate);
+  if (startDate && now < startDate) return 'scheduled';
+  if (endDate && now > endDate) return 'expired';
+  return 'active';
+};
+
+export const isDiscountActive = (discount, now = new Date()) => getDiscountStatus(discount, now) === 'active';
+
+// The running discount for a product, if any
+export const getActiveDiscount = (discounts, productId, now = new Date()) =>
+  discounts.find(discount => (discount.productIds || []).includes(productId) && isDiscountActive(discount, now)) || null;
+
+export const getDiscountedPrice = (price, discount) =>
+  discount ? Math.round(price * (1 - discount.discountPercentage / 100)) : price;
+
+// A product's price after any running discount, and the percentage taken off
+// (null when none)
+export const getUnitPrice = (product, discounts, now = new Date()) => {
+  const discount = getActiveDiscount(discounts, product.id, now);
+  return {
+    price: getDiscountedPrice(Number(product.price) || 0, discount),
+    discountApplied: discount ? discount.discountPercentage : null,
+  };
+};
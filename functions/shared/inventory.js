@@ -0,0 +1,70 @@
+// Stock is tracked per colour/size combination in `product.stock`, a map of
+// getVariantKey(variation, size) -> units left. Products saved before stock
+// tracking only carry the boolean `available` flag and are treated as unlimited.
+
+// `code` set on the error placeOrder throws when stock runs short
+export const INSUFFICIENT_STOCK = 'insufficient-stock';
+
+const NO_OPTION = '-';
+
+export const getVariantKey = (variation, size) =>
+  `${variation || NO_OPTION}|${size || NO_OPTION}`;
+
+// Every colour/size combination a product can be ordered in
+export const getVariantCombinations = (variations = [], sizes = []) => {
+  const colours = variations.length ? variations : [null];
+  const sizeList = sizes.length ? sizes : [null];
+  return colours.flatMap(variation => sizeList.map(size => ({ variation, size })));
+};
+
+export const hasStockTracking = (product) =>
+  !!product?.stock && typeof product.stock === 'object';
+
+export const getVariantStock = (product, variation, size) => {
+  if (!hasStockTracking(product)) {
+    return product?.available === false ? 0 : Infinity;
+  }
+  const units = Number(product.stock[getVariantKey(variation, size)]);
+  return Number.isFinite(units) && units > 0 ? Math.floor(units) : 0;
+};
+
+export const getTotalStock = (product) => {
+  if (!hasStockTracking(product)) {
+    return product?.available === false ? 0 : Infinity;
+  }
+  return getVariantCombinations(product.variations, product.sizes)
+    .reduce((sum, { variation, size }) => sum + getVariantStock(product, variation, size), 0);
+};
+
+// A colour is sold out when none of its sizes have stock left
+export const isVariationSoldOut = (product, variation) =>
+  (product.sizes?.length ? product.sizes : [null])
+    .every(size => getVariantStock(product, variation, size) === 0);
+
+// First combination that can still be ordered, used as the default selection
+export const getFirstInStockVariant = (product) =>
+  getVariantCombinations(product.variations, product.sizes)
+    .find(({ variation, size }) => getVariantStock(product, variation, size) > 0) || null;
+
+// Drop stock entries for combinations that no longer exist and fill new ones with 0
+export const normalizeStock = (stock = {}, variations = [], sizes = []) =>
+  Object.fromEntries(
+    getVariantCombinations(variations, sizes).map(({ variation, size }) => {
+      const key = getVariantKey(variation, size);
+      const units = parseInt(stock[key], 10);
+      return [key, Number.isNaN(units) || units < 0 ? 0 : units];
+    })
+  );
+
+// The stock to save when an admin edits a product: every combination keeps
+// what the product holds now (`current`), moved by however much the admin
+// changed it in the form (`edited` against `original`, the stock the form was
+// opened with). Units ordered while the form was open stay taken.
+export const applyStockEdits = (current, original, edited, variations = [], sizes = []) => {
+  const now = normalizeStock(current, variations, sizes);
+  const before = normalizeStock(original, variations, sizes);
+  const after = normalizeStock(edited, variations, sizes);
+  return Object.fromEntries(
+    Object.keys(now).map(key => [key, Math.max(0, now[key] + after[key] - before[key])])
+  );
+};
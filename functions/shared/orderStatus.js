@@ -0,0 +1,52 @@
+// Order lifecycle. Each order keeps `status` and a `statusHistory` of
+// { status, at, ...details } entries, one per transition.
+
+export const ORDER_STATUS = {
+  PENDING_VERIFICATION: 'pending-verification',
+  CONFIRMED: 'confirmed',
+  PACKED: 'packed',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  RETURNED: 'returned',
+};
+
+// `code` set on the error thrown for a transition the lifecycle doesn't allow
+export const INVALID_STATUS_TRANSITION = 'invalid-status-transition';
+
+export const ORDER_STATUS_LABELS = {
+  [ORDER_STATUS.PENDING_VERIFICATION]: 'Pending verification',
+  [ORDER_STATUS.CONFIRMED]: 'Confirmed',
+  [ORDER_STATUS.PACKED]: 'Packed',
+  [ORDER_STATUS.SHIPPED]: 'Shipped',
+  [ORDER_STATUS.DELIVERED]: 'Delivered',
+  [ORDER_STATUS.CANCELLED]: 'Cancelled',
+  [ORDER_STATUS.RETURNED]: 'Returned',
+};
+
+// Where each status can move to. Orders can be cancelled until they ship;
+// after that they can only come back as returns.
+const TRANSITIONS = {
+  [ORDER_STATUS.PENDING_VERIFICATION]: [ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.CONFIRMED]: [ORDER_STATUS.PACKED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PACKED]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED, ORDER_STATUS.RETURNED],
+  [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.RETURNED],
+  [ORDER_STATUS.CANCELLED]: [],
+  [ORDER_STATUS.RETURNED]: [],
+};
+
+// Statuses whose orders no longer count as sales and have given their stock back
+export const CLOSED_STATUSES = [ORDER_STATUS.CANCELLED, ORDER_STATUS.RETURNED];
+
+// Orders placed before the lifecycle existed were created as 'processing'
+export const getOrderStatus = (order) =>
+  !order.status || order.status === 'processing' ? ORDER_STATUS.PENDING_VERIFICATION : order.status;
+
+export const getNextStatuses = (status) => TRANSITIONS[status] || [];
+
+export const canTransition = (from, to) => getNextStatuses(from).includes(to);
+
+export const formatOrderStatus = (status) => ORDER_STATUS_LABELS[status] || status;
+
+export const createStatusEntry = (status, details = {}) => ({ status, at: new Date(), ...details });
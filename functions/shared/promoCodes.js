@@ -0,0 +1,75 @@
+// Promo codes live in `promoCodes/{CODE}` (the document ID is the normalised code):
+//   type: 'percentage' | 'fixed', value, minSubtotal, usageLimit, perEmailLimit,
+//   expiresAt, productIds[], categories[], isActive, usedCount
+// with each email's uses in `promoCodes/{CODE}/redemptions/{email}` ({ count }),
+// which only managers and the placeOrder function can read. The per-email
+// limit is therefore only checked in full when the order is placed.
+
+// `code` set on the error placeOrder throws when a promo code fails at submission
+export const INVALID_PROMO_CODE = 'invalid-promo-code';
+
+export const normalizeCode = (code) => (code || '').trim().toUpperCase();
+
+export const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+// Items the code applies to; an unscoped code applies to the whole order
+export const getEligibleItems = (promo, items) => {
+  const productIds = promo.productIds || [];
+  const categories = promo.categories || [];
+  if (productIds.length === 0 && categories.length === 0) return items;
+  return items.filter(item =>
+    productIds.includes(item.productId || item.id) ||
+    (item.category && categories.includes(item.category))
+  );
+};
+
+// Check a promo code against an order and work out its discount. `emailUses`
+// is how many orders `email` has already used the code on.
+// Returns { valid: true, discount } or { valid: false, error }.
+export const evaluatePromoCode = (promo, { items, subtotal, email, emailUses = 0, now = new Date() }) => {
+  if (!promo || promo.isActive === false) {
+    return { valid: false, error: 'This promo code is not valid.' };
+  }
+
+  const expiresAt = toDate(promo.expiresAt);
+  if (expiresAt && now > expiresAt) {
+    return { valid: false, error: 'This promo code has expired.' };
+  }
+
+  if (promo.usageLimit && (promo.usedCount || 0) >= promo.usageLimit) {
+    return { valid: false, error: 'This promo code has reached its usage limit.' };
+  }
+
+  if (promo.perEmailLimit) {
+    if (!normalizeEmail(email)) {
+      return { valid: false, error: 'Enter your email address to use this promo code.' };
+    }
+    if (emailUses >= promo.perEmailLimit) {
+      return { valid: false, error: 'You have already used this promo code.' };
+    }
+  }
+
+  if (promo.minSubtotal && subtotal < promo.minSubtotal) {
+    return {
+      valid: false,
+      error: `Spend at least PKR ${Number(promo.minSubtotal).toLocaleString()} to use this promo code.`,
+    };
+  }
+
+  const eligibleItems = getEligibleItems(promo, items);
+  if (eligibleItems.length === 0) {
+    return { valid: false, error: 'This promo code does not apply to the items in your order.' };
+  }
+
+  const eligibleSubtotal = eligibleItems.reduce(
+    (sum, item) => sum + (item.price || 0) * (item.quantity || 1),
+    0
+  );
+  const discount = promo.type === 'fixed'
+    ? Math.min(Number(promo.value) || 0, eligibleSubtotal)
+    : Math.round(eligibleSubtotal * Math.min(Number(promo.value) || 0, 100) / 100);
+
+  return { valid: true, discount };
+};
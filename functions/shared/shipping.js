@@ -0,0 +1,56 @@
+// Shipping rates live in the `settings/shipping` document:
+//   zones: [{ id, name, cities[], rate, freeShippingThreshold, minDays, maxDays }]
+//   defaultZone: { name, rate, freeShippingThreshold, minDays, maxDays } for cities in no zone
+// Until an admin saves that document the rates below are used.
+export const DEFAULT_SHIPPING_SETTINGS = {
+  zones: [
+    {
+      id: 'twin-cities',
+      name: 'Twin cities',
+      cities: ['Rawalpindi', 'Islamabad'],
+      rate: 300,
+      freeShippingThreshold: null,
+      minDays: 4,
+      maxDays: 5,
+    },
+  ],
+  defaultZone: {
+    name: 'Other cities',
+    rate: 320,
+    freeShippingThreshold: null,
+    minDays: 4,
+    maxDays: 5,
+  },
+};
+
+const normalizeCity = (city) => (city || '').toLowerCase().trim();
+
+// The zone a city ships from; cities in no zone (or no city yet) use the default zone
+export const findShippingZone = (settings, city) => {
+  const cityName = normalizeCity(city);
+  const zone = cityName
+    ? (settings.zones || []).find(z => (z.cities || []).some(c => normalizeCity(c) === cityName))
+    : null;
+  return zone || settings.defaultZone;
+};
+
+export const formatDeliveryEstimate = ({ minDays, maxDays }) => {
+  if (!minDays && !maxDays) return '';
+  const days = minDays && maxDays && minDays !== maxDays
+    ? `${minDays}-${maxDays}`
+    : `${maxDays || minDays}`;
+  return `Delivery in ${days} business day${days === '1' ? '' : 's'}`;
+};
+
+// Shipping cost and delivery text for a city and the goods total after discounts
+export const getShippingQuote = (settings, city, goodsTotal) => {
+  const zone = findShippingZone(settings, city);
+  const isFree = !!zone.freeShippingThreshold && goodsTotal >= zone.freeShippingThreshold;
+  return {
+    zoneName: zone.name,
+    cost: isFree ? 0 : Number(zone.rate) || 0,
+    isFree,
+    freeShippingThreshold: zone.freeShippingThreshold || null,
+    deliveryEstimate: formatDeliveryEstimate(zone),
+  };
+};
@@ -0,0 +1,22 @@
+import { HttpsError } from 'firebase-functions/v2/https';
+import { db } from './admin.js';
+import { normalizeEmail } from './shared/promoCodes.js';
+
+// Staff roles as in src/roles.js and firestore.rules: `staff/{email}` holds the
+// role of whoever signs in with that (verified) email
+export const MANAGER_ROLES = ['owner', 'manager'];
+export const FULFILMENT_ROLES = ['owner', 'manager', 'fulfilment'];
+
+// The caller's staff role, or null for customers and unverified emails
+export const getStaffRole = async (auth) => {
+  if (!auth?.token.email_verified || !auth.token.email) return null;
+  const snapshot = await db.collection('staff').doc(normalizeEmail(auth.token.email)).get();
+  return snapshot.exists ? snapshot.get('role') || null : null;
+};
+
+// Throws unless the caller has one of `roles`
+export const requireRole = async (request, roles, message) => {
+  if (!roles.includes(await getStaffRole(request.auth))) {
+    throw new HttpsError('permission-denied', message);
+  }
+};
@@ -0,0 +1,174 @@
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import functionsTest from 'firebase-functions-test';
+
+// Phone confirmation and claiming guest orders, against the Firestore
+// emulator; `npm test` in the repo root starts it. Without it these tests are skipped.
+
+const PROJECT_ID = 'demo-rose-bloom';
+const emulated = !!process.env.FIRESTORE_EMULATOR_HOST;
+
+const PHONE = '3001234567';
+const CODE = '123456';
+// How claims.js stores a code
+const hashCode = (uid, code) => createHash('sha256').update(`${uid}:${code}`).digest('hex');
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+describe('claiming guest orders', { skip: !emulated && 'needs the Firestore emulator' }, () => {
+  let testEnv;
+  let db;
+  let Timestamp;
+  let callables;
+
+  before(async () => {
+    // Sets FIREBASE_CONFIG, which admin.js initialises the app from
+    testEnv = functionsTest({ projectId: PROJECT_ID, storageBucket: `${PROJECT_ID}.appspot.com` });
+    ({ db } = await import('../admin.js'));
+    ({ Timestamp } = await import('firebase-admin/firestore'));
+    const functions = await import('../index.js');
+    callables = Object.fromEntries(
+      ['sendPhoneCode', 'verifyPhoneCode', 'findClaimableOrders', 'claimOrders'].map(name => [name, testEnv.wrap(functions[name])])
+    );
+  });
+
+  after(() => testEnv?.cleanup());
+
+  beforeEach(async () => {
+    await fetch(
+      `http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`,
+      { method: 'DELETE' }
+    );
+  });
+
+  const call = (name, data = {}, { uid = 'alice', email = 'alice@mail.pk', emailVerified = true } = {}) =>
+    callables[name]({ data, auth: { uid, token: { email, email_verified: emailVerified } } });
+
+  const verification = (fields = {}) => db.doc('phoneVerifications/alice').set({
+    phone: PHONE,
+    codeHash: hashCode('alice', CODE),
+    expiresAt: Timestamp.fromDate(minutesFromNow(10)),
+    attempts: 0,
+    windowStart: Timestamp.fromDate(minutesFromNow(-5)),
+    sendCount: 1,
+    lastSentAt: Timestamp.fromDate(minutesFromNow(-5)),
+    ...fields,
+  });
+
+  const getVerification = async () => (await db.doc('phoneVerifications/alice').get()).data();
+
+  describe('phone codes', () => {
+    it('confirms the number with the right code', async () => {
+      await verification();
+      await call('verifyPhoneCode', { code: CODE });
+      assert.equal((await getVerification()).verifiedPhone, PHONE);
+    });
+
+    it('locks the account out after five wrong codes, even with the right one', async () => {
+      await verification();
+      for (let i = 0; i < 5; i++) {
+        await assert.rejects(call('verifyPhoneCode', { code: '000000' }), { code: 'invalid-argument' });
+      }
+      await assert.rejects(call('verifyPhoneCode', { code: CODE }), { code: 'resource-exhausted' });
+      assert.equal((await getVerification()).verifiedPhone, undefined);
+    });
+
+    it('keeps counting wrong codes across a new code', async () => {
+      await verification({ attempts: 4 });
+      await call('sendPhoneCode', { phone: '0300 1234567' });
+      assert.equal((await getVerification()).attempts, 4);
+
+      // Past the cooldown, so only the wrong codes stand in the way
+      await db.doc(`phoneCodeSends/${PHONE}`).delete();
+      await verification({ attempts: 5 });
+      await assert.rejects(call('sendPhoneCode', { phone: '0300 1234567' }), { code: 'resource-exhausted' });
+    });
+
+    it('refuses expired codes', async () => {
+      await verification({ expiresAt: Timestamp.fromDate(minutesFromNow(-1)) });
+      await assert.rejects(call('verifyPhoneCode', { code: CODE }), { code: 'failed-precondition' });
+    });
+
+    it('waits a minute between codes and sends a number at most five a day', async () => {
+      await call('sendPhoneCode', { phone: '03001234567' });
+      await assert.rejects(call('sendPhoneCode', { phone: '03001234567' }), { code: 'resource-exhausted' });
+
+      // Another account asking for the same number is held to the number's limit
+      await db.doc(`phoneCodeSends/${PHONE}`).set({
+        windowStart: Timestamp.fromDate(minutesFromNow(-60)),
+        sendCount: 5,
+        lastSentAt: Timestamp.fromDate(minutesFromNow(-5)),
+      });
+      await assert.rejects(call('sendPhoneCode', { phone: '+92 300 1234567' }, { uid: 'bob', email: 'bob@mail.pk' }), {
+        code: 'resource-exhausted',
+      });
+    });
+  });
+
+  describe('orders', () => {
+    const guestOrder = (fields) => ({
+      customerType: 'guest',
+      userId: null,
+      customerEmail: '',
+      contactPhone: '',
+      shippingAddress: { phone: '' },
+      total: 2500,
+      items: [{ productId: 'p1', quantity: 1 }],
+      createdAt: Timestamp.now(),
+      ...fields,
+    });
+
+    beforeEach(async () => {
+      const batch = db.batch();
+      batch.set(db.doc('orders/by-email'), guestOrder({ customerEmail: 'alice@mail.pk' }));
+      batch.set(db.doc('orders/by-phone'), guestOrder({ contactPhone: PHONE, shippingAddress: { phone: '+92 300 1234567' } }));
+      batch.set(db.doc('orders/someone-else'), guestOrder({ customerEmail: 'carol@mail.pk', contactPhone: '3009999999' }));
+      batch.set(db.doc('orders/already-claimed'), guestOrder({
+        customerType: 'customer',
+        userId: 'bob',
+        customerEmail: 'alice@mail.pk',
+      }));
+      // Marked guest but owned all the same
+      batch.set(db.doc('orders/owned-guest'), guestOrder({ userId: 'bob', customerEmail: 'alice@mail.pk' }));
+      batch.set(db.doc('phoneVerifications/alice'), { verifiedPhone: PHONE });
+      await batch.commit();
+    });
+
+    const orderIds = (result) => result.orders.map(order => order.orderId).sort();
+
+    it('finds the guest orders placed with the verified email or confirmed phone', async () => {
+      const result = await call('findClaimableOrders');
+      assert.deepEqual(orderIds(result), ['by-email', 'by-phone']);
+      assert.deepEqual(
+        Object.fromEntries(result.orders.map(order => [order.orderId, order.matchedBy])),
+        { 'by-email': 'email', 'by-phone': 'phone' }
+      );
+    });
+
+    it('ignores an email that is not verified', async () => {
+      const result = await call('findClaimableOrders', {}, { emailVerified: false });
+      assert.deepEqual(orderIds(result), ['by-phone']);
+    });
+
+    it('claims only matching orders nobody owns yet', async () => {
+      const { claimed } = await call('claimOrders', {
+        orderIds: ['by-email', 'by-phone', 'someone-else', 'already-claimed', 'owned-guest', 'missing'],
+      });
+      assert.equal(claimed, 2);
+
+      const owner = async (id) => (await db.doc(`orders/${id}`).get()).get('userId');
+      assert.equal(await owner('by-email'), 'alice');
+      assert.equal(await owner('by-phone'), 'alice');
+      assert.equal(await owner('someone-else'), null);
+      assert.equal(await owner('already-claimed'), 'bob');
+      assert.equal(await owner('owned-guest'), 'bob');
+      assert.equal((await db.doc('orders/by-phone').get()).get('claimedBy'), 'phone');
+    });
+
+    it('claims nothing without a verified contact', async () => {
+      await db.doc('phoneVerifications/alice').delete();
+      const { claimed } = await call('claimOrders', { orderIds: ['by-email', 'by-phone'] }, { emailVerified: false });
+      assert.equal(claimed, 0);
+    });
+  });
+});
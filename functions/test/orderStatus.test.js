@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import functionsTest from 'firebase-functions-test';
+import { INVALID_STATUS_TRANSITION, ORDER_STATUS, canTransition, getOrderStatus } from '../shared/orderStatus.js';
+
+// The order lifecycle, and updateOrderStatus enforcing it against the
+// Firestore emulator; `npm test` in the repo root starts it. Without it the
+// updateOrderStatus tests are skipped.
+
+const PROJECT_ID = 'demo-rose-bloom';
+const emulated = !!process.env.FIRESTORE_EMULATOR_HOST;
+
+describe('order lifecycle', () => {
+  it('moves forward one step at a time', () => {
+    assert.equal(canTransition(ORDER_STATUS.PENDING_VERIFICATION, ORDER_STATUS.CONFIRMED), true);
+    assert.equal(canTransition(ORDER_STATUS.PACKED, ORDER_STATUS.SHIPPED), true);
+    assert.equal(canTransition(ORDER_STATUS.PENDING_VERIFICATION, ORDER_STATUS.SHIPPED), false);
+    assert.equal(canTransition(ORDER_STATUS.DELIVERED, ORDER_STATUS.SHIPPED), false);
+  });
+
+  it('cancels until shipping and returns after', () => {
+    assert.equal(canTransition(ORDER_STATUS.PACKED, ORDER_STATUS.CANCELLED), true);
+    assert.equal(canTransition(ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED), false);
+    assert.equal(canTransition(ORDER_STATUS.CONFIRMED, ORDER_STATUS.RETURNED), false);
+    assert.equal(canTransition(ORDER_STATUS.DELIVERED, ORDER_STATUS.RETURNED), true);
+    assert.equal(canTransition(ORDER_STATUS.CANCELLED, ORDER_STATUS.CONFIRMED), false);
+  });
+
+  it('treats orders from before the lifecycle as pending verification', () => {
+    assert.equal(getOrderStatus({ status: 'processing' }), ORDER_STATUS.PENDING_VERIFICATION);
+    assert.equal(getOrderStatus({}), ORDER_STATUS.PENDING_VERIFICATION);
+  });
+});
+
+describe('updateOrderStatus', { skip: !emulated && 'needs the Firestore emulator' }, () => {
+  let testEnv;
+  let db;
+  let updateOrderStatus;
+
+  before(async () => {
+    // Sets FIREBASE_CONFIG, which admin.js initialises the app from
+    testEnv = functionsTest({ projectId: PROJECT_ID, storageBucket: `${PROJECT_ID}.appspot.com` });
+    ({ db } = await import('../admin.js'));
+    updateOrderStatus = testEnv.wrap((await import('../index.js')).updateOrderStatus);
+  });
+
+  after(() => testEnv?.cleanup());
+
+  beforeEach(async () => {
+    await fetch(
+      `http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`,
+      { method: 'DELETE' }
+    );
+
+    const batch = db.batch();
+    batch.set(db.doc('staff/fulfilment@shop.pk'), { email: 'fulfilment@shop.pk', role: 'fulfilment' });
+    batch.set(db.doc('staff/support@shop.pk'), { email: 'support@shop.pk', role: 'support' });
+    batch.set(db.doc('products/p1'), { title: 'Lawn Suit', price: 3000, variations: ['Red'], sizes: ['M'], stock: { 'Red|M': 1 } });
+    batch.set(db.doc('orders/o1'), {
+      status: ORDER_STATUS.PENDING_VERIFICATION,
+      statusHistory: [],
+      payment: 'EasyPaisa',
+      paymentStatus: 'proof-submitted',
+      items: [{ productId: 'p1', variation: 'Red', size: 'M', quantity: 2 }],
+      stockDeducted: true,
+    });
+    await batch.commit();
+  });
+
+  const update = (data, role = 'fulfilment') =>
+    updateOrderStatus({ data: { orderId: 'o1', ...data }, auth: { uid: role, token: { email: `${role}@shop.pk`, email_verified: true } } });
+
+  const getOrder = async () => (await db.doc('orders/o1').get()).data();
+
+  const invalidTransition = (error) => error.details?.code === INVALID_STATUS_TRANSITION;
+
+  it('moves an order along its lifecycle and records each step', async () => {
+    await update({ status: ORDER_STATUS.CONFIRMED });
+    await update({ status: ORDER_STATUS.PACKED });
+    await update({ status: ORDER_STATUS.SHIPPED, courier: 'TCS', trackingNumber: '12345' });
+
+    const order = await getOrder();
+    assert.equal(order.status, ORDER_STATUS.SHIPPED);
+    assert.equal(order.paymentStatus, 'verified');
+    assert.equal(order.trackingNumber, '12345');
+    assert.deepEqual(order.statusHistory.map(entry => entry.status), [
+      ORDER_STATUS.CONFIRMED,
+      ORDER_STATUS.PACKED,
+      ORDER_STATUS.SHIPPED,
+    ]);
+  });
+
+  it('refuses transitions the lifecycle does not allow', async () => {
+    await assert.rejects(update({ status: ORDER_STATUS.SHIPPED, courier: 'TCS', trackingNumber: '12345' }), invalidTransition);
+    await assert.rejects(update({ status: ORDER_STATUS.DELIVERED }), invalidTransition);
+    await assert.rejects(update({ status: 'lost' }), invalidTransition);
+    assert.equal((await getOrder()).status, ORDER_STATUS.PENDING_VERIFICATION);
+
+    await update({ status: ORDER_STATUS.CANCELLED });
+    await assert.rejects(update({ status: ORDER_STATUS.CONFIRMED }), invalidTransition);
+  });
+
+  it('needs a courier and tracking number to ship', async () => {
+    await update({ status: ORDER_STATUS.CONFIRMED });
+    await update({ status: ORDER_STATUS.PACKED });
+    await assert.rejects(update({ status: ORDER_STATUS.SHIPPED, courier: 'TCS' }), invalidTransition);
+  });
+
+  it('gives a cancelled order its stock back', async () => {
+    await update({ status: ORDER_STATUS.CANCELLED });
+    assert.deepEqual((await db.doc('products/p1').get()).get('stock'), { 'Red|M': 3 });
+    assert.equal((await getOrder()).stockRestored, true);
+  });
+
+  it('leaves status changes to owners, managers and fulfilment staff', async () => {
+    await assert.rejects(update({ status: ORDER_STATUS.CONFIRMED }, 'support'), { code: 'permission-denied' });
+    assert.equal((await getOrder()).status, ORDER_STATUS.PENDING_VERIFICATION);
+  });
+});
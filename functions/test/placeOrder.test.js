@@ -0,0 +1,175 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import functionsTest from 'firebase-functions-test';
+import { COD_UNAVAILABLE } from '../shared/cashOnDelivery.js';
+import { PRICE_CHANGED } from '../shared/discounts.js';
+import { INSUFFICIENT_STOCK } from '../shared/inventory.js';
+import { INVALID_PROMO_CODE } from '../shared/promoCodes.js';
+
+// placeOrder against the Firestore and Storage emulators; `npm test` in the
+// repo root starts them. Without them these tests are skipped.
+
+const PROJECT_ID = 'demo-rose-bloom';
+const emulated = !!process.env.FIRESTORE_EMULATOR_HOST && !!process.env.FIREBASE_STORAGE_EMULATOR_HOST;
+
+describe('placeOrder', { skip: !emulated && 'needs the Firestore and Storage emulators' }, () => {
+  let testEnv;
+  let db;
+  let bucket;
+  let placeOrder;
+  let orderCount = 0;
+
+  before(async () => {
+    // Sets FIREBASE_CONFIG, which admin.js initialises the app from
+    testEnv = functionsTest({ projectId: PROJECT_ID, storageBucket: `${PROJECT_ID}.appspot.com` });
+    ({ db } = await import('../admin.js'));
+    const { getStorage } = await import('firebase-admin/storage');
+    bucket = getStorage().bucket();
+    placeOrder = testEnv.wrap((await import('../index.js')).placeOrder);
+  });
+
+  after(() => testEnv?.cleanup());
+
+  beforeEach(async () => {
+    await fetch(
+      `http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`,
+      { method: 'DELETE' }
+    );
+    await bucket.deleteFiles();
+
+    const batch = db.batch();
+    batch.set(db.doc('products/p1'), {
+      title: 'Lawn Suit',
+      price: 3000,
+      category: 'Lawn',
+      variations: ['Red'],
+      sizes: ['M'],
+      stock: { 'Red|M': 3 },
+    });
+    // No dates: runs until it's switched off
+    batch.set(db.doc('discounts/d1'), { productIds: ['p1'], discountPercentage: 10, isActive: true });
+    batch.set(db.doc('promoCodes/WELCOME'), { type: 'percentage', value: 10, isActive: true, usedCount: 0, perEmailLimit: 1 });
+    batch.set(db.doc('settings/shipping'), {
+      zones: [{ id: 'lhr', name: 'Lahore', cities: ['Lahore'], rate: 200, freeShippingThreshold: 10000, minDays: 2, maxDays: 3 }],
+      defaultZone: { name: 'Other cities', rate: 350, freeShippingThreshold: null, minDays: 4, maxDays: 6 },
+    });
+    batch.set(db.doc('settings/cashOnDelivery'), { enabled: true, fee: 100, maxOrderValue: null, cities: ['Lahore'] });
+    await batch.commit();
+  });
+
+  const request = (fields = {}) => ({
+    orderId: `ORDER_${Date.now()}_test${++orderCount}`,
+    items: [{ productId: 'p1', variation: 'Red', size: 'M', quantity: 2 }],
+    shippingAddress: { fullName: 'Alice', phone: '03001234567', address: '1 Mall Road', city: 'Lahore', country: 'Pakistan' },
+    payment: 'Cash on Delivery',
+    customerEmail: 'alice@mail.pk',
+    ...fields,
+  });
+
+  const order = async (data) => placeOrder({ data, auth: undefined });
+
+  const failsWith = (code) => (error) => error.details?.code === code;
+
+  const getStock = async () => (await db.doc('products/p1').get()).get('stock');
+
+  it('prices the order from the catalogue, with the running discount, shipping zone and COD fee', async () => {
+    const data = request();
+    const result = await order(data);
+
+    // 2 × (3000 − 10%) + 200 shipping in Lahore + 100 COD fee
+    assert.deepEqual(result, { orderId: data.orderId, total: 5700 });
+    const saved = (await db.doc(`orders/${data.orderId}`).get()).data();
+    assert.equal(saved.subtotal, 5400);
+    assert.equal(saved.items[0].price, 2700);
+    assert.equal(saved.items[0].discountApplied, 10);
+    assert.equal(saved.shippingZone, 'Lahore');
+    assert.equal(saved.shippingCost, 200);
+    assert.equal(saved.codFee, 100);
+    assert.equal(saved.paymentStatus, 'pending');
+    assert.equal(saved.contactPhone, '3001234567');
+    assert.deepEqual(await getStock(), { 'Red|M': 1 });
+  });
+
+  it('only charges the total the customer confirmed', async () => {
+    // The cart still remembers the price from before the discount
+    const stale = request({ expectedTotal: 6300 });
+    await assert.rejects(order(stale), (error) => {
+      assert.equal(error.details.code, PRICE_CHANGED);
+      assert.equal(error.details.total, 5700);
+      return true;
+    });
+    assert.equal((await db.doc(`orders/${stale.orderId}`).get()).exists, false);
+    assert.deepEqual(await getStock(), { 'Red|M': 3 });
+
+    const confirmed = await order(request({ expectedTotal: 5700 }));
+    assert.equal(confirmed.total, 5700);
+  });
+
+  it('ships free over the zone threshold and charges other cities the default rate', async () => {
+    await db.doc('products/p1').update({ price: 10000 });
+    const free = await order(request({ items: [{ productId: 'p1', variation: 'Red', size: 'M', quantity: 2 }] }));
+    assert.equal(free.total, 18000 + 100);
+
+    await db.doc('settings/cashOnDelivery').update({ cities: [] });
+    const elsewhere = await order(request({
+      items: [{ productId: 'p1', variation: 'Red', size: 'M', quantity: 1 }],
+      shippingAddress: { fullName: 'Bob', phone: '03007654321', address: '2 Jinnah Road', city: 'Quetta', country: 'Pakistan' },
+    }));
+    assert.equal(elsewhere.total, 9000 + 350 + 100);
+  });
+
+  it('refuses Cash on Delivery where it is not offered', async () => {
+    await assert.rejects(
+      order(request({ shippingAddress: { fullName: 'Bob', phone: '03007654321', address: '2 Jinnah Road', city: 'Quetta', country: 'Pakistan' } })),
+      failsWith(COD_UNAVAILABLE)
+    );
+  });
+
+  it('redeems a promo code once per email', async () => {
+    const first = await order(request({ promoCode: 'welcome', customerEmail: 'Alice@Mail.pk' }));
+    // 5400 − 540 + 200 + 100
+    assert.equal(first.total, 5160);
+    assert.equal((await db.doc(`orders/${first.orderId}`).get()).get('customerEmail'), 'alice@mail.pk');
+    assert.equal((await db.doc('promoCodes/WELCOME').get()).get('usedCount'), 1);
+    assert.equal((await db.doc('promoCodes/WELCOME/redemptions/alice@mail.pk').get()).get('count'), 1);
+
+    await assert.rejects(
+      order(request({ promoCode: 'WELCOME', items: [{ productId: 'p1', variation: 'Red', size: 'M', quantity: 1 }] })),
+      failsWith(INVALID_PROMO_CODE)
+    );
+  });
+
+  it('stops at the promo code usage limit', async () => {
+    await db.doc('promoCodes/WELCOME').update({ usageLimit: 1, usedCount: 1 });
+    await assert.rejects(order(request({ promoCode: 'WELCOME' })), failsWith(INVALID_PROMO_CODE));
+  });
+
+  it('refuses items that are out of stock, without taking any stock', async () => {
+    const data = request({ items: [{ productId: 'p1', variation: 'Red', size: 'M', quantity: 4 }] });
+    await assert.rejects(order(data), (error) => {
+      assert.equal(error.details.code, INSUFFICIENT_STOCK);
+      assert.equal(error.details.shortages[0].available, 3);
+      return true;
+    });
+    assert.deepEqual(await getStock(), { 'Red|M': 3 });
+    assert.equal((await db.doc(`orders/${data.orderId}`).get()).exists, false);
+  });
+
+  it('needs the EasyPaisa screenshot uploaded before placing the order', async () => {
+    const data = request({ payment: 'EasyPaisa' });
+    await assert.rejects(order(data), { code: 'invalid-argument' });
+
+    await bucket.file(`paymentProofs/${data.orderId}.jpg`).save(Buffer.from('proof'), { contentType: 'image/jpeg' });
+    const result = await order(data);
+    assert.equal(result.total, 5400 + 200);
+    const saved = (await db.doc(`orders/${data.orderId}`).get()).data();
+    assert.equal(saved.paymentStatus, 'proof-submitted');
+    assert.equal(saved.paymentProofPath, `paymentProofs/${data.orderId}.jpg`);
+  });
+
+  it("won't place the same order twice", async () => {
+    const data = request();
+    await order(data);
+    await assert.rejects(order(data), { code: 'already-exists' });
+  });
+});
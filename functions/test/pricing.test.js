@@ -0,0 +1,166 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { DEFAULT_COD_SETTINGS, getCodQuote } from '../shared/cashOnDelivery.js';
+import { getDiscountStatus, getUnitPrice } from '../shared/discounts.js';
+import { applyStockEdits, getTotalStock, getVariantStock } from '../shared/inventory.js';
+import { evaluatePromoCode } from '../shared/promoCodes.js';
+import { DEFAULT_SHIPPING_SETTINGS, getShippingQuote } from '../shared/shipping.js';
+
+// The pricing rules placeOrder charges and the checkout quotes with
+
+const now = new Date('2026-03-15T12:00:00Z');
+const daysFromNow = (days) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+describe('discounts', () => {
+  const discount = (fields) => ({ productIds: ['p1'], discountPercentage: 20, isActive: true, ...fields });
+
+  it('runs between its start and end dates', () => {
+    assert.equal(getDiscountStatus(discount({ startDate: daysFromNow(-1), endDate: daysFromNow(1) }), now), 'active');
+    assert.equal(getDiscountStatus(discount({ startDate: daysFromNow(1), endDate: daysFromNow(2) }), now), 'scheduled');
+    assert.equal(getDiscountStatus(discount({ startDate: daysFromNow(-2), endDate: daysFromNow(-1) }), now), 'expired');
+    assert.equal(getDiscountStatus(discount({ isActive: false }), now), 'disabled');
+  });
+
+  it('treats a missing start or end date as open-ended', () => {
+    assert.equal(getDiscountStatus(discount({}), now), 'active');
+    assert.equal(getDiscountStatus(discount({ endDate: daysFromNow(1) }), now), 'active');
+    assert.equal(getDiscountStatus(discount({ startDate: daysFromNow(-1) }), now), 'active');
+  });
+
+  it('reads Firestore timestamps', () => {
+    const timestamp = (date) => ({ toDate: () => date });
+    assert.equal(getDiscountStatus(discount({ endDate: timestamp(daysFromNow(-1)) }), now), 'expired');
+  });
+
+  it('takes the running discount off the unit price, rounded to the rupee', () => {
+    const discounts = [discount({ discountPercentage: 15 }), discount({ productIds: ['p2'], discountPercentage: 50 })];
+    assert.deepEqual(getUnitPrice({ id: 'p1', price: 2999 }, discounts, now), { price: 2549, discountApplied: 15 });
+    assert.deepEqual(getUnitPrice({ id: 'p3', price: 2999 }, discounts, now), { price: 2999, discountApplied: null });
+  });
+});
+
+describe('promo codes', () => {
+  const items = [
+    { productId: 'p1', category: 'Lawn', price: 3000, quantity: 2 },
+    { productId: 'p2', category: 'Chiffon', price: 4000, quantity: 1 },
+  ];
+  const order = { items, subtotal: 10000, email: 'alice@mail.pk', now };
+  const promo = (fields) => ({ type: 'percentage', value: 10, isActive: true, usedCount: 0, ...fields });
+
+  it('takes a percentage or a fixed amount off', () => {
+    assert.deepEqual(evaluatePromoCode(promo({}), order), { valid: true, discount: 1000 });
+    assert.deepEqual(evaluatePromoCode(promo({ type: 'fixed', value: 750 }), order), { valid: true, discount: 750 });
+  });
+
+  it('only discounts the products or categories it is scoped to', () => {
+    assert.equal(evaluatePromoCode(promo({ productIds: ['p2'] }), order).discount, 400);
+    assert.equal(evaluatePromoCode(promo({ categories: ['Lawn'] }), order).discount, 600);
+    assert.equal(evaluatePromoCode(promo({ type: 'fixed', value: 5000, productIds: ['p2'] }), order).discount, 4000);
+    assert.equal(evaluatePromoCode(promo({ categories: ['Silk'] }), order).valid, false);
+  });
+
+  it('rejects disabled, expired and unknown codes', () => {
+    assert.equal(evaluatePromoCode(null, order).valid, false);
+    assert.equal(evaluatePromoCode(promo({ isActive: false }), order).valid, false);
+    assert.equal(evaluatePromoCode(promo({ expiresAt: daysFromNow(-1) }), order).error, 'This promo code has expired.');
+    assert.equal(evaluatePromoCode(promo({ expiresAt: daysFromNow(1) }), order).valid, true);
+  });
+
+  it('stops at its usage limit', () => {
+    assert.equal(evaluatePromoCode(promo({ usageLimit: 5, usedCount: 4 }), order).valid, true);
+    assert.equal(
+      evaluatePromoCode(promo({ usageLimit: 5, usedCount: 5 }), order).error,
+      'This promo code has reached its usage limit.'
+    );
+  });
+
+  it("stops at its per-email limit, counting the email's earlier uses", () => {
+    assert.equal(evaluatePromoCode(promo({ perEmailLimit: 2 }), { ...order, emailUses: 1 }).valid, true);
+    assert.equal(
+      evaluatePromoCode(promo({ perEmailLimit: 2 }), { ...order, emailUses: 2 }).error,
+      'You have already used this promo code.'
+    );
+    assert.equal(
+      evaluatePromoCode(promo({ perEmailLimit: 1 }), { ...order, email: ' ' }).error,
+      'Enter your email address to use this promo code.'
+    );
+  });
+
+  it('needs the minimum subtotal', () => {
+    assert.equal(evaluatePromoCode(promo({ minSubtotal: 10000 }), order).valid, true);
+    assert.equal(evaluatePromoCode(promo({ minSubtotal: 10001 }), order).valid, false);
+  });
+});
+
+describe('shipping', () => {
+  const settings = {
+    zones: [{ id: 'lhr', name: 'Lahore', cities: ['Lahore'], rate: 200, freeShippingThreshold: 5000, minDays: 2, maxDays: 3 }],
+    defaultZone: { name: 'Other cities', rate: 350, freeShippingThreshold: null, minDays: 4, maxDays: 6 },
+  };
+
+  it("charges the zone a city belongs to, whatever it's cased", () => {
+    const quote = getShippingQuote(settings, ' lahore ', 1000);
+    assert.equal(quote.zoneName, 'Lahore');
+    assert.equal(quote.cost, 200);
+    assert.equal(quote.deliveryEstimate, 'Delivery in 2-3 business days');
+  });
+
+  it('charges the default zone for other cities', () => {
+    const quote = getShippingQuote(settings, 'Quetta', 1000);
+    assert.equal(quote.zoneName, 'Other cities');
+    assert.equal(quote.cost, 350);
+  });
+
+  it("ships free once the goods total reaches the zone's threshold", () => {
+    assert.equal(getShippingQuote(settings, 'Lahore', 4999).cost, 200);
+    assert.equal(getShippingQuote(settings, 'Lahore', 5000).cost, 0);
+    assert.equal(getShippingQuote(settings, 'Lahore', 5000).isFree, true);
+  });
+
+  it('falls back to the built-in rates', () => {
+    assert.equal(getShippingQuote(DEFAULT_SHIPPING_SETTINGS, 'Islamabad', 1000).cost, 300);
+    assert.equal(getShippingQuote(DEFAULT_SHIPPING_SETTINGS, 'Karachi', 1000).cost, 320);
+  });
+});
+
+describe('Cash on Delivery', () => {
+  const settings = { ...DEFAULT_COD_SETTINGS, fee: 150, maxOrderValue: 20000, cities: ['Lahore', 'Karachi'] };
+
+  it('adds the fee where it is offered', () => {
+    assert.deepEqual(getCodQuote(settings, { city: 'karachi', orderValue: 5000 }), { eligible: true, fee: 150 });
+  });
+
+  it('is refused when switched off, outside its cities or over the order limit', () => {
+    assert.equal(getCodQuote({ ...settings, enabled: false }, { city: 'Lahore', orderValue: 5000 }).eligible, false);
+    assert.equal(getCodQuote(settings, { city: 'Quetta', orderValue: 5000 }).eligible, false);
+    assert.equal(getCodQuote(settings, { city: 'Lahore', orderValue: 20001 }).eligible, false);
+    assert.equal(getCodQuote(settings, { city: 'Lahore', orderValue: 5000 }).fee, 150);
+  });
+});
+
+describe('stock', () => {
+  const product = { variations: ['Red', 'Blue'], sizes: ['S', 'M'], stock: { 'Red|S': 2, 'Red|M': 0, 'Blue|S': 1 } };
+
+  it('counts stock per colour and size', () => {
+    assert.equal(getVariantStock(product, 'Red', 'S'), 2);
+    assert.equal(getVariantStock(product, 'Red', 'M'), 0);
+    assert.equal(getVariantStock(product, 'Blue', 'M'), 0);
+    assert.equal(getTotalStock(product), 3);
+  });
+
+  it('treats products without stock tracking as unlimited unless marked unavailable', () => {
+    assert.equal(getVariantStock({ available: true }, null, null), Infinity);
+    assert.equal(getVariantStock({ available: false }, null, null), 0);
+  });
+
+  it("applies an admin's stock edits on top of what was ordered meanwhile", () => {
+    // The form opened at 5 Red/S; 2 sold since, and the admin added 3
+    const stock = applyStockEdits({ 'Red|S': 3, 'Red|M': 1 }, { 'Red|S': 5, 'Red|M': 1 }, { 'Red|S': 8, 'Red|M': 1 }, ['Red'], ['S', 'M']);
+    assert.deepEqual(stock, { 'Red|S': 6, 'Red|M': 1 });
+  });
+
+  it('adds new combinations, drops removed ones and never goes below 0', () => {
+    const stock = applyStockEdits({ 'Red|S': 1, 'Blue|S': 4 }, { 'Red|S': 3, 'Blue|S': 4 }, { 'Red|S': 0, 'Red|M': 2 }, ['Red'], ['S', 'M']);
+    assert.deepEqual(stock, { 'Red|S': 0, 'Red|M': 2 });
+  });
+});
@@ -0,0 +1,14 @@
+import { db } from './admin.js';
+
+// Helpers the function modules share
+
+// A trimmed string from request data, cut to `maxLength`; '' for anything else
+export const text = (value, maxLength = 500) => (typeof value === 'string' ? value.trim().slice(0, maxLength) : '');
+
+export const formatPrice = (price) => `PKR ${price.toLocaleString('en-US')}`;
+
+// Discounts switched on, including scheduled ones; getUnitPrice picks the one running now
+export const getActiveDiscounts = async () => {
+  const snapshot = await db.collection('discounts').where('isActive', '==', true).get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+};
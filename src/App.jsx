@@ -1,23 +1,27 @@
 import { BrowserRouter as Router, Routes, Route, Navigate } from "react-router-dom";
 import { auth } from "./firebase";
+import { useStaffRole } from "./roles";
 import { useEffect, useState } from "react";
 import LoadingSpinner from "./LoadingSpinner";
+import ProtectedRoute from "./ProtectedRoute";
+import CartProvider from "./CartProvider";
+import WishlistProvider from "./WishlistProvider";
 import Home from "./Home";
 import Login from "./components/Login";
 import Products from "./components/Products";
 import AdminPortal from "./components/AdminPortal";
 import ProductPage from "./components/Productpage";
-import CheckoutPage from "./components/ChceckoutPage";
-import BuyNowCheckout from "./components/BuyNowCheckout";
+import Checkout from "./components/Checkout";
 import OrderThankYou from "./components/OrderThankYou";
-
-// List of authorized admin emails
-const ADMIN_EMAILS = ["mueezimran1@gmail.com", "areebahareeg6@gmail.com"];
+import TrackOrder from "./components/TrackOrder";
+import Account from "./components/Account";
+import Wishlist from "./components/Wishlist";
 
 function App() {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const { role, loading: roleLoading } = useStaffRole(user);
 
   useEffect(() => {
     const unsubscribe = auth.onAuthStateChanged(
@@ -35,10 +39,10 @@ function App() {
     return () => unsubscribe();
   }, []);
 
-  // Check if current user is an admin
-  const isAdmin = user && ADMIN_EMAILS.includes(user.email);
+  // Any staff role opens AdminPortal; its sections are gated by role
+  const isAdmin = !!role;
 
-  if (loading) return <LoadingSpinner />;
+  if (loading || roleLoading) return <LoadingSpinner />;
 
   if (error) {
     return (
@@ -51,33 +55,49 @@ function App() {
   }
 
   return (
-    <Router>
-      <Routes>
-        {/* Public Routes */}
-        <Route path="/login" element={user ? <Navigate to="/" replace /> : <Login />} />
-        <Route path="/" element={<Home />} />
-        <Route path="/products" element={<Products />} />
-        <Route path="/product/:id" element={<ProductPage />} />
-        <Route path="/buynowcheckout" element={<BuyNowCheckout />} />
-        <Route path="/checkout" element={<CheckoutPage />} />
-        <Route path="/thanks" element={<OrderThankYou />} />
-        
-        {/* Protected Admin Route - only accessible by authorized emails */}
-        <Route 
-          path="/admin" 
-          element={
-            isAdmin ? (
-              <AdminPortal />
-            ) : (
-              <Navigate to={user ? "/" : "/login"} replace />
-            )
-          } 
-        />
-        
-        {/* Fallback Route */}
-        <Route path="*" element={<Navigate to="/" replace />} />
-      </Routes>
-    </Router>
+    <CartProvider>
+      <WishlistProvider user={user}>
+        <Router>
+          <Routes>
+            {/* Public Routes */}
+            <Route path="/login" element={user ? <Navigate to="/" replace /> : <Login />} />
+            <Route path="/" element={<Home />} />
+            <Route path="/products" element={<Products />} />
+            <Route path="/product/:id" element={<ProductPage />} />
+            <Route path="/buynowcheckout" element={<Checkout key="buyNow" source="buyNow" />} />
+            <Route path="/checkout" element={<Checkout key="cart" source="cart" />} />
+            <Route path="/thanks" element={<OrderThankYou />} />
+            <Route path="/track" element={<TrackOrder />} />
+            <Route path="/wishlist" element={<Wishlist />} />
+
+            {/* Customer account - needs a signed-in user */}
+            <Route
+              path="/account"
+              element={
+                <ProtectedRoute>
+                  <Account />
+                </ProtectedRoute>
+              }
+            />
+          
+            {/* Protected Admin Route - only accessible by staff */}
+            <Route 
+              path="/admin" 
+              element={
+                isAdmin ? (
+                  <AdminPortal role={role} />
+                ) : (
+                  <Navigate to={user ? "/" : "/login"} replace />
+                )
+              } 
+            />
+          
+            {/* Fallback Route */}
+            <Route path="*" element={<Navigate to="/" replace />} />
+          </Routes>
+        </Router>
+      </WishlistProvider>
+    </CartProvider>
   );
 }
 
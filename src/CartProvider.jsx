@@ -0,0 +1,59 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import {
+  CART_STORAGE_KEY,
+  CartContext,
+  addItem,
+  getItemCount,
+  getSubtotal,
+  loadCart,
+  mergeCarts,
+  parseCart,
+  removeItem,
+  saveCart,
+  updateQuantity,
+} from './cart';
+
+const CartProvider = ({ children }) => {
+  const [items, setItems] = useState(loadCart);
+
+  // Persist every change so other tabs and reloads see the same cart
+  useEffect(() => {
+    saveCart(items);
+  }, [items]);
+
+  // Pick up cart changes made in other tabs
+  useEffect(() => {
+    const handleStorageChange = (e) => {
+      if (e.key === CART_STORAGE_KEY) {
+        setItems(parseCart(e.newValue));
+      }
+    };
+
+    window.addEventListener('storage', handleStorageChange);
+    return () => window.removeEventListener('storage', handleStorageChange);
+  }, []);
+
+  const add = useCallback((item) => setItems(prev => addItem(prev, item)), []);
+  const remove = useCallback((itemId) => setItems(prev => removeItem(prev, itemId)), []);
+  const setQuantity = useCallback(
+    (itemId, quantity) => setItems(prev => updateQuantity(prev, itemId, quantity)),
+    []
+  );
+  const merge = useCallback((incoming) => setItems(prev => mergeCarts(prev, incoming)), []);
+  const clear = useCallback(() => setItems([]), []);
+
+  const value = useMemo(() => ({
+    items,
+    itemCount: getItemCount(items),
+    subtotal: getSubtotal(items),
+    addItem: add,
+    removeItem: remove,
+    updateQuantity: setQuantity,
+    mergeItems: merge,
+    clearCart: clear,
+  }), [items, add, remove, setQuantity, merge, clear]);
+
+  return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
+};
+
+export default CartProvider;
@@ -0,0 +1,105 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { collection, deleteDoc, doc, onSnapshot, setDoc, writeBatch } from 'firebase/firestore';
+import { db } from './firebase';
+import { fetchActiveDiscounts } from './discounts';
+import {
+  WISHLIST_STORAGE_KEY,
+  WishlistContext,
+  loadWishlist,
+  parseWishlist,
+  saveWishlist,
+  toWishlistEntry,
+} from './wishlist';
+
+// Copy guest entries into the account; products already there keep their entry
+const mergeIntoAccount = async (uid, entries, existingIds) => {
+  const batch = writeBatch(db);
+  entries
+    .filter(entry => !existingIds.includes(entry.productId))
+    .forEach(entry => batch.set(doc(db, 'users', uid, 'wishlist', entry.productId), entry));
+  await batch.commit();
+};
+
+const WishlistProvider = ({ user, children }) => {
+  const uid = user?.uid || null;
+  const [guestItems, setGuestItems] = useState(loadWishlist);
+  const [account, setAccount] = useState({ uid: null, items: [] });
+
+  useEffect(() => {
+    saveWishlist(guestItems);
+  }, [guestItems]);
+
+  // Pick up wishlist changes made in other tabs
+  useEffect(() => {
+    const handleStorageChange = (e) => {
+      if (e.key === WISHLIST_STORAGE_KEY) {
+        setGuestItems(parseWishlist(e.newValue));
+      }
+    };
+
+    window.addEventListener('storage', handleStorageChange);
+    return () => window.removeEventListener('storage', handleStorageChange);
+  }, []);
+
+  // Signed in, the account's wishlist is used and the guest one merged into it
+  useEffect(() => {
+    if (!uid) return;
+    let merged = false;
+
+    const unsubscribe = onSnapshot(
+      collection(db, 'users', uid, 'wishlist'),
+      (snapshot) => {
+        const items = snapshot.docs.map(doc => ({ productId: doc.id, ...doc.data() }));
+        setAccount({ uid, items });
+
+        const guestEntries = loadWishlist();
+        if (!merged && guestEntries.length > 0) {
+          merged = true;
+          mergeIntoAccount(uid, guestEntries, items.map(item => item.productId))
+            .then(() => setGuestItems([]))
+            .catch(error => console.error('Error merging wishlist:', error));
+        }
+      },
+      (error) => {
+        console.error('Error loading wishlist:', error);
+      }
+    );
+    return () => unsubscribe();
+  }, [uid]);
+
+  const items = useMemo(
+    () => (uid ? (account.uid === uid ? account.items : []) : guestItems),
+    [uid, account, guestItems]
+  );
+  const productIds = useMemo(() => items.map(item => item.productId), [items]);
+
+  const add = useCallback(async (product) => {
+    const entry = toWishlistEntry(product, await fetchActiveDiscounts());
+    if (uid) {
+      await setDoc(doc(db, 'users', uid, 'wishlist', product.id), entry);
+      return;
+    }
+    setGuestItems(prev => (prev.some(item => item.productId === product.id) ? prev : [...prev, entry]));
+  }, [uid]);
+
+  const remove = useCallback((productId) => {
+    if (uid) {
+      return deleteDoc(doc(db, 'users', uid, 'wishlist', productId));
+    }
+    setGuestItems(prev => prev.filter(item => item.productId !== productId));
+    return Promise.resolve();
+  }, [uid]);
+
+  const value = useMemo(() => ({
+    items,
+    count: items.length,
+    isWishlisted: (productId) => productIds.includes(productId),
+    addToWishlist: add,
+    removeFromWishlist: remove,
+    toggleWishlist: (product) => (productIds.includes(product.id) ? remove(product.id) : add(product)),
+  }), [items, productIds, add, remove]);
+
+  return <WishlistContext.Provider value={value}>{children}</WishlistContext.Provider>;
+};
+
+export default WishlistProvider;
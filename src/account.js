@@ -0,0 +1,161 @@
+import { useEffect, useState } from 'react';
+import { collection, doc, getDocs, onSnapshot, orderBy, query, serverTimestamp, setDoc, where, writeBatch } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from './firebase';
+
+// Customer accounts live in `users/{uid}`:
+//   displayName, phone, defaultAddressId, updatedAt,
+//   addresses: [{ id, label, fullName, phone, address, city, postalCode, region, country }]
+// Orders placed while signed in carry the customer's `userId`.
+
+export const ADDRESS_FIELDS = ['fullName', 'phone', 'address', 'city', 'postalCode', 'region', 'country'];
+
+export const EMPTY_ADDRESS = {
+  label: '',
+  fullName: '',
+  phone: '',
+  address: '',
+  city: '',
+  postalCode: '',
+  region: '',
+  country: '',
+};
+
+const EMPTY_PROFILE = {
+  displayName: '',
+  phone: '',
+  addresses: [],
+  defaultAddressId: null,
+};
+
+const createAddressId = () =>
+  'addr_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5);
+
+// Just the address fields of `source`, such as a saved address or the checkout form
+export const pickAddress = (source) =>
+  Object.fromEntries(ADDRESS_FIELDS.map(field => [field, source[field] || '']));
+
+export const getDefaultAddress = (profile) =>
+  profile.addresses.find(address => address.id === profile.defaultAddressId) ||
+  profile.addresses[0] ||
+  null;
+
+// The saved address with the same details as `address`, if there is one
+export const findSavedAddress = (profile, address) =>
+  profile.addresses.find(saved =>
+    ADDRESS_FIELDS.every(field => (saved[field] || '').trim() === (address[field] || '').trim())
+  ) || null;
+
+// Live profile for the signed-in customer. `loading` stays true until it has been read.
+export const useUserProfile = (uid) => {
+  const [state, setState] = useState({ uid: null, profile: EMPTY_PROFILE });
+
+  useEffect(() => {
+    if (!uid) return;
+    const unsubscribe = onSnapshot(
+      doc(db, 'users', uid),
+      (snapshot) => {
+        setState({ uid, profile: snapshot.exists() ? { ...EMPTY_PROFILE, ...snapshot.data() } : EMPTY_PROFILE });
+      },
+      (error) => {
+        console.error('Error loading profile:', error);
+        setState({ uid, profile: EMPTY_PROFILE });
+      }
+    );
+    return () => unsubscribe();
+  }, [uid]);
+
+  if (!uid) return { profile: EMPTY_PROFILE, loading: false };
+  return {
+    profile: state.uid === uid ? state.profile : EMPTY_PROFILE,
+    loading: state.uid !== uid,
+  };
+};
+
+export const saveProfile = (uid, changes) =>
+  setDoc(doc(db, 'users', uid), { ...changes, updatedAt: serverTimestamp() }, { merge: true });
+
+// Add `address`, or replace the saved one with its id. The first address saved
+// becomes the default.
+export const saveAddress = (uid, profile, address, { makeDefault = false } = {}) => {
+  const saved = { ...EMPTY_ADDRESS, ...address, id: address.id || createAddressId() };
+  const exists = profile.addresses.some(a => a.id === saved.id);
+  const addresses = exists
+    ? profile.addresses.map(a => (a.id === saved.id ? saved : a))
+    : [...profile.addresses, saved];
+
+  return saveProfile(uid, {
+    addresses,
+    defaultAddressId: makeDefault || !profile.defaultAddressId ? saved.id : profile.defaultAddressId,
+  });
+};
+
+// A batch holds at most 500 writes
+const BATCH_LIMIT = 500;
+
+// Remove the customer's profile and wishlist, before their account is deleted.
+// Orders stay, for the shop's records.
+export const deleteAccountData = async (uid) => {
+  const wishlist = await getDocs(collection(db, 'users', uid, 'wishlist'));
+  const refs = [...wishlist.docs.map(entry => entry.ref), doc(db, 'users', uid)];
+  for (let i = 0; i < refs.length; i += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    refs.slice(i, i + BATCH_LIMIT).forEach(ref => batch.delete(ref));
+    await batch.commit();
+  }
+};
+
+export const deleteAddress = (uid, profile, addressId) => {
+  const addresses = profile.addresses.filter(address => address.id !== addressId);
+  return saveProfile(uid, {
+    addresses,
+    defaultAddressId: profile.defaultAddressId === addressId
+      ? addresses[0]?.id || null
+      : profile.defaultAddressId,
+  });
+};
+
+// The customer's orders, newest first
+export const useCustomerOrders = (uid) => {
+  const [state, setState] = useState({ uid: null, orders: [] });
+
+  useEffect(() => {
+    if (!uid) return;
+    const ordersQuery = query(
+      collection(db, 'orders'),
+      where('userId', '==', uid),
+      orderBy('createdAt', 'desc')
+    );
+    const unsubscribe = onSnapshot(
+      ordersQuery,
+      (snapshot) => {
+        setState({ uid, orders: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) });
+      },
+      (error) => {
+        console.error('Error loading orders:', error);
+        setState({ uid, orders: [] });
+      }
+    );
+    return () => unsubscribe();
+  }, [uid]);
+
+  if (!uid) return { orders: [], loading: false };
+  return {
+    orders: state.uid === uid ? state.orders : [],
+    loading: state.uid !== uid,
+  };
+};
+
+// Claiming guest orders (see functions/claims.js). Each resolves to the
+// function's result: findClaimableOrders to { email, phone, orders }, where
+// orders are { orderId, createdAt (ms), total, itemCount, matchedBy }, and
+// claimOrders to { claimed }.
+const callFunction = (name) => {
+  const callable = httpsCallable(functions, name);
+  return async (data) => (await callable(data)).data;
+};
+
+export const findClaimableOrders = callFunction('findClaimableOrders');
+export const claimOrders = callFunction('claimOrders');
+export const sendPhoneCode = callFunction('sendPhoneCode');
+export const verifyPhoneCode = callFunction('verifyPhoneCode');
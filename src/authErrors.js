@@ -0,0 +1,17 @@
+// Friendly messages for Firebase Auth error codes, shared by the login and
+// account settings forms
+const AUTH_ERROR_MESSAGES = {
+  'auth/email-already-in-use': 'Email already in use',
+  'auth/invalid-email': 'Invalid email address',
+  'auth/weak-password': 'Password should be at least 6 characters',
+  'auth/user-not-found': 'No account found with this email',
+  'auth/wrong-password': 'Incorrect password',
+  'auth/invalid-credential': 'Incorrect email or password',
+  'auth/missing-password': 'Please enter your password',
+  'auth/too-many-requests': 'Too many attempts. Please wait a moment and try again',
+  'auth/requires-recent-login': 'Please enter your current password again to continue',
+  'auth/popup-closed-by-user': 'The sign-in window was closed before finishing',
+  'auth/network-request-failed': 'Network error. Please check your connection and try again',
+};
+
+export const getAuthErrorMessage = (err) => AUTH_ERROR_MESSAGES[err.code] || err.message;
@@ -0,0 +1,87 @@
+import { createContext, useContext } from 'react';
+
+// Storage key shared by every tab; sessionStorage keeps a backup copy
+export const CART_STORAGE_KEY = 'cartItems';
+
+// Parse a stored cart, treating anything unreadable as an empty cart
+export const parseCart = (value) => {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('Error parsing stored cart:', error);
+    return [];
+  }
+};
+
+// Load cart from localStorage, falling back to the sessionStorage backup
+export const loadCart = () => {
+  try {
+    return parseCart(localStorage.getItem(CART_STORAGE_KEY) || sessionStorage.getItem(CART_STORAGE_KEY));
+  } catch (error) {
+    console.error('Error loading cart from storage:', error);
+    return [];
+  }
+};
+
+// Save cart to both storages
+export const saveCart = (items) => {
+  try {
+    if (items.length === 0) {
+      localStorage.removeItem(CART_STORAGE_KEY);
+      sessionStorage.removeItem(CART_STORAGE_KEY);
+      return;
+    }
+    const cartData = JSON.stringify(items);
+    localStorage.setItem(CART_STORAGE_KEY, cartData);
+    sessionStorage.setItem(CART_STORAGE_KEY, cartData);
+  } catch (error) {
+    console.error('Error saving cart to storage:', error);
+  }
+};
+
+// Two cart lines are the same when product, colour and size all match
+export const isSameLine = (a, b) =>
+  (a.productId || a.id) === (b.productId || b.id) &&
+  (a.variation || null) === (b.variation || null) &&
+  (a.size || null) === (b.size || null);
+
+// Merge incoming lines into a cart, adding quantities of matching lines
+export const mergeCarts = (items, incoming) =>
+  incoming.reduce((merged, line) => {
+    const existingIndex = merged.findIndex(item => isSameLine(item, line));
+    if (existingIndex === -1) {
+      return [...merged, { ...line, quantity: line.quantity || 1 }];
+    }
+    return merged.map((item, index) =>
+      index === existingIndex
+        ? { ...item, quantity: (item.quantity || 1) + (line.quantity || 1) }
+        : item
+    );
+  }, items);
+
+export const addItem = (items, item) => mergeCarts(items, [item]);
+
+export const removeItem = (items, itemId) => items.filter(item => item.id !== itemId);
+
+export const updateQuantity = (items, itemId, quantity) => {
+  if (quantity < 1) return items;
+  return items.map(item => (item.id === itemId ? { ...item, quantity } : item));
+};
+
+export const getItemCount = (items) =>
+  items.reduce((count, item) => count + (item.quantity || 1), 0);
+
+export const getSubtotal = (items) =>
+  items.reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 1), 0);
+
+export const CartContext = createContext(null);
+
+export const useCart = () => {
+  const context = useContext(CartContext);
+  if (!context) {
+    throw new Error('useCart must be used inside a CartProvider');
+  }
+  return context;
+};
@@ -0,0 +1,7 @@
+import { useSettings } from './settings';
+import { DEFAULT_COD_SETTINGS } from '../functions/shared/cashOnDelivery.js';
+
+// The Cash on Delivery rules are shared with placeOrder, which charges the fee
+export * from '../functions/shared/cashOnDelivery.js';
+
+export const useCodSettings = () => useSettings('cashOnDelivery', DEFAULT_COD_SETTINGS);
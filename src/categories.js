@@ -0,0 +1,70 @@
+import { useEffect, useState } from 'react';
+import { collection, onSnapshot, orderBy, query } from 'firebase/firestore';
+import { db } from './firebase';
+
+// Shop categories live in `categories/{id}`:
+//   name, slug, image, sortOrder, visible, createdAt
+// Products keep the category `name` in their `category` field; links use the
+// slug (/products?category=jhumkas). Hidden categories stay on their products
+// but aren't listed in the shop.
+
+export const slugifyCategory = (name) =>
+  (name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// The categories the shop started with. The shop shows them while the
+// collection is empty, and AdminPortal offers to import them.
+export const STARTER_CATEGORIES = [
+  { name: 'Jhumkas', image: 'https://pbs.twimg.com/media/G0K1Lcda0AAXBGm?format=jpg&name=small' },
+  { name: 'Stainless steel pendants', image: 'https://pbs.twimg.com/media/G0K1NaLXEAANi9u?format=jpg&name=small' },
+  { name: 'Stainless steel earings', image: 'https://pbs.twimg.com/media/G0K1_VtagAAJbnb?format=jpg&name=small' },
+  { name: 'Stainless steel bracelets', image: 'https://pbs.twimg.com/media/G0K2DhLa0AAgy2V?format=jpg&name=small' },
+  { name: 'Stainless steel rings', image: 'https://pbs.twimg.com/media/G0K2H3hbUAMT4gm?format=jpg&name=small' },
+  { name: 'Bundles', image: 'https://pbs.twimg.com/media/G0K2ArjbUAU8gq5?format=jpg&name=small' },
+  { name: 'Customised orders', image: 'https://pbs.twimg.com/media/G0K3EEXbUAYqjFv?format=jpg&name=small' },
+  { name: 'Watch Bundles', image: 'https://pbs.twimg.com/media/G0K1PH_bUAQPppe?format=jpg&name=small' },
+  { name: 'Jewellery bouquets', image: 'https://pbs.twimg.com/media/G0K1QljW4AACFWP?format=jpg&name=small' },
+  { name: 'Organisers', image: 'https://pbs.twimg.com/media/G0kvOU2X0AAYrlM?format=jpg&name=small' },
+  { name: 'Packing materials', image: 'https://pbs.twimg.com/media/G0kvP0OXgAA_3yG?format=jpg&name=900x900' },
+].map((category, index) => ({ ...category, slug: slugifyCategory(category.name), sortOrder: index + 1, visible: true }));
+
+const STARTER_FALLBACK = STARTER_CATEGORIES.map(category => ({ id: category.slug, ...category }));
+
+// Categories in sort order. Hidden ones are left out unless `includeHidden`.
+// Until any are saved the starter categories stand in, unless
+// `starterFallback` is false (AdminPortal manages the saved ones only).
+export const useCategories = ({ includeHidden = false, starterFallback = true } = {}) => {
+  const [state, setState] = useState({ loaded: false, categories: [] });
+
+  useEffect(() => {
+    const unsubscribe = onSnapshot(
+      query(collection(db, 'categories'), orderBy('sortOrder', 'asc')),
+      (snapshot) => {
+        setState({ loaded: true, categories: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) });
+      },
+      (error) => {
+        console.error('Error loading categories:', error);
+        setState({ loaded: true, categories: [] });
+      }
+    );
+    return () => unsubscribe();
+  }, []);
+
+  const categories = starterFallback && state.loaded && state.categories.length === 0 ? STARTER_FALLBACK : state.categories;
+  return {
+    categories: includeHidden ? categories : categories.filter(category => category.visible !== false),
+    loading: !state.loaded,
+  };
+};
+
+// The category a `?category=` value refers to: its slug, or its name for older links
+export const findCategory = (categories, value) => {
+  if (!value) return null;
+  const slug = slugifyCategory(value);
+  return categories.find(category => category.slug === value || category.slug === slug || category.name === value) || null;
+};
+
+export const getCategoryPath = (category) => `/products?category=${encodeURIComponent(category.slug)}`;
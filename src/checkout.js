@@ -0,0 +1,392 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useAuthState } from 'react-firebase-hooks/auth';
+import { collection, doc, onSnapshot, query, where } from 'firebase/firestore';
+import { auth, db } from './firebase';
+import { placeOrder, createOrderId, INSUFFICIENT_STOCK, PRICE_CHANGED } from './orders';
+import { getUnitPrice } from './discounts';
+import { usePromoCode, INVALID_PROMO_CODE } from './promoCodes';
+import { getShippingQuote, useShippingSettings } from './shipping';
+import { getSubtotal, useCart } from './cart';
+import { compressImage, deletePaymentProof, uploadPaymentProof } from './paymentProofs';
+import { CASH_ON_DELIVERY, COD_UNAVAILABLE, getCodQuote, useCodSettings } from './cashOnDelivery';
+import { ADDRESS_FIELDS, findSavedAddress, getDefaultAddress, pickAddress, saveAddress, useUserProfile } from './account';
+
+export const BUY_NOW_STORAGE_KEY = 'buyNowItem';
+
+// Where a checkout gets its line items from, and what changes between them
+export const CHECKOUT_SOURCES = {
+  cart: {
+    title: 'Checkout',
+    orderIdPrefix: 'ORDER',
+    emptyTitle: 'Your Cart is Empty',
+    emptyMessage: 'Add some items to your cart to proceed with checkout.',
+    placeOrderLabel: 'Place Order',
+  },
+  buyNow: {
+    title: 'Buy Now Checkout',
+    orderIdPrefix: 'BUYNOW',
+    emptyTitle: 'No Product Selected',
+    emptyMessage: 'Choose a product and press Buy Now to check out.',
+    placeOrderLabel: 'Place Order Now',
+  },
+};
+
+// Limit on the picked file; it is compressed well below this before upload
+const MAX_PROOF_FILE_SIZE = 20 * 1024 * 1024;
+
+export { PAYMENT_METHODS } from './cashOnDelivery';
+
+const REQUIRED_FIELDS = ['fullName', 'phone', 'address', 'city', 'country'];
+
+const INITIAL_FORM = {
+  email: '',
+  fullName: '',
+  phone: '',
+  address: '',
+  city: '',
+  postalCode: '',
+  region: '',
+  country: '',
+  shippingMethod: 'Standard Delivery',
+  paymentMethod: 'EasyPaisa',
+  promoCode: '',
+  notes: '',
+  saveAddress: true,
+};
+
+// The item Productpage stored for Buy Now, as a one-line list
+const loadBuyNowItems = () => {
+  try {
+    const item = JSON.parse(sessionStorage.getItem(BUY_NOW_STORAGE_KEY));
+    if (!item) return [];
+    return [{
+      ...item,
+      productId: item.productId || item.id,
+      image: item.image || item.coverImage,
+      quantity: item.quantity || 1,
+    }];
+  } catch (error) {
+    console.error('Error loading buy now product:', error);
+    return [];
+  }
+};
+
+// Line items and a clear() for the source, as stored; both sources are read so
+// the hooks run in the same order whichever one is used
+export const useCheckoutItems = (source) => {
+  const cart = useCart();
+  const [buyNowItems] = useState(loadBuyNowItems);
+
+  if (source === 'buyNow') {
+    return { items: buyNowItems, clear: () => sessionStorage.removeItem(BUY_NOW_STORAGE_KEY) };
+  }
+  return { items: cart.items, clear: cart.clearCart };
+};
+
+// `items` priced the way placeOrder prices them: from the product documents
+// and the running discounts, not the price stored with the line when it was
+// added. Lines whose product is gone are marked `unavailable` and priced at 0.
+// `loading` stays true until every product and the discounts have been read.
+export const useCatalogPrices = (items) => {
+  const productKey = [...new Set(items.map(item => item.productId || item.id))].sort().join(',');
+  const [products, setProducts] = useState({ key: null, byId: {} });
+  const [discounts, setDiscounts] = useState(null);
+
+  useEffect(() => {
+    const unsubscribe = onSnapshot(
+      query(collection(db, 'discounts'), where('isActive', '==', true)),
+      (snapshot) => setDiscounts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+      (error) => {
+        console.error('Error loading discounts:', error);
+        setDiscounts([]);
+      }
+    );
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    if (!productKey) return;
+    const ids = productKey.split(',');
+    const byId = {};
+    const update = (id, product) => {
+      byId[id] = product;
+      // Only a full set counts as loaded for this key
+      if (ids.every(productId => productId in byId)) {
+        setProducts({ key: productKey, byId: { ...byId } });
+      }
+    };
+    const unsubscribes = ids.map(id => onSnapshot(
+      doc(db, 'products', id),
+      (snap) => update(id, snap.exists() ? { id: snap.id, ...snap.data() } : null),
+      (error) => {
+        console.error('Error loading product price:', error);
+        update(id, null);
+      }
+    ));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [productKey]);
+
+  const loading = discounts === null || (!!productKey && products.key !== productKey);
+
+  const pricedItems = useMemo(() => {
+    if (loading) return items;
+    return items.map(item => {
+      const product = products.byId[item.productId || item.id];
+      return product
+        ? { ...item, ...getUnitPrice(product, discounts) }
+        : { ...item, price: 0, discountApplied: null, unavailable: true };
+    });
+  }, [items, products, discounts, loading]);
+
+  return { items: pricedItems, loading };
+};
+
+export const validateCheckoutForm = (form, { paymentProof, codQuote }) => {
+  const errors = {};
+  REQUIRED_FIELDS.forEach(field => {
+    if (!form[field]) {
+      errors[field] = 'This field is required';
+    }
+  });
+
+  if (form.email && !/\S+@\S+\.\S+/.test(form.email)) {
+    errors.email = 'Please enter a valid email address';
+  }
+
+  if (form.phone && !/^\d{7,}$/.test(form.phone.replace(/[\s\-()]/g, ''))) {
+    errors.phone = 'Please enter a valid phone number (at least 7 digits)';
+  }
+
+  if (form.paymentMethod === 'EasyPaisa' && !paymentProof) {
+    errors.bankTransferProof = 'Please upload a screenshot of your EasyPaisa transfer.';
+  }
+
+  if (form.paymentMethod === CASH_ON_DELIVERY && !codQuote.eligible) {
+    errors.paymentMethod = codQuote.reason;
+  }
+
+  return errors;
+};
+
+// What the order function needs to know about a line; it looks up the price itself
+const toOrderLine = (item) => ({
+  productId: item.productId || item.id,
+  variation: item.variation || null,
+  size: item.size || null,
+  quantity: item.quantity || 1,
+});
+
+// Form, pricing, payment proof and submission for a checkout of `source`
+// ('cart' or 'buyNow'). placeOrder resolves to the new order ID, or null if
+// the order wasn't placed.
+export const useCheckout = (source) => {
+  const { items: storedItems, clear } = useCheckoutItems(source);
+  const { items, loading: pricesLoading } = useCatalogPrices(storedItems);
+  const subtotal = getSubtotal(items);
+  const [form, setForm] = useState(INITIAL_FORM);
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [paymentProof, setPaymentProof] = useState(null);
+  const [compressingImage, setCompressingImage] = useState(false);
+  const [stockShortages, setStockShortages] = useState([]);
+  const [user] = useAuthState(auth);
+  const { profile, loading: profileLoading } = useUserProfile(user?.uid);
+  const [prefilledFor, setPrefilledFor] = useState(null);
+
+  const shippingSettings = useShippingSettings();
+  const codSettings = useCodSettings();
+  const promo = usePromoCode({ items, subtotal, email: form.email });
+  const { validPromo, discount, removePromoCode } = promo;
+  // Free-shipping thresholds are checked against the goods total after discounts
+  const shippingQuote = getShippingQuote(shippingSettings, form.city, subtotal - discount);
+  const shippingCost = shippingQuote.cost;
+  const codQuote = getCodQuote(codSettings, { city: form.city, orderValue: subtotal - discount + shippingCost });
+  const codFee = form.paymentMethod === CASH_ON_DELIVERY && codQuote.eligible ? codQuote.fee : 0;
+  const total = subtotal - discount + shippingCost + codFee;
+
+  // Signed-in customers start from their email and default address
+  useEffect(() => {
+    if (!user || profileLoading || prefilledFor === user.uid) return;
+    const address = getDefaultAddress(profile);
+    setForm(prev => ({
+      ...prev,
+      email: prev.email || user.email || '',
+      ...(address && pickAddress(address)),
+    }));
+    setPrefilledFor(user.uid);
+  }, [user, profile, profileLoading, prefilledFor]);
+
+  const savedAddress = user ? findSavedAddress(profile, form) : null;
+
+  const selectAddress = useCallback((addressId) => {
+    // With no saved address picked the fields are cleared for a new one
+    const address = profile.addresses.find(a => a.id === addressId) || {};
+    setForm(prev => ({ ...prev, ...pickAddress(address) }));
+    setErrors(prev => ({ ...prev, ...Object.fromEntries(ADDRESS_FIELDS.map(field => [field, ''])) }));
+  }, [profile]);
+
+  const handleChange = useCallback((e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+    setErrors(prev => (prev[name] ? { ...prev, [name]: '' } : prev));
+    // An edited promo code has to be applied again
+    if (name === 'promoCode') {
+      removePromoCode();
+    }
+    // Drop the payment proof if payment method changes from EasyPaisa
+    if (name === 'paymentMethod' && value !== 'EasyPaisa') {
+      setPaymentProof(null);
+    }
+  }, [removePromoCode]);
+
+  const handleFileChange = useCallback(async (e) => {
+    const file = e.target.files[0];
+    setErrors(prev => ({ ...prev, bankTransferProof: '' }));
+    setPaymentProof(null);
+    if (!file) return;
+
+    if (file.size > MAX_PROOF_FILE_SIZE) {
+      setErrors(prev => ({ ...prev, bankTransferProof: 'File size exceeds 20MB limit.' }));
+      return;
+    }
+
+    setCompressingImage(true);
+    try {
+      setPaymentProof(await compressImage(file));
+    } catch (error) {
+      console.error("Error compressing payment proof:", error);
+      setErrors(prev => ({ ...prev, bankTransferProof: 'Failed to read image file.' }));
+    } finally {
+      setCompressingImage(false);
+    }
+  }, []);
+
+  const submit = async () => {
+    if (pricesLoading) return null;
+    const newErrors = validateCheckoutForm(form, { paymentProof, codQuote });
+    setErrors(newErrors);
+
+    const firstErrorField = Object.keys(newErrors)[0];
+    if (firstErrorField) {
+      const element = document.getElementsByName(firstErrorField)[0] ||
+                      document.getElementById(firstErrorField);
+      if (element) {
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      }
+      return null;
+    }
+
+    setLoading(true);
+    setStockShortages([]);
+
+    const orderId = createOrderId(CHECKOUT_SOURCES[source].orderIdPrefix);
+    let paymentProofPath = null;
+
+    if (form.paymentMethod === 'EasyPaisa') {
+      try {
+        paymentProofPath = await uploadPaymentProof(orderId, paymentProof);
+      } catch (err) {
+        console.error("Error uploading payment proof:", err);
+        alert('Error uploading your payment screenshot. Please try again.');
+        setLoading(false);
+        return null;
+      }
+    }
+
+    const request = {
+      orderId,
+      customerEmail: form.email,
+      items: items.map(toOrderLine),
+      shipping: form.shippingMethod,
+      payment: form.paymentMethod,
+      shippingAddress: {
+        fullName: form.fullName,
+        phone: form.phone,
+        address: form.address,
+        city: form.city,
+        postalCode: form.postalCode,
+        region: form.region,
+        country: form.country,
+      },
+      promoCode: validPromo ? validPromo.id : '',
+      notes: form.notes,
+      buyNow: source === 'buyNow',
+      // What the customer was shown; placeOrder won't charge anything else
+      expectedTotal: total,
+    };
+
+    try {
+      // Prices the order and takes the items out of stock in the same transaction
+      const { total: chargedTotal } = await placeOrder(request);
+
+      clear();
+
+      if (user && form.saveAddress && !savedAddress) {
+        saveAddress(user.uid, profile, pickAddress(form))
+          .catch(error => console.error("Error saving address:", error));
+      }
+
+      // Store order details for confirmation page
+      sessionStorage.setItem('lastOrderId', orderId);
+      sessionStorage.setItem('lastOrderEmail', form.email);
+      sessionStorage.setItem('lastOrderPhone', form.phone);
+      sessionStorage.setItem('lastOrderType', source);
+      sessionStorage.setItem('lastOrderTotal', String(chargedTotal));
+
+      return orderId;
+    } catch (err) {
+      console.error("Error placing order:", err);
+      // The order was not saved, so nothing references the uploaded proof
+      if (paymentProofPath) {
+        deletePaymentProof(paymentProofPath).catch(error => console.error("Error removing payment proof:", error));
+      }
+      if (err.code === INSUFFICIENT_STOCK) {
+        setStockShortages(err.shortages);
+      } else if (err.code === INVALID_PROMO_CODE) {
+        removePromoCode();
+        setErrors(prev => ({ ...prev, promoCode: err.message }));
+      } else if (err.code === COD_UNAVAILABLE) {
+        setErrors(prev => ({ ...prev, paymentMethod: err.message }));
+      } else if (err.code === PRICE_CHANGED) {
+        // The catalogue listeners catch up with the new prices; the customer
+        // confirms the new total by placing the order again
+        setErrors(prev => ({ ...prev, total: err.message }));
+      } else {
+        alert('Error placing order. Please try again. If the issue persists, contact support.');
+      }
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return {
+    items,
+    subtotal,
+    form,
+    errors,
+    loading,
+    pricesLoading,
+    paymentProof,
+    compressingImage,
+    stockShortages,
+    promo,
+    shippingQuote,
+    shippingCost,
+    codQuote,
+    codFee,
+    total,
+    handleChange,
+    handleFileChange,
+    placeOrder: submit,
+    account: {
+      signedIn: !!user,
+      addresses: profile.addresses,
+      savedAddress,
+      selectAddress,
+    },
+  };
+};
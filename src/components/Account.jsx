@@ -0,0 +1,339 @@
+import React, { useState } from 'react';
+import { useAuthState } from 'react-firebase-hooks/auth';
+import { updateProfile } from 'firebase/auth';
+import { auth } from '../firebase';
+import {
+  EMPTY_ADDRESS,
+  deleteAddress,
+  saveAddress,
+  saveProfile,
+  useCustomerOrders,
+  useUserProfile,
+} from '../account';
+import { CLOSED_STATUSES, ORDER_STATUS, formatOrderStatus, getOrderStatus } from '../orderStatus';
+import { describeOrderItem, formatShippingAddress, getReceiptTotals } from '../receipt';
+import Header from './Header';
+import LoadingSpinner from '../LoadingSpinner';
+import ClaimOrders from './ClaimOrders';
+import AccountSettings from './AccountSettings';
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+const inputClassName = 'w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-black focus:border-black';
+
+const statusClassName = (status) => {
+  if (status === ORDER_STATUS.DELIVERED) return 'bg-green-100 text-green-700';
+  if (CLOSED_STATUSES.includes(status)) return 'bg-gray-200 text-gray-700';
+  return 'bg-pink-100 text-pink-700';
+};
+
+const ADDRESS_INPUTS = [
+  { name: 'label', label: 'Label', placeholder: 'e.g., Home, Office' },
+  { name: 'fullName', label: 'Full Name*', required: true },
+  { name: 'phone', label: 'Phone Number*', placeholder: 'e.g., 03001234567', required: true },
+  { name: 'address', label: 'Street Address*', required: true },
+  { name: 'city', label: 'City*', required: true },
+  { name: 'postalCode', label: 'Postal Code' },
+  { name: 'region', label: 'Province/Region' },
+];
+
+// Signed-in customer's profile, saved addresses and order history
+const Account = () => {
+  const [user] = useAuthState(auth);
+  const { profile, loading: profileLoading } = useUserProfile(user?.uid);
+  const { orders, loading: ordersLoading } = useCustomerOrders(user?.uid);
+  const [profileForm, setProfileForm] = useState(null);
+  const [profileMessage, setProfileMessage] = useState('');
+  const [addressForm, setAddressForm] = useState(null);
+  const [savingAddress, setSavingAddress] = useState(false);
+  const [expandedOrderId, setExpandedOrderId] = useState(null);
+
+  if (!user || profileLoading) return <LoadingSpinner />;
+
+  // Editing starts from the saved profile; null means the form isn't open
+  const profileValues = profileForm || {
+    displayName: profile.displayName || user.displayName || '',
+    phone: profile.phone || '',
+  };
+
+  const handleProfileChange = (e) => {
+    const { name, value } = e.target;
+    setProfileForm({ ...profileValues, [name]: value });
+    setProfileMessage('');
+  };
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const displayName = profileValues.displayName.trim();
+      await saveProfile(user.uid, { displayName, phone: profileValues.phone.trim() });
+      if (displayName !== (user.displayName || '')) {
+        await updateProfile(user, { displayName });
+      }
+      setProfileForm(null);
+      setProfileMessage('✅ Profile saved.');
+    } catch (error) {
+      console.error('Error saving profile:', error);
+      setProfileMessage('❌ Could not save your profile. Please try again.');
+    }
+  };
+
+  const handleAddressChange = (e) => {
+    const { name, value } = e.target;
+    setAddressForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddressSubmit = async (e) => {
+    e.preventDefault();
+    setSavingAddress(true);
+    try {
+      await saveAddress(user.uid, profile, addressForm);
+      setAddressForm(null);
+    } catch (error) {
+      console.error('Error saving address:', error);
+      alert('Could not save this address. Please try again.');
+    } finally {
+      setSavingAddress(false);
+    }
+  };
+
+  const handleDeleteAddress = async (addressId) => {
+    if (!confirm('Delete this address?')) return;
+    try {
+      await deleteAddress(user.uid, profile, addressId);
+    } catch (error) {
+      console.error('Error deleting address:', error);
+      alert('Could not delete this address. Please try again.');
+    }
+  };
+
+  const handleMakeDefault = async (addressId) => {
+    try {
+      await saveProfile(user.uid, { defaultAddressId: addressId });
+    } catch (error) {
+      console.error('Error changing default address:', error);
+    }
+  };
+
+  return (
+    <>
+      <Header />
+      <div className="min-h-screen bg-[#F3D0D7] py-8 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-4xl mx-auto space-y-8">
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">My Account</h1>
+
+          {/* Profile */}
+          <form onSubmit={handleProfileSubmit} className="bg-[#fefaf9] p-6 rounded-lg shadow-sm">
+            <h2 className="text-lg sm:text-xl font-semibold mb-6 pb-2 border-b">Profile</h2>
+            {profileMessage && (
+              <p className={`mb-4 text-sm p-2 rounded ${profileMessage.startsWith('✅') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                {profileMessage}
+              </p>
+            )}
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+              <div>
+                <label htmlFor="displayName" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  id="displayName"
+                  name="displayName"
+                  value={profileValues.displayName}
+                  onChange={handleProfileChange}
+                  className={inputClassName}
+                />
+              </div>
+              <div>
+                <label htmlFor="profilePhone" className="block text-sm font-medium text-gray-700 mb-1">Phone Number</label>
+                <input
+                  id="profilePhone"
+                  name="phone"
+                  value={profileValues.phone}
+                  onChange={handleProfileChange}
+                  className={inputClassName}
+                />
+              </div>
+              <div className="sm:col-span-2">
+                <p className="block text-sm font-medium text-gray-700 mb-1">Email</p>
+                <p className="text-gray-900 break-all">{user.email}</p>
+              </div>
+            </div>
+            <button
+              type="submit"
+              disabled={!profileForm}
+              className="mt-6 bg-black text-white px-6 py-2 rounded-md font-medium hover:bg-gray-800 transition disabled:bg-gray-400 disabled:cursor-not-allowed"
+            >
+              Save Profile
+            </button>
+          </form>
+
+          {/* Address book */}
+          <div className="bg-[#fefaf9] p-6 rounded-lg shadow-sm">
+            <div className="flex justify-between items-center mb-6 pb-2 border-b">
+              <h2 className="text-lg sm:text-xl font-semibold">Saved Addresses</h2>
+              {!addressForm && (
+                <button
+                  onClick={() => setAddressForm({ ...EMPTY_ADDRESS, country: 'PK' })}
+                  className="text-sm font-medium text-pink-600 hover:text-pink-700"
+                >
+                  + Add Address
+                </button>
+              )}
+            </div>
+
+            {profile.addresses.length === 0 && !addressForm && (
+              <p className="text-sm text-gray-500">Addresses you save here, or while checking out, fill in checkout for you.</p>
+            )}
+
+            <div className="space-y-4">
+              {profile.addresses.map(address => (
+                <div key={address.id} className="flex flex-col sm:flex-row justify-between gap-4 p-4 border border-gray-200 rounded-md bg-white">
+                  <div className="text-sm text-gray-700">
+                    <p className="font-semibold text-gray-900">
+                      {address.label || 'Address'}
+                      {address.id === profile.defaultAddressId && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full bg-pink-100 text-pink-700 text-xs font-medium">Default</span>
+                      )}
+                    </p>
+                    {formatShippingAddress(address).map((line, index) => <p key={index}>{line}</p>)}
+                  </div>
+                  <div className="flex sm:flex-col gap-2 text-sm">
+                    <button onClick={() => setAddressForm(address)} className="text-gray-700 hover:text-black font-medium">Edit</button>
+                    {address.id !== profile.defaultAddressId && (
+                      <button onClick={() => handleMakeDefault(address.id)} className="text-gray-700 hover:text-black font-medium">Make default</button>
+                    )}
+                    <button onClick={() => handleDeleteAddress(address.id)} className="text-red-600 hover:text-red-700 font-medium">Delete</button>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {addressForm && (
+              <form onSubmit={handleAddressSubmit} className="mt-6 p-4 border border-gray-200 rounded-md bg-white">
+                <h3 className="font-semibold text-gray-900 mb-4">{addressForm.id ? 'Edit Address' : 'New Address'}</h3>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  {ADDRESS_INPUTS.map(({ name, label, placeholder, required }) => (
+                    <div key={name}>
+                      <label htmlFor={`address-${name}`} className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                      <input
+                        id={`address-${name}`}
+                        name={name}
+                        value={addressForm[name] || ''}
+                        onChange={handleAddressChange}
+                        placeholder={placeholder}
+                        required={required}
+                        className={inputClassName}
+                      />
+                    </div>
+                  ))}
+                  <div>
+                    <label htmlFor="address-country" className="block text-sm font-medium text-gray-700 mb-1">Country*</label>
+                    <select
+                      id="address-country"
+                      name="country"
+                      value={addressForm.country}
+                      onChange={handleAddressChange}
+                      required
+                      className={inputClassName}
+                    >
+                      <option value="">Select Country</option>
+                      <option value="PK">Pakistan</option>
+                    </select>
+                  </div>
+                </div>
+                <div className="flex gap-3 mt-6">
+                  <button
+                    type="submit"
+                    disabled={savingAddress}
+                    className="bg-black text-white px-6 py-2 rounded-md font-medium hover:bg-gray-800 transition disabled:bg-gray-400"
+                  >
+                    {savingAddress ? 'Saving...' : 'Save Address'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setAddressForm(null)}
+                    className="px-6 py-2 rounded-md font-medium border border-gray-300 hover:bg-gray-50 transition"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+
+          <ClaimOrders user={user} />
+
+          {/* Order history */}
+          <div className="bg-[#fefaf9] p-6 rounded-lg shadow-sm">
+            <h2 className="text-lg sm:text-xl font-semibold mb-6 pb-2 border-b">My Orders</h2>
+
+            {ordersLoading ? (
+              <p className="text-sm text-gray-500">Loading your orders...</p>
+            ) : orders.length === 0 ? (
+              <p className="text-sm text-gray-500">Orders you place while signed in will show up here.</p>
+            ) : (
+              <div className="space-y-4">
+                {orders.map(order => {
+                  const status = getOrderStatus(order);
+                  const expanded = expandedOrderId === order.id;
+                  return (
+                    <div key={order.id} className="border border-gray-200 rounded-md bg-white">
+                      <button
+                        onClick={() => setExpandedOrderId(expanded ? null : order.id)}
+                        className="w-full flex flex-col sm:flex-row justify-between sm:items-center gap-2 p-4 text-left"
+                      >
+                        <div>
+                          <p className="font-medium text-gray-900 break-all">{order.orderId || order.id}</p>
+                          <p className="text-sm text-gray-500">
+                            {order.createdAt && toDate(order.createdAt).toLocaleDateString()} · {(order.items || []).length} item(s)
+                          </p>
+                        </div>
+                        <div className="flex items-center gap-3">
+                          <span className={`px-3 py-1 rounded-full text-xs font-medium ${statusClassName(status)}`}>
+                            {formatOrderStatus(status)}
+                          </span>
+                          <span className="font-semibold">PKR {(order.total || 0).toLocaleString()}</span>
+                        </div>
+                      </button>
+
+                      {expanded && (
+                        <div className="px-4 pb-4 space-y-4 text-sm text-gray-700 border-t border-gray-200 pt-4">
+                          {order.trackingNumber && (
+                            <p><strong>{order.courier}</strong> tracking number: {order.trackingNumber}</p>
+                          )}
+                          {(order.items || []).map((item, index) => (
+                            <div key={index} className="flex justify-between gap-4">
+                              <div>
+                                <p className="font-medium text-gray-900">{item.title} × {item.quantity}</p>
+                                {describeOrderItem(item) && <p className="text-xs text-gray-500">{describeOrderItem(item)}</p>}
+                              </div>
+                              <p>PKR {(item.price * item.quantity).toLocaleString()}</p>
+                            </div>
+                          ))}
+                          <div className="space-y-1 border-t border-gray-200 pt-3">
+                            {getReceiptTotals(order).map(([label, value]) => (
+                              <div key={label} className={`flex justify-between ${label === 'Total' ? 'font-semibold text-gray-900' : ''}`}>
+                                <span>{label}</span>
+                                <span>{value}</span>
+                              </div>
+                            ))}
+                          </div>
+                          <div>
+                            <p className="font-medium text-gray-900">Delivered to</p>
+                            {formatShippingAddress(order.shippingAddress).map((line, index) => <p key={index}>{line}</p>)}
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          <AccountSettings user={user} />
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default Account;
@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  EmailAuthProvider,
+  GoogleAuthProvider,
+  deleteUser,
+  reauthenticateWithCredential,
+  reauthenticateWithPopup,
+  updatePassword,
+  verifyBeforeUpdateEmail,
+} from 'firebase/auth';
+import { deleteAccountData } from '../account';
+import { getAuthErrorMessage } from '../authErrors';
+
+const inputClassName = 'w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-black focus:border-black';
+
+const INITIAL_FORM = {
+  currentPassword: '',
+  newEmail: '',
+  newPassword: '',
+  confirmPassword: '',
+};
+
+// Email, password and account deletion for the signed-in customer. Firebase
+// asks for a recent sign-in before any of these, so the customer confirms
+// their password (or Google account) first.
+const AccountSettings = ({ user }) => {
+  const navigate = useNavigate();
+  const [form, setForm] = useState(INITIAL_FORM);
+  const [message, setMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+  const hasPassword = user.providerData.some(provider => provider.providerId === 'password');
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setMessage('');
+  };
+
+  const reauthenticate = () => (hasPassword
+    ? reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, form.currentPassword))
+    : reauthenticateWithPopup(user, new GoogleAuthProvider()));
+
+  // Runs `action` after reauthenticating and reports how it went
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    setMessage('');
+    try {
+      await reauthenticate();
+      await action();
+      setForm(INITIAL_FORM);
+      if (successMessage) setMessage(`✅ ${successMessage}`);
+    } catch (error) {
+      console.error('Error updating account:', error);
+      setMessage(`❌ ${getAuthErrorMessage(error)}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleChangeEmail = (e) => {
+    e.preventDefault();
+    const newEmail = form.newEmail.trim();
+    run(
+      () => verifyBeforeUpdateEmail(user, newEmail),
+      `We sent a link to ${newEmail}. Your email changes once you open it.`
+    );
+  };
+
+  const handleChangePassword = (e) => {
+    e.preventDefault();
+    if (form.newPassword.length < 6) {
+      setMessage('❌ Password should be at least 6 characters');
+      return;
+    }
+    if (form.newPassword !== form.confirmPassword) {
+      setMessage("❌ Passwords don't match");
+      return;
+    }
+    run(() => updatePassword(user, form.newPassword), 'Password changed.');
+  };
+
+  const handleDelete = () => {
+    if (!confirm('Delete your account? Your saved addresses and wishlist will be removed and you will be signed out. This cannot be undone.')) {
+      return;
+    }
+    run(async () => {
+      await deleteAccountData(user.uid);
+      await deleteUser(user);
+      navigate('/');
+    });
+  };
+
+  return (
+    <div className="bg-[#fefaf9] p-6 rounded-lg shadow-sm">
+      <h2 className="text-lg sm:text-xl font-semibold mb-6 pb-2 border-b">Account Settings</h2>
+
+      {message && (
+        <p className={`mb-4 text-sm p-2 rounded ${message.startsWith('✅') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+          {message}
+        </p>
+      )}
+
+      {hasPassword ? (
+        <>
+          <div className="mb-6">
+            <label htmlFor="currentPassword" className="block text-sm font-medium text-gray-700 mb-1">Current Password*</label>
+            <input
+              id="currentPassword"
+              name="currentPassword"
+              type="password"
+              autoComplete="current-password"
+              value={form.currentPassword}
+              onChange={handleChange}
+              className={inputClassName}
+            />
+            <p className="mt-1 text-xs text-gray-500">Needed to change your email or password, or delete your account.</p>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <form onSubmit={handleChangeEmail} className="space-y-3">
+              <h3 className="font-semibold text-gray-900">Change Email</h3>
+              <input
+                name="newEmail"
+                type="email"
+                autoComplete="email"
+                value={form.newEmail}
+                onChange={handleChange}
+                placeholder="New email address"
+                required
+                className={inputClassName}
+              />
+              <button
+                type="submit"
+                disabled={busy || !form.currentPassword}
+                className="bg-black text-white px-6 py-2 rounded-md font-medium hover:bg-gray-800 transition disabled:bg-gray-400 disabled:cursor-not-allowed"
+              >
+                Change Email
+              </button>
+            </form>
+
+            <form onSubmit={handleChangePassword} className="space-y-3">
+              <h3 className="font-semibold text-gray-900">Change Password</h3>
+              <input
+                name="newPassword"
+                type="password"
+                autoComplete="new-password"
+                value={form.newPassword}
+                onChange={handleChange}
+                placeholder="New password"
+                required
+                className={inputClassName}
+              />
+              <input
+                name="confirmPassword"
+                type="password"
+                autoComplete="new-password"
+                value={form.confirmPassword}
+                onChange={handleChange}
+                placeholder="Confirm new password"
+                required
+                className={inputClassName}
+              />
+              <button
+                type="submit"
+                disabled={busy || !form.currentPassword}
+                className="bg-black text-white px-6 py-2 rounded-md font-medium hover:bg-gray-800 transition disabled:bg-gray-400 disabled:cursor-not-allowed"
+              >
+                Change Password
+              </button>
+            </form>
+          </div>
+        </>
+      ) : (
+        <p className="text-sm text-gray-600">You sign in with Google, so your email and password are managed in your Google account.</p>
+      )}
+
+      <div className="mt-8 pt-6 border-t border-gray-200">
+        <h3 className="font-semibold text-red-700 mb-2">Delete Account</h3>
+        <p className="text-sm text-gray-600 mb-3">
+          Removes your login and saved addresses. Orders you've placed are kept so they can still be delivered.
+        </p>
+        <button
+          onClick={handleDelete}
+          disabled={busy || (hasPassword && !form.currentPassword)}
+          className="bg-red-600 hover:bg-red-700 text-white px-6 py-2 rounded-md font-medium transition disabled:bg-red-300 disabled:cursor-not-allowed"
+        >
+          Delete My Account
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AccountSettings;
@@ -5,14 +5,137 @@ import {
   deleteDoc,
   updateDoc,
   doc,
+  getDoc,
+  getDocs,
+  setDoc,
   onSnapshot,
+  query,
+  runTransaction,
   serverTimestamp,
+  where,
+  writeBatch,
 } from "firebase/firestore";
-import { db } from "../firebase";
+import { auth, db } from "../firebase";
+import { normalizeCode, normalizeEmail } from "../promoCodes";
+import { DEFAULT_SHIPPING_SETTINGS } from "../shipping";
+import { getPaymentProofUrl } from "../paymentProofs";
+import { CASH_ON_DELIVERY, DEFAULT_COD_SETTINGS, PAYMENT_STATUS } from "../cashOnDelivery";
+import { ROLES, ROLE_DESCRIPTIONS, ROLE_LABELS, canAccess } from "../roles";
+import { deleteOrder as deleteOrderAndRestoreStock, updateOrderStatus } from "../orders";
+import { CLOSED_STATUSES, INVALID_STATUS_TRANSITION, ORDER_STATUS, formatOrderStatus, getNextStatuses, getOrderStatus } from "../orderStatus";
+import { getActiveDiscount, getDiscountStatus, getDiscountedPrice, isDiscountActive } from "../discounts";
+import { applyStockEdits, getTotalStock, getVariantCombinations, getVariantKey, getVariantStock, hasStockTracking, normalizeStock } from "../inventory";
+import { STOCK_ALERT_STATUS } from "../stockAlerts";
+import { STARTER_CATEGORIES, slugifyCategory, useCategories } from "../categories";
+import { REVIEW_STATUS, moderateReview, usePendingReviews } from "../reviews";
+import { rebuildProductStats } from "../productListing";
 import Header from "./Header";
+import StarRating from "./StarRating";
+import ReviewPhotos from "./ReviewPhotos";
 import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
 
-function AdminPortal() {
+// Shipping settings as form values: numbers become strings and zone cities a comma-separated list
+const toShippingRateForm = (zone) => ({
+  name: zone.name || "",
+  rate: zone.rate ?? "",
+  freeShippingThreshold: zone.freeShippingThreshold ?? "",
+  minDays: zone.minDays ?? "",
+  maxDays: zone.maxDays ?? "",
+});
+
+const toShippingForm = (settings) => ({
+  zones: (settings.zones || []).map((zone) => ({
+    id: zone.id,
+    cities: (zone.cities || []).join(", "),
+    ...toShippingRateForm(zone),
+  })),
+  defaultZone: toShippingRateForm(settings.defaultZone || {}),
+});
+
+const toNumberOrNull = (value) => (value === "" || value === null || isNaN(Number(value)) ? null : Number(value));
+
+const fromShippingRateForm = (zone) => ({
+  name: zone.name.trim(),
+  rate: toNumberOrNull(zone.rate),
+  freeShippingThreshold: toNumberOrNull(zone.freeShippingThreshold) || null,
+  minDays: toNumberOrNull(zone.minDays),
+  maxDays: toNumberOrNull(zone.maxDays),
+});
+
+const EMPTY_CATEGORY_FORM = { name: "", slug: "", image: "", sortOrder: "", visible: true };
+
+const PAYMENT_STATUS_LABELS = {
+  [PAYMENT_STATUS.PENDING]: "To be collected",
+  [PAYMENT_STATUS.PROOF_SUBMITTED]: "Proof submitted",
+  [PAYMENT_STATUS.VERIFIED]: "Verified",
+  [PAYMENT_STATUS.COLLECTED]: "Collected",
+};
+
+// Admin buttons for moving an order into each status
+const STATUS_ACTIONS = {
+  [ORDER_STATUS.CONFIRMED]: { label: "✅ Confirm", className: "bg-green-600 hover:bg-green-700" },
+  [ORDER_STATUS.PACKED]: { label: "📦 Mark Packed", className: "bg-blue-600 hover:bg-blue-700" },
+  [ORDER_STATUS.SHIPPED]: { label: "🚚 Mark Shipped", className: "bg-indigo-600 hover:bg-indigo-700" },
+  [ORDER_STATUS.DELIVERED]: { label: "🏠 Mark Delivered", className: "bg-green-600 hover:bg-green-700" },
+  [ORDER_STATUS.CANCELLED]: { label: "✖️ Cancel", className: "bg-yellow-500 hover:bg-yellow-600" },
+  [ORDER_STATUS.RETURNED]: { label: "↩️ Mark Returned", className: "bg-orange-500 hover:bg-orange-600" },
+};
+
+const toCodForm = (settings) => ({
+  enabled: settings.enabled,
+  fee: settings.fee ?? "",
+  maxOrderValue: settings.maxOrderValue ?? "",
+  cities: (settings.cities || []).join(", "),
+});
+
+// Image Viewer Modal Component. Proofs in Storage are fetched when the viewer
+// opens; older orders carry the image inline as a data URL.
+const ImageViewer = ({ image, onClose }) => {
+  const [imageUrl, setImageUrl] = useState(image.path ? null : image.url);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!image.path) return;
+
+    let cancelled = false;
+    getPaymentProofUrl(image.path)
+      .then((url) => {
+        if (!cancelled) setImageUrl(url);
+      })
+      .catch((err) => {
+        console.error("Failed to load payment proof:", err);
+        if (!cancelled) setError("Could not load the payment proof.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [image]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="relative bg-white rounded-lg p-2 max-w-full max-h-[90vh] overflow-hidden flex flex-col">
+        <button
+          onClick={onClose}
+          className="absolute top-2 right-2 text-gray-800 hover:text-gray-600 text-3xl font-bold p-1 rounded-full bg-gray-200"
+          aria-label="Close"
+        >
+        &times;
+        </button>
+        {imageUrl ? (
+          <img
+            src={imageUrl}
+            alt="Bank Transfer Proof"
+            className="max-w-full max-h-[80vh] object-contain rounded-md"
+          />
+        ) : (
+          <p className="px-12 py-16 text-sm text-gray-600">{error || "Loading payment proof..."}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+function AdminPortal({ role }) {
   const [salesByMonth, setSalesByMonth] = useState([]);
   const [productSales, setProductSales] = useState([]);
   const [totalSales, setTotalSales] = useState({ day: 0, month: 0, year: 0 });
@@ -26,11 +149,11 @@ const [formData, setFormData] = useState({
   image1: "",
   image2: "",
   isTopProduct: false,
-  available: true,
   variationInput: "",      // for temporary color input field
   variations: [],          // array to hold color variations
   sizeInput: "",          // for temporary size input field
   sizes: [],              // array to hold size variations
+  stock: {},              // units per colour/size combination
 });
 
   // New discount-related state
@@ -42,19 +165,64 @@ const [formData, setFormData] = useState({
     description: "",
   });
 
+  const [promoFormData, setPromoFormData] = useState({
+    code: "",
+    type: "percentage",
+    value: "",
+    minSubtotal: "",
+    usageLimit: "",
+    perEmailLimit: "",
+    expiresAt: "",
+    productIds: [],
+    categories: [],
+  });
+
   const [products, setProducts] = useState([]);
   const [orders, setOrders] = useState([]);
   const [contacts, setContacts] = useState([]); // New state for contacts
   const [discounts, setDiscounts] = useState([]); // New state for discounts
   const [loading, setLoading] = useState(false);
   const [discountLoading, setDiscountLoading] = useState(false); // New loading state for discounts
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [promoLoading, setPromoLoading] = useState(false);
+  const [promoSuccessMsg, setPromoSuccessMsg] = useState("");
+  const [showPromoCodes, setShowPromoCodes] = useState(false);
+  const [shippingFormData, setShippingFormData] = useState(() => toShippingForm(DEFAULT_SHIPPING_SETTINGS));
+  const [shippingLoading, setShippingLoading] = useState(false);
+  const [shippingSuccessMsg, setShippingSuccessMsg] = useState("");
+  const [showShipping, setShowShipping] = useState(false);
+  const [codFormData, setCodFormData] = useState(() => toCodForm(DEFAULT_COD_SETTINGS));
+  const [codLoading, setCodLoading] = useState(false);
+  const [codSuccessMsg, setCodSuccessMsg] = useState("");
+  const [showCod, setShowCod] = useState(false);
+  const [staffMembers, setStaffMembers] = useState([]);
+  const [staffFormData, setStaffFormData] = useState({ email: "", role: ROLES.SUPPORT });
+  const [staffLoading, setStaffLoading] = useState(false);
+  const [staffSuccessMsg, setStaffSuccessMsg] = useState("");
+  const [showStaff, setShowStaff] = useState(false);
   const [successMsg, setSuccessMsg] = useState("");
   const [discountSuccessMsg, setDiscountSuccessMsg] = useState(""); // New success message for discounts
   const [editId, setEditId] = useState(null);
+  // The stock, colours and sizes the edit form was opened with
+  const [editBase, setEditBase] = useState(null);
   const [showForm, setShowForm] = useState(false);
   const [showInventory, setShowInventory] = useState(false);
+  const [statsLoading, setStatsLoading] = useState(false);
+  const [statsMsg, setStatsMsg] = useState(""); // Result of recalculating the shop's sort fields
+  const { categories } = useCategories({ includeHidden: true, starterFallback: false });
+  const [categoryFormData, setCategoryFormData] = useState(EMPTY_CATEGORY_FORM);
+  const [editCategoryId, setEditCategoryId] = useState(null);
+  const [categoryLoading, setCategoryLoading] = useState(false);
+  const [categorySuccessMsg, setCategorySuccessMsg] = useState("");
+  const [showCategories, setShowCategories] = useState(false);
+  const [stockAlertCounts, setStockAlertCounts] = useState({}); // Pending "notify me" requests per product
   const [showOrders, setShowOrders] = useState(false);
+  const [orderStatusFilter, setOrderStatusFilter] = useState(ORDER_STATUS.PENDING_VERIFICATION);
+  const [shipmentForms, setShipmentForms] = useState({}); // Courier and tracking number per packed order
   const [showContacts, setShowContacts] = useState(false); // New state for contacts visibility
+  const [showReviews, setShowReviews] = useState(false);
+  const [reviewSuccessMsg, setReviewSuccessMsg] = useState("");
+  const pendingReviews = usePendingReviews(canAccess(role, "reviews"));
   const [showDiscounts, setShowDiscounts] = useState(false); // New state for discounts visibility
   const [expandedOrders, setExpandedOrders] = useState({});
   const [expandedContacts, setExpandedContacts] = useState({}); // New state for expanded contacts
@@ -82,8 +250,67 @@ const [formData, setFormData] = useState({
     return () => unsubscribe();
   }, []);
 
+  useEffect(() => {
+    // Staff without access to this section aren't allowed to read it
+    if (!canAccess(role, "promoCodes")) return;
+    const unsubscribe = onSnapshot(collection(db, "promoCodes"), (snapshot) => {
+      const promoData = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+      // Sort by creation date (newest first)
+      promoData.sort((a, b) => {
+        const aTime = a.createdAt?.toDate ? a.createdAt.toDate() : new Date(0);
+        const bTime = b.createdAt?.toDate ? b.createdAt.toDate() : new Date(0);
+        return bTime - aTime;
+      });
+      setPromoCodes(promoData);
+    });
+    return () => unsubscribe();
+  }, [role]);
+
+  useEffect(() => {
+    const unsubscribe = onSnapshot(doc(db, "settings", "shipping"), (snapshot) => {
+      if (snapshot.exists()) {
+        setShippingFormData(toShippingForm({ ...DEFAULT_SHIPPING_SETTINGS, ...snapshot.data() }));
+      }
+    });
+    return () => unsubscribe();
+  }, []);
+
+  useEffect(() => {
+    const unsubscribe = onSnapshot(doc(db, "settings", "cashOnDelivery"), (snapshot) => {
+      if (snapshot.exists()) {
+        setCodFormData(toCodForm({ ...DEFAULT_COD_SETTINGS, ...snapshot.data() }));
+      }
+    });
+    return () => unsubscribe();
+  }, []);
+
+  useEffect(() => {
+    if (!canAccess(role, "staff")) return;
+    const unsubscribe = onSnapshot(collection(db, "staff"), (snapshot) => {
+      const staffData = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+      staffData.sort((a, b) => a.id.localeCompare(b.id));
+      setStaffMembers(staffData);
+    });
+    return () => unsubscribe();
+  }, [role]);
+
+  useEffect(() => {
+    if (!canAccess(role, "inventory")) return;
+    const pendingAlerts = query(collection(db, "stockAlerts"), where("status", "==", STOCK_ALERT_STATUS.PENDING));
+    const unsubscribe = onSnapshot(pendingAlerts, (snapshot) => {
+      const counts = {};
+      snapshot.docs.forEach((doc) => {
+        const { productId } = doc.data();
+        counts[productId] = (counts[productId] || 0) + 1;
+      });
+      setStockAlertCounts(counts);
+    });
+    return () => unsubscribe();
+  }, [role]);
+
   // New useEffect for contacts
   useEffect(() => {
+    if (!canAccess(role, "contacts")) return;
     const unsubscribe = onSnapshot(collection(db, "contacts"), (snapshot) => {
       const contactsData = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
       // Sort by timestamp (newest first)
@@ -95,9 +322,10 @@ const [formData, setFormData] = useState({
       setContacts(contactsData);
     });
     return () => unsubscribe();
-  }, []);
+  }, [role]);
 
   useEffect(() => {
+    if (!canAccess(role, "orders")) return;
     const unsubscribe = onSnapshot(collection(db, "orders"), (snapshot) => {
       const ordersData = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
       setOrders(ordersData);
@@ -116,6 +344,9 @@ const [formData, setFormData] = useState({
       const productMap = {};
 
       ordersData.forEach(order => {
+        // Cancelled and returned orders don't count towards sales
+        if (CLOSED_STATUSES.includes(getOrderStatus(order))) return;
+
         const orderDate = order.createdAt?.toDate ? order.createdAt.toDate() : (order.createdAt instanceof Date ? order.createdAt : new Date());
         const total = order.total || 0;
 
@@ -158,7 +389,7 @@ const [formData, setFormData] = useState({
     });
 
     return () => unsubscribe();
-  }, []);
+  }, [role]);
 
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -168,6 +399,13 @@ const [formData, setFormData] = useState({
     }));
   };
 
+  const handleStockChange = (variantKey, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      stock: { ...prev.stock, [variantKey]: value },
+    }));
+  };
+
   // New handler for discount form changes
   const handleDiscountChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -267,219 +505,686 @@ const [formData, setFormData] = useState({
     }
   };
 
-  // Helper function to check if discount is currently valid
-  const isDiscountActive = (discount) => {
-    if (!discount.isActive) return false;
-    const now = new Date();
-    const startDate = discount.startDate?.toDate ? discount.startDate.toDate() : new Date(discount.startDate);
-    const endDate = discount.endDate?.toDate ? discount.endDate.toDate() : new Date(discount.endDate);
-    return now >= startDate && now <= endDate;
+  const handleCategoryChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setCategoryFormData((prev) => ({
+      ...prev,
+      [name]: type === "checkbox" ? checked : value,
+    }));
   };
 
-  // Helper function to get discount status text
-  const getDiscountStatusText = (discount) => {
-    if (!discount.isActive) return { text: "Disabled", color: "text-gray-600" };
-    
-    const now = new Date();
-    const startDate = discount.startDate?.toDate ? discount.startDate.toDate() : new Date(discount.startDate);
-    const endDate = discount.endDate?.toDate ? discount.endDate.toDate() : new Date(discount.endDate);
-    
-    if (now < startDate) return { text: "Scheduled", color: "text-blue-600" };
-    if (now > endDate) return { text: "Expired", color: "text-red-600" };
-    return { text: "Active", color: "text-green-600" };
+  const resetCategoryForm = () => {
+    setCategoryFormData(EMPTY_CATEGORY_FORM);
+    setEditCategoryId(null);
   };
 
-  const markAsDelivered = async (orderId) => {
+  const handleCategorySubmit = async (e) => {
+    e.preventDefault();
+    setCategoryLoading(true);
+    setCategorySuccessMsg("");
+
+    const name = categoryFormData.name.trim();
+    const slug = slugifyCategory(categoryFormData.slug || name);
+    const others = categories.filter((category) => category.id !== editCategoryId);
+
+    if (!name || !slug) {
+      setCategorySuccessMsg("❌ Please enter a category name.");
+      setCategoryLoading(false);
+      return;
+    }
+    if (others.some((category) => category.name.toLowerCase() === name.toLowerCase() || category.slug === slug)) {
+      setCategorySuccessMsg("❌ A category with this name or slug already exists.");
+      setCategoryLoading(false);
+      return;
+    }
+
+    const data = {
+      name,
+      slug,
+      image: categoryFormData.image.trim(),
+      sortOrder: toNumberOrNull(categoryFormData.sortOrder) ?? categories.length + 1,
+      visible: categoryFormData.visible,
+    };
+
     try {
-      const orderRef = doc(db, "orders", orderId);
-      await updateDoc(orderRef, {
-        status: "delivered",
-        bankTransferProofBase64: null,
-      });
-      console.log(`Order ${orderId} marked as delivered and bank transfer proof removed.`);
+      if (editCategoryId) {
+        // Products and promo codes store the category name, so a rename moves
+        // them along with it
+        const previousName = categories.find((category) => category.id === editCategoryId)?.name;
+        const batch = writeBatch(db);
+        batch.update(doc(db, "categories", editCategoryId), data);
+        if (previousName && previousName !== name) {
+          products
+            .filter((product) => product.category === previousName)
+            .forEach((product) => batch.update(doc(db, "products", product.id), { category: name }));
+          const scopedPromos = await getDocs(
+            query(collection(db, "promoCodes"), where("categories", "array-contains", previousName))
+          );
+          scopedPromos.docs.forEach((promo) => batch.update(promo.ref, {
+            categories: promo.data().categories.map((category) => (category === previousName ? name : category)),
+          }));
+        }
+        await batch.commit();
+        setCategorySuccessMsg("✅ Category updated successfully!");
+      } else {
+        await addDoc(collection(db, "categories"), { ...data, createdAt: serverTimestamp() });
+        setCategorySuccessMsg("✅ Category added successfully!");
+      }
+      resetCategoryForm();
     } catch (err) {
-      console.error("Failed to mark as delivered:", err);
+      console.error("Error saving category:", err);
+      setCategorySuccessMsg("❌ Failed to save category.");
     }
+
+    setCategoryLoading(false);
   };
 
-  const deleteOrder = async (orderId) => {
-    if (confirm("Are you sure you want to delete this order? This action cannot be undone.")) {
-      try {
-        await deleteDoc(doc(db, "orders", orderId));
-        console.log(`Order ${orderId} deleted successfully.`);
-      } catch (err) {
-        console.error("Failed to delete order:", err);
-      }
-    }
+  const handleEditCategory = (category) => {
+    setEditCategoryId(category.id);
+    setCategoryFormData({
+      name: category.name || "",
+      slug: category.slug || "",
+      image: category.image || "",
+      sortOrder: category.sortOrder ?? "",
+      visible: category.visible !== false,
+    });
+    setCategorySuccessMsg("");
   };
 
-  // New function to delete contact
-  const deleteContact = async (contactId) => {
-    if (confirm("Are you sure you want to delete this contact message? This action cannot be undone.")) {
-      try {
-        await deleteDoc(doc(db, "contacts", contactId));
-        console.log(`Contact ${contactId} deleted successfully.`);
-      } catch (err) {
-        console.error("Failed to delete contact:", err);
-      }
+  const toggleCategoryVisibility = async (category) => {
+    try {
+      await updateDoc(doc(db, "categories", category.id), { visible: category.visible === false });
+    } catch (err) {
+      console.error("Failed to update category visibility:", err);
     }
   };
 
-const handleSubmit = async (e) => {
-  e.preventDefault();
-  setLoading(true);
-  setSuccessMsg("");
+  const handleDeleteCategory = async (category) => {
+    const productCount = products.filter((product) => product.category === category.name).length;
+    const warning = productCount
+      ? `${productCount} product(s) are in "${category.name}" and will no longer appear under any category. Delete it anyway?`
+      : `Delete the category "${category.name}"?`;
+    if (!confirm(warning)) return;
+    try {
+      await deleteDoc(doc(db, "categories", category.id));
+      if (editCategoryId === category.id) resetCategoryForm();
+    } catch (err) {
+      console.error("Failed to delete category:", err);
+    }
+  };
 
-  try {
-    if (editId) {
-      await updateDoc(doc(db, "products", editId), {
-        title: formData.title,
-        price: parseFloat(formData.price),
-        category: formData.category,
-        description: formData.description,
-        coverImage: formData.coverImage,
-        images: [formData.image1, formData.image2],
-        isTopProduct: formData.isTopProduct,
-        available: formData.available,
-        variations: formData.variations, // Color variations
-        sizes: formData.sizes, // Size variations
+  const importStarterCategories = async () => {
+    setCategoryLoading(true);
+    try {
+      const batch = writeBatch(db);
+      STARTER_CATEGORIES.forEach((category) => {
+        batch.set(doc(collection(db, "categories")), { ...category, createdAt: serverTimestamp() });
       });
-      setSuccessMsg("✅ Product updated successfully!");
-      setEditId(null);
-    } else {
-      await addDoc(collection(db, "products"), {
-        title: formData.title,
-        price: parseFloat(formData.price),
-        category: formData.category,
-        description: formData.description,
-        coverImage: formData.coverImage,
-        images: [formData.image1, formData.image2],
-        isTopProduct: formData.isTopProduct,
-        available: formData.available,
-        variations: formData.variations, // Color variations
-        sizes: formData.sizes, // Size variations
+      await batch.commit();
+      setCategorySuccessMsg("✅ Starter categories added.");
+    } catch (err) {
+      console.error("Error adding starter categories:", err);
+      setCategorySuccessMsg("❌ Failed to add starter categories.");
+    }
+    setCategoryLoading(false);
+  };
+
+  const recalculateProductStats = async () => {
+    setStatsLoading(true);
+    setStatsMsg("");
+    try {
+      const result = await rebuildProductStats();
+      setStatsMsg(`✅ Sales, rating and discount figures recalculated for ${result.products} product(s).`);
+    } catch (err) {
+      console.error("Error recalculating product stats:", err);
+      setStatsMsg("❌ Failed to recalculate product stats.");
+    }
+    setStatsLoading(false);
+  };
+
+  const handlePromoChange = (e) => {
+    const { name, value } = e.target;
+    setPromoFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+  };
+
+  // Toggle a product ID or category in the promo code's scope
+  const togglePromoScope = (field, value, isSelected) => {
+    setPromoFormData((prev) => ({
+      ...prev,
+      [field]: isSelected
+        ? [...prev[field], value]
+        : prev[field].filter((v) => v !== value),
+    }));
+  };
+
+  const handlePromoSubmit = async (e) => {
+    e.preventDefault();
+    setPromoLoading(true);
+    setPromoSuccessMsg("");
+
+    const code = normalizeCode(promoFormData.code);
+    const value = parseFloat(promoFormData.value);
+
+    try {
+      if (!/^[A-Z0-9_-]+$/.test(code)) {
+        setPromoSuccessMsg("❌ Codes can only use letters, numbers, - and _.");
+        setPromoLoading(false);
+        return;
+      }
+
+      if (!value || value <= 0 || (promoFormData.type === "percentage" && value > 100)) {
+        setPromoSuccessMsg("❌ Please enter a valid discount value.");
+        setPromoLoading(false);
+        return;
+      }
+
+      // The code is the document ID, so check it isn't already taken
+      const existing = await getDoc(doc(db, "promoCodes", code));
+      if (existing.exists()) {
+        setPromoSuccessMsg("❌ A promo code with this name already exists.");
+        setPromoLoading(false);
+        return;
+      }
+
+      await setDoc(doc(db, "promoCodes", code), {
+        type: promoFormData.type,
+        value,
+        minSubtotal: parseFloat(promoFormData.minSubtotal) || 0,
+        usageLimit: parseInt(promoFormData.usageLimit, 10) || null,
+        perEmailLimit: parseInt(promoFormData.perEmailLimit, 10) || null,
+        expiresAt: promoFormData.expiresAt ? new Date(promoFormData.expiresAt) : null,
+        productIds: promoFormData.productIds,
+        categories: promoFormData.categories,
+        isActive: true,
+        usedCount: 0,
         createdAt: serverTimestamp(),
       });
-      setSuccessMsg("✅ Product added successfully!");
+
+      setPromoSuccessMsg(`✅ Promo code ${code} created successfully!`);
+      setPromoFormData({
+        code: "",
+        type: "percentage",
+        value: "",
+        minSubtotal: "",
+        usageLimit: "",
+        perEmailLimit: "",
+        expiresAt: "",
+        productIds: [],
+        categories: [],
+      });
+    } catch (err) {
+      console.error("Error creating promo code:", err);
+      setPromoSuccessMsg("❌ Failed to create promo code.");
     }
 
-    setFormData({
-      title: "",
-      price: "",
-      category: "",
-      description: "",
-      coverImage: "",
-      image1: "",
-      image2: "",
-      isTopProduct: false,
-      available: true,
-      variations: [], // Reset color variations
-      variationInput: "", // Reset color input field
-      sizes: [], // Reset size variations
-      sizeInput: "" // Reset size input field
-    });
-  } catch (err) {
-    console.error("Error:", err);
-    setSuccessMsg("❌ Failed to submit.");
-  }
+    setPromoLoading(false);
+  };
 
-  setLoading(false);
-};
+  const togglePromoStatus = async (promoId, currentStatus) => {
+    try {
+      await updateDoc(doc(db, "promoCodes", promoId), {
+        isActive: !currentStatus,
+      });
+    } catch (err) {
+      console.error("Failed to update promo code status:", err);
+    }
+  };
 
-  const handleDelete = async (id) => {
-    if (confirm("Are you sure you want to delete this product?")) {
+  const deletePromoCode = async (promoId) => {
+    if (confirm(`Are you sure you want to delete promo code ${promoId}? Orders that used it keep their discount.`)) {
       try {
-        await deleteDoc(doc(db, "products", id));
+        await deleteDoc(doc(db, "promoCodes", promoId));
       } catch (err) {
-        console.error("Delete error:", err);
+        console.error("Failed to delete promo code:", err);
       }
     }
   };
 
-const handleEdit = (product) => {
-  setFormData({
-    title: product.title,
-    price: product.price,
-    category: product.category,
-    description: product.description,
-    coverImage: product.coverImage,
-    image1: product.images?.[0] || "",
-    image2: product.images?.[1] || "",
-    isTopProduct: product.isTopProduct || false,
-    available: product.available !== false,
-    variations: product.variations || [], // Color variations
-    variationInput: "",
-    sizes: product.sizes || [], // Size variations
-    sizeInput: ""
-  });
-  setEditId(product.id);
-  setShowForm(true);
-  window.scrollTo({ top: 0, behavior: "smooth" });
-};
+  const handleShippingZoneChange = (index, e) => {
+    const { name, value } = e.target;
+    setShippingFormData((prev) => ({
+      ...prev,
+      zones: prev.zones.map((zone, i) => (i === index ? { ...zone, [name]: value } : zone)),
+    }));
+  };
 
-  const toggleExpand = (orderId) => {
-    setExpandedOrders((prev) => ({
+  const handleDefaultZoneChange = (e) => {
+    const { name, value } = e.target;
+    setShippingFormData((prev) => ({
       ...prev,
-      [orderId]: !prev[orderId],
+      defaultZone: { ...prev.defaultZone, [name]: value },
     }));
   };
 
-  // New function to toggle contact expansion
-  const toggleContactExpand = (contactId) => {
-    setExpandedContacts((prev) => ({
+  const addShippingZone = () => {
+    setShippingFormData((prev) => ({
       ...prev,
-      [contactId]: !prev[contactId],
+      zones: [
+        ...prev.zones,
+        { id: `zone-${Date.now()}`, name: "", cities: "", rate: "", freeShippingThreshold: "", minDays: "", maxDays: "" },
+      ],
     }));
   };
 
-  // Image Viewer Modal Component
-  const ImageViewer = ({ imageUrl, onClose }) => {
-    if (!imageUrl) return null;
-
-    return (
-      <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
-        <div className="relative bg-white rounded-lg p-2 max-w-full max-h-[90vh] overflow-hidden flex flex-col">
-          <button
-            onClick={onClose}
-            className="absolute top-2 right-2 text-gray-800 hover:text-gray-600 text-3xl font-bold p-1 rounded-full bg-gray-200"
-            aria-label="Close"
-          >
-          &times;
-          </button>
-          <img
-            src={imageUrl}
-            alt="Bank Transfer Proof"
-            className="max-w-full max-h-[80vh] object-contain rounded-md"
-          />
-        </div>
-      </div>
-    );
+  const removeShippingZone = (index) => {
+    setShippingFormData((prev) => ({
+      ...prev,
+      zones: prev.zones.filter((_, i) => i !== index),
+    }));
   };
 
-const OrderDetails = ({ order }) => (
-  <div className="mt-4 space-y-3 text-sm text-gray-700 p-2 border-t border-gray-200 pt-3">
-    <p><strong>Status:</strong> <span className={`font-semibold ${order.status === 'delivered' ? 'text-green-600' : 'text-orange-600'}`}>{order.status.charAt(0).toUpperCase() + order.status.slice(1)}</span></p>
-    <p><strong>Payment Method:</strong> {order.payment}</p>
-    {order.payment === 'EasyPaisa' && order.bankTransferProofBase64 && (
-      <div className="mt-2">
-        <strong>Bank Transfer Proof:</strong>
-        <div
-          className="mt-1 border border-gray-300 p-2 rounded max-w-full sm:max-w-xs overflow-hidden cursor-pointer hover:border-blue-500 transition-colors duration-200"
-          onClick={() => setViewingImage(order.bankTransferProofBase64)}
-        >
-          <img
-            src={order.bankTransferProofBase64}
-            alt="Bank Transfer Proof"
-            className="w-full h-auto object-contain max-h-64 sm:max-h-80"
-          />
-          <p className="text-center text-xs text-gray-500 mt-1">Click to enlarge</p>
-        </div>
-      </div>
-    )}
-    <p><strong>Shipping Method:</strong> {order.shipping}</p>
-    <p><strong>Promo Code:</strong> {order.promoCode || "None"}</p>
-    <p><strong>Notes:</strong> {order.notes || "None"}</p>
-    <p>
+  const handleShippingSubmit = async (e) => {
+    e.preventDefault();
+    setShippingLoading(true);
+    setShippingSuccessMsg("");
+
+    const zones = shippingFormData.zones.map((zone) => ({
+      id: zone.id,
+      cities: zone.cities.split(",").map((city) => city.trim()).filter(Boolean),
+      ...fromShippingRateForm(zone),
+    }));
+    const defaultZone = fromShippingRateForm(shippingFormData.defaultZone);
+
+    if ([...zones, defaultZone].some((zone) => !zone.name || zone.rate === null)) {
+      setShippingSuccessMsg("❌ Every zone needs a name and a rate.");
+      setShippingLoading(false);
+      return;
+    }
+
+    if ([...zones, defaultZone].some((zone) => zone.minDays && zone.maxDays && zone.minDays > zone.maxDays)) {
+      setShippingSuccessMsg("❌ Minimum delivery days can't be more than the maximum.");
+      setShippingLoading(false);
+      return;
+    }
+
+    try {
+      await setDoc(doc(db, "settings", "shipping"), {
+        zones,
+        defaultZone,
+        updatedAt: serverTimestamp(),
+      });
+      setShippingSuccessMsg("✅ Shipping rates saved successfully!");
+    } catch (err) {
+      console.error("Error saving shipping settings:", err);
+      setShippingSuccessMsg("❌ Failed to save shipping rates.");
+    }
+
+    setShippingLoading(false);
+  };
+
+  const handleCodChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setCodFormData((prev) => ({
+      ...prev,
+      [name]: type === "checkbox" ? checked : value,
+    }));
+  };
+
+  const handleCodSubmit = async (e) => {
+    e.preventDefault();
+    setCodLoading(true);
+    setCodSuccessMsg("");
+
+    try {
+      await setDoc(doc(db, "settings", "cashOnDelivery"), {
+        enabled: codFormData.enabled,
+        fee: toNumberOrNull(codFormData.fee) || 0,
+        maxOrderValue: toNumberOrNull(codFormData.maxOrderValue) || null,
+        cities: codFormData.cities.split(",").map((city) => city.trim()).filter(Boolean),
+        updatedAt: serverTimestamp(),
+      });
+      setCodSuccessMsg("✅ Cash on Delivery settings saved successfully!");
+    } catch (err) {
+      console.error("Error saving Cash on Delivery settings:", err);
+      setCodSuccessMsg("❌ Failed to save Cash on Delivery settings.");
+    }
+
+    setCodLoading(false);
+  };
+
+  const handleStaffChange = (e) => {
+    const { name, value } = e.target;
+    setStaffFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+  };
+
+  // Inviting adds a staff document for the email; the role applies once they sign in with it
+  const handleStaffSubmit = async (e) => {
+    e.preventDefault();
+    setStaffLoading(true);
+    setStaffSuccessMsg("");
+
+    const email = normalizeEmail(staffFormData.email);
+
+    try {
+      if (!/\S+@\S+\.\S+/.test(email)) {
+        setStaffSuccessMsg("❌ Please enter a valid email address.");
+        setStaffLoading(false);
+        return;
+      }
+
+      if (staffMembers.some((member) => member.id === email)) {
+        setStaffSuccessMsg("❌ This email already has staff access.");
+        setStaffLoading(false);
+        return;
+      }
+
+      await setDoc(doc(db, "staff", email), {
+        email,
+        role: staffFormData.role,
+        invitedBy: auth.currentUser?.email || null,
+        createdAt: serverTimestamp(),
+      });
+
+      setStaffSuccessMsg(`✅ ${email} can now sign in as ${ROLE_LABELS[staffFormData.role]}.`);
+      setStaffFormData({ email: "", role: ROLES.SUPPORT });
+    } catch (err) {
+      console.error("Error inviting staff member:", err);
+      setStaffSuccessMsg("❌ Failed to invite staff member.");
+    }
+
+    setStaffLoading(false);
+  };
+
+  const handleModerateReview = async (review, status) => {
+    setReviewSuccessMsg("");
+    try {
+      await moderateReview(review.id, status, auth.currentUser?.email);
+      setReviewSuccessMsg(status === REVIEW_STATUS.APPROVED ? "✅ Review approved and published." : "✅ Review rejected.");
+    } catch (err) {
+      console.error("Error moderating review:", err);
+      setReviewSuccessMsg("❌ Could not update the review.");
+    }
+  };
+
+  const isCurrentUser = (email) => email === normalizeEmail(auth.currentUser?.email);
+
+  const changeStaffRole = async (email, newRole) => {
+    try {
+      await updateDoc(doc(db, "staff", email), { role: newRole });
+    } catch (err) {
+      console.error("Failed to change staff role:", err);
+    }
+  };
+
+  const revokeStaff = async (email) => {
+    if (confirm(`Revoke admin access for ${email}?`)) {
+      try {
+        await deleteDoc(doc(db, "staff", email));
+      } catch (err) {
+        console.error("Failed to revoke staff access:", err);
+      }
+    }
+  };
+
+  // Helper function to get promo code status text
+  const getPromoStatusText = (promo) => {
+    if (!promo.isActive) return { text: "Disabled", color: "text-gray-600" };
+    const expiresAt = promo.expiresAt?.toDate ? promo.expiresAt.toDate() : null;
+    if (expiresAt && new Date() > expiresAt) return { text: "Expired", color: "text-red-600" };
+    if (promo.usageLimit && (promo.usedCount || 0) >= promo.usageLimit) return { text: "Used up", color: "text-red-600" };
+    return { text: "Active", color: "text-green-600" };
+  };
+
+  // Helper function to get discount status text
+  const getDiscountStatusText = (discount) => ({
+    disabled: { text: "Disabled", color: "text-gray-600" },
+    scheduled: { text: "Scheduled", color: "text-blue-600" },
+    expired: { text: "Expired", color: "text-red-600" },
+    active: { text: "Active", color: "text-green-600" },
+  })[getDiscountStatus(discount)];
+
+  const markPaymentCollected = async (orderId) => {
+    try {
+      await updateDoc(doc(db, "orders", orderId), {
+        paymentStatus: PAYMENT_STATUS.COLLECTED,
+        paymentCollectedAt: serverTimestamp(),
+      });
+    } catch (err) {
+      console.error("Failed to mark payment as collected:", err);
+    }
+  };
+
+  const handleShipmentChange = (orderId, e) => {
+    const { name, value } = e.target;
+    setShipmentForms((prev) => ({
+      ...prev,
+      [orderId]: { ...prev[orderId], [name]: value },
+    }));
+  };
+
+  // Cancelling or returning an order puts its items back into stock
+  const changeOrderStatus = async (orderId, status) => {
+    if (CLOSED_STATUSES.includes(status) && !confirm(`Mark this order ${formatOrderStatus(status).toLowerCase()}? Its items will be returned to stock.`)) {
+      return;
+    }
+
+    const shipment = shipmentForms[orderId] || {};
+    const details = status === ORDER_STATUS.SHIPPED
+      ? { courier: (shipment.courier || "").trim(), trackingNumber: (shipment.trackingNumber || "").trim() }
+      : {};
+
+    try {
+      await updateOrderStatus(orderId, status, details);
+      console.log(`Order ${orderId} marked as ${status}.`);
+    } catch (err) {
+      console.error("Failed to update order status:", err);
+      alert(err.code === INVALID_STATUS_TRANSITION ? err.message : "Failed to update order status. Please try again.");
+    }
+  };
+
+  const deleteOrder = async (orderId) => {
+    if (confirm("Are you sure you want to delete this order? This action cannot be undone.")) {
+      try {
+        // Stock is only returned if the order still holds it (i.e. it wasn't cancelled first)
+        await deleteOrderAndRestoreStock(orderId);
+        console.log(`Order ${orderId} deleted successfully.`);
+      } catch (err) {
+        console.error("Failed to delete order:", err);
+      }
+    }
+  };
+
+  // New function to delete contact
+  const deleteContact = async (contactId) => {
+    if (confirm("Are you sure you want to delete this contact message? This action cannot be undone.")) {
+      try {
+        await deleteDoc(doc(db, "contacts", contactId));
+        console.log(`Contact ${contactId} deleted successfully.`);
+      } catch (err) {
+        console.error("Failed to delete contact:", err);
+      }
+    }
+  };
+
+const handleSubmit = async (e) => {
+  e.preventDefault();
+  setLoading(true);
+  setSuccessMsg("");
+
+  // Only keep stock for combinations that still exist; `available` follows the stock
+  const stock = normalizeStock(formData.stock, formData.variations, formData.sizes);
+  const available = Object.values(stock).some((units) => units > 0);
+
+  try {
+    if (editId) {
+      const productRef = doc(db, "products", editId);
+      // placeOrder takes stock while the form is open, so stock is only written
+      // when the admin changed it, as changes on top of the product as it is now
+      const stockEdited = JSON.stringify(stock) !==
+        JSON.stringify(normalizeStock(editBase.stock, editBase.variations, editBase.sizes));
+      await runTransaction(db, async (transaction) => {
+        const current = await transaction.get(productRef);
+        if (!current.exists()) throw new Error("Product no longer exists");
+
+        const update = {
+          title: formData.title,
+          price: parseFloat(formData.price),
+          category: formData.category,
+          description: formData.description,
+          coverImage: formData.coverImage,
+          images: [formData.image1, formData.image2],
+          isTopProduct: formData.isTopProduct,
+          variations: formData.variations, // Color variations
+          sizes: formData.sizes, // Size variations
+        };
+        if (stockEdited) {
+          update.stock = applyStockEdits(current.data().stock, editBase.stock, stock, formData.variations, formData.sizes);
+          update.available = Object.values(update.stock).some((units) => units > 0);
+        }
+        transaction.update(productRef, update);
+      });
+      setSuccessMsg("✅ Product updated successfully!");
+      setEditId(null);
+      setEditBase(null);
+    } else {
+      await addDoc(collection(db, "products"), {
+        title: formData.title,
+        price: parseFloat(formData.price),
+        category: formData.category,
+        description: formData.description,
+        coverImage: formData.coverImage,
+        images: [formData.image1, formData.image2],
+        isTopProduct: formData.isTopProduct,
+        available,
+        variations: formData.variations, // Color variations
+        sizes: formData.sizes, // Size variations
+        stock,
+        // Sort fields, kept up to date by Cloud Functions from here on
+        salesCount: 0,
+        discountPercentage: 0,
+        ratingAverage: 0,
+        ratingCount: 0,
+        createdAt: serverTimestamp(),
+      });
+      setSuccessMsg("✅ Product added successfully!");
+    }
+
+    setFormData({
+      title: "",
+      price: "",
+      category: "",
+      description: "",
+      coverImage: "",
+      image1: "",
+      image2: "",
+      isTopProduct: false,
+      variations: [], // Reset color variations
+      variationInput: "", // Reset color input field
+      sizes: [], // Reset size variations
+      sizeInput: "", // Reset size input field
+      stock: {}, // Reset stock
+    });
+  } catch (err) {
+    console.error("Error:", err);
+    setSuccessMsg("❌ Failed to submit.");
+  }
+
+  setLoading(false);
+};
+
+  const handleDelete = async (id) => {
+    if (confirm("Are you sure you want to delete this product?")) {
+      try {
+        await deleteDoc(doc(db, "products", id));
+      } catch (err) {
+        console.error("Delete error:", err);
+      }
+    }
+  };
+
+const handleEdit = (product) => {
+  setFormData({
+    title: product.title,
+    price: product.price,
+    category: product.category,
+    description: product.description,
+    coverImage: product.coverImage,
+    image1: product.images?.[0] || "",
+    image2: product.images?.[1] || "",
+    isTopProduct: product.isTopProduct || false,
+    variations: product.variations || [], // Color variations
+    variationInput: "",
+    sizes: product.sizes || [], // Size variations
+    sizeInput: "",
+    stock: product.stock || {}, // Products saved before stock tracking start at 0
+  });
+  setEditId(product.id);
+  setEditBase({ stock: product.stock || {}, variations: product.variations || [], sizes: product.sizes || [] });
+  setShowForm(true);
+  window.scrollTo({ top: 0, behavior: "smooth" });
+};
+
+  const toggleExpand = (orderId) => {
+    setExpandedOrders((prev) => ({
+      ...prev,
+      [orderId]: !prev[orderId],
+    }));
+  };
+
+  // New function to toggle contact expansion
+  const toggleContactExpand = (contactId) => {
+    setExpandedContacts((prev) => ({
+      ...prev,
+      [contactId]: !prev[contactId],
+    }));
+  };
+
+const OrderDetails = ({ order }) => (
+  <div className="mt-4 space-y-3 text-sm text-gray-700 p-2 border-t border-gray-200 pt-3">
+    <p><strong>Status:</strong> <span className={`font-semibold ${getOrderStatus(order) === ORDER_STATUS.DELIVERED ? 'text-green-600' : 'text-orange-600'}`}>{formatOrderStatus(getOrderStatus(order))}</span></p>
+    {order.trackingNumber && (
+      <p><strong>Courier:</strong> {order.courier} – Tracking #{order.trackingNumber}</p>
+    )}
+    {order.statusHistory?.length > 0 && (
+      <div>
+        <strong>Status History:</strong>
+        <ul className="ml-0 sm:ml-4 mt-1 text-xs sm:text-sm space-y-1">
+          {order.statusHistory.map((entry, i) => (
+            <li key={i}>
+              {formatOrderStatus(entry.status)} – {entry.at?.toDate ? entry.at.toDate().toLocaleString() : new Date(entry.at).toLocaleString()}
+            </li>
+          ))}
+        </ul>
+      </div>
+    )}
+    <p><strong>Payment Method:</strong> {order.payment}</p>
+    {order.paymentStatus && (
+      <p>
+        <strong>Payment Status:</strong>{" "}
+        <span className={`font-semibold ${order.paymentStatus === PAYMENT_STATUS.COLLECTED ? 'text-green-600' : 'text-orange-600'}`}>
+          {PAYMENT_STATUS_LABELS[order.paymentStatus] || order.paymentStatus}
+        </span>
+      </p>
+    )}
+    {order.payment === 'EasyPaisa' && (order.paymentProofPath || order.bankTransferProofBase64) && (
+      <div className="mt-2">
+        <strong>Bank Transfer Proof:</strong>{" "}
+        <button
+          onClick={() => setViewingImage(
+            { orderId: order.id, path: order.paymentProofPath, url: order.bankTransferProofBase64 }
+          )}
+          className="text-blue-600 hover:text-blue-800 underline"
+        >
+          View screenshot
+        </button>
+      </div>
+    )}
+    <p><strong>Shipping Method:</strong> {order.shipping}</p>
+    <p><strong>Promo Code:</strong> {order.promoCode || "None"}</p>
+    {order.discount > 0 && (
+      <p><strong>Discount:</strong> -PKR {order.discount.toLocaleString()}</p>
+    )}
+    {order.codFee > 0 && (
+      <p><strong>COD Fee:</strong> PKR {order.codFee.toLocaleString()}</p>
+    )}
+    <p><strong>Notes:</strong> {order.notes || "None"}</p>
+    <p>
       <strong>Order Time:</strong>{" "}
       {order.createdAt?.toDate?.().toLocaleString() || "Unknown"}
     </p>
@@ -542,477 +1247,428 @@ const OrderDetails = ({ order }) => (
         <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-6">Admin Dashboard</h1>
 
         {/* Add Product Form */}
-        <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
-          <button
-            onClick={() => setShowForm(!showForm)}
-            className="w-full bg-black text-white px-4 py-3 text-left rounded-md hover:bg-gray-800 transition-colors duration-200 flex items-center justify-between text-base sm:text-lg font-medium"
-          >
-            <span>{showForm ? "➖ Hide Add Product Form" : "➕ Add New Product"}</span>
-            <svg className={`w-5 h-5 transition-transform duration-200 ${showForm ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
-          </button>
-
-          {showForm && (
-            <form
-              onSubmit={handleSubmit}
-              className="bg-gray-50 p-4 sm:p-6 mt-4 rounded-lg shadow-inner space-y-4"
+        {canAccess(role, "products") && (
+          <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
+            <button
+              onClick={() => setShowForm(!showForm)}
+              className="w-full bg-black text-white px-4 py-3 text-left rounded-md hover:bg-gray-800 transition-colors duration-200 flex items-center justify-between text-base sm:text-lg font-medium"
             >
-              {successMsg && (
-                <p className={`text-center text-sm sm:text-base p-2 rounded ${successMsg.startsWith('✅') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
-                  {successMsg}
-                </p>
-              )}
-              <input name="title" placeholder="Product Title" className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base" value={formData.title} onChange={handleChange} required />
-              <input name="price" placeholder="Price (PKR)" type="number" step="0.01" className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base" value={formData.price} onChange={handleChange} required />
-              <input name="category" placeholder="Category (e.g., 'Formal', 'Casual')" className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base" value={formData.category} onChange={handleChange} required />
-              <textarea name="description" placeholder="Product Description" rows="4" className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base" value={formData.description} onChange={handleChange} required />
-              <input name="coverImage" placeholder="Cover Image URL (e.g., Firebase Storage URL)" className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base" value={formData.coverImage} onChange={handleChange} required />
-              <input name="image1" placeholder="Image 1 URL (Optional)" className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base" value={formData.image1} onChange={handleChange} />
-              <input name="image2" placeholder="Image 2 URL (Optional)" className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base" value={formData.image2} onChange={handleChange} />
-
-              {/* Color Variations Input */}
-              <div>
-                <label className="block text-sm sm:text-base font-medium text-gray-700 mb-1">Color Variations (e.g., Red, Blue)</label>
-                <div className="flex gap-2 mb-2">
-                  <input
-                    type="text"
-                    name="variationInput"
-                    value={formData.variationInput}
-                    onChange={handleChange}
-                    placeholder="Add a color (e.g., Red)"
-                    className="flex-1 border border-gray-300 p-2 rounded-md text-sm sm:text-base"
-                  />
-                  <button
-                    type="button"
-                    onClick={() => {
-                      if (formData.variationInput.trim()) {
-                        setFormData((prev) => ({
-                          ...prev,
-                          variations: [...prev.variations, prev.variationInput.trim()],
-                          variationInput: "",
-                        }));
-                      }
-                    }}
-                    className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-md text-sm sm:text-base"
-                  >
-                    Add
-                  </button>
-                </div>
+              <span>{showForm ? "➖ Hide Add Product Form" : "➕ Add New Product"}</span>
+              <svg className={`w-5 h-5 transition-transform duration-200 ${showForm ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+
+            {showForm && (
+              <form
+                onSubmit={handleSubmit}
+                className="bg-gray-50 p-4 sm:p-6 mt-4 rounded-lg shadow-inner space-y-4"
+              >
+                {successMsg && (
+                  <p className={`text-center text-sm sm:text-base p-2 rounded ${successMsg.startsWith('✅') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                    {successMsg}
+                  </p>
+                )}
+                <input name="title" placeholder="Product Title" className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base" value={formData.title} onChange={handleChange} required />
+                <input name="price" placeholder="Price (PKR)" type="number" step="0.01" className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base" value={formData.price} onChange={handleChange} required />
+                <select name="category" className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base bg-white" value={formData.category} onChange={handleChange} required>
+                  <option value="">Select a category</option>
+                  {categories.map((category) => (
+                    <option key={category.id} value={category.name}>
+                      {category.name}{category.visible === false ? " (hidden)" : ""}
+                    </option>
+                  ))}
+                  {formData.category && !categories.some((category) => category.name === formData.category) && (
+                    <option value={formData.category}>{formData.category} (not in category list)</option>
+                  )}
+                </select>
+                {categories.length === 0 && (
+                  <p className="text-xs text-orange-600">Add categories under "Manage Categories" first.</p>
+                )}
+                <textarea name="description" placeholder="Product Description" rows="4" className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base" value={formData.description} onChange={handleChange} required />
+                <input name="coverImage" placeholder="Cover Image URL (e.g., Firebase Storage URL)" className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base" value={formData.coverImage} onChange={handleChange} required />
+                <input name="image1" placeholder="Image 1 URL (Optional)" className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base" value={formData.image1} onChange={handleChange} />
+                <input name="image2" placeholder="Image 2 URL (Optional)" className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base" value={formData.image2} onChange={handleChange} />
 
-                {/* Show list of color variations */}
-                {formData.variations && formData.variations.length > 0 && (
-                  <div className="flex flex-wrap gap-2">
-                    {formData.variations.map((v, i) => (
-                      <span key={i} className="bg-blue-100 text-blue-800 px-3 py-1 rounded-full text-sm flex items-center gap-2">
-                        {v}
-                        <button
-                          type="button"
-                          onClick={() =>
-                            setFormData((prev) => ({
-                              ...prev,
-                              variations: prev.variations.filter((_, index) => index !== i),
-                            }))
-                          }
-                          className="text-red-500 hover:text-red-700"
-                        >
-                          &times;
-                        </button>
-                      </span>
-                    ))}
+                {/* Color Variations Input */}
+                <div>
+                  <label className="block text-sm sm:text-base font-medium text-gray-700 mb-1">Color Variations (e.g., Red, Blue)</label>
+                  <div className="flex gap-2 mb-2">
+                    <input
+                      type="text"
+                      name="variationInput"
+                      value={formData.variationInput}
+                      onChange={handleChange}
+                      placeholder="Add a color (e.g., Red)"
+                      className="flex-1 border border-gray-300 p-2 rounded-md text-sm sm:text-base"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => {
+                        if (formData.variationInput.trim()) {
+                          setFormData((prev) => ({
+                            ...prev,
+                            variations: [...prev.variations, prev.variationInput.trim()],
+                            variationInput: "",
+                          }));
+                        }
+                      }}
+                      className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-md text-sm sm:text-base"
+                    >
+                      Add
+                    </button>
                   </div>
-                )}
-              </div>
 
-              {/* Size Variations Input */}
-              <div>
-                <label className="block text-sm sm:text-base font-medium text-gray-700 mb-1">Size Variations (e.g., S, M, L)</label>
-                <div className="flex gap-2 mb-2">
-                  <input
-                    type="text"
-                    name="sizeInput"
-                    value={formData.sizeInput}
-                    onChange={handleChange}
-                    placeholder="Add a size (e.g., S, M, L, XL)"
-                    className="flex-1 border border-gray-300 p-2 rounded-md text-sm sm:text-base"
-                  />
-                  <button
-                    type="button"
-                    onClick={() => {
-                      if (formData.sizeInput.trim()) {
-                        setFormData((prev) => ({
-                          ...prev,
-                          sizes: [...prev.sizes, prev.sizeInput.trim()],
-                          sizeInput: "",
-                        }));
-                      }
-                    }}
-                    className="bg-green-600 hover:bg-green-700 text-white px-3 py-2 rounded-md text-sm sm:text-base"
-                  >
-                    Add
-                  </button>
-                </div>
-
-                {/* Show list of size variations */}
-                {formData.sizes && formData.sizes.length > 0 && (
-                  <div className="flex flex-wrap gap-2">
-                    {formData.sizes.map((size, i) => (
-                      <span key={i} className="bg-green-100 text-green-800 px-3 py-1 rounded-full text-sm flex items-center gap-2">
-                        {size}
-                        <button
-                          type="button"
-                          onClick={() =>
-                            setFormData((prev) => ({
-                              ...prev,
-                              sizes: prev.sizes.filter((_, index) => index !== i),
-                            }))
-                          }
-                          className="text-red-500 hover:text-red-700"
-                        >
-                          &times;
-                        </button>
-                      </span>
-                    ))}
-                  </div>
-                )}
-              </div>
-
-              <div className="flex flex-col sm:flex-row gap-4 sm:gap-6 mt-4">
-                <label className="flex items-center gap-2 text-sm sm:text-base text-gray-700 cursor-pointer">
-                  <input type="checkbox" name="isTopProduct" checked={formData.isTopProduct} onChange={handleChange} className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded" />
-                  Mark as Top Product
-                </label>
-                <label className="flex items-center gap-2 text-sm sm:text-base text-gray-700 cursor-pointer">
-                  <input type="checkbox" name="available" checked={formData.available} onChange={handleChange} className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded" />
-                  Product Available
-                </label>
-              </div>
-
-              <button
-                type="submit"
-                disabled={loading}
-                className="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-3 rounded-md transition-colors duration-200 text-base sm:text-lg font-medium disabled:bg-blue-400 disabled:cursor-not-allowed"
-              >
-                {loading ? (editId ? "Updating..." : "Adding...") : (editId ? "Update Product" : "Add Product")}
-              </button>
-            </form>
-          )}
-        </div>
-
-        {/* Discount Management Section */}
-        <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
-          <button
-            onClick={() => setShowDiscounts(!showDiscounts)}
-            className="w-full bg-black text-white px-4 py-3 text-left rounded-md hover:bg-gray-800 transition-colors duration-200 flex items-center justify-between text-base sm:text-lg font-medium"
-          >
-            <span>{showDiscounts ? "➖ Hide Discount Management" : "🎯 Manage Product Discounts"}</span>
-            <svg className={`w-5 h-5 transition-transform duration-200 ${showDiscounts ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
-          </button>
-
-          {showDiscounts && (
-            <div className="mt-4 bg-gray-50 p-4 sm:p-6 rounded-lg shadow-inner space-y-6">
-              {/* Create New Discount Form */}
-              <form onSubmit={handleDiscountSubmit} className="bg-white p-4 sm:p-6 rounded-lg shadow-sm border space-y-4">
-                <h3 className="text-lg sm:text-xl font-bold text-gray-800 mb-4">🎯 Create New Discount</h3>
-                
-                {discountSuccessMsg && (
-                  <p className={`text-center text-sm sm:text-base p-2 rounded ${discountSuccessMsg.startsWith('✅') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
-                    {discountSuccessMsg}
-                  </p>
-                )}
-
-                <div>
-                  <label className="block text-sm sm:text-base font-medium text-gray-700 mb-2">Select Products for Discount:</label>
-                  <div className="max-h-60 overflow-y-auto border border-gray-300 rounded-md p-3 bg-gray-50">
-                    {products.length === 0 ? (
-                      <p className="text-gray-500 text-sm">No products available. Add products first.</p>
-                    ) : (
-                      <div className="space-y-2">
-                        {products.map((product) => (
-                          <label key={product.id} className="flex items-center gap-3 p-2 hover:bg-gray-100 rounded cursor-pointer">
-                            <input
-                              type="checkbox"
-                              checked={discountFormData.productIds.includes(product.id)}
-                              onChange={(e) => handleProductSelection(product.id, e.target.checked)}
-                              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
-                            />
-                            <img src={product.coverImage} alt={product.title} className="w-12 h-12 object-cover rounded" />
-                            <div className="flex-1">
-                              <p className="text-sm font-medium text-gray-900">{product.title}</p>
-                              <p className="text-xs text-gray-600">PKR {product.price?.toLocaleString()}</p>
-                            </div>
-                          </label>
-                        ))}
-                      </div>
-                    )}
-                  </div>
-                  {discountFormData.productIds.length > 0 && (
-                    <p className="text-sm text-green-600 mt-2">✅ {discountFormData.productIds.length} product(s) selected</p>
+                  {/* Show list of color variations */}
+                  {formData.variations && formData.variations.length > 0 && (
+                    <div className="flex flex-wrap gap-2">
+                      {formData.variations.map((v, i) => (
+                        <span key={i} className="bg-blue-100 text-blue-800 px-3 py-1 rounded-full text-sm flex items-center gap-2">
+                          {v}
+                          <button
+                            type="button"
+                            onClick={() =>
+                              setFormData((prev) => ({
+                                ...prev,
+                                variations: prev.variations.filter((_, index) => index !== i),
+                              }))
+                            }
+                            className="text-red-500 hover:text-red-700"
+                          >
+                            &times;
+                          </button>
+                        </span>
+                      ))}
+                    </div>
                   )}
                 </div>
 
-                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Discount Percentage (%)</label>
-                    <input
-                      type="number"
-                      name="discountPercentage"
-                      value={discountFormData.discountPercentage}
-                      onChange={handleDiscountChange}
-                      placeholder="e.g., 20"
-                      min="1"
-                      max="100"
-                      className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
-                      required
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Description (Optional)</label>
+                {/* Size Variations Input */}
+                <div>
+                  <label className="block text-sm sm:text-base font-medium text-gray-700 mb-1">Size Variations (e.g., S, M, L)</label>
+                  <div className="flex gap-2 mb-2">
                     <input
                       type="text"
-                      name="description"
-                      value={discountFormData.description}
-                      onChange={handleDiscountChange}
-                      placeholder="e.g., Summer Sale"
-                      className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                      name="sizeInput"
+                      value={formData.sizeInput}
+                      onChange={handleChange}
+                      placeholder="Add a size (e.g., S, M, L, XL)"
+                      className="flex-1 border border-gray-300 p-2 rounded-md text-sm sm:text-base"
                     />
+                    <button
+                      type="button"
+                      onClick={() => {
+                        if (formData.sizeInput.trim()) {
+                          setFormData((prev) => ({
+                            ...prev,
+                            sizes: [...prev.sizes, prev.sizeInput.trim()],
+                            sizeInput: "",
+                          }));
+                        }
+                      }}
+                      className="bg-green-600 hover:bg-green-700 text-white px-3 py-2 rounded-md text-sm sm:text-base"
+                    >
+                      Add
+                    </button>
                   </div>
+
+                  {/* Show list of size variations */}
+                  {formData.sizes && formData.sizes.length > 0 && (
+                    <div className="flex flex-wrap gap-2">
+                      {formData.sizes.map((size, i) => (
+                        <span key={i} className="bg-green-100 text-green-800 px-3 py-1 rounded-full text-sm flex items-center gap-2">
+                          {size}
+                          <button
+                            type="button"
+                            onClick={() =>
+                              setFormData((prev) => ({
+                                ...prev,
+                                sizes: prev.sizes.filter((_, index) => index !== i),
+                              }))
+                            }
+                            className="text-red-500 hover:text-red-700"
+                          >
+                            &times;
+                          </button>
+                        </span>
+                      ))}
+                    </div>
+                  )}
                 </div>
 
-                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
-                    <input
-                      type="datetime-local"
-                      name="startDate"
-                      value={discountFormData.startDate}
-                      onChange={handleDiscountChange}
-                      className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
-                      required
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">End Date</label>
-                    <input
-                      type="datetime-local"
-                      name="endDate"
-                      value={discountFormData.endDate}
-                      onChange={handleDiscountChange}
-                      className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
-                      required
-                    />
+                {/* Stock per Colour/Size Combination */}
+                <div>
+                  <label className="block text-sm sm:text-base font-medium text-gray-700 mb-1">Stock per Colour / Size</label>
+                  <p className="text-xs text-gray-500 mb-2">The product shows as out of stock once every combination is at 0.</p>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+                    {getVariantCombinations(formData.variations, formData.sizes).map(({ variation, size }) => {
+                      const variantKey = getVariantKey(variation, size);
+                      return (
+                        <label key={variantKey} className="flex items-center justify-between gap-2 border border-gray-300 bg-white p-2 rounded-md text-sm">
+                          <span className="text-gray-700 truncate">{[variation, size].filter(Boolean).join(" / ") || "Units in stock"}</span>
+                          <input
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={formData.stock[variantKey] ?? ""}
+                            onChange={(e) => handleStockChange(variantKey, e.target.value)}
+                            placeholder="0"
+                            className="w-20 border border-gray-300 p-1 rounded-md text-sm"
+                          />
+                        </label>
+                      );
+                    })}
                   </div>
                 </div>
 
+                <div className="flex flex-col sm:flex-row gap-4 sm:gap-6 mt-4">
+                  <label className="flex items-center gap-2 text-sm sm:text-base text-gray-700 cursor-pointer">
+                    <input type="checkbox" name="isTopProduct" checked={formData.isTopProduct} onChange={handleChange} className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded" />
+                    Mark as Top Product
+                  </label>
+                </div>
+
                 <button
                   type="submit"
-                  disabled={discountLoading}
-                  className="w-full bg-green-600 hover:bg-green-700 text-white px-4 py-3 rounded-md transition-colors duration-200 text-base sm:text-lg font-medium disabled:bg-green-400 disabled:cursor-not-allowed"
+                  disabled={loading}
+                  className="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-3 rounded-md transition-colors duration-200 text-base sm:text-lg font-medium disabled:bg-blue-400 disabled:cursor-not-allowed"
                 >
-                  {discountLoading ? "Creating Discount..." : "Create Discount"}
+                  {loading ? (editId ? "Updating..." : "Adding...") : (editId ? "Update Product" : "Add Product")}
                 </button>
               </form>
+            )}
+          </div>
+        )}
+
+        {/* Category Management Section */}
+        {canAccess(role, "categories") && (
+          <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
+            <button
+              onClick={() => setShowCategories(!showCategories)}
+              className="w-full bg-black text-white px-4 py-3 text-left rounded-md hover:bg-gray-800 transition-colors duration-200 flex items-center justify-between text-base sm:text-lg font-medium"
+            >
+              <span>{showCategories ? "➖ Hide Categories" : "🗂️ Manage Categories"}</span>
+              <svg className={`w-5 h-5 transition-transform duration-200 ${showCategories ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+
+            {showCategories && (
+              <div className="mt-4 bg-gray-50 p-4 sm:p-6 rounded-lg shadow-inner space-y-6">
+                <form onSubmit={handleCategorySubmit} className="bg-white p-4 sm:p-6 rounded-lg shadow-sm border space-y-4">
+                  <h3 className="text-lg sm:text-xl font-bold text-gray-800 mb-4">{editCategoryId ? "✏️ Edit Category" : "🗂️ Add Category"}</h3>
+
+                  {categorySuccessMsg && (
+                    <p className={`text-center text-sm sm:text-base p-2 rounded ${categorySuccessMsg.startsWith('✅') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                      {categorySuccessMsg}
+                    </p>
+                  )}
 
-              {/* Existing Discounts List */}
-              <div className="bg-white p-4 sm:p-6 rounded-lg shadow-sm border">
-                <h3 className="text-lg sm:text-xl font-bold text-gray-800 mb-4">📋 Existing Discounts ({discounts.length})</h3>
-                
-                {discounts.length === 0 ? (
-                  <p className="text-center text-gray-500 text-sm sm:text-base py-4">No discounts created yet.</p>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <input name="name" placeholder="Name (e.g., Jhumkas)" className="w-full border border-gray-300 p-2 rounded-md text-sm sm:text-base" value={categoryFormData.name} onChange={handleCategoryChange} required />
+                    <input name="slug" placeholder={`Slug (default: ${slugifyCategory(categoryFormData.name) || "from the name"})`} className="w-full border border-gray-300 p-2 rounded-md text-sm sm:text-base" value={categoryFormData.slug} onChange={handleCategoryChange} />
+                    <input name="image" placeholder="Image URL" className="w-full border border-gray-300 p-2 rounded-md text-sm sm:text-base" value={categoryFormData.image} onChange={handleCategoryChange} />
+                    <input name="sortOrder" type="number" placeholder="Sort order (lowest first)" className="w-full border border-gray-300 p-2 rounded-md text-sm sm:text-base" value={categoryFormData.sortOrder} onChange={handleCategoryChange} />
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input type="checkbox" name="visible" checked={categoryFormData.visible} onChange={handleCategoryChange} />
+                    Show in the shop (navigation, featured categories and filters)
+                  </label>
+
+                  <div className="flex gap-2">
+                    <button type="submit" disabled={categoryLoading} className="bg-black text-white px-6 py-2 rounded-md hover:bg-gray-800 transition-colors duration-200 disabled:bg-gray-400">
+                      {categoryLoading ? "Saving..." : editCategoryId ? "Update Category" : "Add Category"}
+                    </button>
+                    {editCategoryId && (
+                      <button type="button" onClick={resetCategoryForm} className="border border-gray-300 px-6 py-2 rounded-md hover:bg-gray-100 transition-colors duration-200">
+                        Cancel
+                      </button>
+                    )}
+                  </div>
+                </form>
+
+                {categories.length === 0 ? (
+                  <div className="text-center py-4 space-y-3">
+                    <p className="text-gray-500 text-sm sm:text-base">No categories yet.</p>
+                    <button onClick={importStarterCategories} disabled={categoryLoading} className="bg-pink-500 hover:bg-pink-600 text-white px-4 py-2 text-sm rounded-md transition-colors duration-200 disabled:bg-gray-400">
+                      Add the shop's starter categories
+                    </button>
+                  </div>
                 ) : (
-                  <div className="space-y-4">
-                    {discounts.map((discount) => {
-                      const statusInfo = getDiscountStatusText(discount);
-                      const isActive = isDiscountActive(discount);
-                      
-                      return (
-                        <div key={discount.id} className={`border rounded-lg p-4 ${isActive ? 'border-green-300 bg-green-50' : 'border-gray-300 bg-gray-50'}`}>
-                          <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-3">
-                            <div>
-                              <h4 className="text-lg font-semibold text-gray-900">
-                                {discount.discountPercentage}% OFF {discount.description && `- ${discount.description}`}
-                              </h4>
-                              <p className={`text-sm font-medium ${statusInfo.color}`}>
-                                Status: {statusInfo.text}
-                              </p>
-                            </div>
-                            <div className="flex items-center gap-2 mt-2 sm:mt-0">
-                              <button
-                                onClick={() => toggleDiscountStatus(discount.id, discount.isActive)}
-                                className={`px-3 py-1 text-sm rounded-md transition-colors duration-200 ${
-                                  discount.isActive 
-                                    ? 'bg-yellow-500 hover:bg-yellow-600 text-white' 
-                                    : 'bg-blue-500 hover:bg-blue-600 text-white'
-                                }`}
-                              >
-                                {discount.isActive ? 'Disable' : 'Enable'}
-                              </button>
-                              <button
-                                onClick={() => deleteDiscount(discount.id)}
-                                className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 text-sm rounded-md transition-colors duration-200"
-                              >
-                                🗑️ Delete
-                              </button>
-                            </div>
-                          </div>
-
-                          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm text-gray-700 mb-3">
-                            <div>
-                              <strong>Start:</strong> {discount.startDate?.toDate?.().toLocaleString() || new Date(discount.startDate).toLocaleString()}
-                            </div>
-                            <div>
-                              <strong>End:</strong> {discount.endDate?.toDate?.().toLocaleString() || new Date(discount.endDate).toLocaleString()}
-                            </div>
-                          </div>
-
-                          <div>
-                            <strong className="text-sm text-gray-700">Products ({discount.productIds.length}):</strong>
-                            <div className="mt-2 flex flex-wrap gap-2">
-                              {discount.productIds.map((productId) => {
-                                const product = products.find(p => p.id === productId);
-                                return product ? (
-                                  <div key={productId} className="flex items-center gap-2 bg-white border border-gray-200 rounded-md p-2">
-                                    <img src={product.coverImage} alt={product.title} className="w-8 h-8 object-cover rounded" />
-                                    <div>
-                                      <p className="text-xs font-medium">{product.title}</p>
-                                      <p className="text-xs text-gray-600">
-                                        PKR {product.price?.toLocaleString()} → PKR {Math.round(product.price * (1 - discount.discountPercentage / 100)).toLocaleString()}
-                                      </p>
-                                    </div>
-                                  </div>
-                                ) : (
-                                  <span key={productId} className="text-xs text-red-500 bg-red-100 px-2 py-1 rounded">Product not found</span>
-                                );
-                              })}
-                            </div>
-                          </div>
+                  <div className="space-y-2">
+                    {categories.map((category) => (
+                      <div key={category.id} className={`flex flex-col sm:flex-row sm:items-center gap-3 border border-gray-200 p-3 rounded-md ${category.visible === false ? 'bg-gray-100 opacity-80' : 'bg-white'}`}>
+                        {category.image && <img src={category.image} alt={category.name} className="w-12 h-12 object-cover rounded-md flex-shrink-0" />}
+                        <div className="flex-1">
+                          <p className="font-semibold text-gray-900">{category.sortOrder}. {category.name}</p>
+                          <p className="text-xs text-gray-500">
+                            /products?category={category.slug} · {products.filter((product) => product.category === category.name).length} product(s)
+                            {category.visible === false && " · Hidden"}
+                          </p>
                         </div>
-                      );
-                    })}
+                        <div className="flex gap-2">
+                          <button onClick={() => toggleCategoryVisibility(category)} className="bg-gray-200 hover:bg-gray-300 text-gray-800 px-3 py-1 text-xs sm:text-sm rounded-md transition-colors duration-200">
+                            {category.visible === false ? "Show" : "Hide"}
+                          </button>
+                          <button onClick={() => handleEditCategory(category)} className="bg-yellow-500 hover:bg-yellow-600 text-white px-3 py-1 text-xs sm:text-sm rounded-md transition-colors duration-200">Edit</button>
+                          <button onClick={() => handleDeleteCategory(category)} className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 text-xs sm:text-sm rounded-md transition-colors duration-200">Delete</button>
+                        </div>
+                      </div>
+                    ))}
                   </div>
                 )}
               </div>
-            </div>
-          )}
-        </div>
+            )}
+          </div>
+        )}
 
-        {/* Product Inventory Section */}
-        <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
-          <button
-            onClick={() => setShowInventory(!showInventory)}
-            className="w-full bg-black text-white px-4 py-3 text-left rounded-md hover:bg-gray-800 transition-colors duration-200 flex items-center justify-between text-base sm:text-lg font-medium"
-          >
-            <span>{showInventory ? "➖ Hide Inventory" : "📦 View Product Inventory"}</span>
-            <svg className={`w-5 h-5 transition-transform duration-200 ${showInventory ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
-          </button>
-
-          {showInventory && (
-            <div className="mt-4 bg-gray-50 p-4 sm:p-6 rounded-lg shadow-inner grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
-              {products.length === 0 ? (
-                <p className="col-span-full text-center text-gray-500 text-sm sm:text-base py-4">No products found. Add a product to get started!</p>
-              ) : (
-                products.map((product) => {
-                  // Check if product has any active discount
-                  const activeDiscount = discounts.find(discount => 
-                    discount.productIds.includes(product.id) && isDiscountActive(discount)
-                  );
-                  const discountedPrice = activeDiscount 
-                    ? Math.round(product.price * (1 - activeDiscount.discountPercentage / 100))
-                    : null;
-
-                  return (
-                    <div key={product.id} className={`flex flex-col sm:flex-row gap-4 border border-gray-200 p-4 rounded-md shadow-sm ${product.available === false ? 'bg-gray-100 opacity-80' : 'bg-white'} ${activeDiscount ? 'ring-2 ring-green-300' : ''}`}>
-                      <div className="relative">
-                        <img src={product.coverImage} className="w-24 h-24 object-contain rounded-md flex-shrink-0 mx-auto sm:mx-0" alt={product.title} />
-                        {activeDiscount && (
-                          <div className="absolute -top-2 -right-2 bg-red-500 text-white text-xs font-bold px-2 py-1 rounded-full">
-                            -{activeDiscount.discountPercentage}%
-                          </div>
-                        )}
-                      </div>
-                      <div className="flex-1 text-center sm:text-left">
-                        <h3 className="font-semibold text-base sm:text-lg text-gray-900 mb-1">{product.title}</h3>
-                        <div className="text-sm text-gray-700">
-                          {activeDiscount ? (
-                            <div>
-                              <span className="line-through text-red-500">PKR {product.price?.toLocaleString()}</span>
-                              <span className="ml-2 font-bold text-green-600">PKR {discountedPrice?.toLocaleString()}</span>
-                              <p className="text-xs text-green-600 font-medium">{activeDiscount.description || 'On Sale'}</p>
-                            </div>
-                          ) : (
-                            <p>Price: PKR {product.price?.toLocaleString()}</p>
-                          )}
-                        </div>
-                        <p className="text-sm text-gray-700">Category: {product.category}</p>
-                        <p className="text-sm text-gray-700">Top Product: {product.isTopProduct ? "Yes" : "No"}</p>
-                        {product.variations && product.variations.length > 0 && (
-                          <p className="text-sm text-gray-700">Colors: {product.variations.join(', ')}</p>
-                        )}
-                        {product.sizes && product.sizes.length > 0 && (
-                          <p className="text-sm text-gray-700">Sizes: {product.sizes.join(', ')}</p>
-                        )}
-                        <p className="text-sm mt-1">Status: <span className={`font-medium ${product.available === false ? 'text-red-600' : 'text-green-600'}`}>
-                          {product.available === false ? 'Out of Stock' : 'Available'}
-                        </span></p>
-                        <div className="mt-3 flex justify-center sm:justify-start gap-2">
-                          <button onClick={() => handleEdit(product)} className="bg-yellow-500 hover:bg-yellow-600 text-white px-3 py-1 text-xs sm:text-sm rounded-md transition-colors duration-200">Edit</button>
-                          <button onClick={() => handleDelete(product.id)} className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 text-xs sm:text-sm rounded-md transition-colors duration-200">Delete</button>
+        {/* Discount Management Section */}
+        {canAccess(role, "discounts") && (
+          <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
+            <button
+              onClick={() => setShowDiscounts(!showDiscounts)}
+              className="w-full bg-black text-white px-4 py-3 text-left rounded-md hover:bg-gray-800 transition-colors duration-200 flex items-center justify-between text-base sm:text-lg font-medium"
+            >
+              <span>{showDiscounts ? "➖ Hide Discount Management" : "🎯 Manage Product Discounts"}</span>
+              <svg className={`w-5 h-5 transition-transform duration-200 ${showDiscounts ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+
+            {showDiscounts && (
+              <div className="mt-4 bg-gray-50 p-4 sm:p-6 rounded-lg shadow-inner space-y-6">
+                {/* Create New Discount Form */}
+                <form onSubmit={handleDiscountSubmit} className="bg-white p-4 sm:p-6 rounded-lg shadow-sm border space-y-4">
+                  <h3 className="text-lg sm:text-xl font-bold text-gray-800 mb-4">🎯 Create New Discount</h3>
+                
+                  {discountSuccessMsg && (
+                    <p className={`text-center text-sm sm:text-base p-2 rounded ${discountSuccessMsg.startsWith('✅') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                      {discountSuccessMsg}
+                    </p>
+                  )}
+
+                  <div>
+                    <label className="block text-sm sm:text-base font-medium text-gray-700 mb-2">Select Products for Discount:</label>
+                    <div className="max-h-60 overflow-y-auto border border-gray-300 rounded-md p-3 bg-gray-50">
+                      {products.length === 0 ? (
+                        <p className="text-gray-500 text-sm">No products available. Add products first.</p>
+                      ) : (
+                        <div className="space-y-2">
+                          {products.map((product) => (
+                            <label key={product.id} className="flex items-center gap-3 p-2 hover:bg-gray-100 rounded cursor-pointer">
+                              <input
+                                type="checkbox"
+                                checked={discountFormData.productIds.includes(product.id)}
+                                onChange={(e) => handleProductSelection(product.id, e.target.checked)}
+                                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                              />
+                              <img src={product.coverImage} alt={product.title} className="w-12 h-12 object-cover rounded" />
+                              <div className="flex-1">
+                                <p className="text-sm font-medium text-gray-900">{product.title}</p>
+                                <p className="text-xs text-gray-600">PKR {product.price?.toLocaleString()}</p>
+                              </div>
+                            </label>
+                          ))}
                         </div>
-                      </div>
+                      )}
                     </div>
-                  );
-                })
-              )}
-            </div>
-          )}
-        </div>
+                    {discountFormData.productIds.length > 0 && (
+                      <p className="text-sm text-green-600 mt-2">✅ {discountFormData.productIds.length} product(s) selected</p>
+                    )}
+                  </div>
 
-        {/* Orders Section */}
-        <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
-          <button
-            onClick={() => setShowOrders(!showOrders)}
-            className="w-full bg-black text-white px-4 py-3 text-left rounded-md hover:bg-gray-800 transition-colors duration-200 flex items-center justify-between text-base sm:text-lg font-medium"
-          >
-            <span>{showOrders ? "➖ Hide Orders" : "🧾 View Customer Orders"}</span>
-            <svg className={`w-5 h-5 transition-transform duration-200 ${showOrders ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
-          </button>
-
-          {showOrders && (
-            <div className="mt-4 bg-gray-50 p-4 sm:p-6 rounded-lg shadow-inner space-y-6">
-              {orders.length === 0 ? (
-                <p className="text-center text-gray-500 text-sm sm:text-base py-4">No orders received yet.</p>
-              ) : (
-                <>
-                  <div>
-                    <h3 className="text-lg sm:text-xl font-bold mb-3 text-gray-800 border-b pb-2">🆕 Pending Orders ({orders.filter(o => o.status !== "delivered").length})</h3>
-                    {orders.filter(o => o.status !== "delivered").length === 0 ? (
-                      <p className="text-gray-500 text-sm sm:text-base">No pending orders at the moment. Great job!</p>
-                    ) : (
-                      orders
-                        .filter((order) => order.status !== "delivered")
-                        .map((order) => (
-                          <div key={order.id} className="border border-gray-200 rounded-lg p-4 bg-white shadow-sm mb-4 last:mb-0">
-                            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center">
-                              <div className="mb-2 sm:mb-0">
-                                <p className="font-semibold text-base sm:text-lg text-gray-900">
-                                  Order by: {order.shippingAddress?.fullName || order.customerEmail}
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Discount Percentage (%)</label>
+                      <input
+                        type="number"
+                        name="discountPercentage"
+                        value={discountFormData.discountPercentage}
+                        onChange={handleDiscountChange}
+                        placeholder="e.g., 20"
+                        min="1"
+                        max="100"
+                        className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Description (Optional)</label>
+                      <input
+                        type="text"
+                        name="description"
+                        value={discountFormData.description}
+                        onChange={handleDiscountChange}
+                        placeholder="e.g., Summer Sale"
+                        className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                      />
+                    </div>
+                  </div>
+
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+                      <input
+                        type="datetime-local"
+                        name="startDate"
+                        value={discountFormData.startDate}
+                        onChange={handleDiscountChange}
+                        className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">End Date</label>
+                      <input
+                        type="datetime-local"
+                        name="endDate"
+                        value={discountFormData.endDate}
+                        onChange={handleDiscountChange}
+                        className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                        required
+                      />
+                    </div>
+                  </div>
+
+                  <button
+                    type="submit"
+                    disabled={discountLoading}
+                    className="w-full bg-green-600 hover:bg-green-700 text-white px-4 py-3 rounded-md transition-colors duration-200 text-base sm:text-lg font-medium disabled:bg-green-400 disabled:cursor-not-allowed"
+                  >
+                    {discountLoading ? "Creating Discount..." : "Create Discount"}
+                  </button>
+                </form>
+
+                {/* Existing Discounts List */}
+                <div className="bg-white p-4 sm:p-6 rounded-lg shadow-sm border">
+                  <h3 className="text-lg sm:text-xl font-bold text-gray-800 mb-4">📋 Existing Discounts ({discounts.length})</h3>
+                
+                  {discounts.length === 0 ? (
+                    <p className="text-center text-gray-500 text-sm sm:text-base py-4">No discounts created yet.</p>
+                  ) : (
+                    <div className="space-y-4">
+                      {discounts.map((discount) => {
+                        const statusInfo = getDiscountStatusText(discount);
+                        const isActive = isDiscountActive(discount);
+                      
+                        return (
+                          <div key={discount.id} className={`border rounded-lg p-4 ${isActive ? 'border-green-300 bg-green-50' : 'border-gray-300 bg-gray-50'}`}>
+                            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-3">
+                              <div>
+                                <h4 className="text-lg font-semibold text-gray-900">
+                                  {discount.discountPercentage}% OFF {discount.description && `- ${discount.description}`}
+                                </h4>
+                                <p className={`text-sm font-medium ${statusInfo.color}`}>
+                                  Status: {statusInfo.text}
                                 </p>
-                                <p className="text-sm text-gray-600">Total: PKR {order.total?.toLocaleString()}</p>
-                                <p className="text-sm text-gray-600">Payment: {order.payment}</p>
                               </div>
-                              <div className="flex items-center gap-3 mt-2 sm:mt-0">
+                              <div className="flex items-center gap-2 mt-2 sm:mt-0">
                                 <button
-                                  className="text-sm text-blue-600 hover:text-blue-800 underline transition-colors duration-200"
-                                  onClick={() => toggleExpand(order.id)}
+                                  onClick={() => toggleDiscountStatus(discount.id, discount.isActive)}
+                                  className={`px-3 py-1 text-sm rounded-md transition-colors duration-200 ${
+                                    discount.isActive 
+                                      ? 'bg-yellow-500 hover:bg-yellow-600 text-white' 
+                                      : 'bg-blue-500 hover:bg-blue-600 text-white'
+                                  }`}
                                 >
-                                  {expandedOrders[order.id] ? "Hide Details" : "View Details"}
+                                  {discount.isActive ? 'Disable' : 'Enable'}
                                 </button>
                                 <button
-                                  onClick={() => markAsDelivered(order.id)}
-                                  className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 text-sm rounded-md transition-colors duration-200"
-                                >
-                                  ✅ Mark as Delivered
-                                </button>
-                                <button
-                                  onClick={() => deleteOrder(order.id)}
+                                  onClick={() => deleteDiscount(discount.id)}
                                   className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 text-sm rounded-md transition-colors duration-200"
                                 >
                                   🗑️ Delete
@@ -1020,40 +1676,239 @@ const OrderDetails = ({ order }) => (
                               </div>
                             </div>
 
-                            {expandedOrders[order.id] && (
-                              <OrderDetails order={order} />
-                            )}
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm text-gray-700 mb-3">
+                              <div>
+                                <strong>Start:</strong> {discount.startDate ? discount.startDate.toDate?.().toLocaleString() || new Date(discount.startDate).toLocaleString() : "When saved"}
+                              </div>
+                              <div>
+                                <strong>End:</strong> {discount.endDate ? discount.endDate.toDate?.().toLocaleString() || new Date(discount.endDate).toLocaleString() : "Until disabled"}
+                              </div>
+                            </div>
+
+                            <div>
+                              <strong className="text-sm text-gray-700">Products ({discount.productIds.length}):</strong>
+                              <div className="mt-2 flex flex-wrap gap-2">
+                                {discount.productIds.map((productId) => {
+                                  const product = products.find(p => p.id === productId);
+                                  return product ? (
+                                    <div key={productId} className="flex items-center gap-2 bg-white border border-gray-200 rounded-md p-2">
+                                      <img src={product.coverImage} alt={product.title} className="w-8 h-8 object-cover rounded" />
+                                      <div>
+                                        <p className="text-xs font-medium">{product.title}</p>
+                                        <p className="text-xs text-gray-600">
+                                          PKR {product.price?.toLocaleString()} → PKR {getDiscountedPrice(product.price, discount).toLocaleString()}
+                                        </p>
+                                      </div>
+                                    </div>
+                                  ) : (
+                                    <span key={productId} className="text-xs text-red-500 bg-red-100 px-2 py-1 rounded">Product not found</span>
+                                  );
+                                })}
+                              </div>
+                            </div>
                           </div>
-                        ))
-                    )}
+                        );
+                      })}
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Promo Code Management Section */}
+        {canAccess(role, "promoCodes") && (
+          <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
+            <button
+              onClick={() => setShowPromoCodes(!showPromoCodes)}
+              className="w-full bg-black text-white px-4 py-3 text-left rounded-md hover:bg-gray-800 transition-colors duration-200 flex items-center justify-between text-base sm:text-lg font-medium"
+            >
+              <span>{showPromoCodes ? "➖ Hide Promo Codes" : "🎟️ Manage Promo Codes"}</span>
+              <svg className={`w-5 h-5 transition-transform duration-200 ${showPromoCodes ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+
+            {showPromoCodes && (
+              <div className="mt-4 bg-gray-50 p-4 sm:p-6 rounded-lg shadow-inner space-y-6">
+                {/* Create New Promo Code Form */}
+                <form onSubmit={handlePromoSubmit} className="bg-white p-4 sm:p-6 rounded-lg shadow-sm border space-y-4">
+                  <h3 className="text-lg sm:text-xl font-bold text-gray-800 mb-4">🎟️ Create New Promo Code</h3>
+
+                  {promoSuccessMsg && (
+                    <p className={`text-center text-sm sm:text-base p-2 rounded ${promoSuccessMsg.startsWith('✅') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                      {promoSuccessMsg}
+                    </p>
+                  )}
+
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+                      <input
+                        type="text"
+                        name="code"
+                        value={promoFormData.code}
+                        onChange={handlePromoChange}
+                        placeholder="e.g., EID20"
+                        className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base uppercase"
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                      <select
+                        name="type"
+                        value={promoFormData.type}
+                        onChange={handlePromoChange}
+                        className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                      >
+                        <option value="percentage">Percentage off (%)</option>
+                        <option value="fixed">Fixed amount off (PKR)</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">{promoFormData.type === "fixed" ? "Amount (PKR)" : "Percentage (%)"}</label>
+                      <input
+                        type="number"
+                        name="value"
+                        value={promoFormData.value}
+                        onChange={handlePromoChange}
+                        min="1"
+                        max={promoFormData.type === "percentage" ? "100" : undefined}
+                        className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                        required
+                      />
+                    </div>
+                  </div>
+
+                  <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Minimum Subtotal (PKR)</label>
+                      <input
+                        type="number"
+                        name="minSubtotal"
+                        value={promoFormData.minSubtotal}
+                        onChange={handlePromoChange}
+                        min="0"
+                        placeholder="No minimum"
+                        className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Total Uses Allowed</label>
+                      <input
+                        type="number"
+                        name="usageLimit"
+                        value={promoFormData.usageLimit}
+                        onChange={handlePromoChange}
+                        min="1"
+                        placeholder="Unlimited"
+                        className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Uses per Email</label>
+                      <input
+                        type="number"
+                        name="perEmailLimit"
+                        value={promoFormData.perEmailLimit}
+                        onChange={handlePromoChange}
+                        min="1"
+                        placeholder="Unlimited"
+                        className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Expires</label>
+                      <input
+                        type="datetime-local"
+                        name="expiresAt"
+                        value={promoFormData.expiresAt}
+                        onChange={handlePromoChange}
+                        className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                      />
+                    </div>
                   </div>
 
                   <div>
-                    <h3 className="text-lg sm:text-xl font-bold mt-6 mb-3 text-gray-800 border-b pb-2">📦 Delivered Orders ({orders.filter(o => o.status === "delivered").length})</h3>
-                    {orders.filter(o => o.status === "delivered").length === 0 ? (
-                      <p className="text-gray-500 text-sm sm:text-base">No delivered orders yet.</p>
-                    ) : (
-                      orders
-                        .filter((order) => order.status === "delivered")
-                        .map((order) => (
-                          <div key={order.id} className="border border-green-300 rounded-lg p-4 bg-green-50 shadow-sm mb-4 last:mb-0">
-                            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center">
-                              <div className="mb-2 sm:mb-0">
-                                <p className="font-semibold text-base sm:text-lg text-gray-900">
-                                  Order by: {order.shippingAddress?.fullName || order.user}
-                                </p>
-                                <p className="text-sm text-gray-600">Total: PKR {order.total?.toLocaleString()}</p>
-                                <p className="text-sm text-gray-600">Payment: {order.payment}</p>
+                    <label className="block text-sm sm:text-base font-medium text-gray-700 mb-2">Limit to Categories (leave empty for all):</label>
+                    <div className="flex flex-wrap gap-3">
+                      {[...new Set(products.map((product) => product.category).filter(Boolean))].map((category) => (
+                        <label key={category} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={promoFormData.categories.includes(category)}
+                            onChange={(e) => togglePromoScope("categories", category, e.target.checked)}
+                            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                          />
+                          {category}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm sm:text-base font-medium text-gray-700 mb-2">Limit to Products (leave empty for all):</label>
+                    <div className="max-h-60 overflow-y-auto border border-gray-300 rounded-md p-3 bg-gray-50 space-y-2">
+                      {products.map((product) => (
+                        <label key={product.id} className="flex items-center gap-3 p-2 hover:bg-gray-100 rounded cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={promoFormData.productIds.includes(product.id)}
+                            onChange={(e) => togglePromoScope("productIds", product.id, e.target.checked)}
+                            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                          />
+                          <img src={product.coverImage} alt={product.title} className="w-10 h-10 object-cover rounded" />
+                          <span className="text-sm font-medium text-gray-900">{product.title}</span>
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+
+                  <button
+                    type="submit"
+                    disabled={promoLoading}
+                    className="w-full bg-green-600 hover:bg-green-700 text-white px-4 py-3 rounded-md transition-colors duration-200 text-base sm:text-lg font-medium disabled:bg-green-400 disabled:cursor-not-allowed"
+                  >
+                    {promoLoading ? "Creating Promo Code..." : "Create Promo Code"}
+                  </button>
+                </form>
+
+                {/* Existing Promo Codes List */}
+                <div className="bg-white p-4 sm:p-6 rounded-lg shadow-sm border">
+                  <h3 className="text-lg sm:text-xl font-bold text-gray-800 mb-4">📋 Existing Promo Codes ({promoCodes.length})</h3>
+
+                  {promoCodes.length === 0 ? (
+                    <p className="text-center text-gray-500 text-sm sm:text-base py-4">No promo codes created yet.</p>
+                  ) : (
+                    <div className="space-y-4">
+                      {promoCodes.map((promo) => {
+                        const statusInfo = getPromoStatusText(promo);
+                        const scopedProducts = (promo.productIds || [])
+                          .map((productId) => products.find((p) => p.id === productId)?.title)
+                          .filter(Boolean);
+
+                        return (
+                          <div key={promo.id} className="border border-gray-300 rounded-lg p-4 bg-gray-50">
+                            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-3">
+                              <div>
+                                <h4 className="text-lg font-semibold text-gray-900">
+                                  {promo.id} – {promo.type === "fixed" ? `PKR ${promo.value?.toLocaleString()}` : `${promo.value}%`} OFF
+                                </h4>
+                                <p className={`text-sm font-medium ${statusInfo.color}`}>Status: {statusInfo.text}</p>
                               </div>
-                              <div className="flex items-center gap-3 mt-2 sm:mt-0">
+                              <div className="flex items-center gap-2 mt-2 sm:mt-0">
                                 <button
-                                  className="text-sm text-blue-600 hover:text-blue-800 underline transition-colors duration-200"
-                                  onClick={() => toggleExpand(order.id)}
+                                  onClick={() => togglePromoStatus(promo.id, promo.isActive)}
+                                  className={`px-3 py-1 text-sm rounded-md transition-colors duration-200 ${
+                                    promo.isActive
+                                      ? 'bg-yellow-500 hover:bg-yellow-600 text-white'
+                                      : 'bg-blue-500 hover:bg-blue-600 text-white'
+                                  }`}
                                 >
-                                  {expandedOrders[order.id] ? "Hide Details" : "View Details"}
+                                  {promo.isActive ? 'Disable' : 'Enable'}
                                 </button>
                                 <button
-                                  onClick={() => deleteOrder(order.id)}
+                                  onClick={() => deletePromoCode(promo.id)}
                                   className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 text-sm rounded-md transition-colors duration-200"
                                 >
                                   🗑️ Delete
@@ -1061,126 +1916,796 @@ const OrderDetails = ({ order }) => (
                               </div>
                             </div>
 
-                            {expandedOrders[order.id] && (
-                              <OrderDetails order={order} />
-                            )}
+                            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 text-sm text-gray-700">
+                              <p><strong>Used:</strong> {promo.usedCount || 0}{promo.usageLimit ? ` / ${promo.usageLimit}` : ""}</p>
+                              <p><strong>Per email:</strong> {promo.perEmailLimit || "Unlimited"}</p>
+                              <p><strong>Minimum subtotal:</strong> {promo.minSubtotal ? `PKR ${promo.minSubtotal.toLocaleString()}` : "None"}</p>
+                              <p><strong>Expires:</strong> {promo.expiresAt?.toDate?.().toLocaleString() || "Never"}</p>
+                              <p><strong>Categories:</strong> {promo.categories?.length ? promo.categories.join(", ") : "All"}</p>
+                              <p><strong>Products:</strong> {scopedProducts.length ? scopedProducts.join(", ") : "All"}</p>
+                            </div>
                           </div>
-                        ))
-                    )}
+                        );
+                      })}
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Shipping Settings Section */}
+        {canAccess(role, "shipping") && (
+          <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
+            <button
+              onClick={() => setShowShipping(!showShipping)}
+              className="w-full bg-black text-white px-4 py-3 text-left rounded-md hover:bg-gray-800 transition-colors duration-200 flex items-center justify-between text-base sm:text-lg font-medium"
+            >
+              <span>{showShipping ? "➖ Hide Shipping" : "🚚 Manage Shipping"}</span>
+              <svg className={`w-5 h-5 transition-transform duration-200 ${showShipping ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+
+            {showShipping && (
+              <form onSubmit={handleShippingSubmit} className="mt-4 bg-gray-50 p-4 sm:p-6 rounded-lg shadow-inner space-y-6">
+                {shippingSuccessMsg && (
+                  <p className={`text-center text-sm sm:text-base p-2 rounded ${shippingSuccessMsg.startsWith('✅') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                    {shippingSuccessMsg}
+                  </p>
+                )}
+
+                {shippingFormData.zones.map((zone, index) => (
+                  <div key={zone.id} className="bg-white p-4 sm:p-6 rounded-lg shadow-sm border space-y-4">
+                    <div className="flex items-center justify-between">
+                      <h3 className="text-lg font-bold text-gray-800">{zone.name || "New Zone"}</h3>
+                      <button
+                        type="button"
+                        onClick={() => removeShippingZone(index)}
+                        className="bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700 transition-colors duration-200 text-sm"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Zone Name</label>
+                        <input
+                          type="text"
+                          name="name"
+                          value={zone.name}
+                          onChange={(e) => handleShippingZoneChange(index, e)}
+                          placeholder="e.g., Twin cities"
+                          className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                          required
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Cities (comma separated)</label>
+                        <input
+                          type="text"
+                          name="cities"
+                          value={zone.cities}
+                          onChange={(e) => handleShippingZoneChange(index, e)}
+                          placeholder="e.g., Rawalpindi, Islamabad"
+                          className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                        />
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Rate (PKR)</label>
+                        <input
+                          type="number"
+                          name="rate"
+                          value={zone.rate}
+                          onChange={(e) => handleShippingZoneChange(index, e)}
+                          min="0"
+                          className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Free Shipping Over (PKR)</label>
+                        <input
+                          type="number"
+                          name="freeShippingThreshold"
+                          value={zone.freeShippingThreshold}
+                          onChange={(e) => handleShippingZoneChange(index, e)}
+                          min="0"
+                          placeholder="No free shipping"
+                          className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Min Days</label>
+                        <input
+                          type="number"
+                          name="minDays"
+                          value={zone.minDays}
+                          onChange={(e) => handleShippingZoneChange(index, e)}
+                          min="0"
+                          className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Max Days</label>
+                        <input
+                          type="number"
+                          name="maxDays"
+                          value={zone.maxDays}
+                          onChange={(e) => handleShippingZoneChange(index, e)}
+                          min="0"
+                          className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                        />
+                      </div>
+                    </div>
                   </div>
-                </>
-              )}
-            </div>
-          )}
-        </div>
+                ))}
 
-        {/* Contact Messages Section */}
-        <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
-          <button
-            onClick={() => setShowContacts(!showContacts)}
-            className="w-full bg-black text-white px-4 py-3 text-left rounded-md hover:bg-gray-800 transition-colors duration-200 flex items-center justify-between text-base sm:text-lg font-medium"
-          >
-            <span>{showContacts ? "➖ Hide Contact Messages" : "💌 View Contact Messages"} ({contacts.length})</span>
-            <svg className={`w-5 h-5 transition-transform duration-200 ${showContacts ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
-          </button>
-
-          {showContacts && (
-            <div className="mt-4 bg-gray-50 p-4 sm:p-6 rounded-lg shadow-inner space-y-4">
-              {contacts.length === 0 ? (
-                <p className="text-center text-gray-500 text-sm sm:text-base py-4">No contact messages received yet.</p>
-              ) : (
-                contacts.map((contact) => (
-                  <div key={contact.id} className="border border-pink-200 rounded-lg p-4 bg-pink-50 shadow-sm">
-                    <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center">
-                      <div className="mb-2 sm:mb-0">
-                        <p className="font-semibold text-base sm:text-lg text-gray-900 flex items-center gap-2">
-                          🌸 {contact.name}
-                        </p>
-                        <p className="text-sm text-gray-600">📧 {contact.email}</p>
-                        <p className="text-sm text-gray-600">
-                          🕒 {contact.timestamp?.toDate?.().toLocaleString() || "Unknown"}
-                        </p>
+                <button
+                  type="button"
+                  onClick={addShippingZone}
+                  className="w-full border-2 border-dashed border-gray-300 text-gray-700 py-2 rounded-md hover:border-gray-400 hover:bg-white transition-colors duration-200 text-sm sm:text-base"
+                >
+                  + Add Shipping Zone
+                </button>
+
+                <div className="bg-white p-4 sm:p-6 rounded-lg shadow-sm border space-y-4">
+                  <h3 className="text-lg font-bold text-gray-800">All Other Cities</h3>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Zone Name</label>
+                    <input
+                      type="text"
+                      name="name"
+                      value={shippingFormData.defaultZone.name}
+                      onChange={handleDefaultZoneChange}
+                      placeholder="e.g., Other cities"
+                      className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                      required
+                    />
+                  </div>
+                  <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Rate (PKR)</label>
+                      <input
+                        type="number"
+                        name="rate"
+                        value={shippingFormData.defaultZone.rate}
+                        onChange={handleDefaultZoneChange}
+                        min="0"
+                        className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Free Shipping Over (PKR)</label>
+                      <input
+                        type="number"
+                        name="freeShippingThreshold"
+                        value={shippingFormData.defaultZone.freeShippingThreshold}
+                        onChange={handleDefaultZoneChange}
+                        min="0"
+                        placeholder="No free shipping"
+                        className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Min Days</label>
+                      <input
+                        type="number"
+                        name="minDays"
+                        value={shippingFormData.defaultZone.minDays}
+                        onChange={handleDefaultZoneChange}
+                        min="0"
+                        className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Max Days</label>
+                      <input
+                        type="number"
+                        name="maxDays"
+                        value={shippingFormData.defaultZone.maxDays}
+                        onChange={handleDefaultZoneChange}
+                        min="0"
+                        className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                      />
+                    </div>
+                  </div>
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={shippingLoading}
+                  className="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-3 rounded-md transition-colors duration-200 text-base sm:text-lg font-medium disabled:bg-blue-400 disabled:cursor-not-allowed"
+                >
+                  {shippingLoading ? "Saving..." : "Save Shipping Rates"}
+                </button>
+              </form>
+            )}
+          </div>
+        )}
+
+        {/* Cash on Delivery Settings Section */}
+        {canAccess(role, "cashOnDelivery") && (
+          <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
+            <button
+              onClick={() => setShowCod(!showCod)}
+              className="w-full bg-black text-white px-4 py-3 text-left rounded-md hover:bg-gray-800 transition-colors duration-200 flex items-center justify-between text-base sm:text-lg font-medium"
+            >
+              <span>{showCod ? "➖ Hide Cash on Delivery" : "💵 Manage Cash on Delivery"}</span>
+              <svg className={`w-5 h-5 transition-transform duration-200 ${showCod ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+
+            {showCod && (
+              <form onSubmit={handleCodSubmit} className="mt-4 bg-gray-50 p-4 sm:p-6 rounded-lg shadow-inner space-y-4">
+                {codSuccessMsg && (
+                  <p className={`text-center text-sm sm:text-base p-2 rounded ${codSuccessMsg.startsWith('✅') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                    {codSuccessMsg}
+                  </p>
+                )}
+
+                <label className="flex items-center gap-2 text-sm sm:text-base text-gray-700">
+                  <input
+                    type="checkbox"
+                    name="enabled"
+                    checked={codFormData.enabled}
+                    onChange={handleCodChange}
+                    className="h-4 w-4"
+                  />
+                  Offer Cash on Delivery at checkout
+                </label>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">COD Fee (PKR)</label>
+                    <input
+                      type="number"
+                      name="fee"
+                      value={codFormData.fee}
+                      onChange={handleCodChange}
+                      min="0"
+                      placeholder="No fee"
+                      className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Maximum Order Value (PKR)</label>
+                    <input
+                      type="number"
+                      name="maxOrderValue"
+                      value={codFormData.maxOrderValue}
+                      onChange={handleCodChange}
+                      min="0"
+                      placeholder="No limit"
+                      className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Eligible Cities (comma separated)</label>
+                  <input
+                    type="text"
+                    name="cities"
+                    value={codFormData.cities}
+                    onChange={handleCodChange}
+                    placeholder="Leave empty to allow every city"
+                    className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                  />
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={codLoading}
+                  className="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-3 rounded-md transition-colors duration-200 text-base sm:text-lg font-medium disabled:bg-blue-400 disabled:cursor-not-allowed"
+                >
+                  {codLoading ? "Saving..." : "Save Cash on Delivery Settings"}
+                </button>
+              </form>
+            )}
+          </div>
+        )}
+
+        {/* Product Inventory Section */}
+        {canAccess(role, "inventory") && (
+          <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
+            <button
+              onClick={() => setShowInventory(!showInventory)}
+              className="w-full bg-black text-white px-4 py-3 text-left rounded-md hover:bg-gray-800 transition-colors duration-200 flex items-center justify-between text-base sm:text-lg font-medium"
+            >
+              <span>{showInventory ? "➖ Hide Inventory" : "📦 View Product Inventory"}</span>
+              <svg className={`w-5 h-5 transition-transform duration-200 ${showInventory ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+
+            {showInventory && canAccess(role, "products") && (
+              <div className="mt-4 flex flex-col sm:flex-row sm:items-center gap-3">
+                <button onClick={recalculateProductStats} disabled={statsLoading} className="border border-gray-300 px-4 py-2 text-sm rounded-md hover:bg-gray-100 transition-colors duration-200 disabled:opacity-60">
+                  {statsLoading ? "Recalculating..." : "🔄 Recalculate sorting figures"}
+                </button>
+                <p className="text-xs text-gray-500">
+                  Best selling, top rated and biggest discount sorting use figures kept on each product, and the shop's colour and size filters use a summary of every product. Run this once for products added before these existed.
+                </p>
+              </div>
+            )}
+            {showInventory && statsMsg && (
+              <p className={`mt-2 text-center text-sm sm:text-base p-2 rounded ${statsMsg.startsWith('✅') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                {statsMsg}
+              </p>
+            )}
+
+            {showInventory && (
+              <div className="mt-4 bg-gray-50 p-4 sm:p-6 rounded-lg shadow-inner grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
+                {products.length === 0 ? (
+                  <p className="col-span-full text-center text-gray-500 text-sm sm:text-base py-4">No products found. Add a product to get started!</p>
+                ) : (
+                  products.map((product) => {
+                    // Check if product has any active discount
+                    const activeDiscount = getActiveDiscount(discounts, product.id);
+                    const discountedPrice = activeDiscount ? getDiscountedPrice(product.price, activeDiscount) : null;
+
+                    return (
+                      <div key={product.id} className={`flex flex-col sm:flex-row gap-4 border border-gray-200 p-4 rounded-md shadow-sm ${product.available === false ? 'bg-gray-100 opacity-80' : 'bg-white'} ${activeDiscount ? 'ring-2 ring-green-300' : ''}`}>
+                        <div className="relative">
+                          <img src={product.coverImage} className="w-24 h-24 object-contain rounded-md flex-shrink-0 mx-auto sm:mx-0" alt={product.title} />
+                          {activeDiscount && (
+                            <div className="absolute -top-2 -right-2 bg-red-500 text-white text-xs font-bold px-2 py-1 rounded-full">
+                              -{activeDiscount.discountPercentage}%
+                            </div>
+                          )}
+                        </div>
+                        <div className="flex-1 text-center sm:text-left">
+                          <h3 className="font-semibold text-base sm:text-lg text-gray-900 mb-1">{product.title}</h3>
+                          <div className="text-sm text-gray-700">
+                            {activeDiscount ? (
+                              <div>
+                                <span className="line-through text-red-500">PKR {product.price?.toLocaleString()}</span>
+                                <span className="ml-2 font-bold text-green-600">PKR {discountedPrice?.toLocaleString()}</span>
+                                <p className="text-xs text-green-600 font-medium">{activeDiscount.description || 'On Sale'}</p>
+                              </div>
+                            ) : (
+                              <p>Price: PKR {product.price?.toLocaleString()}</p>
+                            )}
+                          </div>
+                          <p className="text-sm text-gray-700">Category: {product.category}</p>
+                          <p className="text-sm text-gray-700">Top Product: {product.isTopProduct ? "Yes" : "No"}</p>
+                          {product.variations && product.variations.length > 0 && (
+                            <p className="text-sm text-gray-700">Colors: {product.variations.join(', ')}</p>
+                          )}
+                          {product.sizes && product.sizes.length > 0 && (
+                            <p className="text-sm text-gray-700">Sizes: {product.sizes.join(', ')}</p>
+                          )}
+                          <p className="text-sm mt-1">Status: <span className={`font-medium ${product.available === false ? 'text-red-600' : 'text-green-600'}`}>
+                            {product.available === false ? 'Out of Stock' : 'Available'}
+                          </span></p>
+                          {hasStockTracking(product) ? (
+                            <>
+                              <p className="text-sm text-gray-700">Stock: {getTotalStock(product)} unit(s)</p>
+                              {getVariantCombinations(product.variations, product.sizes)
+                                .filter(({ variation, size }) => getVariantStock(product, variation, size) === 0)
+                                .map(({ variation, size }) => [variation, size].filter(Boolean).join(" / "))
+                                .filter(Boolean)
+                                .map((label) => (
+                                  <p key={label} className="text-xs text-red-600">Sold out: {label}</p>
+                                ))}
+                            </>
+                          ) : (
+                            <p className="text-xs text-orange-600">Stock not tracked yet – edit to set quantities</p>
+                          )}
+                          {stockAlertCounts[product.id] > 0 && (
+                            <p className="text-xs text-blue-600 mt-1">
+                              🔔 {stockAlertCounts[product.id]} customer(s) waiting – they'll be notified when it's restocked
+                            </p>
+                          )}
+                          {canAccess(role, "products") && (
+                            <div className="mt-3 flex justify-center sm:justify-start gap-2">
+                              <button onClick={() => handleEdit(product)} className="bg-yellow-500 hover:bg-yellow-600 text-white px-3 py-1 text-xs sm:text-sm rounded-md transition-colors duration-200">Edit</button>
+                              <button onClick={() => handleDelete(product.id)} className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 text-xs sm:text-sm rounded-md transition-colors duration-200">Delete</button>
+                            </div>
+                          )}
+                        </div>
                       </div>
-                      <div className="flex items-center gap-3 mt-2 sm:mt-0">
-                        <button
-                          className="text-sm text-blue-600 hover:text-blue-800 underline transition-colors duration-200"
-                          onClick={() => toggleContactExpand(contact.id)}
-                        >
-                          {expandedContacts[contact.id] ? "Hide Message" : "View Message"}
-                        </button>
-                        <a
-                          href={`mailto:${contact.email}?subject=Re: Your message&body=Hi ${contact.name},%0D%0A%0D%0AThank you for your message...`}
-                          className="bg-pink-500 hover:bg-pink-600 text-white px-3 py-1 text-sm rounded-md transition-colors duration-200"
-                        >
-                          📧 Reply
-                        </a>
+                    );
+                  })
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Orders Section */}
+        {canAccess(role, "orders") && (
+          <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
+            <button
+              onClick={() => setShowOrders(!showOrders)}
+              className="w-full bg-black text-white px-4 py-3 text-left rounded-md hover:bg-gray-800 transition-colors duration-200 flex items-center justify-between text-base sm:text-lg font-medium"
+            >
+              <span>{showOrders ? "➖ Hide Orders" : "🧾 View Customer Orders"}</span>
+              <svg className={`w-5 h-5 transition-transform duration-200 ${showOrders ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+
+            {showOrders && (
+              <div className="mt-4 bg-gray-50 p-4 sm:p-6 rounded-lg shadow-inner space-y-6">
+                {orders.length === 0 ? (
+                  <p className="text-center text-gray-500 text-sm sm:text-base py-4">No orders received yet.</p>
+                ) : (
+                  <>
+                    <div className="flex flex-wrap gap-2">
+                      {Object.values(ORDER_STATUS).map((status) => (
                         <button
-                          onClick={() => deleteContact(contact.id)}
-                          className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 text-sm rounded-md transition-colors duration-200"
+                          key={status}
+                          onClick={() => setOrderStatusFilter(status)}
+                          className={`px-3 py-1 text-sm rounded-full border transition-colors duration-200 ${orderStatusFilter === status ? 'bg-black text-white border-black' : 'bg-white text-gray-700 border-gray-300 hover:border-black'}`}
                         >
-                          🗑️ Delete
+                          {formatOrderStatus(status)} ({orders.filter(o => getOrderStatus(o) === status).length})
                         </button>
-                      </div>
+                      ))}
                     </div>
 
-                    {expandedContacts[contact.id] && (
-                      <ContactDetails contact={contact} />
-                    )}
-                  </div>
-                ))
-              )}
-            </div>
-          )}
-        </div>
+                    <div>
+                      <h3 className="text-lg sm:text-xl font-bold mb-3 text-gray-800 border-b pb-2">{formatOrderStatus(orderStatusFilter)} Orders</h3>
+                      {orders.filter(o => getOrderStatus(o) === orderStatusFilter).length === 0 ? (
+                        <p className="text-gray-500 text-sm sm:text-base">No {formatOrderStatus(orderStatusFilter).toLowerCase()} orders.</p>
+                      ) : (
+                        orders
+                          .filter((order) => getOrderStatus(order) === orderStatusFilter)
+                          .map((order) => {
+                            const status = getOrderStatus(order);
+                            const nextStatuses = canAccess(role, "updateOrders") ? getNextStatuses(status) : [];
+                            return (
+                              <div key={order.id} className={`border rounded-lg p-4 shadow-sm mb-4 last:mb-0 ${status === ORDER_STATUS.DELIVERED ? 'border-green-300 bg-green-50' : CLOSED_STATUSES.includes(status) ? 'border-gray-300 bg-gray-50' : 'border-gray-200 bg-white'}`}>
+                                <div className="flex flex-col lg:flex-row justify-between items-start lg:items-center">
+                                  <div className="mb-2 lg:mb-0">
+                                    <p className="font-semibold text-base sm:text-lg text-gray-900">
+                                      Order by: {order.shippingAddress?.fullName || order.customerEmail}
+                                    </p>
+                                    <p className="text-sm text-gray-600">Total: PKR {order.total?.toLocaleString()}</p>
+                                    <p className="text-sm text-gray-600">Payment: {order.payment}</p>
+                                    {CLOSED_STATUSES.includes(status) && (
+                                      <p className="text-sm text-gray-600">Stock returned: {order.stockRestored ? "Yes" : "No"}</p>
+                                    )}
+                                  </div>
+                                  <div className="flex flex-wrap items-center gap-3 mt-2 lg:mt-0">
+                                    <button
+                                      className="text-sm text-blue-600 hover:text-blue-800 underline transition-colors duration-200"
+                                      onClick={() => toggleExpand(order.id)}
+                                    >
+                                      {expandedOrders[order.id] ? "Hide Details" : "View Details"}
+                                    </button>
+                                    {nextStatuses.includes(ORDER_STATUS.SHIPPED) && (
+                                      <>
+                                        <input
+                                          type="text"
+                                          name="courier"
+                                          value={shipmentForms[order.id]?.courier || ""}
+                                          onChange={(e) => handleShipmentChange(order.id, e)}
+                                          placeholder="Courier"
+                                          className="border border-gray-300 p-1.5 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm"
+                                        />
+                                        <input
+                                          type="text"
+                                          name="trackingNumber"
+                                          value={shipmentForms[order.id]?.trackingNumber || ""}
+                                          onChange={(e) => handleShipmentChange(order.id, e)}
+                                          placeholder="Tracking number"
+                                          className="border border-gray-300 p-1.5 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm"
+                                        />
+                                      </>
+                                    )}
+                                    {nextStatuses.map((nextStatus) => (
+                                      <button
+                                        key={nextStatus}
+                                        onClick={() => changeOrderStatus(order.id, nextStatus)}
+                                        className={`${STATUS_ACTIONS[nextStatus].className} text-white px-3 py-1 text-sm rounded-md transition-colors duration-200`}
+                                      >
+                                        {STATUS_ACTIONS[nextStatus].label}
+                                      </button>
+                                    ))}
+                                    {canAccess(role, "updateOrders") && order.payment === CASH_ON_DELIVERY && order.paymentStatus === PAYMENT_STATUS.PENDING && (
+                                      <button
+                                        onClick={() => markPaymentCollected(order.id)}
+                                        className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 text-sm rounded-md transition-colors duration-200"
+                                      >
+                                        💵 Mark Collected
+                                      </button>
+                                    )}
+                                    {canAccess(role, "deleteOrders") && (
+                                      <button
+                                        onClick={() => deleteOrder(order.id)}
+                                        className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 text-sm rounded-md transition-colors duration-200"
+                                      >
+                                        🗑️ Delete
+                                      </button>
+                                    )}
+                                  </div>
+                                </div>
 
-        {/* Sales Overview Cards */}
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 sm:gap-6 text-center bg-white p-4 sm:p-6 rounded-lg shadow-md">
-          <div className="p-3 sm:p-4 bg-gray-50 rounded-md">
-            <p className="text-base sm:text-lg font-semibold text-gray-700">📅 Daily Sales</p>
-            <p className="text-xl sm:text-2xl text-green-600 font-bold mt-1">PKR {totalSales.day.toLocaleString()}</p>
+                                {expandedOrders[order.id] && (
+                                  <OrderDetails order={order} />
+                                )}
+                              </div>
+                            );
+                          })
+                      )}
+                    </div>
+                  </>
+                )}
+              </div>
+            )}
           </div>
-          <div className="p-3 sm:p-4 bg-gray-50 rounded-md">
-            <p className="text-base sm:text-lg font-semibold text-gray-700">🗓️ Monthly Sales</p>
-            <p className="text-xl sm:text-2xl text-blue-600 font-bold mt-1">PKR {totalSales.month.toLocaleString()}</p>
+        )}
+
+        {/* Contact Messages Section */}
+        {canAccess(role, "contacts") && (
+          <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
+            <button
+              onClick={() => setShowContacts(!showContacts)}
+              className="w-full bg-black text-white px-4 py-3 text-left rounded-md hover:bg-gray-800 transition-colors duration-200 flex items-center justify-between text-base sm:text-lg font-medium"
+            >
+              <span>{showContacts ? "➖ Hide Contact Messages" : "💌 View Contact Messages"} ({contacts.length})</span>
+              <svg className={`w-5 h-5 transition-transform duration-200 ${showContacts ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+
+            {showContacts && (
+              <div className="mt-4 bg-gray-50 p-4 sm:p-6 rounded-lg shadow-inner space-y-4">
+                {contacts.length === 0 ? (
+                  <p className="text-center text-gray-500 text-sm sm:text-base py-4">No contact messages received yet.</p>
+                ) : (
+                  contacts.map((contact) => (
+                    <div key={contact.id} className="border border-pink-200 rounded-lg p-4 bg-pink-50 shadow-sm">
+                      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center">
+                        <div className="mb-2 sm:mb-0">
+                          <p className="font-semibold text-base sm:text-lg text-gray-900 flex items-center gap-2">
+                            🌸 {contact.name}
+                          </p>
+                          <p className="text-sm text-gray-600">📧 {contact.email}</p>
+                          <p className="text-sm text-gray-600">
+                            🕒 {contact.timestamp?.toDate?.().toLocaleString() || "Unknown"}
+                          </p>
+                        </div>
+                        <div className="flex items-center gap-3 mt-2 sm:mt-0">
+                          <button
+                            className="text-sm text-blue-600 hover:text-blue-800 underline transition-colors duration-200"
+                            onClick={() => toggleContactExpand(contact.id)}
+                          >
+                            {expandedContacts[contact.id] ? "Hide Message" : "View Message"}
+                          </button>
+                          <a
+                            href={`mailto:${contact.email}?subject=Re: Your message&body=Hi ${contact.name},%0D%0A%0D%0AThank you for your message...`}
+                            className="bg-pink-500 hover:bg-pink-600 text-white px-3 py-1 text-sm rounded-md transition-colors duration-200"
+                          >
+                            📧 Reply
+                          </a>
+                          <button
+                            onClick={() => deleteContact(contact.id)}
+                            className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 text-sm rounded-md transition-colors duration-200"
+                          >
+                            🗑️ Delete
+                          </button>
+                        </div>
+                      </div>
+
+                      {expandedContacts[contact.id] && (
+                        <ContactDetails contact={contact} />
+                      )}
+                    </div>
+                  ))
+                )}
+              </div>
+            )}
           </div>
-          <div className="p-3 sm:p-4 bg-gray-50 rounded-md">
-            <p className="text-base sm:text-lg font-semibold text-gray-700">📆 Yearly Sales</p>
-            <p className="text-xl sm:text-2xl text-purple-600 font-bold mt-1">PKR {totalSales.year.toLocaleString()}</p>
+        )}
+
+        {/* Review Moderation Section */}
+        {canAccess(role, "reviews") && (
+          <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
+            <button
+              onClick={() => setShowReviews(!showReviews)}
+              className="w-full bg-black text-white px-4 py-3 text-left rounded-md hover:bg-gray-800 transition-colors duration-200 flex items-center justify-between text-base sm:text-lg font-medium"
+            >
+              <span>{showReviews ? "➖ Hide Reviews" : "⭐ Moderate Reviews"} ({pendingReviews.length})</span>
+              <svg className={`w-5 h-5 transition-transform duration-200 ${showReviews ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+
+            {showReviews && (
+              <div className="mt-4 bg-gray-50 p-4 sm:p-6 rounded-lg shadow-inner space-y-4">
+                {reviewSuccessMsg && (
+                  <p className={`text-center text-sm font-medium p-2 rounded-md ${reviewSuccessMsg.startsWith("✅") ? "bg-green-100 text-green-700" : "bg-red-100 text-red-700"}`}>
+                    {reviewSuccessMsg}
+                  </p>
+                )}
+                {pendingReviews.length === 0 ? (
+                  <p className="text-center text-gray-500 text-sm sm:text-base py-4">No reviews waiting for approval.</p>
+                ) : (
+                  pendingReviews.map((review) => {
+                    const product = products.find((p) => p.id === review.productId);
+                    return (
+                      <div key={review.id} className="border border-gray-200 rounded-lg p-4 bg-white shadow-sm">
+                        <div className="flex flex-col sm:flex-row justify-between items-start gap-3">
+                          <div>
+                            <p className="font-semibold text-base text-gray-900">{product?.title || review.productId}</p>
+                            <StarRating value={review.rating} />
+                            <p className="text-sm text-gray-600">
+                              {review.authorName} · Order {review.orderId} · {review.createdAt?.toDate?.().toLocaleString() || "Just now"}
+                            </p>
+                          </div>
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => handleModerateReview(review, REVIEW_STATUS.APPROVED)}
+                              className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 text-sm rounded-md transition-colors duration-200"
+                            >
+                              Approve
+                            </button>
+                            <button
+                              onClick={() => handleModerateReview(review, REVIEW_STATUS.REJECTED)}
+                              className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 text-sm rounded-md transition-colors duration-200"
+                            >
+                              Reject
+                            </button>
+                          </div>
+                        </div>
+                        {review.text && <p className="text-sm text-gray-700 mt-3 whitespace-pre-line">{review.text}</p>}
+                        <ReviewPhotos paths={review.photoPaths} />
+                      </div>
+                    );
+                  })
+                )}
+              </div>
+            )}
           </div>
-        </div>
-
-        {/* Monthly Sales Chart */}
-        <div className="bg-white p-4 sm:p-6 mt-4 sm:mt-6 rounded-lg shadow-md">
-          <h2 className="text-lg sm:text-xl font-bold mb-4 text-gray-800">📊 Monthly Sales Overview</h2>
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={salesByMonth}>
-              <XAxis dataKey="month" tick={{ fontSize: 12 }} />
-              <YAxis tickFormatter={(value) => `PKR ${value.toLocaleString()}`} />
-              <Tooltip formatter={(value) => [`PKR ${value.toLocaleString()}`, 'Sales']} />
-              <Bar dataKey="total" fill="#3b82f6" />
-            </BarChart>
-          </ResponsiveContainer>
-        </div>
-
-        <div className="bg-white p-4 sm:p-6 mt-4 sm:mt-6 rounded-lg shadow-md">
-          <h2 className="text-lg sm:text-xl font-bold mb-4 text-gray-800">📈 Top Selling Products (By Sales)</h2>
-          <ResponsiveContainer width="100%" height={300}>
-            {productSales.length > 0 ? (
-              <BarChart data={productSales.slice(0, 10)}>
-                <XAxis dataKey="title" tick={{ fontSize: 10 }} interval={0} angle={-30} textAnchor="end" height={60} />
-                <YAxis tickFormatter={(value) => `PKR ${value.toLocaleString()}`} />
-                <Tooltip formatter={(value) => [`PKR ${value.toLocaleString()}`, 'Sales']} />
-                <Bar dataKey="totalSales" fill="#10b981" />
-              </BarChart>
-            ) : (
-              <p className="text-center text-gray-500 py-10">No product sales data available yet.</p>
+        )}
+
+        {/* Staff Access Section */}
+        {canAccess(role, "staff") && (
+          <div className="bg-white p-4 sm:p-6 rounded-lg shadow-md">
+            <button
+              onClick={() => setShowStaff(!showStaff)}
+              className="w-full bg-black text-white px-4 py-3 text-left rounded-md hover:bg-gray-800 transition-colors duration-200 flex items-center justify-between text-base sm:text-lg font-medium"
+            >
+              <span>{showStaff ? "➖ Hide Staff" : "👥 Manage Staff Access"}</span>
+              <svg className={`w-5 h-5 transition-transform duration-200 ${showStaff ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+
+            {showStaff && (
+              <div className="mt-4 bg-gray-50 p-4 sm:p-6 rounded-lg shadow-inner space-y-6">
+                <form onSubmit={handleStaffSubmit} className="bg-white p-4 sm:p-6 rounded-lg shadow-sm border space-y-4">
+                  <h3 className="text-lg sm:text-xl font-bold text-gray-800 mb-4">👥 Invite Staff Member</h3>
+
+                  {staffSuccessMsg && (
+                    <p className={`text-center text-sm sm:text-base p-2 rounded ${staffSuccessMsg.startsWith('✅') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                      {staffSuccessMsg}
+                    </p>
+                  )}
+
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                      <input
+                        type="email"
+                        name="email"
+                        value={staffFormData.email}
+                        onChange={handleStaffChange}
+                        placeholder="They sign in with this email"
+                        className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+                      <select
+                        name="role"
+                        value={staffFormData.role}
+                        onChange={handleStaffChange}
+                        className="w-full border border-gray-300 p-2 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
+                      >
+                        {Object.values(ROLES).map((staffRole) => (
+                          <option key={staffRole} value={staffRole}>{ROLE_LABELS[staffRole]}</option>
+                        ))}
+                      </select>
+                      <p className="mt-1 text-xs text-gray-500">{ROLE_DESCRIPTIONS[staffFormData.role]}</p>
+                    </div>
+                  </div>
+
+                  <button
+                    type="submit"
+                    disabled={staffLoading}
+                    className="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-3 rounded-md transition-colors duration-200 text-base sm:text-lg font-medium disabled:bg-blue-400 disabled:cursor-not-allowed"
+                  >
+                    {staffLoading ? "Inviting..." : "Invite Staff Member"}
+                  </button>
+                </form>
+
+                <div className="space-y-3">
+                  {staffMembers.map((member) => (
+                    <div key={member.id} className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 border border-gray-200 p-4 rounded-md bg-white shadow-sm">
+                      <div>
+                        <p className="font-semibold text-gray-900 break-all">{member.id}</p>
+                        <p className="text-xs text-gray-500">
+                          Invited by {member.invitedBy || "the console"}
+                          {member.createdAt?.toDate && ` on ${member.createdAt.toDate().toLocaleDateString()}`}
+                        </p>
+                      </div>
+                      {isCurrentUser(member.id) ? (
+                        <span className="text-sm text-gray-600">{ROLE_LABELS[member.role] || member.role} (you)</span>
+                      ) : (
+                        <div className="flex items-center gap-2">
+                          <select
+                            value={member.role}
+                            onChange={(e) => changeStaffRole(member.id, e.target.value)}
+                            className="border border-gray-300 p-1.5 rounded-md focus:ring-blue-500 focus:border-blue-500 text-sm"
+                          >
+                            {Object.values(ROLES).map((staffRole) => (
+                              <option key={staffRole} value={staffRole}>{ROLE_LABELS[staffRole]}</option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={() => revokeStaff(member.id)}
+                            className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 text-sm rounded-md transition-colors duration-200"
+                          >
+                            Revoke
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
             )}
-          </ResponsiveContainer>
-        </div>
+          </div>
+        )}
+
+        {/* Sales Overview Cards */}
+        {canAccess(role, "sales") && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 sm:gap-6 text-center bg-white p-4 sm:p-6 rounded-lg shadow-md">
+              <div className="p-3 sm:p-4 bg-gray-50 rounded-md">
+                <p className="text-base sm:text-lg font-semibold text-gray-700">📅 Daily Sales</p>
+                <p className="text-xl sm:text-2xl text-green-600 font-bold mt-1">PKR {totalSales.day.toLocaleString()}</p>
+              </div>
+              <div className="p-3 sm:p-4 bg-gray-50 rounded-md">
+                <p className="text-base sm:text-lg font-semibold text-gray-700">🗓️ Monthly Sales</p>
+                <p className="text-xl sm:text-2xl text-blue-600 font-bold mt-1">PKR {totalSales.month.toLocaleString()}</p>
+              </div>
+              <div className="p-3 sm:p-4 bg-gray-50 rounded-md">
+                <p className="text-base sm:text-lg font-semibold text-gray-700">📆 Yearly Sales</p>
+                <p className="text-xl sm:text-2xl text-purple-600 font-bold mt-1">PKR {totalSales.year.toLocaleString()}</p>
+              </div>
+            </div>
+
+            {/* Monthly Sales Chart */}
+            <div className="bg-white p-4 sm:p-6 mt-4 sm:mt-6 rounded-lg shadow-md">
+              <h2 className="text-lg sm:text-xl font-bold mb-4 text-gray-800">📊 Monthly Sales Overview</h2>
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={salesByMonth}>
+                  <XAxis dataKey="month" tick={{ fontSize: 12 }} />
+                  <YAxis tickFormatter={(value) => `PKR ${value.toLocaleString()}`} />
+                  <Tooltip formatter={(value) => [`PKR ${value.toLocaleString()}`, 'Sales']} />
+                  <Bar dataKey="total" fill="#3b82f6" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="bg-white p-4 sm:p-6 mt-4 sm:mt-6 rounded-lg shadow-md">
+              <h2 className="text-lg sm:text-xl font-bold mb-4 text-gray-800">📈 Top Selling Products (By Sales)</h2>
+              <ResponsiveContainer width="100%" height={300}>
+                {productSales.length > 0 ? (
+                  <BarChart data={productSales.slice(0, 10)}>
+                    <XAxis dataKey="title" tick={{ fontSize: 10 }} interval={0} angle={-30} textAnchor="end" height={60} />
+                    <YAxis tickFormatter={(value) => `PKR ${value.toLocaleString()}`} />
+                    <Tooltip formatter={(value) => [`PKR ${value.toLocaleString()}`, 'Sales']} />
+                    <Bar dataKey="totalSales" fill="#10b981" />
+                  </BarChart>
+                ) : (
+                  <p className="text-center text-gray-500 py-10">No product sales data available yet.</p>
+                )}
+              </ResponsiveContainer>
+            </div>
+          </>
+        )}
       </div>
 
       {/* Image Viewer Modal */}
-      <ImageViewer imageUrl={viewingImage} onClose={() => setViewingImage(null)} />
+      {viewingImage && (
+        <ImageViewer key={viewingImage.orderId} image={viewingImage} onClose={() => setViewingImage(null)} />
+      )}
     </>
   );
 }
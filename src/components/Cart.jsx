@@ -1,90 +1,10 @@
-import React, { useEffect, useState } from 'react';
+import React from 'react';
 import { FaTrashAlt } from 'react-icons/fa';
 import { Link } from 'react-router-dom';
+import { useCart } from '../cart';
 
 const Cart = ({ isOpen, onClose }) => {
-  const [cartItems, setCartItems] = useState([]);
-
-  // Load cart items from storage
-  useEffect(() => {
-    if (!isOpen) return;
-
-    const loadCartFromStorage = () => {
-      try {
-        // Use the same key as checkout page
-        const storedCart = localStorage.getItem('cartItems') || sessionStorage.getItem('cartItems');
-        if (storedCart) {
-          const parsedCart = JSON.parse(storedCart);
-          setCartItems(parsedCart);
-        } else {
-          setCartItems([]);
-        }
-      } catch (error) {
-        console.error('Error loading cart from storage:', error);
-        setCartItems([]);
-      }
-    };
-
-    loadCartFromStorage();
-
-    // Listen for storage changes (cart updates from other tabs or checkout)
-    const handleStorageChange = (e) => {
-      if (e.key === 'cartItems') {
-        try {
-          if (e.newValue) {
-            const updatedCart = JSON.parse(e.newValue);
-            setCartItems(updatedCart);
-          } else {
-            // Cart was cleared
-            setCartItems([]);
-          }
-        } catch (error) {
-          console.error('Error parsing updated cart:', error);
-          setCartItems([]);
-        }
-      }
-    };
-
-    window.addEventListener('storage', handleStorageChange);
-    return () => window.removeEventListener('storage', handleStorageChange);
-  }, [isOpen]);
-
-  // Save cart to storage
-  const saveCartToStorage = (updatedCart) => {
-    try {
-      const cartData = JSON.stringify(updatedCart);
-      localStorage.setItem('cartItems', cartData);
-      // Also save to sessionStorage as backup
-      sessionStorage.setItem('cartItems', cartData);
-    } catch (error) {
-      console.error('Error saving cart to storage:', error);
-    }
-  };
-
-  // Remove item from cart
-  const removeItem = (index) => {
-    const updatedCart = cartItems.filter((_, i) => i !== index);
-    setCartItems(updatedCart);
-    saveCartToStorage(updatedCart);
-  };
-
-  // Update quantity of item
-  const updateQuantity = (index, newQuantity) => {
-    if (newQuantity < 1) return;
-
-    const updatedCart = [...cartItems];
-    updatedCart[index] = {
-      ...updatedCart[index],
-      quantity: newQuantity
-    };
-    setCartItems(updatedCart);
-    saveCartToStorage(updatedCart);
-  };
-
-  const total = cartItems.reduce(
-    (acc, item) => acc + (item.price || 0) * (item.quantity || 1),
-    0
-  );
+  const { items: cartItems, subtotal: total, removeItem, updateQuantity } = useCart();
 
   return (
     <div
@@ -131,13 +51,13 @@ const Cart = ({ isOpen, onClose }) => {
                   
                   <div className="flex items-center gap-2 mt-2">
                     <button
-                      onClick={() => updateQuantity(index, item.quantity - 1)}
+                      onClick={() => updateQuantity(item.id, item.quantity - 1)}
                       disabled={item.quantity <= 1}
                       className="px-2 py-1 border rounded disabled:opacity-50 hover:bg-gray-100 disabled:hover:bg-transparent"
                     >−</button>
                     <span className="text-sm min-w-[20px] text-center">{item.quantity}</span>
                     <button
-                      onClick={() => updateQuantity(index, item.quantity + 1)}
+                      onClick={() => updateQuantity(item.id, item.quantity + 1)}
                       className="px-2 py-1 border rounded hover:bg-gray-100"
                     >+</button>
                   </div>
@@ -146,7 +66,7 @@ const Cart = ({ isOpen, onClose }) => {
                   </p>
                 </div>
                 <button
-                  onClick={() => removeItem(index)}
+                  onClick={() => removeItem(item.id)}
                   className="text-red-500 hover:text-red-700 transition p-1"
                   title="Remove item"
                 >
@@ -1,227 +1,42 @@
-import React, { useEffect, useState } from 'react';
-import {
-  doc,
-  collection,
-  query,
-  where,
-  onSnapshot,
-  deleteDoc,
-  addDoc
-} from 'firebase/firestore';
-import { db } from '../firebase';
+import React from 'react';
+import { CHECKOUT_SOURCES, PAYMENT_METHODS, useCheckout } from '../checkout';
+import { CASH_ON_DELIVERY } from '../cashOnDelivery';
 import Header from './Header';
 import { useNavigate } from 'react-router-dom';
 
-const CheckoutPage = () => {
+// Checkout for the cart or a single Buy Now item, picked by `source`
+const Checkout = ({ source = 'cart' }) => {
   const navigate = useNavigate();
-
-  const [cartItems, setCartItems] = useState([]);
-  const [form, setForm] = useState({
-    email: '',
-    fullName: '',
-    phone: '',
-    address: '',
-    city: '',
-    postalCode: '',
-    region: '',
-    country: '',
-    shippingMethod: 'Standard Delivery',
-    paymentMethod: 'EasyPaisa',
-    promoCode: '',
-    notes: '',
-  });
-  const [loading, setLoading] = useState(false);
-  const [errors, setErrors] = useState({});
-  const [bankTransferProofBase64, setBankTransferProofBase64] = useState(null);
-  const [convertingImage, setConvertingImage] = useState(false);
-
-  // Load cart items from localStorage or session storage
-  useEffect(() => {
-    const loadCartFromStorage = () => {
-      try {
-        // Try to get cart from localStorage first, then sessionStorage
-        const savedCart = localStorage.getItem('cartItems') || sessionStorage.getItem('cartItems');
-        if (savedCart) {
-          const parsedCart = JSON.parse(savedCart);
-          setCartItems(parsedCart);
-        }
-      } catch (error) {
-        console.error('Error loading cart from storage:', error);
-        setCartItems([]);
-      }
-    };
-
-    loadCartFromStorage();
-
-    // Listen for storage changes (if cart is updated in another tab)
-    const handleStorageChange = (e) => {
-      if (e.key === 'cartItems' && e.newValue) {
-        try {
-          const updatedCart = JSON.parse(e.newValue);
-          setCartItems(updatedCart);
-        } catch (error) {
-          console.error('Error parsing updated cart:', error);
-        }
-      }
-    };
-
-    window.addEventListener('storage', handleStorageChange);
-    return () => window.removeEventListener('storage', handleStorageChange);
-  }, []);
-
-  // Function to calculate shipping cost based on city
-  const getShippingCost = () => {
-    if (!form.city) return 320; // Default to higher cost if no city selected
-    
-    const city = form.city.toLowerCase().trim();
-    const twinCities = ['rawalpindi', 'islamabad'];
-    
-    if (twinCities.includes(city)) {
-      return 300;
-    }
-    return 320;
-  };
-
-  const subtotal = cartItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
-  const shippingCost = getShippingCost();
-  const total = subtotal + shippingCost;
-
-  const handleChange = (e) => {
-    const { name, value, type, checked } = e.target;
-    setForm(prev => ({
-      ...prev,
-      [name]: type === 'checkbox' ? checked : value
-    }));
-    if (errors[name]) {
-      setErrors(prev => ({ ...prev, [name]: '' }));
-    }
-    // Clear the Base64 string if payment method changes from EasyPaisa
-    if (name === 'paymentMethod' && value !== 'EasyPaisa') {
-      setBankTransferProofBase64(null);
-    }
-  };
-
-  const handleFileChange = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      setConvertingImage(true);
-      setErrors(prev => ({ ...prev, bankTransferProof: '' }));
-
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        setBankTransferProofBase64(reader.result);
-        setConvertingImage(false);
-      };
-      reader.onerror = (error) => {
-        console.error("Error converting file to Base64:", error);
-        setBankTransferProofBase64(null);
-        setConvertingImage(false);
-        setErrors(prev => ({ ...prev, bankTransferProof: 'Failed to read image file.' }));
-      };
-      reader.readAsDataURL(file);
-    } else {
-      setBankTransferProofBase64(null);
-    }
-  };
-
-  const validateForm = () => {
-    const newErrors = {};
-    const requiredFields = [ 'fullName', 'phone', 'address', 'city', 'country'];
-    requiredFields.forEach(field => {
-      if (!form[field]) {
-        newErrors[field] = 'This field is required';
-      }
-    });
-
-    // Email validation
-    if (form.email && !/\S+@\S+\.\S+/.test(form.email)) {
-      newErrors.email = 'Please enter a valid email address';
-    }
-
-    if (form.paymentMethod === 'EasyPaisa' && !bankTransferProofBase64) {
-      newErrors.bankTransferProof = 'Please upload a screenshot of your EasyPaisa transfer.';
-    }
-
-    setErrors(newErrors);
-    return Object.keys(newErrors).length === 0;
+  const labels = CHECKOUT_SOURCES[source];
+
+  const {
+    items: cartItems,
+    subtotal,
+    form,
+    errors,
+    loading,
+    pricesLoading,
+    paymentProof,
+    compressingImage,
+    stockShortages,
+    promo: { validPromo, checkingPromo, promoError, discount, applyPromoCode },
+    shippingQuote,
+    shippingCost,
+    codQuote,
+    codFee,
+    total,
+    handleChange,
+    handleFileChange,
+    placeOrder,
+    account,
+  } = useCheckout(source);
+
+  const handlePlaceOrder = async () => {
+    const orderId = await placeOrder();
+    if (orderId) navigate('/thanks');
   };
 
-  const clearCart = () => {
-    // Clear cart from both storage options
-    localStorage.removeItem('cartItems');
-    sessionStorage.removeItem('cartItems');
-    setCartItems([]);
-  };
-
-  const placeOrder = async () => {
-    if (!validateForm()) return;
-
-    setLoading(true);
-
-    // Generate a unique order ID for guest checkout
-    const orderId = 'ORDER_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-
-    const order = {
-      orderId,
-      customerType: 'guest', // Mark as guest order
-      customerEmail: form.email,
-      items: cartItems.map(item => ({
-        productId: item.productId || item.id,
-        title: item.title,
-        quantity: item.quantity,
-        price: item.price,
-        image: item.image,
-        // Store variation details
-        variation: item.variation || null,
-        type: item.type || null,
-        size: item.size || null,
-        lining: item.lining || false,
-      })),
-      shipping: form.shippingMethod,
-      payment: form.paymentMethod,
-      shippingAddress: {
-        fullName: form.fullName,
-        phone: form.phone,
-        address: form.address,
-        city: form.city,
-        postalCode: form.postalCode,
-        region: form.region,
-        country: form.country,
-      },
-      promoCode: form.promoCode,
-      notes: form.notes,
-      subtotal,
-      shippingCost,
-      total,
-      createdAt: new Date(),
-      status: 'processing',
-      bankTransferProofBase64: form.paymentMethod === 'EasyPaisa' ? bankTransferProofBase64 : null,
-    };
-
-    try {
-      await addDoc(collection(db, 'orders'), order);
-
-      // Clear the cart after successful order
-      clearCart();
-
-      // Store order ID for confirmation page
-      sessionStorage.setItem('lastOrderId', orderId);
-      sessionStorage.setItem('lastOrderEmail', form.email);
-
-      navigate('/thanks');
-    } catch (err) {
-      console.error("Error placing order:", err);
-      if (err.code === 'resource-exhausted' || err.message.includes('too large')) {
-        alert('Error: The uploaded image is too large. Please try a smaller image or contact support.');
-      } else {
-        alert('Error placing order. Please try again.');
-      }
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  // Show empty cart message if no items
+  // Show an empty state if there is nothing to order
   if (cartItems.length === 0) {
     return (
       <>
@@ -229,8 +44,8 @@ const CheckoutPage = () => {
         <div className="min-h-screen bg-[#F3D0D7] py-8 px-4 sm:px-6 lg:px-8">
           <div className="max-w-7xl mx-auto">
             <div className="text-center py-16">
-              <h1 className="text-3xl font-bold text-gray-900 mb-4">Your Cart is Empty</h1>
-              <p className="text-gray-600 mb-8">Add some items to your cart to proceed with checkout.</p>
+              <h1 className="text-3xl font-bold text-gray-900 mb-4">{labels.emptyTitle}</h1>
+              <p className="text-gray-600 mb-8">{labels.emptyMessage}</p>
               <button
                 onClick={() => navigate('/')}
                 className="bg-black text-white px-8 py-3 rounded-md font-medium hover:bg-gray-800 transition"
@@ -259,12 +74,12 @@ const CheckoutPage = () => {
                 <span className="text-gray-400">/</span>
               </li>
               <li>
-                <span className="text-black font-medium">Checkout</span>
+                <span className="text-black font-medium">{labels.title}</span>
               </li>
             </ol>
           </nav>
 
-          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-8">Checkout</h1>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-8">{labels.title}</h1>
 
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
             {/* Left: Form */}
@@ -272,8 +87,9 @@ const CheckoutPage = () => {
               <h2 className="text-lg sm:text-xl font-semibold mb-6 pb-2 border-b">Contact Information</h2>
 
               <div className="mb-6">
-                <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">Email</label>
                 <input
+                  id="email"
                   name="email"
                   type="email"
                   value={form.email}
@@ -287,9 +103,29 @@ const CheckoutPage = () => {
               <h2 className="text-lg sm:text-xl font-semibold mb-6 pb-2 border-b">Shipping Address</h2>
 
               <div className="grid gap-6">
+                {account.addresses.length > 0 && (
+                  <div>
+                    <label htmlFor="savedAddress" className="block text-sm font-medium text-gray-700 mb-1">Saved Addresses</label>
+                    <select
+                      id="savedAddress"
+                      value={account.savedAddress?.id || ''}
+                      onChange={(e) => account.selectAddress(e.target.value)}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-black focus:border-black"
+                    >
+                      <option value="">Enter a new address</option>
+                      {account.addresses.map(address => (
+                        <option key={address.id} value={address.id}>
+                          {address.label || address.fullName} - {address.address}, {address.city}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Full Name*</label>
+                  <label htmlFor="fullName" className="block text-sm font-medium text-gray-700 mb-1">Full Name*</label>
                   <input
+                    id="fullName"
                     name="fullName"
                     value={form.fullName}
                     onChange={handleChange}
@@ -299,19 +135,22 @@ const CheckoutPage = () => {
                 </div>
 
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Phone Number*</label>
+                  <label htmlFor="phone" className="block text-sm font-medium text-gray-700 mb-1">Phone Number*</label>
                   <input
+                    id="phone"
                     name="phone"
                     value={form.phone}
                     onChange={handleChange}
+                    placeholder="e.g., 03001234567"
                     className={`w-full px-4 py-2 border ${errors.phone ? 'border-red-500' : 'border-gray-300'} rounded-md focus:ring-black focus:border-black`}
                   />
                   {errors.phone && <p className="mt-1 text-sm text-red-600">{errors.phone}</p>}
                 </div>
 
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Street Address*</label>
+                  <label htmlFor="address" className="block text-sm font-medium text-gray-700 mb-1">Street Address*</label>
                   <input
+                    id="address"
                     name="address"
                     value={form.address}
                     onChange={handleChange}
@@ -322,29 +161,32 @@ const CheckoutPage = () => {
 
                 <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">City*</label>
+                    <label htmlFor="city" className="block text-sm font-medium text-gray-700 mb-1">City*</label>
                     <input
+                      id="city"
                       name="city"
                       value={form.city}
                       onChange={handleChange}
-                      placeholder="e.g. Rawalpindi, Islamabad, Lahore"
+                      placeholder="e.g., Rawalpindi, Islamabad, Lahore"
                       className={`w-full px-4 py-2 border ${errors.city ? 'border-red-500' : 'border-gray-300'} rounded-md focus:ring-black focus:border-black`}
                     />
                     {errors.city && <p className="mt-1 text-sm text-red-600">{errors.city}</p>}
                     {form.city && (
                       <p className="mt-1 text-xs text-gray-500">
-                        Shipping cost: PKR {getShippingCost()} 
-                        {['rawalpindi', 'islamabad'].includes(form.city.toLowerCase().trim()) 
-                          ? ' (Twin cities rate)' 
-                          : ' (Other cities rate)'
-                        }
+                        Shipping cost: {shippingQuote.isFree ? 'Free' : `PKR ${shippingCost.toLocaleString()}`} ({shippingQuote.zoneName} rate)
+                      </p>
+                    )}
+                    {shippingQuote.freeShippingThreshold && !shippingQuote.isFree && (
+                      <p className="mt-1 text-xs text-green-600">
+                        Free shipping on orders over PKR {shippingQuote.freeShippingThreshold.toLocaleString()}
                       </p>
                     )}
                   </div>
 
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Postal Code</label>
+                    <label htmlFor="postalCode" className="block text-sm font-medium text-gray-700 mb-1">Postal Code</label>
                     <input
+                      id="postalCode"
                       name="postalCode"
                       value={form.postalCode}
                       onChange={handleChange}
@@ -356,8 +198,9 @@ const CheckoutPage = () => {
 
                 <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Province/Region</label>
+                    <label htmlFor="region" className="block text-sm font-medium text-gray-700 mb-1">Province/Region</label>
                     <input
+                      id="region"
                       name="region"
                       value={form.region}
                       onChange={handleChange}
@@ -367,8 +210,9 @@ const CheckoutPage = () => {
                   </div>
 
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Country*</label>
+                    <label htmlFor="country" className="block text-sm font-medium text-gray-700 mb-1">Country*</label>
                     <select
+                      id="country"
                       name="country"
                       value={form.country}
                       onChange={handleChange}
@@ -380,6 +224,19 @@ const CheckoutPage = () => {
                     {errors.country && <p className="mt-1 text-sm text-red-600">{errors.country}</p>}
                   </div>
                 </div>
+
+                {account.signedIn && !account.savedAddress && (
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      name="saveAddress"
+                      checked={form.saveAddress}
+                      onChange={handleChange}
+                      className="h-4 w-4 text-black focus:ring-black border-gray-300 rounded"
+                    />
+                    <span className="ml-2">Save this address to my account</span>
+                  </label>
+                )}
               </div>
 
               <h2 className="text-lg sm:text-xl font-semibold mt-8 mb-6 pb-2 border-b">Shipping Method</h2>
@@ -397,11 +254,9 @@ const CheckoutPage = () => {
                   <div className="ml-3">
                     <p className="font-medium text-gray-900">Standard Delivery</p>
                     <p className="text-sm text-gray-500">
-                      PKR {shippingCost} - Delivery in 4-5 business days
-                      {form.city && ['rawalpindi', 'islamabad'].includes(form.city.toLowerCase().trim()) 
-                        ? ' (Twin cities)' 
-                        : form.city ? ' (Other cities)' : ''
-                      }
+                      {shippingQuote.isFree ? 'Free' : `PKR ${shippingCost.toLocaleString()}`}
+                      {shippingQuote.deliveryEstimate && ` - ${shippingQuote.deliveryEstimate}`}
+                      {form.city && ` (${shippingQuote.zoneName})`}
                     </p>
                   </div>
                 </label>
@@ -410,26 +265,52 @@ const CheckoutPage = () => {
               <h2 className="text-lg sm:text-xl font-semibold mt-8 mb-6 pb-2 border-b">Payment Method</h2>
 
               <div className="space-y-4">
-                {['EasyPaisa'].map(method => (
-                  <label key={method} className="flex items-center p-4 border rounded-md hover:border-black cursor-pointer">
-                    <input
-                      type="radio"
-                      name="paymentMethod"
-                      value={method}
-                      checked={form.paymentMethod === method}
-                      onChange={handleChange}
-                      className="h-4 w-4 text-black focus:ring-black border-gray-300"
-                    />
-                    <span className="ml-3 font-medium text-gray-900">{method}</span>
-                  </label>
-                ))}
+                {PAYMENT_METHODS.map(method => {
+                  const unavailable = method === CASH_ON_DELIVERY && !codQuote.eligible;
+                  return (
+                    <label key={method} className={`flex items-center p-4 border rounded-md ${unavailable ? 'opacity-60 cursor-not-allowed' : 'hover:border-black cursor-pointer'}`}>
+                      <input
+                        type="radio"
+                        name="paymentMethod"
+                        value={method}
+                        checked={form.paymentMethod === method}
+                        onChange={handleChange}
+                        disabled={unavailable && form.paymentMethod !== method}
+                        className="h-4 w-4 text-black focus:ring-black border-gray-300"
+                      />
+                      <div className="ml-3">
+                        <p className="font-medium text-gray-900">{method}</p>
+                        {method === CASH_ON_DELIVERY && (
+                          <p className="text-sm text-gray-500">
+                            {unavailable
+                              ? codQuote.reason
+                              : codQuote.fee > 0 ? `Pay the rider in cash – PKR ${codQuote.fee.toLocaleString()} COD fee` : 'Pay the rider in cash'}
+                          </p>
+                        )}
+                      </div>
+                    </label>
+                  );
+                })}
               </div>
+              {errors.paymentMethod && <p className="mt-1 text-sm text-red-600">{errors.paymentMethod}</p>}
+
+              {form.paymentMethod === CASH_ON_DELIVERY && codQuote.eligible && (
+                <div className="mt-6 p-4 border border-green-300 bg-green-50 rounded-md">
+                  <h3 className="text-base sm:text-lg font-semibold mb-3">Cash on Delivery</h3>
+                  <p className="text-gray-700 text-sm sm:text-base">
+                    Please keep PKR {total.toLocaleString()} ready in cash to pay the rider when your order arrives.
+                    {codFee > 0 && ` This includes a Cash on Delivery fee of PKR ${codFee.toLocaleString()}.`}
+                  </p>
+                </div>
+              )}
 
               {form.paymentMethod === 'EasyPaisa' && (
                 <div className="mt-6 p-4 border border-blue-300 bg-blue-50 rounded-md">
                   <h3 className="text-base sm:text-lg font-semibold mb-3">EasyPaisa Transfer Details</h3>
                   <p className="text-gray-700 text-sm sm:text-base mb-4">
-                    Please transfer the total amount of PKR {subtotal.toLocaleString()} to our EasyPaisa account, while rest of the delivery charges amount of {shippingCost.toLocaleString()} is to be paid to the rider on delivery
+                    {pricesLoading
+                      ? 'Checking the latest prices for your order...'
+                      : `Please transfer the total amount of PKR ${(subtotal - discount).toLocaleString()} to our EasyPaisa account, while rest of the delivery charges amount of ${shippingCost.toLocaleString()} is to be paid to the rider on delivery`}
                   </p>
                   <ul className="list-disc list-inside text-gray-800 text-sm sm:text-base mb-4">
                      <li><strong>Account Name:</strong> Areeba Areej </li>
@@ -439,26 +320,27 @@ const CheckoutPage = () => {
                     After making the transfer, please upload a screenshot of the transaction as proof of payment.
                   </p>
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                    <label htmlFor="bankTransferProof" className="block text-sm font-medium text-gray-700 mb-1">
                       Upload EasyPaisa Transfer Screenshot*
                     </label>
                     <input
+                      id="bankTransferProof"
                       type="file"
                       accept="image/*"
                       onChange={handleFileChange}
                       className={`w-full px-4 py-2 border ${errors.bankTransferProof ? 'border-red-500' : 'border-gray-300'} rounded-md focus:ring-black focus:border-black`}
                     />
                     {errors.bankTransferProof && <p className="mt-1 text-sm text-red-600">{errors.bankTransferProof}</p>}
-                    {bankTransferProofBase64 && (
-                      <p className="mt-2 text-sm text-gray-600">Image selected and converted.</p>
+                    {paymentProof && (
+                      <p className="mt-2 text-sm text-gray-600">Image ready to upload ({Math.ceil(paymentProof.size / 1024)} KB).</p>
                     )}
-                    {convertingImage && (
+                    {compressingImage && (
                       <p className="mt-2 text-sm text-gray-600 flex items-center">
                         <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-gray-500" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
                           <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                           <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                         </svg>
-                        Converting image...
+                        Compressing image...
                       </p>
                     )}
                   </div>
@@ -466,24 +348,37 @@ const CheckoutPage = () => {
               )}
 
               <div className="mt-6">
-                <label className="block text-sm font-medium text-gray-700 mb-1">Promo Code</label>
+                <label htmlFor="promoCode" className="block text-sm font-medium text-gray-700 mb-1">Promo Code</label>
                 <div className="flex">
                   <input
+                    id="promoCode"
                     name="promoCode"
                     value={form.promoCode}
                     onChange={handleChange}
                     className="flex-1 px-4 py-2 border border-gray-300 rounded-l-md focus:ring-black focus:border-black"
                     placeholder="Enter promo code"
                   />
-                  <button className="px-4 py-2 bg-gray-200 text-gray-800 rounded-r-md hover:bg-gray-300 transition">
-                    Apply
+                  <button
+                    type="button"
+                    onClick={() => applyPromoCode(form.promoCode)}
+                    disabled={checkingPromo}
+                    className="px-4 py-2 bg-gray-200 text-gray-800 rounded-r-md hover:bg-gray-300 transition disabled:opacity-60"
+                  >
+                    {checkingPromo ? 'Checking...' : 'Apply'}
                   </button>
                 </div>
+                {(errors.promoCode || promoError) && <p className="mt-1 text-sm text-red-600">{errors.promoCode || promoError}</p>}
+                {validPromo && (
+                  <p className="mt-1 text-sm text-green-600">
+                    ✅ {validPromo.id} applied – you save PKR {discount.toLocaleString()}
+                  </p>
+                )}
               </div>
 
               <div className="mt-6">
-                <label className="block text-sm font-medium text-gray-700 mb-1">Order Notes (Optional)</label>
+                <label htmlFor="notes" className="block text-sm font-medium text-gray-700 mb-1">Order Notes (Optional)</label>
                 <textarea
+                  id="notes"
                   name="notes"
                   value={form.notes}
                   onChange={handleChange}
@@ -531,6 +426,9 @@ const CheckoutPage = () => {
                           {item.type && `${item.type} |`} {item.size} {item.lining ? '| Lining' : ''}
                         </p>
                         <p className="text-sm text-gray-500">Qty: {item.quantity}</p>
+                        {item.unavailable && (
+                          <p className="text-xs text-red-600 mt-1">No longer available</p>
+                        )}
                       </div>
                     </div>
                     <p className="font-medium mt-2 sm:mt-0 sm:ml-4">
@@ -550,47 +448,69 @@ const CheckoutPage = () => {
                   <span className="text-sm text-gray-600">
                     Shipping
                     {form.city && (
-                      <span className="text-xs text-gray-500 block">
-                        {['rawalpindi', 'islamabad'].includes(form.city.toLowerCase().trim()) 
-                          ? '(Twin cities rate)' 
-                          : '(Other cities rate)'
-                        }
-                      </span>
+                      <span className="text-xs text-gray-500 block">({shippingQuote.zoneName} rate)</span>
                     )}
                   </span>
-                  <span className="text-sm">PKR {shippingCost.toLocaleString()}</span>
+                  <span className="text-sm">{shippingQuote.isFree ? 'Free' : `PKR ${shippingCost.toLocaleString()}`}</span>
                 </div>
 
-                {form.promoCode && (
+                {codFee > 0 && (
                   <div className="flex justify-between">
-                    <span className="text-sm text-gray-600">Discount</span>
-                    <span className="text-sm text-green-600">-PKR 0</span>
+                    <span className="text-sm text-gray-600">Cash on Delivery Fee</span>
+                    <span className="text-sm">PKR {codFee.toLocaleString()}</span>
+                  </div>
+                )}
+
+                {validPromo && (
+                  <div className="flex justify-between">
+                    <span className="text-sm text-gray-600">Discount ({validPromo.id})</span>
+                    <span className="text-sm text-green-600">-PKR {discount.toLocaleString()}</span>
                   </div>
                 )}
               </div>
 
               <div className="flex justify-between mt-4 pt-4 border-t border-gray-200">
                 <span className="font-medium text-base sm:text-lg">Total</span>
-                <span className="font-bold text-base sm:text-lg">PKR {total.toLocaleString()}</span>
+                <span className="font-bold text-base sm:text-lg">
+                  {pricesLoading ? 'Checking prices...' : `PKR ${total.toLocaleString()}`}
+                </span>
               </div>
 
+              {errors.total && (
+                <div className="mt-6 p-4 border border-red-300 bg-red-50 rounded-md">
+                  <p className="text-sm text-red-700">{errors.total}</p>
+                </div>
+              )}
+
+              {stockShortages.length > 0 && (
+                <div className="mt-6 p-4 border border-red-300 bg-red-50 rounded-md">
+                  <p className="text-sm font-medium text-red-700 mb-2">Some items no longer have enough stock:</p>
+                  <ul className="list-disc list-inside text-sm text-red-700">
+                    {stockShortages.map((shortage, index) => (
+                      <li key={index}>{shortage.message}</li>
+                    ))}
+                  </ul>
+                  <p className="text-xs text-red-600 mt-2">Please reduce the quantity or remove these items and try again.</p>
+                </div>
+              )}
+
               <button
-                onClick={placeOrder}
-                disabled={loading || cartItems.length === 0 || convertingImage}
-                className={`mt-6 w-full py-3 px-4 rounded-md font-medium text-base ${loading || cartItems.length === 0 || convertingImage ? 'bg-gray-400 cursor-not-allowed' : 'bg-black text-white hover:bg-gray-800'} transition`}
+                onClick={handlePlaceOrder}
+                disabled={loading || pricesLoading || cartItems.length === 0 || compressingImage}
+                className={`mt-6 w-full py-3 px-4 rounded-md font-medium text-base ${loading || pricesLoading || cartItems.length === 0 || compressingImage ? 'bg-gray-400 cursor-not-allowed' : 'bg-black text-white hover:bg-gray-800'} transition`}
               >
-                {loading || convertingImage ? (
+                {loading || compressingImage ? (
                   <span className="flex items-center justify-center">
                     <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
                       <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                       <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                     </svg>
-                    {convertingImage ? 'Converting Image...' : 'Processing Order...'}
+                    {compressingImage ? 'Compressing Image...' : 'Processing Order...'}
                   </span>
                 ) : cartItems.length === 0 ? (
                   'Your Cart is Empty'
                 ) : (
-                  'Place Order'
+                  labels.placeOrderLabel
                 )}
               </button>
 
@@ -605,4 +525,4 @@ const CheckoutPage = () => {
   );
 };
 
-export default CheckoutPage;
+export default Checkout;
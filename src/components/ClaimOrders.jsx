@@ -0,0 +1,200 @@
+import React, { useEffect, useState } from 'react';
+import { onIdTokenChanged } from 'firebase/auth';
+import { auth } from '../firebase';
+import { claimOrders, findClaimableOrders, sendPhoneCode, verifyPhoneCode } from '../account';
+
+const inputClassName = 'w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-black focus:border-black';
+
+// Guest orders placed with the customer's verified email or confirmed phone,
+// which they can add to their account
+const ClaimOrders = ({ user }) => {
+  const [lookupCount, setLookupCount] = useState(0);
+  const [result, setResult] = useState(null);
+  const [excludedIds, setExcludedIds] = useState([]);
+  const [claiming, setClaiming] = useState(false);
+  const [message, setMessage] = useState('');
+  const [phoneForm, setPhoneForm] = useState({ phone: '', code: '', codeSent: false, sending: false });
+  const [phoneError, setPhoneError] = useState('');
+  const [emailVerified, setEmailVerified] = useState(user.emailVerified);
+
+  // Verifying the email (EmailVerificationBanner) refreshes the ID token, which
+  // findClaimableOrders reads it from
+  useEffect(() => onIdTokenChanged(auth, (current) => {
+    if (current) setEmailVerified(current.emailVerified);
+  }), []);
+
+  // Looked up again after claiming, confirming a phone number or verifying the email
+  useEffect(() => {
+    let cancelled = false;
+    findClaimableOrders()
+      .then((found) => {
+        if (!cancelled) setResult(found);
+      })
+      .catch((error) => {
+        console.error('Error finding past orders:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [lookupCount, emailVerified]);
+
+  if (!result) return null;
+
+  const selectedIds = result.orders.map(order => order.orderId).filter(id => !excludedIds.includes(id));
+
+  const toggleOrder = (orderId) => {
+    setExcludedIds(prev => (prev.includes(orderId) ? prev.filter(id => id !== orderId) : [...prev, orderId]));
+  };
+
+  const handleClaim = async () => {
+    setClaiming(true);
+    setMessage('');
+    try {
+      const { claimed } = await claimOrders({ orderIds: selectedIds });
+      setMessage(`✅ Added ${claimed} order${claimed === 1 ? '' : 's'} to your account.`);
+      setExcludedIds([]);
+      setLookupCount(count => count + 1);
+    } catch (error) {
+      console.error('Error claiming orders:', error);
+      setMessage('❌ Could not add these orders. Please try again.');
+    } finally {
+      setClaiming(false);
+    }
+  };
+
+  const handlePhoneChange = (e) => {
+    const { name, value } = e.target;
+    setPhoneForm(prev => ({ ...prev, [name]: value }));
+    setPhoneError('');
+  };
+
+  const handleSendCode = async (e) => {
+    e.preventDefault();
+    setPhoneForm(prev => ({ ...prev, sending: true }));
+    try {
+      await sendPhoneCode({ phone: phoneForm.phone });
+      setPhoneForm(prev => ({ ...prev, codeSent: true, code: '' }));
+    } catch (error) {
+      console.error('Error sending phone code:', error);
+      setPhoneError(error.message || 'Could not send a code. Please try again.');
+    } finally {
+      setPhoneForm(prev => ({ ...prev, sending: false }));
+    }
+  };
+
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setPhoneForm(prev => ({ ...prev, sending: true }));
+    try {
+      await verifyPhoneCode({ code: phoneForm.code });
+      setPhoneForm({ phone: '', code: '', codeSent: false, sending: false });
+      setLookupCount(count => count + 1);
+    } catch (error) {
+      console.error('Error verifying phone code:', error);
+      setPhoneError(error.message || 'Could not check the code. Please try again.');
+      setPhoneForm(prev => ({ ...prev, sending: false }));
+    }
+  };
+
+  return (
+    <div className="bg-[#fefaf9] p-6 rounded-lg shadow-sm">
+      <h2 className="text-lg sm:text-xl font-semibold mb-6 pb-2 border-b">Past Orders</h2>
+
+      {message && (
+        <p className={`mb-4 text-sm p-2 rounded ${message.startsWith('✅') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+          {message}
+        </p>
+      )}
+
+      {result.orders.length > 0 ? (
+        <div className="mb-6">
+          <p className="text-sm text-gray-700 mb-4">
+            We found orders you placed before signing in. Add them to your account to see them in your order history.
+          </p>
+          <div className="space-y-2 mb-4">
+            {result.orders.map(order => (
+              <label key={order.orderId} className="flex items-center justify-between gap-4 p-3 border border-gray-200 rounded-md bg-white text-sm cursor-pointer">
+                <span className="flex items-center gap-3">
+                  <input
+                    type="checkbox"
+                    checked={!excludedIds.includes(order.orderId)}
+                    onChange={() => toggleOrder(order.orderId)}
+                    className="h-4 w-4 text-black focus:ring-black border-gray-300 rounded"
+                  />
+                  <span>
+                    <span className="block font-medium text-gray-900 break-all">{order.orderId}</span>
+                    <span className="text-gray-500">
+                      {order.createdAt && new Date(order.createdAt).toLocaleDateString()} · {order.itemCount} item(s) · matched by {order.matchedBy}
+                    </span>
+                  </span>
+                </span>
+                <span className="font-medium whitespace-nowrap">PKR {order.total.toLocaleString()}</span>
+              </label>
+            ))}
+          </div>
+          <button
+            onClick={handleClaim}
+            disabled={claiming || selectedIds.length === 0}
+            className="bg-black text-white px-6 py-2 rounded-md font-medium hover:bg-gray-800 transition disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            {claiming ? 'Adding...' : `Add ${selectedIds.length} order${selectedIds.length === 1 ? '' : 's'} to my account`}
+          </button>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 mb-6">No other orders were found for your {result.phone ? 'email or phone number' : 'email'}.</p>
+      )}
+
+      {!emailVerified && (
+        <p className="text-sm text-gray-600 mb-4">Verify your email address to find orders you placed with it.</p>
+      )}
+
+      {result.phone ? (
+        <p className="text-sm text-gray-600">Orders placed with your confirmed phone number (ending {result.phone.slice(-4)}) are included.</p>
+      ) : (
+        <form onSubmit={phoneForm.codeSent ? handleVerifyCode : handleSendCode} className="space-y-3">
+          <p className="text-sm text-gray-700">Ordered with a phone number? Confirm it to find those orders too.</p>
+          <div className="flex flex-col sm:flex-row gap-3">
+            {phoneForm.codeSent ? (
+              <input
+                name="code"
+                value={phoneForm.code}
+                onChange={handlePhoneChange}
+                placeholder="6-digit code"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                className={inputClassName}
+              />
+            ) : (
+              <input
+                name="phone"
+                value={phoneForm.phone}
+                onChange={handlePhoneChange}
+                placeholder="e.g., 03001234567"
+                className={inputClassName}
+              />
+            )}
+            <button
+              type="submit"
+              disabled={phoneForm.sending}
+              className="bg-black text-white px-6 py-2 rounded-md font-medium hover:bg-gray-800 transition whitespace-nowrap disabled:bg-gray-400"
+            >
+              {phoneForm.codeSent ? 'Confirm Code' : 'Send Code'}
+            </button>
+          </div>
+          {phoneForm.codeSent && (
+            <button
+              type="button"
+              onClick={() => setPhoneForm(prev => ({ ...prev, codeSent: false, code: '' }))}
+              className="text-sm text-gray-600 hover:text-black"
+            >
+              Use a different number
+            </button>
+          )}
+          {phoneError && <p className="text-sm text-red-600">{phoneError}</p>}
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ClaimOrders;
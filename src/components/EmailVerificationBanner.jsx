@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { sendEmailVerification } from 'firebase/auth';
+
+// Reminder shown to email/password customers until they open the link from
+// their verification email
+const EmailVerificationBanner = ({ user }) => {
+  const [verified, setVerified] = useState(user.emailVerified);
+  const [message, setMessage] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  if (verified) return null;
+
+  const handleResend = async () => {
+    setBusy(true);
+    try {
+      await sendEmailVerification(user);
+      setMessage(`Sent! Check ${user.email} for the link.`);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+      setMessage(error.code === 'auth/too-many-requests'
+        ? 'An email was sent recently. Please wait a few minutes before asking again.'
+        : 'Could not send the email. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // The user object doesn't update by itself once the link is opened
+  const handleCheck = async () => {
+    setBusy(true);
+    try {
+      await user.reload();
+      if (user.emailVerified) {
+        // A fresh token carries email_verified for the rules and functions
+        await user.getIdToken(true);
+        setVerified(true);
+      } else {
+        setMessage("Your email isn't verified yet. Open the link in the email we sent you.");
+      }
+    } catch (error) {
+      console.error('Error checking email verification:', error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-[#FFE9DD] text-[#141414] text-sm px-4 py-2 flex flex-col sm:flex-row items-center justify-center gap-2 text-center">
+      <span>{message || `Please verify your email address (${user.email}).`}</span>
+      <span className="flex gap-3">
+        <button onClick={handleResend} disabled={busy} className="font-semibold underline disabled:opacity-60">
+          Resend email
+        </button>
+        <button onClick={handleCheck} disabled={busy} className="font-semibold underline disabled:opacity-60">
+          I've verified
+        </button>
+      </span>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -0,0 +1,79 @@
+import React from 'react';
+import { AiOutlineClose } from 'react-icons/ai';
+import { findCategory } from '../categories';
+import { EMPTY_FILTERS, hasFilters } from '../productFilters';
+
+const formatPrice = (price) => `PKR ${Number(price).toLocaleString()}`;
+
+const without = (values, value) => values.filter(v => v !== value);
+
+// One chip per selected filter, each with the filters left once it's removed
+const getChips = (filters, categories) => {
+  const chips = [];
+  filters.categories.forEach(value => chips.push({
+    key: `category-${value}`,
+    label: findCategory(categories, value)?.name || value,
+    next: { ...filters, categories: without(filters.categories, value) },
+  }));
+  filters.available.forEach(value => chips.push({
+    key: `available-${value}`,
+    label: value ? 'In Stock' : 'Out of Stock',
+    next: { ...filters, available: without(filters.available, value) },
+  }));
+  if (filters.minPrice !== '' || filters.maxPrice !== '') {
+    chips.push({
+      key: 'price',
+      label: filters.minPrice !== '' && filters.maxPrice !== ''
+        ? `${formatPrice(filters.minPrice)} – ${formatPrice(filters.maxPrice)}`
+        : filters.minPrice !== '' ? `From ${formatPrice(filters.minPrice)}` : `Up to ${formatPrice(filters.maxPrice)}`,
+      next: { ...filters, minPrice: '', maxPrice: '' },
+    });
+  }
+  filters.colors.forEach(value => chips.push({
+    key: `color-${value}`,
+    label: value,
+    swatch: /^#[0-9A-F]{6}$/i.test(value) ? value : null,
+    next: { ...filters, colors: without(filters.colors, value) },
+  }));
+  filters.sizes.forEach(value => chips.push({
+    key: `size-${value}`,
+    label: `Size ${value}`,
+    next: { ...filters, sizes: without(filters.sizes, value) },
+  }));
+  if (filters.onSale) {
+    chips.push({ key: 'onSale', label: 'On Sale', next: { ...filters, onSale: false } });
+  }
+  return chips;
+};
+
+// The active filters as removable chips, with "Clear all"
+const FilterChips = ({ filters, categories, onChange }) => {
+  if (!hasFilters(filters)) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 px-4 pb-2">
+      {getChips(filters, categories).map(chip => (
+        <button
+          key={chip.key}
+          onClick={() => onChange(chip.next)}
+          className="flex items-center gap-1 rounded-full bg-[#FFF2EB] border border-[#FCBACB] px-3 py-1 text-sm text-[#141414] hover:bg-[#FCBACB] transition"
+          aria-label={`Remove filter ${chip.label}`}
+        >
+          {chip.swatch && (
+            <span className="w-3 h-3 rounded-full border border-gray-300" style={{ backgroundColor: chip.swatch }} />
+          )}
+          {chip.label}
+          <AiOutlineClose className="w-3 h-3" />
+        </button>
+      ))}
+      <button
+        onClick={() => onChange(EMPTY_FILTERS)}
+        className="text-sm text-[#757575] underline hover:text-[#141414]"
+      >
+        Clear all
+      </button>
+    </div>
+  );
+};
+
+export default FilterChips;
@@ -4,12 +4,26 @@ import { auth } from '../firebase';
 import { signOut } from 'firebase/auth';
 import { useAuthState } from 'react-firebase-hooks/auth';
 import Cart from './Cart';
+import { useCart } from '../cart';
+import { useStaffRole } from '../roles';
+import { useWishlist } from '../wishlist';
+import { useNotifications } from '../notifications';
+import { getCategoryPath, useCategories } from '../categories';
+import EmailVerificationBanner from './EmailVerificationBanner';
+
+// Categories shown in the desktop nav bar; the mobile menu lists them all
+const NAV_CATEGORY_LIMIT = 4;
 
 const Header = () => {
   const [user] = useAuthState(auth);
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [isCartOpen, setIsCartOpen] = useState(false);
+  const { itemCount } = useCart();
+  const { count: wishlistCount } = useWishlist();
+  const { unreadCount } = useNotifications(user?.uid);
+  const { role } = useStaffRole(user);
+  const { categories } = useCategories();
   const navigate = useNavigate();
 
   const handleLogout = async () => {
@@ -32,10 +46,11 @@ const Header = () => {
     }
   };
 
-  const adminEmails = ["mueezimran1@gmail.com", "areebahareeg6@gmail.com"];
-
   return (
     <>
+      {user && user.providerData.some(provider => provider.providerId === 'password') && (
+        <EmailVerificationBanner key={user.uid} user={user} />
+      )}
       <header className="flex items-center justify-between whitespace-nowrap border-b border-solid border-b-[#F3D0D7] bg-[#F3D0D7] px-4 md:px-10 py-3 relative">
         <div className="flex items-center gap-4 md:gap-8">
           <Link to="/" className="flex items-center gap-2 md:gap-4 text-[#141414]">
@@ -44,12 +59,10 @@ const Header = () => {
 
           <div className="hidden md:flex items-center gap-5 lg:gap-9">
             <Link to="/" className="text-[#141414] text-sm font-medium transition">Home</Link>
-            <Link to="/products?category=Jhumkas" className="text-[#141414] text-sm font-medium transition">Jhumkas ˚⊹♡</Link>
-            <Link to="/products?category=Stainless steel pendant" className="text-[#141414] text-sm font-medium  transition">
-Pendants ⋆｡𖦹°</Link>
-            <Link to="/products?category=Watch Bundles" className="text-[#141414] text-sm font-medium  transition">Watch Bundles ˚⋆𐙚｡</Link>
-            <Link to="/products?category=Jewellery bouquets" className="text-[#141414] text-sm font-medium  transition">Jewellery bouquets˚⋆𐙚｡</Link>
-            {adminEmails.includes(user?.email) && (
+            {categories.slice(0, NAV_CATEGORY_LIMIT).map(category => (
+              <Link key={category.id} to={getCategoryPath(category)} className="text-[#141414] text-sm font-medium transition">{category.name}</Link>
+            ))}
+            {role && (
               <Link to="/admin" className="text-[#141414] text-sm font-medium hover:text-[#0c77f2] transition">Admin</Link>
             )}
           </div>
@@ -76,10 +89,29 @@ Pendants ⋆｡𖦹°</Link>
           </label>
 
           <div className="hidden md:flex gap-2 items-center">
-            <button onClick={() => setIsCartOpen(true)} className="flex items-center justify-center px-4 h-10 rounded-lg bg-[
-#F3D0D7] text-[#141414] hover:bg-[#FFDCDC] transition">🛒 Cart</button>
+            <Link to="/wishlist" className="relative flex items-center justify-center px-4 h-10 rounded-lg text-[#141414] hover:bg-[#FFDCDC] transition">
+              ♡ Wishlist
+              {wishlistCount > 0 && (
+                <span className="absolute -top-1 -right-1 min-w-5 h-5 px-1 rounded-full bg-[#FCBACB] text-white text-xs font-bold flex items-center justify-center">
+                  {wishlistCount}
+                </span>
+              )}
+              {unreadCount > 0 && (
+                <span className="absolute top-1 left-1 w-2 h-2 rounded-full bg-pink-600" title="New wishlist updates" />
+              )}
+            </Link>
+            <button onClick={() => setIsCartOpen(true)} className="relative flex items-center justify-center px-4 h-10 rounded-lg bg-[
+#F3D0D7] text-[#141414] hover:bg-[#FFDCDC] transition">
+              🛒 Cart
+              {itemCount > 0 && (
+                <span className="absolute -top-1 -right-1 min-w-5 h-5 px-1 rounded-full bg-[#FCBACB] text-white text-xs font-bold flex items-center justify-center">
+                  {itemCount}
+                </span>
+              )}
+            </button>
             {user ? (
               <>
+                <Link to="/account" className="text-[#141414] text-sm font-medium transition">My Account</Link>
                 <button onClick={handleLogout} className="px-4 h-10 rounded-lg bg-[#
 #F3D0D7] text-[#141414] text-sm font-semibold hover:bg-[#
 #F3D0D7] transition">Logout</button>
@@ -103,8 +135,26 @@ Pendants ⋆｡𖦹°</Link>
           </div>
 
           <div className="md:hidden flex items-center gap-2">
-            <button onClick={() => setIsCartOpen(true)} className="h-10 w-10 rounded-lg bg-[#
-#F3D0D7]">🛒</button>
+            <Link to="/wishlist" className="relative h-10 w-10 rounded-lg flex items-center justify-center text-[#141414]" aria-label="Wishlist">
+              ♡
+              {wishlistCount > 0 && (
+                <span className="absolute -top-1 -right-1 min-w-5 h-5 px-1 rounded-full bg-[#FCBACB] text-white text-xs font-bold flex items-center justify-center">
+                  {wishlistCount}
+                </span>
+              )}
+              {unreadCount > 0 && (
+                <span className="absolute top-1 left-1 w-2 h-2 rounded-full bg-pink-600" />
+              )}
+            </Link>
+            <button onClick={() => setIsCartOpen(true)} className="relative h-10 w-10 rounded-lg bg-[#
+#F3D0D7]">
+              🛒
+              {itemCount > 0 && (
+                <span className="absolute -top-1 -right-1 min-w-5 h-5 px-1 rounded-full bg-[#FCBACB] text-white text-xs font-bold flex items-center justify-center">
+                  {itemCount}
+                </span>
+              )}
+            </button>
             <button onClick={toggleMenu} className="h-10 w-10 rounded-lg bg-[
 #F3D0D7]">
               {isMenuOpen ? (
@@ -140,16 +190,11 @@ Pendants ⋆｡𖦹°</Link>
                 </button>
               </div>
 
-              <Link to="/products?category=Jhumkas" onClick={() => setIsMenuOpen(false)} className="block px-4 py-3 hover:bg-[#FFE9DD] rounded-lg transition">Jhumkas ˚⊹♡</Link>
-              <Link to="/products?category=Stainless steel pendants" onClick={() => setIsMenuOpen(false)} className="blocsk px-4 py-3 hover:bg-[#FFE9DD] rounded-lg transition">Stainless steel pendants  ⋆｡𖦹°
-</Link>
-              <Link to="/products?category=Jewellery bouquets" onClick={() => setIsMenuOpen(false)} className="block px-4 py-3 hover:bg-[#FFE9DD] rounded-lg transition">
-Jewellery bouquets ˚⋆𐙚｡
-</Link>
-              <Link to="/products?category=Watch Bundles" onClick={() => setIsMenuOpen(false)} className="block px-4 py-3 hover:bg-[#FFE9DD] rounded-lg transition">Watch Bundles ｡°✩
-</Link>
+              {categories.map(category => (
+                <Link key={category.id} to={getCategoryPath(category)} onClick={() => setIsMenuOpen(false)} className="block px-4 py-3 hover:bg-[#FFE9DD] rounded-lg transition">{category.name}</Link>
+              ))}
 
-              {adminEmails.includes(user?.email) && (
+              {role && (
                 <Link to="/admin" onClick={() => setIsMenuOpen(false)} className="block px-4 py-3 hover:bg-[#FFE9DD] rounded-lg transition">Admin</Link>
               )}
 
@@ -166,6 +211,7 @@ Jewellery bouquets ˚⋆𐙚｡
                         <p className="font-medium text-[#141414]">{user.displayName || user.email}</p>
                       </div>
                     </div>
+                    <Link to="/account" onClick={() => setIsMenuOpen(false)} className="block px-4 py-3 text-[#141414] hover:bg-[#FFE9DD] rounded-lg transition font-medium">My Account</Link>
                     <button onClick={handleLogout} className="w-full text-left px-4 py-3 text-red-600 hover:bg-[#] rounded-lg transition">Logout</button>
                   </>
                 ) : (
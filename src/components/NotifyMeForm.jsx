@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { useAuthState } from 'react-firebase-hooks/auth';
+import { auth } from '../firebase';
+import { getVariantStock, isVariationSoldOut } from '../inventory';
+import { subscribeToStockAlert } from '../stockAlerts';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-black focus:border-black';
+
+// Shown instead of the buy buttons when the chosen product or variant is sold
+// out. Customers can pick any sold-out colour and size, or leave them as "Any".
+const NotifyMeForm = ({ product, variation, size }) => {
+  const [user] = useAuthState(auth);
+  const selectionSoldOut = getVariantStock(product, variation, size) === 0;
+  const [form, setForm] = useState({
+    variation: (selectionSoldOut && variation) || '',
+    size: (selectionSoldOut && size) || '',
+    email: user?.email || '',
+    phone: '',
+  });
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState('');
+
+  // Colours with at least one sold-out size
+  const soldOutVariations = (product.variations || []).filter(v =>
+    product.sizes?.length ? product.sizes.some(s => getVariantStock(product, v, s) === 0) : isVariationSoldOut(product, v)
+  );
+  const soldOutSizes = (product.sizes || []).filter(s => getVariantStock(product, form.variation || null, s) === 0);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value, ...(name === 'variation' ? { size: '' } : {}) }));
+    setMessage('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setMessage('');
+    try {
+      await subscribeToStockAlert({ product, ...form });
+      setMessage("✅ We'll let you know as soon as it's back in stock.");
+    } catch (error) {
+      console.error('Error saving stock alert:', error);
+      setMessage(`❌ ${error.code ? error.message : 'Could not save your request. Please try again.'}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mx-4 mb-4 p-4 space-y-3 bg-white border border-gray-200 rounded-lg">
+      <h3 className="font-medium text-gray-900">🔔 Notify me when available</h3>
+
+      {(soldOutVariations.length > 0 || soldOutSizes.length > 0) && (
+        <div className="grid grid-cols-2 gap-3">
+          {soldOutVariations.length > 0 && (
+            <select name="variation" value={form.variation} onChange={handleChange} className={inputClassName}>
+              <option value="">Any color</option>
+              {soldOutVariations.map(v => <option key={v} value={v}>{v}</option>)}
+            </select>
+          )}
+          {soldOutSizes.length > 0 && (
+            <select name="size" value={form.size} onChange={handleChange} className={inputClassName}>
+              <option value="">Any size</option>
+              {soldOutSizes.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+          )}
+        </div>
+      )}
+
+      <input
+        type="email"
+        name="email"
+        value={form.email}
+        onChange={handleChange}
+        placeholder="Email address"
+        className={inputClassName}
+      />
+      <input
+        type="tel"
+        name="phone"
+        value={form.phone}
+        onChange={handleChange}
+        placeholder="WhatsApp number (optional), e.g., 03001234567"
+        className={inputClassName}
+      />
+
+      <button
+        type="submit"
+        disabled={submitting}
+        className="w-full py-2 px-4 rounded-xl bg-black text-white text-sm font-medium hover:bg-gray-800 transition-colors disabled:bg-gray-400"
+      >
+        {submitting ? 'Saving...' : 'Notify Me'}
+      </button>
+
+      {message && (
+        <p className={`text-sm p-2 rounded ${message.startsWith('✅') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+          {message}
+        </p>
+      )}
+    </form>
+  );
+};
+
+export default NotifyMeForm;
@@ -1,24 +1,92 @@
-import React from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import { FaHeart } from 'react-icons/fa';
+import { trackOrder } from '../orders';
+import {
+  describeOrderItem,
+  downloadReceiptPdf,
+  formatShippingAddress,
+  getOutstandingPayment,
+  getReceiptTotals,
+} from '../receipt';
 
 const OrderThankYou = () => {
   const navigate = useNavigate();
+  const [lastOrderId] = useState(() => sessionStorage.getItem('lastOrderId'));
+  // The total placeOrder charged, which the checkout had the customer confirm
+  const [lastOrderTotal] = useState(() => Number(sessionStorage.getItem('lastOrderTotal')) || null);
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(!!lastOrderId);
+  const [downloading, setDownloading] = useState(false);
+
+  // Load the order just placed, using the same contact check as order tracking
+  useEffect(() => {
+    if (!lastOrderId) return;
+    let cancelled = false;
+    const contact = sessionStorage.getItem('lastOrderEmail') || sessionStorage.getItem('lastOrderPhone');
+
+    trackOrder(lastOrderId, contact)
+      .then((found) => {
+        if (!cancelled) setOrder(found);
+      })
+      .catch((error) => {
+        console.error('Error loading order receipt:', error);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [lastOrderId]);
 
   const handleContinueShopping = () => {
     navigate('/');
   };
 
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      await downloadReceiptPdf(order);
+    } catch (error) {
+      console.error('Error creating receipt PDF:', error);
+      alert('Could not create the receipt PDF. Please try printing it instead.');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const outstandingPayment = order ? getOutstandingPayment(order) : [];
+
   return (
-    <div className="min-h-screen flex flex-col justify-center items-center bg-pink-50 p-6 text-center">
-      <div className="bg-white p-8 rounded-2xl shadow-xl max-w-md w-full border-4 border-dashed border-pink-200">
+    <div className="min-h-screen flex flex-col items-center bg-pink-50 p-6 text-center print:bg-white print:p-0">
+      <div className="bg-white p-8 rounded-2xl shadow-xl max-w-md w-full border-4 border-dashed border-pink-200 mt-10 print:hidden">
         <div className="text-pink-500 text-5xl mb-4">
           <FaHeart className="mx-auto animate-bounce" />
         </div>
         <h1 className="text-2xl font-bold text-gray-800 mb-2">Thankyou For Ordering Luvvv 🍓</h1>
         <p className="text-gray-600 mb-6">
-          Your order has been placed successfully. 
+          Your order has been placed successfully.
         </p>
+        {lastOrderId && (
+          <p className="text-sm text-gray-500 mb-6">
+            Order ID: <span className="font-medium text-gray-700 break-all">{lastOrderId}</span>
+            {lastOrderTotal && (
+              <>
+                <br />
+                Order total: <span className="font-medium text-gray-700">PKR {lastOrderTotal.toLocaleString()}</span>
+              </>
+            )}
+            <br />
+            <Link
+              to={`/track?orderId=${encodeURIComponent(lastOrderId)}`}
+              className="inline-block mt-3 text-pink-500 hover:text-pink-600 font-semibold underline"
+            >
+              Track your order
+            </Link>
+          </p>
+        )}
         <button
           onClick={handleContinueShopping}
           className="bg-pink-400 hover:bg-pink-500 text-white font-semibold px-6 py-3 rounded-full transition duration-300 shadow-md"
@@ -26,6 +94,88 @@ const OrderThankYou = () => {
           Continue Shopping
         </button>
       </div>
+
+      {loading && (
+        <p className="mt-8 text-sm text-gray-500">Loading your receipt...</p>
+      )}
+
+      {order && (
+        <div className="bg-white p-6 sm:p-8 rounded-2xl shadow-xl max-w-2xl w-full mt-8 text-left text-gray-700 print:shadow-none print:mt-0 print:max-w-none">
+          <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6 pb-4 border-b">
+            <div>
+              <h2 className="text-xl font-bold text-gray-800">Order Receipt</h2>
+              <p className="text-sm text-gray-500 break-all">Order ID: {order.orderId || order.id}</p>
+              {order.createdAt && (
+                <p className="text-sm text-gray-500">Placed on {new Date(order.createdAt).toLocaleString()}</p>
+              )}
+            </div>
+            <div className="flex gap-3 print:hidden">
+              <button
+                onClick={handleDownload}
+                disabled={downloading}
+                className="bg-pink-400 hover:bg-pink-500 text-white text-sm font-semibold px-4 py-2 rounded-full transition duration-300 disabled:opacity-60"
+              >
+                {downloading ? 'Preparing...' : 'Download PDF'}
+              </button>
+              <button
+                onClick={() => window.print()}
+                className="border border-pink-300 text-pink-500 hover:bg-pink-50 text-sm font-semibold px-4 py-2 rounded-full transition duration-300"
+              >
+                Print
+              </button>
+            </div>
+          </div>
+
+          <div className="space-y-4 mb-6">
+            {(order.items || []).map((item, index) => (
+              <div key={index} className="flex justify-between items-start gap-4">
+                <div className="flex gap-4">
+                  {item.image && (
+                    <img src={item.image} alt={item.title} className="w-16 h-20 object-top rounded flex-shrink-0" />
+                  )}
+                  <div>
+                    <p className="font-medium text-gray-900">{item.title}</p>
+                    {describeOrderItem(item) && (
+                      <p className="text-xs text-gray-500 mt-1">{describeOrderItem(item)}</p>
+                    )}
+                    <p className="text-sm text-gray-500">Qty: {item.quantity}</p>
+                  </div>
+                </div>
+                <p className="font-medium">PKR {(item.price * item.quantity).toLocaleString()}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="space-y-2 border-t border-gray-200 pt-4 text-sm">
+            {getReceiptTotals(order).map(([label, value]) => (
+              <div key={label} className={`flex justify-between ${label === 'Total' ? 'pt-2 border-t border-gray-200 font-bold text-base text-gray-900' : ''}`}>
+                <span>{label}</span>
+                <span>{value}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-6 mt-6 pt-4 border-t border-gray-200 text-sm">
+            <div>
+              <h3 className="font-semibold text-gray-800 mb-2">Payment – {order.payment}</h3>
+              {outstandingPayment.length > 0 ? (
+                outstandingPayment.map((line, index) => <p key={index} className="mb-1">{line}</p>)
+              ) : (
+                <p>Paid in full.</p>
+              )}
+            </div>
+            <div>
+              <h3 className="font-semibold text-gray-800 mb-2">Delivery Address</h3>
+              {formatShippingAddress(order.shippingAddress).map((line, index) => (
+                <p key={index}>{line}</p>
+              ))}
+              {order.deliveryEstimate && (
+                <p className="mt-2 text-gray-500">{order.deliveryEstimate}</p>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -1,15 +1,18 @@
 import React from 'react';
+import WishlistButton from './WishlistButton';
+import StarRating from './StarRating';
 
-function ProductCard({ title, description, imageUrl, price }) {
+function ProductCard({ title, description, imageUrl, price, product }) {
   return (
     <div className="flex h-full flex-1 flex-col gap-4 rounded-lg bg-white shadow-[0_0_6px_rgba(0,0,0,0.08)] min-w-[240px] md:min-w-60">
       {/* Image */}
-      <div className="w-full h-64 md:h-80 rounded-t-lg overflow-hidden">
+      <div className="relative w-full h-64 md:h-80 rounded-t-lg overflow-hidden">
         <img
           src={imageUrl}
           alt={title}
           className="w-full h-full object-cover object-top"
         />
+        {product && <WishlistButton product={product} className="absolute top-3 right-3" />}
       </div>
 
       {/* Content */}
@@ -24,6 +27,9 @@ function ProductCard({ title, description, imageUrl, price }) {
         {/* Price + Button */}
         <div className="flex flex-col gap-2">
           <span className="text-[#141414] font-bold text-sm">{price}</span>
+          {product?.ratingCount > 0 && (
+            <StarRating value={product.ratingAverage} count={product.ratingCount} className="text-sm" />
+          )}
           <button
             className="flex min-w-[84px] max-w-[480px] cursor-pointer items-center justify-center overflow-hidden rounded-lg h-10 px-4 bg-white text-[#141414] text-sm font-bold leading-normal tracking-[0.015em] hover:bg-[#FFDCDC] transition"
           >
@@ -1,76 +1,78 @@
-import React, { useEffect, useState } from 'react';
-import { Link, useLocation } from 'react-router-dom';
-import { collection, getDocs } from 'firebase/firestore';
-import { db } from '../firebase';
-
-function useQuery() {
-  return new URLSearchParams(useLocation().search);
-}
-
-function ProductGrid({ filters = {} }) {
-  const queryParams = useQuery();
-  const categoryFromURL = queryParams.get('category');
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useCategories } from '../categories';
+import { DEFAULT_SORT, PRODUCTS_PAGE_SIZE, SORT_OPTIONS, getSortOption, useProductListing } from '../productListing';
+import { hasPageFilters, matchesPageFilters, matchesSearch, toQueryFilters, useProductFilters } from '../productFilters';
+import FilterChips from './FilterChips';
+import WishlistButton from './WishlistButton';
+import StarRating from './StarRating';
+
+// With a search or colour, size or sale filters on, a page may hold few
+// matches. Pages are read by themselves until this many products have been
+// checked, then only when the customer asks for more.
+const AUTO_SCAN_LIMIT = PRODUCTS_PAGE_SIZE * 5;
+
+function ProductGrid() {
+  const [queryParams, setQueryParams] = useSearchParams();
   const searchFromURL = queryParams.get('search')?.toLowerCase().trim();
-  const [products, setProducts] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const sort = getSortOption(queryParams.get('sort'));
+  const { filters, setFilters } = useProductFilters();
+  const { categories, loading: categoriesLoading } = useCategories({ includeHidden: true });
+  const loadMoreRef = useRef(null);
+
+  // `category` params hold slugs; links from before categories had slugs use the name
+  const queryFilters = toQueryFilters(filters, categories);
+  const listingFilters = filters.categories.length && categoriesLoading ? null : { ...queryFilters, sort };
+  const { products, loading, loadingMore, hasMore, loadMore } = useProductListing(listingFilters);
+
+  // Firestore can't match part of a title, or combine colour, size and sale
+  // filters with the others, so those are checked against the loaded pages
+  const filteredProducts = products.filter((product) =>
+    matchesPageFilters(product, filters) && matchesSearch(product, searchFromURL)
+  );
+  const filteringPages = !!searchFromURL || hasPageFilters(filters);
 
-  const {
-    category = [],
-    size = [],
-    color = [],
-    available = [],
-    priceRange = [0, Infinity],
-  } = filters;
+  // Each press of "Load more" allows another AUTO_SCAN_LIMIT products to be checked
+  const scanKey = JSON.stringify([listingFilters, filters, searchFromURL]);
+  const [scanState, setScanState] = useState({ key: scanKey, limit: AUTO_SCAN_LIMIT });
+  const scanLimit = scanState.key === scanKey ? scanState.limit : AUTO_SCAN_LIMIT;
+  const autoLoad = hasMore && (!filteringPages || products.length < scanLimit);
 
+  // Keep reading pages while those filters have turned up less than a page of matches
   useEffect(() => {
-    const fetchProducts = async () => {
-      try {
-        const snapshot = await getDocs(collection(db, 'products'));
-        const items = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data(),
-        }));
-        setProducts(items);
-      } catch (err) {
-        console.error('Error fetching products:', err);
-      }
-      setLoading(false);
-    };
-
-    fetchProducts();
-  }, []);
-
-  const filteredProducts = products.filter((product) => {
-    const matchesCategory = categoryFromURL
-      ? product.category === categoryFromURL
-      : category.length
-      ? category.includes(product.category)
-      : true;
-
-    const matchesSize = size.length ? size.includes(product.size) : true;
-    const matchesColor = color.length ? color.includes(product.color) : true;
-    const matchesAvailability = available.length
-      ? available.includes(product.available)
-      : true;
-    const matchesPrice =
-      product.price >= priceRange[0] && product.price <= priceRange[1];
-
-    const matchesSearch = searchFromURL
-      ? product.title?.toLowerCase().includes(searchFromURL) ||
-        product.description?.toLowerCase().includes(searchFromURL)
-      : true;
-
-    return (
-      matchesCategory &&
-      matchesSize &&
-      matchesColor &&
-      matchesAvailability &&
-      matchesPrice &&
-      matchesSearch
-    );
-  });
-
-  const title = categoryFromURL || (searchFromURL ? `Results for "${searchFromURL}"` : 'All Products');
+    if (filteringPages && autoLoad && !loadingMore && filteredProducts.length < PRODUCTS_PAGE_SIZE) {
+      loadMore();
+    }
+  }, [filteringPages, autoLoad, loadingMore, filteredProducts.length, loadMore]);
+
+  // Infinite scroll: load the next page as the end of the grid comes into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !autoLoad) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) loadMore();
+    }, { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [autoLoad, loadMore]);
+
+  const handleLoadMore = () => {
+    setScanState({ key: scanKey, limit: products.length + AUTO_SCAN_LIMIT });
+    loadMore();
+  };
+
+  // The sort lives in `?sort=` so it survives a refresh and shared links
+  const handleSortChange = (e) => {
+    const value = e.target.value;
+    setQueryParams((prev) => {
+      const next = new URLSearchParams(prev);
+      if (value === DEFAULT_SORT) next.delete('sort');
+      else next.set('sort', value);
+      return next;
+    }, { replace: true });
+  };
+
+  const title = (queryFilters.categories.length === 1 && queryFilters.categories[0]) || (searchFromURL ? `Results for "${searchFromURL}"` : 'All Products');
 
   if (loading) {
     return <p className="text-center p-8">Loading products...</p>;
@@ -100,7 +102,23 @@ function ProductGrid({ filters = {} }) {
   />
 </div>
 
-
+      <FilterChips filters={filters} categories={categories} onChange={setFilters} />
+
+      {/* Sort */}
+      <div className="flex justify-end px-4">
+        <label className="flex items-center gap-2 text-sm text-[#757575]">
+          Sort by
+          <select
+            value={sort}
+            onChange={handleSortChange}
+            className="border border-gray-300 rounded-md px-2 py-1 bg-white text-[#141414]"
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
 
       {/* Product Grid */}
       <div className="grid grid-cols-2 md:grid-cols-3 gap-4 p-4">
@@ -109,16 +127,17 @@ function ProductGrid({ filters = {} }) {
             <Link to={`/product/${product.id}`} key={product.id} className="h-full">
               <div className="flex flex-col h-full gap-3 pb-3 group shadow-md rounded-lg overflow-hidden transition-transform duration-300 hover:shadow-lg bg-[#FFF2EB]">
                 {/* Product image - fixed height */}
-             <div className="w-full aspect-square overflow-hidden">
+             <div className="relative w-full aspect-square overflow-hidden">
                   <img
                     src={product.coverImage || product.imageUrl}
                     alt={product.title}
                     className="w-full h-full object-cover object-top transition-transform duration-300 group-hover:scale-105"
                   />
+                  <WishlistButton product={product} className="absolute top-2 right-2" />
                 </div>
 
                 {/* Product info - fixed height with consistent spacing */}
-                <div className="px-3 pb-4 flex flex-col justify-between h-[130px]"> {/* Fixed height for info section */}
+                <div className="px-3 pb-4 flex flex-col justify-between h-[150px]"> {/* Fixed height for info section */}
                   <div className="min-h-[60px] overflow-hidden"> {/* Fixed height for text */}
                     <p className="text-[#141414] text-base font-medium line-clamp-2"> {/* Limit to 2 lines */}
                       {product.title}
@@ -126,6 +145,9 @@ function ProductGrid({ filters = {} }) {
                     <p className="text-[#757575] text-sm font-normal mt-1">
                       PKR {product.price}
                     </p>
+                    {product.ratingCount > 0 && (
+                      <StarRating value={product.ratingAverage} count={product.ratingCount} className="text-xs mt-1" />
+                    )}
                   </div>
                   <button className="mt-auto py-2 px-1 rounded-full bg-[#FCBACB] text-white text-sm font-semibold shadow-md hover:bg-gray-900 transition-all duration-200">
                     Buy Now
@@ -134,12 +156,31 @@ function ProductGrid({ filters = {} }) {
               </div>
             </Link>
           ))
-        ) : (
+        ) : !hasMore && (
           <p className="text-center col-span-full text-[#757575] text-lg font-medium">
             No products found.
           </p>
         )}
       </div>
+
+      {/* Load more - also triggered by scrolling near it, until a filtered
+          listing has checked AUTO_SCAN_LIMIT products */}
+      {hasMore && (
+        <div ref={loadMoreRef} className="flex flex-col items-center gap-2 p-4">
+          {!autoLoad && !loadingMore && (
+            <p className="text-sm text-[#757575]">
+              Checked {products.length} products so far. Load more to keep looking.
+            </p>
+          )}
+          <button
+            onClick={handleLoadMore}
+            disabled={loadingMore}
+            className="py-2 px-6 rounded-full bg-[#141414] text-white text-sm font-semibold hover:opacity-90 transition disabled:opacity-60"
+          >
+            {loadingMore ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
     </>
   );
 }
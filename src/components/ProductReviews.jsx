@@ -0,0 +1,198 @@
+import React, { useState } from 'react';
+import { useAuthState } from 'react-firebase-hooks/auth';
+import { FaStar } from 'react-icons/fa';
+import { auth } from '../firebase';
+import { useCustomerOrders } from '../account';
+import { compressImage } from '../paymentProofs';
+import {
+  MAX_REVIEW_PHOTOS,
+  REVIEW_STATUS,
+  deleteReviewPhoto,
+  getReviewableOrders,
+  submitReview,
+  uploadReviewPhoto,
+  useOwnProductReviews,
+  useProductReviews,
+} from '../reviews';
+import StarRating from './StarRating';
+import ReviewPhotos from './ReviewPhotos';
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+const EMPTY_REVIEW = { orderId: '', rating: 0, text: '', photos: [] };
+
+// Approved reviews for a product, and a review form for customers with a
+// delivered order of it
+const ProductReviews = ({ product }) => {
+  const [user] = useAuthState(auth);
+  const reviews = useProductReviews(product.id);
+  const ownReviews = useOwnProductReviews(user?.uid, product.id);
+  const { orders } = useCustomerOrders(user?.uid);
+  const [form, setForm] = useState(EMPTY_REVIEW);
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const reviewableOrders = getReviewableOrders(orders, product.id, ownReviews);
+  const pendingReview = ownReviews.find(review => review.status === REVIEW_STATUS.PENDING);
+  const orderId = form.orderId || reviewableOrders[0]?.id || '';
+
+  const handlePhotosChange = async (e) => {
+    const files = Array.from(e.target.files || []).slice(0, MAX_REVIEW_PHOTOS - form.photos.length);
+    e.target.value = '';
+    try {
+      const photos = await Promise.all(files.map(file => compressImage(file)));
+      setForm(prev => ({ ...prev, photos: [...prev.photos, ...photos].slice(0, MAX_REVIEW_PHOTOS) }));
+    } catch (error) {
+      console.error('Error reading review photo:', error);
+      alert('Could not read that image. Please choose a JPG or PNG photo.');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.rating) {
+      setMessage('❌ Choose a star rating.');
+      return;
+    }
+
+    setSubmitting(true);
+    setMessage('');
+    const photoPaths = [];
+    try {
+      for (const photo of form.photos) {
+        photoPaths.push(await uploadReviewPhoto(user.uid, photo));
+      }
+      await submitReview({ orderId, productId: product.id, rating: form.rating, text: form.text, photoPaths });
+      setForm(EMPTY_REVIEW);
+      setMessage('✅ Thanks! Your review will appear once it has been approved.');
+    } catch (error) {
+      console.error('Error submitting review:', error);
+      photoPaths.forEach(path => deleteReviewPhoto(path).catch(err => console.error('Error removing review photo:', err)));
+      const known = error.code && error.code !== 'functions/internal' && error.code.startsWith('functions/');
+      setMessage(`❌ ${known ? error.message : 'Could not submit your review. Please try again.'}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="max-w-6xl mx-auto mt-10 px-4">
+      <div className="flex flex-wrap items-center gap-3 mb-6">
+        <h2 className="text-xl font-bold text-gray-900">Customer Reviews</h2>
+        {product.ratingCount > 0 && (
+          <span className="flex items-center gap-2 text-sm text-gray-700">
+            <StarRating value={product.ratingAverage} />
+            {product.ratingAverage} out of 5 · {product.ratingCount} review{product.ratingCount === 1 ? '' : 's'}
+          </span>
+        )}
+      </div>
+
+      {message && (
+        <p className={`mb-4 text-sm p-2 rounded ${message.startsWith('✅') ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+          {message}
+        </p>
+      )}
+
+      {pendingReview && !message && (
+        <p className="mb-4 text-sm text-gray-600">Your review is waiting for approval.</p>
+      )}
+
+      {reviewableOrders.length > 0 && (
+        <form onSubmit={handleSubmit} className="mb-8 p-4 space-y-3 bg-white border border-gray-200 rounded-lg">
+          <h3 className="font-medium text-gray-900">Write a review</h3>
+
+          {reviewableOrders.length > 1 && (
+            <select
+              value={orderId}
+              onChange={(e) => setForm(prev => ({ ...prev, orderId: e.target.value }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+            >
+              {reviewableOrders.map(order => (
+                <option key={order.id} value={order.id}>
+                  Order {order.id}{order.createdAt?.toDate ? ` – ${order.createdAt.toDate().toLocaleDateString()}` : ''}
+                </option>
+              ))}
+            </select>
+          )}
+
+          <div className="flex gap-1 text-2xl" role="radiogroup" aria-label="Rating">
+            {[1, 2, 3, 4, 5].map(star => (
+              <button
+                key={star}
+                type="button"
+                role="radio"
+                aria-checked={form.rating === star}
+                aria-label={`${star} star${star === 1 ? '' : 's'}`}
+                onClick={() => setForm(prev => ({ ...prev, rating: star }))}
+                className={form.rating >= star ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-400'}
+              >
+                <FaStar />
+              </button>
+            ))}
+          </div>
+
+          <textarea
+            value={form.text}
+            onChange={(e) => setForm(prev => ({ ...prev, text: e.target.value }))}
+            placeholder="What did you think of it?"
+            rows={4}
+            maxLength={2000}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+          />
+
+          <div>
+            {form.photos.length < MAX_REVIEW_PHOTOS && (
+              <input type="file" accept="image/*" multiple onChange={handlePhotosChange} className="text-sm" />
+            )}
+            {form.photos.length > 0 && (
+              <div className="flex flex-wrap gap-2 mt-2">
+                {form.photos.map((photo, index) => (
+                  <button
+                    key={index}
+                    type="button"
+                    onClick={() => setForm(prev => ({ ...prev, photos: prev.photos.filter((_, i) => i !== index) }))}
+                    className="text-xs px-2 py-1 rounded bg-gray-100 hover:bg-red-100"
+                    title="Remove photo"
+                  >
+                    📷 Photo {index + 1} ✕
+                  </button>
+                ))}
+              </div>
+            )}
+            <p className="text-xs text-gray-500 mt-1">Up to {MAX_REVIEW_PHOTOS} photos.</p>
+          </div>
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="py-2 px-6 rounded-xl bg-black text-white text-sm font-medium hover:bg-gray-800 transition-colors disabled:bg-gray-400"
+          >
+            {submitting ? 'Submitting...' : 'Submit Review'}
+          </button>
+        </form>
+      )}
+
+      {reviews.length === 0 ? (
+        <p className="text-sm text-gray-600">No reviews yet.</p>
+      ) : (
+        <div className="space-y-4">
+          {reviews.map(review => (
+            <div key={review.id} className="p-4 bg-white border border-gray-200 rounded-lg">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <StarRating value={review.rating} />
+                {review.createdAt && (
+                  <span className="text-xs text-gray-500">{toDate(review.createdAt).toLocaleDateString()}</span>
+                )}
+              </div>
+              <p className="text-sm font-medium text-gray-900 mt-1">{review.authorName} <span className="text-xs font-normal text-green-700">· Verified purchase</span></p>
+              {review.text && <p className="text-sm text-gray-700 mt-2 whitespace-pre-line">{review.text}</p>}
+              <ReviewPhotos paths={review.photoPaths} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductReviews;
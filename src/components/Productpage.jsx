@@ -7,15 +7,23 @@ import {
   onSnapshot
 } from 'firebase/firestore';
 import { db } from '../firebase';
+import { useCart, isSameLine } from '../cart';
+import { getFirstInStockVariant, getVariantCombinations, getVariantStock, isVariationSoldOut } from '../inventory';
+import { getActiveDiscount, getDiscountedPrice } from '../discounts';
 
 import Header from './Header';
 import ProductImageGrid from './ProductImageGrid';
 import ProductInfo from './ProductInfo';
 import QuantitySelector from './QuantitySelector';
+import NotifyMeForm from './NotifyMeForm';
+import WishlistButton from './WishlistButton';
+import StarRating from './StarRating';
+import ProductReviews from './ProductReviews';
 
 const ProductPage = ({ onOpenCart }) => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { items: cartItems, addItem } = useCart();
   const [product, setProduct] = useState(null);
   const [discounts, setDiscounts] = useState([]);
   const [activeDiscount, setActiveDiscount] = useState(null);
@@ -24,6 +32,7 @@ const ProductPage = ({ onOpenCart }) => {
   const [selectedSize, setSelectedSize] = useState(null);
   const [showSuccess, setShowSuccess] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [showNotifyForm, setShowNotifyForm] = useState(false);
 
   // Fetch discounts from Firestore
   useEffect(() => {
@@ -34,25 +43,9 @@ const ProductPage = ({ onOpenCart }) => {
     return () => unsubscribe();
   }, []);
 
-  // Helper function to check if discount is currently active
-  const isDiscountActive = (discount) => {
-    if (!discount.isActive) return false;
-    const now = new Date();
-    const startDate = discount.startDate?.toDate ? discount.startDate.toDate() : new Date(discount.startDate);
-    const endDate = discount.endDate?.toDate ? discount.endDate.toDate() : new Date(discount.endDate);
-    return now >= startDate && now <= endDate;
-  };
-
   // Check for active discount when product or discounts change
   useEffect(() => {
-    if (product && discounts.length > 0) {
-      const currentActiveDiscount = discounts.find(discount => 
-        discount.productIds.includes(product.id) && isDiscountActive(discount)
-      );
-      setActiveDiscount(currentActiveDiscount || null);
-    } else {
-      setActiveDiscount(null);
-    }
+    setActiveDiscount(product ? getActiveDiscount(discounts, product.id) : null);
   }, [product, discounts]);
 
   useEffect(() => {
@@ -63,13 +56,13 @@ const ProductPage = ({ onOpenCart }) => {
         if (docSnap.exists()) {
           const productData = { id: docSnap.id, ...docSnap.data() };
           setProduct(productData);
-          // Set the first variation as selected by default if variations exist
+          // Preselect the first colour/size combination that is still in stock
+          const defaultVariant = getFirstInStockVariant(productData);
           if (productData.variations && productData.variations.length > 0) {
-            setSelectedVariation(productData.variations[0]);
+            setSelectedVariation(defaultVariant?.variation ?? productData.variations[0]);
           }
-          // Set the first size as selected by default if sizes exist
           if (productData.sizes && productData.sizes.length > 0) {
-            setSelectedSize(productData.sizes[0]);
+            setSelectedSize(defaultVariant?.size ?? productData.sizes[0]);
           }
         } else {
           console.error('No such product!');
@@ -83,41 +76,42 @@ const ProductPage = ({ onOpenCart }) => {
     fetchProduct();
   }, [id, navigate]);
 
-  // Calculate discounted price
-  const getDiscountedPrice = () => {
-    if (!activeDiscount) return product.price;
-    return Math.round(product.price * (1 - activeDiscount.discountPercentage / 100));
-  };
-
   // Get the price to use for cart operations
-  const getCurrentPrice = () => {
-    return activeDiscount ? getDiscountedPrice() : product.price;
+  const getCurrentPrice = () => getDiscountedPrice(product.price, activeDiscount);
+
+  // Switching colour moves the size selection off sizes that colour has sold out of
+  const handleVariationSelect = (variation) => {
+    setSelectedVariation(variation);
+    if (product.sizes?.length && getVariantStock(product, variation, selectedSize) === 0) {
+      const inStockSize = product.sizes.find(size => getVariantStock(product, variation, size) > 0);
+      if (inStockSize) setSelectedSize(inStockSize);
+    }
   };
 
-  // Save cart to storage (consistent with cart component and checkout)
-  const saveCartToStorage = (cartData) => {
-    try {
-      const cartJson = JSON.stringify(cartData);
-      localStorage.setItem('cartItems', cartJson);
-      sessionStorage.setItem('cartItems', cartJson);
-    } catch (error) {
-      console.error('Error saving cart to storage:', error);
-    }
+  // Units of the selected colour/size left after what is already in the cart
+  const getRemainingStock = () => {
+    const inCart = cartItems
+      .filter(item => isSameLine(item, { productId: product.id, variation: selectedVariation, size: selectedSize }))
+      .reduce((sum, item) => sum + (item.quantity || 1), 0);
+    return Math.max(0, getVariantStock(product, selectedVariation, selectedSize) - inCart);
   };
 
-  // Load cart from storage
-  const loadCartFromStorage = () => {
-    try {
-      const storedCart = localStorage.getItem('cartItems') || sessionStorage.getItem('cartItems');
-      return storedCart ? JSON.parse(storedCart) : [];
-    } catch (error) {
-      console.error('Error loading cart from storage:', error);
-      return [];
+  const remainingStock = product ? getRemainingStock() : 0;
+  const canOrder = remainingStock > 0;
+  const selectionSoldOut = product ? getVariantStock(product, selectedVariation, selectedSize) === 0 : false;
+  const hasSoldOutOptions = product
+    ? getVariantCombinations(product.variations, product.sizes).some(({ variation, size }) => getVariantStock(product, variation, size) === 0)
+    : false;
+
+  // Keep the chosen quantity within what is left of the selected combination
+  useEffect(() => {
+    if (remainingStock > 0 && quantity > remainingStock) {
+      setQuantity(remainingStock);
     }
-  };
+  }, [remainingStock, quantity]);
 
   const handleAddToCart = async () => {
-    if (loading || !product.available) return;
+    if (loading || !canOrder || quantity > remainingStock) return;
     setLoading(true);
 
     // Create a unique identifier that includes both variation and size if they exist
@@ -132,6 +126,7 @@ const ProductPage = ({ onOpenCart }) => {
       price: getCurrentPrice(), // Use discounted price if available
       originalPrice: product.price, // Store original price for reference
       image: product.coverImage,
+      category: product.category || null,
       quantity,
       variation: selectedVariation, // Include the selected color variation
       size: selectedSize, // Include the selected size
@@ -140,26 +135,8 @@ const ProductPage = ({ onOpenCart }) => {
     };
 
     try {
-      // Load current cart
-      let currentCart = loadCartFromStorage();
-
-      // Check if item with same configuration already exists
-      const existingIndex = currentCart.findIndex(item =>
-        item.productId === cartItem.productId && 
-        item.variation === cartItem.variation &&
-        item.size === cartItem.size
-      );
-
-      if (existingIndex !== -1) {
-        // Update quantity of existing item
-        currentCart[existingIndex].quantity += quantity;
-      } else {
-        // Add new item to cart
-        currentCart.push(cartItem);
-      }
-
-      // Save updated cart
-      saveCartToStorage(currentCart);
+      // Adds to the quantity if the same colour/size is already in the cart
+      addItem(cartItem);
 
       // Show success message
       setShowSuccess(true);
@@ -177,7 +154,7 @@ const ProductPage = ({ onOpenCart }) => {
   };
 
   const handleBuyNow = () => {
-    if (loading || !product.available) return;
+    if (loading || !canOrder || quantity > remainingStock) return;
 
     const buyNowItem = {
       id: product.id,
@@ -186,6 +163,7 @@ const ProductPage = ({ onOpenCart }) => {
       price: getCurrentPrice(), // Use discounted price if available
       originalPrice: product.price, // Store original price for reference
       image: product.coverImage,
+      category: product.category || null,
       quantity,
       variation: selectedVariation, // Include the selected color variation
       size: selectedSize, // Include the selected size
@@ -216,7 +194,7 @@ const ProductPage = ({ onOpenCart }) => {
     ? [product.coverImage, ...product.images]
     : [product.coverImage];
 
-  const discountedPrice = getDiscountedPrice();
+  const discountedPrice = getDiscountedPrice(product.price, activeDiscount);
   const savings = product.price - discountedPrice;
 
   return (
@@ -263,7 +241,13 @@ const ProductPage = ({ onOpenCart }) => {
           <div className="flex flex-col w-full md:w-[360px]">
             {/* Product Info with Discount Pricing */}
             <div className="px-4 py-3">
-              <h1 className="text-2xl font-bold text-gray-900 mb-2">{product.title}</h1>
+              <div className="flex items-start justify-between gap-3 mb-2">
+                <h1 className="text-2xl font-bold text-gray-900">{product.title}</h1>
+                <WishlistButton product={product} />
+              </div>
+              {product.ratingCount > 0 && (
+                <StarRating value={product.ratingAverage} count={product.ratingCount} className="mb-2" />
+              )}
               
               {/* Price Display with Discount */}
               <div className="mb-4">
@@ -305,8 +289,10 @@ const ProductPage = ({ onOpenCart }) => {
               )}
             </div>
             
-            {product.available ? (
+            {canOrder ? (
               <p className="text-green-600 font-medium px-4">✅ In Stock</p>
+            ) : getVariantStock(product, selectedVariation, selectedSize) > 0 ? (
+              <p className="text-orange-600 font-medium px-4">🛒 All remaining stock is in your cart</p>
             ) : (
               <p className="text-red-600 font-medium px-4">❌ Out of Stock</p>
             )}
@@ -316,20 +302,25 @@ const ProductPage = ({ onOpenCart }) => {
               <div className="px-4 py-3">
                 <h3 className="text-sm font-medium text-gray-900 mb-2">Color:</h3>
                 <div className="flex flex-wrap gap-2">
-                  {product.variations.map((variation) => (
-                    <button
-                      key={variation}
-                      type="button"
-                      onClick={() => setSelectedVariation(variation)}
-                      className={`px-3 py-1 rounded-full text-sm border ${
-                        selectedVariation === variation
-                          ? 'bg-black text-white border-black'
-                          : 'bg-white text-gray-800 border-gray-300 hover:border-gray-400'
-                      } transition-colors duration-200`}
-                    >
-                      {variation}
-                    </button>
-                  ))}
+                  {product.variations.map((variation) => {
+                    const soldOut = isVariationSoldOut(product, variation);
+                    return (
+                      <button
+                        key={variation}
+                        type="button"
+                        onClick={() => handleVariationSelect(variation)}
+                        disabled={soldOut}
+                        title={soldOut ? 'Sold out' : variation}
+                        className={`px-3 py-1 rounded-full text-sm border ${
+                          selectedVariation === variation
+                            ? 'bg-black text-white border-black'
+                            : 'bg-white text-gray-800 border-gray-300 hover:border-gray-400'
+                        } disabled:opacity-40 disabled:line-through disabled:cursor-not-allowed transition-colors duration-200`}
+                      >
+                        {variation}
+                      </button>
+                    );
+                  })}
                 </div>
               </div>
             )}
@@ -339,25 +330,48 @@ const ProductPage = ({ onOpenCart }) => {
               <div className="px-4 py-3">
                 <h3 className="text-sm font-medium text-gray-900 mb-2">Size:</h3>
                 <div className="flex flex-wrap gap-2">
-                  {product.sizes.map((size) => (
-                    <button
-                      key={size}
-                      type="button"
-                      onClick={() => setSelectedSize(size)}
-                      className={`px-3 py-1 rounded-full text-sm border min-w-[40px] ${
-                        selectedSize === size
-                          ? 'bg-green-600 text-white border-green-600'
-                          : 'bg-white text-gray-800 border-gray-300 hover:border-green-400'
-                      } transition-colors duration-200`}
-                    >
-                      {size}
-                    </button>
-                  ))}
+                  {product.sizes.map((size) => {
+                    const soldOut = getVariantStock(product, selectedVariation, size) === 0;
+                    return (
+                      <button
+                        key={size}
+                        type="button"
+                        onClick={() => setSelectedSize(size)}
+                        disabled={soldOut}
+                        title={soldOut ? 'Sold out' : size}
+                        className={`px-3 py-1 rounded-full text-sm border min-w-[40px] ${
+                          selectedSize === size
+                            ? 'bg-green-600 text-white border-green-600'
+                            : 'bg-white text-gray-800 border-gray-300 hover:border-green-400'
+                        } disabled:opacity-40 disabled:line-through disabled:cursor-not-allowed transition-colors duration-200`}
+                      >
+                        {size}
+                      </button>
+                    );
+                  })}
                 </div>
               </div>
             )}
 
-            <QuantitySelector quantity={quantity} setQuantity={setQuantity} />
+            <QuantitySelector quantity={quantity} setQuantity={setQuantity} max={remainingStock} />
+
+            {/* Back-in-stock alerts for the selection, or any other sold-out colour/size */}
+            {selectionSoldOut || showNotifyForm ? (
+              <NotifyMeForm
+                key={`${selectedVariation}_${selectedSize}`}
+                product={product}
+                variation={selectedVariation}
+                size={selectedSize}
+              />
+            ) : hasSoldOutOptions && (
+              <button
+                type="button"
+                onClick={() => setShowNotifyForm(true)}
+                className="mx-4 mb-2 text-sm text-gray-600 underline hover:text-black text-left"
+              >
+                🔔 Waiting for a sold-out color or size? Get notified
+              </button>
+            )}
 
             {/* Discount Timer (if discount is active) */}
             {activeDiscount && (
@@ -365,18 +379,20 @@ const ProductPage = ({ onOpenCart }) => {
                 <div className="flex items-center gap-2 mb-2">
                   <span className="text-red-600 font-bold text-sm">🔥 LIMITED TIME OFFER</span>
                 </div>
-                <p className="text-xs text-red-700">
-                  Offer ends: {(activeDiscount.endDate?.toDate ? activeDiscount.endDate.toDate() : new Date(activeDiscount.endDate)).toLocaleDateString()} at {(activeDiscount.endDate?.toDate ? activeDiscount.endDate.toDate() : new Date(activeDiscount.endDate)).toLocaleTimeString()}
-                </p>
+                {activeDiscount.endDate && (
+                  <p className="text-xs text-red-700">
+                    Offer ends: {(activeDiscount.endDate?.toDate ? activeDiscount.endDate.toDate() : new Date(activeDiscount.endDate)).toLocaleDateString()} at {(activeDiscount.endDate?.toDate ? activeDiscount.endDate.toDate() : new Date(activeDiscount.endDate)).toLocaleTimeString()}
+                  </p>
+                )}
               </div>
             )}
 
             <div className="flex flex-col gap-3 p-4">
               <button
                 onClick={handleAddToCart}
-                disabled={!product.available || loading}
+                disabled={!canOrder || loading}
                 className={`w-full border-2 py-3 px-4 rounded-xl font-medium text-base transition-colors ${
-                  product.available && !loading
+                  canOrder && !loading
                     ? 'border-black text-black hover:bg-gray-100'
                     : 'border-gray-400 text-gray-400 cursor-not-allowed'
                 }`}
@@ -398,9 +414,9 @@ const ProductPage = ({ onOpenCart }) => {
 
               <button
                 onClick={handleBuyNow}
-                disabled={!product.available || loading}
+                disabled={!canOrder || loading}
                 className={`w-full py-3 px-4 rounded-xl font-medium text-base transition-colors ${
-                  product.available && !loading
+                  canOrder && !loading
                     ? 'bg-[#FCBACB] text-white hover:bg-[#FCBACB]'
                     : 'bg-gray-400 text-white cursor-not-allowed'
                 }`}
@@ -434,6 +450,10 @@ const ProductPage = ({ onOpenCart }) => {
             )}
           </div>
         </div>
+
+        <div className="pb-12">
+          <ProductReviews product={product} />
+        </div>
       </div>
     </div>
   );
@@ -1,34 +1,16 @@
-import React, { useEffect, useState } from 'react';
+import React, { useState } from 'react';
 import Header from './Header';
 import SidebarFilters from './SidebarFilters';
 import ProductGrid from './ProductGrid';
 import Newsletter from './Newsletter';
 import Footer from './Footer';
-import { collection, getDocs } from 'firebase/firestore';
-import { db } from '../firebase';
 import { AiOutlineClose } from 'react-icons/ai';
+import { useProductFacets } from '../productListing';
 
 function Products() {
-  const [filters, setFilters] = useState({});
-  const [allProducts, setAllProducts] = useState([]);
   const [mobileFiltersOpen, setMobileFiltersOpen] = useState(false);
-
-  useEffect(() => {
-    const fetchProducts = async () => {
-      try {
-        const querySnapshot = await getDocs(collection(db, 'products'));
-        const productList = querySnapshot.docs.map((doc) => ({
-          id: doc.id,
-          ...doc.data(),
-        }));
-        setAllProducts(productList);
-      } catch (error) {
-        console.error('Error fetching products:', error);
-      }
-    };
-
-    fetchProducts();
-  }, []);
+  // Read here so the desktop sidebar and the mobile overlay share it
+  const facetProducts = useProductFacets();
 
   return (
     <div
@@ -39,9 +21,9 @@ function Products() {
         <Header />
 
         <div className="gap-1 px-4 md:px-6 flex flex-1 justify-center py-5">
-          {/* Sidebar visible only on desktop */}
+          {/* Sidebar visible only on desktop; filters live in the URL, so it and the mobile overlay always agree */}
           <div className="hidden md:block">
-            <SidebarFilters onFilterChange={setFilters} />
+            <SidebarFilters facetProducts={facetProducts} />
           </div>
 
           <div className="layout-content-container flex flex-col max-w-[960px] flex-1">
@@ -68,12 +50,12 @@ function Products() {
                     <AiOutlineClose className="w-6 h-6" />
                   </button>
                 </div>
-              <SidebarFilters onFilterChange={setFilters} onClose={() => setMobileFiltersOpen(false)} />
+              <SidebarFilters facetProducts={facetProducts} onClose={() => setMobileFiltersOpen(false)} />
 
               </div>
             )}
 
-            <ProductGrid products={allProducts} filters={filters} />
+            <ProductGrid />
       
           </div>
         </div>
@@ -1,4 +1,7 @@
-const QuantitySelector = ({ quantity, setQuantity }) => {
+// Below this many units the selector tells the customer how many are left
+const LOW_STOCK_THRESHOLD = 10;
+
+const QuantitySelector = ({ quantity, setQuantity, max = Infinity }) => {
   const handleDecrement = () => {
     if (quantity > 1) {
       setQuantity(quantity - 1);
@@ -6,13 +9,15 @@ const QuantitySelector = ({ quantity, setQuantity }) => {
   };
 
   const handleIncrement = () => {
-    setQuantity(quantity + 1);
+    if (quantity < max) {
+      setQuantity(quantity + 1);
+    }
   };
 
   const handleChange = (e) => {
     const value = parseInt(e.target.value);
     if (!isNaN(value) && value > 0) {
-      setQuantity(value);
+      setQuantity(Math.min(value, Math.max(max, 1)));
     } else {
       setQuantity(1);
     }
@@ -42,16 +47,21 @@ const QuantitySelector = ({ quantity, setQuantity }) => {
               value={quantity}
               onChange={handleChange}
               min="1"
+              max={Number.isFinite(max) ? max : undefined}
             />
             <button
               onClick={handleIncrement}
-              className="text-base font-medium leading-normal flex h-7 w-7 items-center justify-center rounded-full bg-[#fefaf9] cursor-pointer"
+              disabled={quantity >= max}
+              className="text-base font-medium leading-normal flex h-7 w-7 items-center justify-center rounded-full bg-[#fefaf9] cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed"
             >
               +
             </button>
           </div>
         </div>
       </div>
+      {max <= LOW_STOCK_THRESHOLD && max > 0 && (
+        <p className="text-xs text-gray-600 px-4 pt-1">Only {max} left</p>
+      )}
     </>
   );
 };
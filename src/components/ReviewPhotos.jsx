@@ -0,0 +1,36 @@
+import React, { useEffect, useState } from 'react';
+import { getReviewPhotoUrl } from '../reviews';
+
+// Thumbnails for a review's photos, each opening full size in a new tab
+const ReviewPhotos = ({ paths = [] }) => {
+  const [urls, setUrls] = useState({});
+  const pathsKey = paths.join(',');
+
+  useEffect(() => {
+    if (!pathsKey) return;
+    let cancelled = false;
+    Promise.all(pathsKey.split(',').map(path => getReviewPhotoUrl(path).then(url => [path, url]).catch(() => [path, null])))
+      .then((entries) => {
+        if (!cancelled) setUrls(Object.fromEntries(entries));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [pathsKey]);
+
+  if (paths.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap gap-2 mt-2">
+      {paths.map(path => (urls[path] ? (
+        <a key={path} href={urls[path]} target="_blank" rel="noopener noreferrer">
+          <img src={urls[path]} alt="Review photo" className="w-20 h-20 object-cover rounded-md border border-gray-200" />
+        </a>
+      ) : (
+        <div key={path} className="w-20 h-20 rounded-md bg-gray-100" />
+      )))}
+    </div>
+  );
+};
+
+export default ReviewPhotos;
@@ -46,6 +46,7 @@ function ShopTheLook() {
                 description={product.description}
                 imageUrl={product.coverImage}
                 price={`PKR ${product.price}`}
+                product={product}
               />
             </Link>
           ))}
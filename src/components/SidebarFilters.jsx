@@ -1,50 +1,117 @@
 import React, { useState } from 'react';
+import { findCategory, useCategories } from '../categories';
+import { EMPTY_FILTERS, getFacets, toQueryFilters, useProductFilters } from '../productFilters';
+import { matchesQueryFilters } from '../productListing';
 
-function SidebarFilters({ onFilterChange, onClose }) {
-  const [tempFilters, setTempFilters] = useState({
-    category: [],
-    available: [],
-    priceRange: [0, 500000000],
-  });
+// Edits a draft of the URL's filters; Apply writes it back to the URL. The
+// draft starts over whenever the URL's filters change (a chip removed, the
+// other sidebar applied, a category link followed). `facetProducts` is
+// useProductFacets' result, read once by the page for both sidebars.
+function SidebarFilters({ facetProducts, onClose }) {
+  const { filters, search, setFilters } = useProductFilters();
+  const filtersKey = JSON.stringify(filters);
+  const [draftState, setDraftState] = useState({ key: filtersKey, draft: filters });
+  const tempFilters = draftState.key === filtersKey ? draftState.draft : filters;
+  const updateDraft = (update) => setDraftState({ key: filtersKey, draft: update(tempFilters) });
 
-  const options = {
-    Category: ['Phone charms', 'Keychains', 'Bracelet', 'Earings', 'Necklaces', 'Plushies'],
-    Availability: [true, false],
+  const { categories: allCategories, loading: categoriesLoading } = useCategories({ includeHidden: true });
+  const categories = allCategories.filter((category) => category.visible !== false);
+
+  // Colour and size options come from the products the applied filters match.
+  // The facets doc has no descriptions to search, so counts are left off
+  // while searching rather than miss products matched by their description.
+  const queryFilters = toQueryFilters(filters, allCategories);
+  const matching = facetProducts.loading || (filters.categories.length && categoriesLoading)
+    ? []
+    : facetProducts.products.filter((product) => matchesQueryFilters(product, queryFilters));
+  const facets = getFacets(matching, filters, '');
+  const showCounts = !search;
+
+  // Matches the slug, or the name used by older links
+  const isCategorySelected = (category) =>
+    tempFilters.categories.some((value) => findCategory([category], value));
+
+  const toggleCategory = (category) => {
+    updateDraft((prev) => ({
+      ...prev,
+      categories: isCategorySelected(category)
+        ? prev.categories.filter((value) => !findCategory([category], value))
+        : [...prev.categories, category.slug],
+    }));
+  };
+
+  const toggleValue = (key, value) => {
+    updateDraft((prev) => ({
+      ...prev,
+      [key]: prev[key].includes(value)
+        ? prev[key].filter((v) => v !== value)
+        : [...prev[key], value],
+    }));
+  };
+
+  // Colours and sizes match however they're cased
+  const isSelected = (key, value) =>
+    tempFilters[key].some((v) => v.toLowerCase() === value.toLowerCase());
+
+  const toggleFacet = (key, value) => {
+    updateDraft((prev) => ({
+      ...prev,
+      [key]: isSelected(key, value)
+        ? prev[key].filter((v) => v.toLowerCase() !== value.toLowerCase())
+        : [...prev[key], value],
+    }));
   };
 
-  const handleCheckboxChange = (filterName, value) => {
-    const key = filterName === 'Availability' ? 'available' : filterName.toLowerCase();
-    setTempFilters((prev) => {
-      const current = prev[key] || [];
-      const updated = current.includes(value)
-        ? current.filter((v) => v !== value)
-        : [...current, value];
-      return { ...prev, [key]: updated };
-    });
+  const options = {
+    Category: categories.map((category) => ({
+      key: category.id,
+      label: category.name,
+      checked: isCategorySelected(category),
+      onChange: () => toggleCategory(category),
+    })),
+    Availability: [true, false].map((value) => ({
+      key: String(value),
+      label: value ? 'In Stock' : 'Out of Stock',
+      checked: tempFilters.available.includes(value),
+      onChange: () => toggleValue('available', value),
+    })),
+    Colour: facets.colors.map((option) => ({
+      key: option.value,
+      label: option.value,
+      count: showCounts ? option.count : undefined,
+      swatch: /^#[0-9A-F]{6}$/i.test(option.value) ? option.value : null,
+      checked: isSelected('colors', option.value),
+      onChange: () => toggleFacet('colors', option.value),
+    })),
+    Size: facets.sizes.map((option) => ({
+      key: option.value,
+      label: option.value,
+      count: showCounts ? option.count : undefined,
+      checked: isSelected('sizes', option.value),
+      onChange: () => toggleFacet('sizes', option.value),
+    })),
+    Offers: [{
+      key: 'onSale',
+      label: 'On Sale',
+      checked: tempFilters.onSale,
+      onChange: () => updateDraft((prev) => ({ ...prev, onSale: !prev.onSale })),
+    }],
   };
 
-  const handlePriceChange = (index, value) => {
-    const newRange = [...tempFilters.priceRange];
-    newRange[index] = Number(value);
-    setTempFilters((prev) => ({
+  const handlePriceChange = (name, value) => {
+    updateDraft((prev) => ({
       ...prev,
-      priceRange: newRange,
+      [name]: value === '' ? '' : Number(value),
     }));
   };
 
   const applyFilters = () => {
-    onFilterChange?.(tempFilters);
+    setFilters(tempFilters);
     onClose?.(); // Close filter panel on mobile
   };
 
   const clearFilters = () => {
-    const cleared = {
-      category: [],
-      available: [],
-      priceRange: [0, 5000000],
-    };
-    setTempFilters(cleared);
-    onFilterChange?.(cleared);
+    setFilters(EMPTY_FILTERS);
     onClose?.(); // Close filter panel on mobile
   };
 
@@ -54,7 +121,7 @@ function SidebarFilters({ onFilterChange, onClose }) {
         Filters
       </h2>
       <div className="flex flex-col p-4 gap-3">
-        {Object.keys(options).map((filter) => (
+        {Object.keys(options).filter((filter) => options[filter].length > 0).map((filter) => (
           <details
             key={filter}
             className="flex flex-col rounded-lg border border-[#e0e0e0] bg-[#
@@ -70,22 +137,18 @@ function SidebarFilters({ onFilterChange, onClose }) {
             </summary>
             <div className="flex flex-col gap-2 pb-2">
               {options[filter].map((option) => (
-                <label key={option.toString()} className="flex items-center gap-2 text-[#757575] text-sm font-normal">
+                <label key={option.key} className="flex items-center gap-2 text-[#757575] text-sm font-normal">
                   <input
                     type="checkbox"
-                    checked={
-                      filter === 'Availability'
-                        ? tempFilters.available.includes(option)
-                        : tempFilters[filter.toLowerCase()]?.includes(option)
-                    }
-                    onChange={() => handleCheckboxChange(filter, option)}
+                    checked={option.checked}
+                    onChange={option.onChange}
                     className="accent-[#141414]"
                   />
-                  {filter === 'Availability'
-                    ? option === true
-                      ? 'In Stock'
-                      : 'Out of Stock'
-                    : option}
+                  {option.swatch && (
+                    <span className="w-4 h-4 rounded-full border border-gray-300" style={{ backgroundColor: option.swatch }} />
+                  )}
+                  {option.label}
+                  {option.count !== undefined && <span className="ml-auto text-xs">({option.count})</span>}
                 </label>
               ))}
             </div>
@@ -111,17 +174,19 @@ function SidebarFilters({ onFilterChange, onClose }) {
               <input
                 type="number"
                 min={0}
-                value={tempFilters.priceRange[0]}
-                onChange={(e) => handlePriceChange(0, e.target.value)}
+                placeholder="Min"
+                value={tempFilters.minPrice}
+                onChange={(e) => handlePriceChange('minPrice', e.target.value)}
                 className="w-20 px-2 py-1 border border-[#ccc] rounded text-sm bg-[#
 #fefaf9]"
               />
               <span className="text-sm text-[#757575]">to</span>
               <input
                 type="number"
-                min={tempFilters.priceRange[0]}
-                value={tempFilters.priceRange[1]}
-                onChange={(e) => handlePriceChange(1, e.target.value)}
+                min={tempFilters.minPrice || 0}
+                placeholder="Max"
+                value={tempFilters.maxPrice}
+                onChange={(e) => handlePriceChange('maxPrice', e.target.value)}
                 className="w-20 px-2 py-1 border border-[#ccc] rounded text-sm bg-[#
 #fefaf9]"
               />
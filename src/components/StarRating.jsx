@@ -0,0 +1,21 @@
+import React from 'react';
+import { FaRegStar, FaStar, FaStarHalfAlt } from 'react-icons/fa';
+
+// Five stars filled to `value` (rounded to the nearest half), with the review
+// count beside them when given
+const StarRating = ({ value = 0, count, className = '' }) => {
+  const rounded = Math.round(value * 2) / 2;
+
+  return (
+    <span className={`inline-flex items-center gap-1 ${className}`} title={`${value} out of 5`}>
+      <span className="flex text-yellow-500" aria-label={`Rated ${value} out of 5`}>
+        {[1, 2, 3, 4, 5].map(star =>
+          rounded >= star ? <FaStar key={star} /> : rounded >= star - 0.5 ? <FaStarHalfAlt key={star} /> : <FaRegStar key={star} />
+        )}
+      </span>
+      {count !== undefined && <span className="text-xs text-gray-600">({count})</span>}
+    </span>
+  );
+};
+
+export default StarRating;
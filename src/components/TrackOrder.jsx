@@ -0,0 +1,231 @@
+import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { trackOrder } from '../orders';
+import { CLOSED_STATUSES, ORDER_STATUS, formatOrderStatus, getOrderStatus } from '../orderStatus';
+import Header from './Header';
+
+// The steps an order moves through on its way to the customer
+const PROGRESS_STEPS = [
+  ORDER_STATUS.PENDING_VERIFICATION,
+  ORDER_STATUS.CONFIRMED,
+  ORDER_STATUS.PACKED,
+  ORDER_STATUS.SHIPPED,
+  ORDER_STATUS.DELIVERED,
+];
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+// The order just placed in this tab can be looked up without retyping its details
+const getLastOrderLookup = (orderId) => {
+  if (!orderId || sessionStorage.getItem('lastOrderId') !== orderId) return '';
+  return sessionStorage.getItem('lastOrderEmail') || sessionStorage.getItem('lastOrderPhone') || '';
+};
+
+const NOT_FOUND_MESSAGE = "We couldn't find an order with those details. Please check your order ID and the email or phone number you ordered with.";
+
+const TrackOrder = () => {
+  const [searchParams] = useSearchParams();
+  const [form, setForm] = useState(() => {
+    const orderId = searchParams.get('orderId') || '';
+    return { orderId, contact: getLastOrderLookup(orderId) };
+  });
+  // The details being looked up; coming from the thank-you page both are already known
+  const [lookup, setLookup] = useState(() => (form.orderId && form.contact ? form : null));
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(!!lookup);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!lookup) return;
+    let cancelled = false;
+
+    trackOrder(lookup.orderId, lookup.contact)
+      .then((found) => {
+        if (cancelled) return;
+        if (found) {
+          setOrder(found);
+        } else {
+          setError(NOT_FOUND_MESSAGE);
+        }
+      })
+      .catch((err) => {
+        console.error('Error tracking order:', err);
+        if (!cancelled) setError(NOT_FOUND_MESSAGE);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [lookup]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.orderId.trim() || !form.contact.trim()) {
+      setError('Please enter your order ID and the email or phone number you ordered with.');
+      return;
+    }
+    setError('');
+    setOrder(null);
+    setLoading(true);
+    setLookup({ ...form });
+  };
+
+  const status = order ? getOrderStatus(order) : null;
+  const currentStep = PROGRESS_STEPS.indexOf(status);
+
+  return (
+    <>
+      <Header />
+      <div className="min-h-screen bg-[#F3D0D7] py-8 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-3xl mx-auto">
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-8">Track Your Order</h1>
+
+          <form onSubmit={handleSubmit} className="bg-[#fefaf9] p-6 rounded-lg shadow-sm mb-8">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+              <div>
+                <label htmlFor="orderId" className="block text-sm font-medium text-gray-700 mb-1">Order ID*</label>
+                <input
+                  id="orderId"
+                  name="orderId"
+                  value={form.orderId}
+                  onChange={handleChange}
+                  placeholder="e.g., ORDER_1712345678901_abc123xyz"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-black focus:border-black"
+                />
+              </div>
+              <div>
+                <label htmlFor="contact" className="block text-sm font-medium text-gray-700 mb-1">Email or Phone Number*</label>
+                <input
+                  id="contact"
+                  name="contact"
+                  value={form.contact}
+                  onChange={handleChange}
+                  placeholder="The email or phone you ordered with"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-black focus:border-black"
+                />
+              </div>
+            </div>
+            {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
+            <button
+              type="submit"
+              disabled={loading}
+              className={`mt-6 w-full py-3 px-4 rounded-md font-medium text-base ${loading ? 'bg-gray-400 cursor-not-allowed' : 'bg-black text-white hover:bg-gray-800'} transition`}
+            >
+              {loading ? 'Looking up your order...' : 'Track Order'}
+            </button>
+          </form>
+
+          {order && (
+            <div className="bg-[#fefaf9] p-6 rounded-lg shadow-sm space-y-8">
+              <div>
+                <p className="text-sm text-gray-500">Order {order.orderId || order.id}</p>
+                <p className="text-xl font-semibold text-gray-900 mt-1">{formatOrderStatus(status)}</p>
+                {order.createdAt && (
+                  <p className="text-sm text-gray-500">Placed on {toDate(order.createdAt).toLocaleString()}</p>
+                )}
+              </div>
+
+              {CLOSED_STATUSES.includes(status) ? (
+                <p className="p-4 border border-gray-300 bg-gray-50 rounded-md text-sm text-gray-700">
+                  This order was {formatOrderStatus(status).toLowerCase()}. Please contact us if you have any questions.
+                </p>
+              ) : (
+                <ol className="grid grid-cols-5 gap-2">
+                  {PROGRESS_STEPS.map((step, index) => (
+                    <li key={step} className="text-center">
+                      <div className={`h-2 rounded-full ${index <= currentStep ? 'bg-black' : 'bg-gray-200'}`} />
+                      <p className={`mt-2 text-xs sm:text-sm ${index <= currentStep ? 'text-gray-900 font-medium' : 'text-gray-400'}`}>
+                        {formatOrderStatus(step)}
+                      </p>
+                    </li>
+                  ))}
+                </ol>
+              )}
+
+              {order.trackingNumber && (
+                <div className="p-4 border border-blue-300 bg-blue-50 rounded-md text-sm sm:text-base">
+                  <p><strong>Courier:</strong> {order.courier}</p>
+                  <p><strong>Tracking Number:</strong> {order.trackingNumber}</p>
+                </div>
+              )}
+
+              {order.statusHistory?.length > 0 && (
+                <div>
+                  <h2 className="text-lg font-semibold mb-3 pb-2 border-b">Status History</h2>
+                  <ul className="space-y-2 text-sm text-gray-700">
+                    {[...order.statusHistory].reverse().map((entry, index) => (
+                      <li key={index} className="flex justify-between gap-4">
+                        <span className="font-medium">{formatOrderStatus(entry.status)}</span>
+                        <span className="text-gray-500">{toDate(entry.at).toLocaleString()}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div>
+                <h2 className="text-lg font-semibold mb-3 pb-2 border-b">Items</h2>
+                <div className="space-y-4">
+                  {(order.items || []).map((item, index) => (
+                    <div key={index} className="flex justify-between items-start gap-4">
+                      <div className="flex gap-4">
+                        {item.image && (
+                          <img src={item.image} alt={item.title} className="w-16 h-20 object-top rounded flex-shrink-0" />
+                        )}
+                        <div>
+                          <p className="font-medium text-gray-900">{item.title}</p>
+                          <p className="text-xs text-gray-500 mt-1">
+                            {[item.variation, item.size].filter(Boolean).join(' | ')}
+                          </p>
+                          <p className="text-sm text-gray-500">Qty: {item.quantity}</p>
+                        </div>
+                      </div>
+                      <p className="font-medium">PKR {(item.price * item.quantity).toLocaleString()}</p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div className="space-y-3 border-t border-gray-200 pt-4 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Subtotal</span>
+                  <span>PKR {(order.subtotal || 0).toLocaleString()}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Shipping</span>
+                  <span>{order.shippingCost ? `PKR ${order.shippingCost.toLocaleString()}` : 'Free'}</span>
+                </div>
+                {order.codFee > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Cash on Delivery Fee</span>
+                    <span>PKR {order.codFee.toLocaleString()}</span>
+                  </div>
+                )}
+                {order.discount > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Discount{order.promoCode && ` (${order.promoCode})`}</span>
+                    <span className="text-green-600">-PKR {order.discount.toLocaleString()}</span>
+                  </div>
+                )}
+                <div className="flex justify-between pt-3 border-t border-gray-200">
+                  <span className="font-medium text-base">Total</span>
+                  <span className="font-bold text-base">PKR {(order.total || 0).toLocaleString()}</span>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default TrackOrder;
@@ -0,0 +1,180 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuthState } from 'react-firebase-hooks/auth';
+import { collection, doc, getDoc, onSnapshot } from 'firebase/firestore';
+import { FaHeart } from 'react-icons/fa';
+import { auth, db } from '../firebase';
+import { useWishlist } from '../wishlist';
+import { getActiveDiscount, getDiscountedPrice } from '../discounts';
+import { getTotalStock } from '../inventory';
+import { markNotificationsRead, useNotifications } from '../notifications';
+import Header from './Header';
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+// Saved products with their current price and stock, plus the signed-in
+// customer's price-drop and back-in-stock notifications
+const Wishlist = () => {
+  const [user] = useAuthState(auth);
+  const { items, removeFromWishlist } = useWishlist();
+  const { notifications, unreadCount } = useNotifications(user?.uid);
+  const [products, setProducts] = useState({});
+  const [discounts, setDiscounts] = useState([]);
+
+  const productIdsKey = items.map(item => item.productId).sort().join(',');
+
+  // Fetch any saved product not loaded yet
+  useEffect(() => {
+    const missing = productIdsKey.split(',').filter(id => id && !(id in products));
+    if (missing.length === 0) return;
+    let cancelled = false;
+
+    Promise.all(missing.map(id => getDoc(doc(db, 'products', id))))
+      .then((snapshots) => {
+        if (cancelled) return;
+        setProducts(prev => ({
+          ...prev,
+          ...Object.fromEntries(snapshots.map(snap => [snap.id, snap.exists() ? { id: snap.id, ...snap.data() } : null])),
+        }));
+      })
+      .catch((error) => {
+        console.error('Error loading wishlist products:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [productIdsKey, products]);
+
+  useEffect(() => {
+    const unsubscribe = onSnapshot(collection(db, 'discounts'), (snapshot) => {
+      setDiscounts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    });
+    return () => unsubscribe();
+  }, []);
+
+  const handleMarkRead = () => {
+    markNotificationsRead(notifications.filter(n => !n.read).map(n => n.id))
+      .catch(error => console.error('Error marking notifications read:', error));
+  };
+
+  const handleRemove = (productId) => {
+    removeFromWishlist(productId).catch(error => {
+      console.error('Error updating wishlist:', error);
+      alert('Could not update your wishlist. Please try again.');
+    });
+  };
+
+  return (
+    <>
+      <Header />
+      <div className="min-h-screen bg-[#F3D0D7] py-8 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-6xl mx-auto space-y-8">
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">My Wishlist</h1>
+
+          {!user && items.length > 0 && (
+            <p className="text-sm text-gray-700">
+              <Link to="/login" className="font-semibold underline">Log in</Link> to keep your wishlist on every device and hear when saved items drop in price or come back in stock.
+            </p>
+          )}
+
+          {notifications.length > 0 && (
+            <div className="bg-[#fefaf9] p-6 rounded-lg shadow-sm">
+              <div className="flex justify-between items-center mb-4 pb-2 border-b">
+                <h2 className="text-lg font-semibold">Updates</h2>
+                {unreadCount > 0 && (
+                  <button onClick={handleMarkRead} className="text-sm font-medium text-pink-600 hover:text-pink-700">
+                    Mark all as read
+                  </button>
+                )}
+              </div>
+              <ul className="space-y-3">
+                {notifications.map(notification => (
+                  <li key={notification.id} className="flex justify-between gap-4 text-sm">
+                    <Link to={`/product/${notification.productId}`} className="text-gray-800 hover:underline">
+                      {!notification.read && <span className="inline-block w-2 h-2 mr-2 rounded-full bg-pink-500 align-middle" />}
+                      {notification.message}
+                    </Link>
+                    {notification.createdAt && (
+                      <span className="text-gray-500 whitespace-nowrap">{toDate(notification.createdAt).toLocaleDateString()}</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {items.length === 0 ? (
+            <div className="text-center py-16">
+              <FaHeart className="mx-auto text-5xl text-pink-400 mb-4" />
+              <p className="text-gray-700 mb-6">Tap the heart on any product to save it here for later.</p>
+              <Link to="/products" className="bg-black text-white px-8 py-3 rounded-md font-medium hover:bg-gray-800 transition">
+                Browse Products
+              </Link>
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+              {items.map(item => {
+                const product = products[item.productId];
+                if (product === undefined) {
+                  return <div key={item.productId} className="rounded-lg bg-[#FFF2EB] animate-pulse aspect-[3/4]" />;
+                }
+                if (product === null) {
+                  return (
+                    <div key={item.productId} className="flex flex-col justify-between gap-3 p-4 rounded-lg bg-[#FFF2EB] shadow-md">
+                      <p className="text-sm text-gray-600">This product is no longer available.</p>
+                      <button onClick={() => handleRemove(item.productId)} className="text-sm font-medium text-red-600 hover:text-red-700">
+                        Remove
+                      </button>
+                    </div>
+                  );
+                }
+
+                const discount = getActiveDiscount(discounts, product.id);
+                const price = getDiscountedPrice(product.price, discount);
+                const inStock = getTotalStock(product) > 0;
+
+                return (
+                  <div key={item.productId} className="flex flex-col rounded-lg overflow-hidden shadow-md bg-[#FFF2EB]">
+                    <Link to={`/product/${product.id}`} className="w-full aspect-square overflow-hidden">
+                      <img
+                        src={product.coverImage || product.imageUrl}
+                        alt={product.title}
+                        className="w-full h-full object-cover object-top"
+                      />
+                    </Link>
+                    <div className="flex flex-col flex-1 gap-1 p-3">
+                      <Link to={`/product/${product.id}`} className="text-[#141414] text-base font-medium line-clamp-2">
+                        {product.title}
+                      </Link>
+                      <p className="text-sm">
+                        <span className={discount ? 'font-semibold text-green-600' : 'text-[#757575]'}>PKR {price.toLocaleString()}</span>
+                        {discount && <span className="ml-2 text-gray-500 line-through">PKR {product.price.toLocaleString()}</span>}
+                      </p>
+                      {item.priceWhenAdded > price && (
+                        <p className="text-xs font-medium text-green-700">
+                          PKR {(item.priceWhenAdded - price).toLocaleString()} less than when you saved it
+                        </p>
+                      )}
+                      <p className={`text-xs font-medium ${inStock ? 'text-green-700' : 'text-red-600'}`}>
+                        {inStock ? 'In stock' : 'Out of stock'}
+                      </p>
+                      <button
+                        onClick={() => handleRemove(item.productId)}
+                        className="mt-auto pt-2 text-left text-sm font-medium text-red-600 hover:text-red-700"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default Wishlist;
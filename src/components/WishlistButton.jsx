@@ -0,0 +1,34 @@
+import React from 'react';
+import { FaHeart, FaRegHeart } from 'react-icons/fa';
+import { useWishlist } from '../wishlist';
+
+// Heart toggle for saving a product to the wishlist. Safe to put inside a
+// product card's Link: clicking it doesn't follow the link.
+const WishlistButton = ({ product, className = '' }) => {
+  const { isWishlisted, toggleWishlist } = useWishlist();
+  const saved = isWishlisted(product.id);
+
+  const handleClick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    toggleWishlist(product).catch(error => {
+      console.error('Error updating wishlist:', error);
+      alert('Could not update your wishlist. Please try again.');
+    });
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      aria-pressed={saved}
+      aria-label={saved ? 'Remove from wishlist' : 'Save to wishlist'}
+      title={saved ? 'Remove from wishlist' : 'Save to wishlist'}
+      className={`flex items-center justify-center h-9 w-9 rounded-full bg-white/90 shadow-md text-pink-500 hover:scale-110 transition-transform ${className}`}
+    >
+      {saved ? <FaHeart /> : <FaRegHeart />}
+    </button>
+  );
+};
+
+export default WishlistButton;
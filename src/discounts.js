@@ -0,0 +1,11 @@
+import { collection, getDocs, query, where } from 'firebase/firestore';
+import { db } from './firebase';
+
+// Discount rules are shared with the functions that price orders
+export * from '../functions/shared/discounts.js';
+
+// Discounts switched on, including scheduled ones; getUnitPrice picks the one running now
+export const fetchActiveDiscounts = async () => {
+  const snapshot = await getDocs(query(collection(db, 'discounts'), where('isActive', '==', true)));
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+};
@@ -0,0 +1,2 @@
+// Stock rules are shared with placeOrder, which takes the stock
+export * from '../functions/shared/inventory.js';
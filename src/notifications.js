@@ -0,0 +1,51 @@
+import { useEffect, useState } from 'react';
+import { collection, doc, limit, onSnapshot, orderBy, query, where, writeBatch } from 'firebase/firestore';
+import { db } from './firebase';
+
+// Customer notifications live in `notifications/{id}`:
+//   channel ('in-app'), userId, type, productId, title, message, image, read, createdAt
+// They are written by the Cloud Functions when a wishlisted product drops in
+// price or comes back into stock.
+export const NOTIFICATION_CHANNELS = {
+  IN_APP: 'in-app',
+};
+
+export const NOTIFICATION_TYPES = {
+  PRICE_DROP: 'price-drop',
+  BACK_IN_STOCK: 'back-in-stock',
+};
+
+// The signed-in customer's latest in-app notifications, newest first
+export const useNotifications = (uid) => {
+  const [state, setState] = useState({ uid: null, notifications: [] });
+
+  useEffect(() => {
+    if (!uid) return;
+    const notificationsQuery = query(
+      collection(db, 'notifications'),
+      where('userId', '==', uid),
+      where('channel', '==', NOTIFICATION_CHANNELS.IN_APP),
+      orderBy('createdAt', 'desc'),
+      limit(20)
+    );
+    const unsubscribe = onSnapshot(
+      notificationsQuery,
+      (snapshot) => {
+        setState({ uid, notifications: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) });
+      },
+      (error) => {
+        console.error('Error loading notifications:', error);
+      }
+    );
+    return () => unsubscribe();
+  }, [uid]);
+
+  const notifications = uid && state.uid === uid ? state.notifications : [];
+  return { notifications, unreadCount: notifications.filter(n => !n.read).length };
+};
+
+export const markNotificationsRead = (notificationIds) => {
+  const batch = writeBatch(db);
+  notificationIds.forEach(id => batch.update(doc(db, 'notifications', id), { read: true }));
+  return batch.commit();
+};
@@ -0,0 +1,2 @@
+// The order lifecycle lives with the functions that enforce it
+export * from '../functions/shared/orderStatus.js';
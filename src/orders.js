@@ -0,0 +1,75 @@
+import { httpsCallable } from 'firebase/functions';
+import { functions } from './firebase';
+
+export { INSUFFICIENT_STOCK } from './inventory';
+export { PRICE_CHANGED } from './discounts';
+
+export const createOrderId = (prefix = 'ORDER') =>
+  prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+const placeOrderCallable = httpsCallable(functions, 'placeOrder');
+
+// Place an order through the placeOrder Cloud Function, which prices it from
+// the catalogue and takes its items out of stock in one transaction. `request` is
+//   { orderId, items: [{ productId, variation, size, quantity }], shippingAddress,
+//     customerEmail, payment, promoCode, notes, shipping, buyNow, expectedTotal }
+// and it resolves to { orderId, total }. Throws an error with code
+// INSUFFICIENT_STOCK and a `shortages` list
+// ({ productId, variation, size, requested, available, message }) if any line can't be filled,
+// with code INVALID_PROMO_CODE if the promo code no longer applies, with
+// code COD_UNAVAILABLE if Cash on Delivery can't be used for the order, or with
+// code PRICE_CHANGED and the new `total` if the order no longer comes to `expectedTotal`.
+export const placeOrder = async (request) => {
+  try {
+    const result = await placeOrderCallable(request);
+    return result.data;
+  } catch (err) {
+    if (!err.details?.code) throw err;
+    const error = new Error(err.message);
+    error.code = err.details.code;
+    if (err.details.shortages) error.shortages = err.details.shortages;
+    if (err.details.total !== undefined) error.total = err.details.total;
+    throw error;
+  }
+};
+
+const updateOrderStatusCallable = httpsCallable(functions, 'updateOrderStatus');
+const deleteOrderCallable = httpsCallable(functions, 'deleteOrder');
+
+// Move an order on to `status` through the updateOrderStatus Cloud Function,
+// which checks the lifecycle and adds the move to the status history. Shipping
+// needs `details.courier` and `details.trackingNumber`; cancelled and returned
+// orders put their items back into stock. Throws an error with code
+// INVALID_STATUS_TRANSITION if the lifecycle doesn't allow the move.
+export const updateOrderStatus = async (orderDocId, status, details = {}) => {
+  try {
+    await updateOrderStatusCallable({ orderId: orderDocId, status, ...details });
+  } catch (err) {
+    if (!err.details?.code) throw err;
+    const error = new Error(err.message);
+    error.code = err.details.code;
+    throw error;
+  }
+};
+
+// Delete an order through the deleteOrder Cloud Function, which returns its
+// stock (unless a cancellation already did) and removes its payment proof
+export const deleteOrder = async (orderDocId) => {
+  await deleteOrderCallable({ orderId: orderDocId });
+};
+
+const trackOrderCallable = httpsCallable(functions, 'trackOrder');
+
+// Look an order up for the customer tracking and thank-you pages through the
+// trackOrder Cloud Function. The order ID alone isn't enough: `contact` has to
+// match the email or phone the order was placed with, which is checked on the
+// server. Resolves to the order's tracking details (timestamps in
+// milliseconds), or null if there's no match.
+export const trackOrder = async (orderId, contact) => {
+  const id = (orderId || '').trim();
+  const value = (contact || '').trim();
+  if (!id || !value) return null;
+
+  const result = await trackOrderCallable({ orderId: id, contact: value });
+  return result.data.order;
+};
@@ -0,0 +1,58 @@
+import { deleteObject, getDownloadURL, ref, uploadBytes } from 'firebase/storage';
+import { storage } from './firebase';
+
+// EasyPaisa screenshots are stored at `paymentProofs/{orderId}.jpg` and the
+// order keeps the path in `paymentProofPath`
+
+const MAX_DIMENSION = 1600;
+const JPEG_QUALITY = 0.8;
+
+export const getPaymentProofPath = (orderId) => `paymentProofs/${orderId}.jpg`;
+
+const loadImage = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not read image file'));
+    };
+    image.src = url;
+  });
+
+// Scale the image down to fit MAX_DIMENSION and re-encode it as a JPEG
+export const compressImage = async (file) => {
+  const image = await loadImage(file);
+  const scale = Math.min(1, MAX_DIMENSION / Math.max(image.width, image.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency, so paint transparent screenshots onto white
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error('Could not compress image'))),
+      'image/jpeg',
+      JPEG_QUALITY
+    );
+  });
+};
+
+export const uploadPaymentProof = async (orderId, blob) => {
+  const path = getPaymentProofPath(orderId);
+  await uploadBytes(ref(storage, path), blob, { contentType: 'image/jpeg' });
+  return path;
+};
+
+export const getPaymentProofUrl = (path) => getDownloadURL(ref(storage, path));
+
+export const deletePaymentProof = (path) => deleteObject(ref(storage, path));
@@ -0,0 +1,152 @@
+import { useSearchParams } from 'react-router-dom';
+import { findCategory } from './categories';
+
+// The product listing's filters live in the query string, so they survive a
+// refresh, can be shared, and read the same in the desktop sidebar and the
+// mobile overlay:
+//   category=<slug> (repeatable), availability=in-stock|out-of-stock,
+//   minPrice, maxPrice, color (repeatable), size (repeatable), onSale=1
+// Other params (search, sort) are left as they are.
+
+export const EMPTY_FILTERS = {
+  categories: [],
+  available: [],
+  minPrice: '',
+  maxPrice: '',
+  colors: [],
+  sizes: [],
+  onSale: false,
+};
+
+const AVAILABILITY_VALUES = { 'in-stock': true, 'out-of-stock': false };
+
+const toAvailabilityParam = (available) => (available ? 'in-stock' : 'out-of-stock');
+
+const FILTER_PARAMS = ['category', 'availability', 'minPrice', 'maxPrice', 'color', 'size', 'onSale'];
+
+const unique = (values) => [...new Set(values.map(value => value.trim()).filter(Boolean))];
+
+// Prices are numbers, or '' for no limit
+const toPrice = (value) => {
+  if (value === '' || value === null || value === undefined) return '';
+  const price = Number(value);
+  return isNaN(price) || price < 0 ? '' : price;
+};
+
+export const readFilters = (params) => ({
+  categories: unique(params.getAll('category')),
+  available: unique(params.getAll('availability'))
+    .filter(value => value in AVAILABILITY_VALUES)
+    .map(value => AVAILABILITY_VALUES[value]),
+  minPrice: toPrice(params.get('minPrice')),
+  maxPrice: toPrice(params.get('maxPrice')),
+  colors: unique(params.getAll('color')),
+  sizes: unique(params.getAll('size')),
+  onSale: params.get('onSale') === '1',
+});
+
+// `params` with its filter params replaced by `filters`
+export const writeFilters = (params, filters) => {
+  const next = new URLSearchParams(params);
+  FILTER_PARAMS.forEach(name => next.delete(name));
+
+  const { categories = [], available = [], colors = [], sizes = [], onSale = false } = filters;
+  categories.forEach(category => next.append('category', category));
+  available.forEach(value => next.append('availability', toAvailabilityParam(value)));
+  if (toPrice(filters.minPrice) !== '') next.set('minPrice', toPrice(filters.minPrice));
+  if (toPrice(filters.maxPrice) !== '') next.set('maxPrice', toPrice(filters.maxPrice));
+  colors.forEach(color => next.append('color', color));
+  sizes.forEach(size => next.append('size', size));
+  if (onSale) next.set('onSale', '1');
+  return next;
+};
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+const includesAny = (values, wanted) =>
+  wanted.length === 0 || (values || []).some(value => wanted.some(option => normalize(option) === normalize(value)));
+
+// Colour, size and on-sale filters are checked against the loaded pages:
+// Firestore can't combine them with the category, stock and price filters
+export const hasPageFilters = (filters) =>
+  filters.colors.length > 0 || filters.sizes.length > 0 || filters.onSale;
+
+export const matchesPageFilters = (product, filters) =>
+  includesAny(product.variations, filters.colors) &&
+  includesAny(product.sizes, filters.sizes) &&
+  (!filters.onSale || product.discountPercentage > 0);
+
+// Firestore can't match part of a title either, so searches are checked the same way
+export const matchesSearch = (product, search) =>
+  !search ||
+  product.title?.toLowerCase().includes(search) ||
+  product.description?.toLowerCase().includes(search);
+
+// The part of `filters` Firestore applies (see src/productListing.js), with
+// category slugs turned into the names products store
+export const toQueryFilters = (filters, categories) => ({
+  categories: filters.categories.map(value => findCategory(categories, value)?.name || value).sort(),
+  available: filters.available,
+  minPrice: filters.minPrice,
+  maxPrice: filters.maxPrice,
+});
+
+// `values` (a product's variations or sizes) counted across `products`, one
+// option per value however it's cased. Options nothing matches are left out,
+// unless selected so they can still be unticked.
+const countOptions = (products, getValues, selected) => {
+  const options = new Map();
+  products.forEach(product => {
+    const seen = new Set();
+    (getValues(product) || []).forEach(value => {
+      const label = String(value).trim();
+      const key = normalize(label);
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      const option = options.get(key) || { value: label, count: 0 };
+      options.set(key, { ...option, count: option.count + 1 });
+    });
+  });
+  selected.forEach(value => {
+    if (!options.has(normalize(value))) options.set(normalize(value), { value, count: 0 });
+  });
+  return [...options.values()];
+};
+
+// Colour and size options among `products` (those Firestore matched), each
+// with how many products ticking it would show given the other filters and
+// the search. Picking more colours (or sizes) widens the results, so an
+// option's count ignores the other colours (or sizes) already picked.
+export const getFacets = (products, filters, search) => {
+  const matching = products.filter(product =>
+    matchesSearch(product, search) && (!filters.onSale || product.discountPercentage > 0)
+  );
+  const byCount = (a, b) => b.count - a.count || a.value.localeCompare(b.value);
+  const bySize = (a, b) => a.value.localeCompare(b.value, undefined, { numeric: true });
+  return {
+    colors: countOptions(
+      matching.filter(product => includesAny(product.sizes, filters.sizes)),
+      product => product.variations,
+      filters.colors
+    ).sort(byCount),
+    sizes: countOptions(
+      matching.filter(product => includesAny(product.variations, filters.colors)),
+      product => product.sizes,
+      filters.sizes
+    ).sort(bySize),
+  };
+};
+
+export const hasFilters = (filters) =>
+  filters.categories.length > 0 ||
+  filters.available.length > 0 ||
+  filters.minPrice !== '' ||
+  filters.maxPrice !== '' ||
+  hasPageFilters(filters);
+
+// The filters and search in the current URL, and a setter that writes new filters there
+export const useProductFilters = () => {
+  const [params, setParams] = useSearchParams();
+  const setFilters = (filters) => setParams(prev => writeFilters(prev, filters));
+  return { filters: readFilters(params), search: params.get('search')?.toLowerCase().trim() || '', setFilters };
+};
@@ -0,0 +1,193 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { collection, doc, getDoc, getDocs, limit, orderBy, query, startAfter, where } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from './firebase';
+
+// The shop's product listing, filtered and sorted by Firestore and read a
+// page at a time. Every combination of filters and sort needs a composite
+// index in firestore.indexes.json; add one there when adding a filter or sort.
+
+export const PRODUCTS_PAGE_SIZE = 12;
+
+// Firestore's `in` filter takes at most 30 values
+const MAX_CATEGORY_FILTERS = 30;
+
+export const DEFAULT_SORT = 'newest';
+
+// Best selling, top rated and biggest discount order by fields the Cloud
+// Functions keep on each product (functions/productStats.js)
+export const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'price-asc', label: 'Price: low to high' },
+  { value: 'price-desc', label: 'Price: high to low' },
+  { value: 'best-selling', label: 'Best selling' },
+  { value: 'top-rated', label: 'Top rated' },
+  { value: 'biggest-discount', label: 'Biggest discount' },
+];
+
+const SORT_ORDERS = {
+  newest: [['createdAt', 'desc']],
+  'price-asc': [['price', 'asc']],
+  'price-desc': [['price', 'desc']],
+  'best-selling': [['salesCount', 'desc']],
+  'top-rated': [['ratingAverage', 'desc']],
+  'biggest-discount': [['discountPercentage', 'desc']],
+};
+
+// The sort named in a `?sort=` value, or the default for anything unknown
+export const getSortOption = (value) => (SORT_ORDERS[value] ? value : DEFAULT_SORT);
+
+const rebuildProductStatsCallable = httpsCallable(functions, 'rebuildProductStats');
+
+// Recounts every product's sort fields and rewrites the facets doc; products
+// added before those existed don't show up under the sorts and filter counts
+// that use them until this has run.
+// Resolves to { products } – how many were updated.
+export const rebuildProductStats = async () => (await rebuildProductStatsCallable()).data;
+
+const toPrice = (value) => (value === '' || value === null || value === undefined || isNaN(Number(value)) ? null : Number(value));
+
+// `filters` is { categories: [names], available: [true/false], minPrice, maxPrice, sort };
+// empty lists and prices mean no filter
+const getFilterConstraints = (filters) => {
+  const { categories = [], available = [] } = filters;
+  const minPrice = toPrice(filters.minPrice);
+  const maxPrice = toPrice(filters.maxPrice);
+  const constraints = [];
+
+  if (categories.length === 1) {
+    constraints.push(where('category', '==', categories[0]));
+  } else if (categories.length > 1) {
+    constraints.push(where('category', 'in', categories.slice(0, MAX_CATEGORY_FILTERS)));
+  }
+  // Both "in stock" and "out of stock" ticked is the same as neither
+  if (available.length === 1) {
+    constraints.push(where('available', '==', available[0]));
+  }
+  if (minPrice !== null && minPrice > 0) {
+    constraints.push(where('price', '>=', minPrice));
+  }
+  if (maxPrice !== null) {
+    constraints.push(where('price', '<=', maxPrice));
+  }
+  return constraints;
+};
+
+export const buildProductQuery = (filters, after = null) => {
+  const constraints = getFilterConstraints(filters);
+  (SORT_ORDERS[filters.sort] || SORT_ORDERS[DEFAULT_SORT]).forEach(([field, direction]) => {
+    constraints.push(orderBy(field, direction));
+  });
+  if (after) constraints.push(startAfter(after));
+  constraints.push(limit(PRODUCTS_PAGE_SIZE));
+
+  return query(collection(db, 'products'), ...constraints);
+};
+
+const toPage = (key, snapshot, previous) => ({
+  key,
+  products: [...previous, ...snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))],
+  lastDoc: snapshot.docs[snapshot.docs.length - 1] || null,
+  hasMore: snapshot.docs.length === PRODUCTS_PAGE_SIZE,
+  loadingMore: false,
+});
+
+// Products matching `filters`, first page loaded straight away (nothing is
+// loaded while `filters` is null). `loadMore` appends the next page; it does
+// nothing while a page is loading or once `hasMore` is false.
+export const useProductListing = (filters) => {
+  const key = filters ? JSON.stringify(filters) : null;
+  const [state, setState] = useState({ key: null, products: [], lastDoc: null, hasMore: false, loadingMore: false });
+  const loadingRef = useRef(false);
+
+  useEffect(() => {
+    if (!key) return;
+    let cancelled = false;
+    loadingRef.current = true;
+    getDocs(buildProductQuery(JSON.parse(key)))
+      .then((snapshot) => {
+        if (!cancelled) setState(toPage(key, snapshot, []));
+      })
+      .catch((error) => {
+        console.error('Error fetching products:', error);
+        if (!cancelled) setState({ key, products: [], lastDoc: null, hasMore: false, loadingMore: false });
+      })
+      .finally(() => {
+        if (!cancelled) loadingRef.current = false;
+      });
+    return () => {
+      cancelled = true;
+      loadingRef.current = false;
+    };
+  }, [key]);
+
+  const loadMore = useCallback(() => {
+    if (!key || state.key !== key || !state.hasMore || loadingRef.current) return;
+    loadingRef.current = true;
+    setState(prev => ({ ...prev, loadingMore: true }));
+
+    getDocs(buildProductQuery(JSON.parse(key), state.lastDoc))
+      .then((snapshot) => {
+        setState(prev => (prev.key === key ? toPage(key, snapshot, prev.products) : prev));
+      })
+      .catch((error) => {
+        console.error('Error fetching more products:', error);
+        setState(prev => (prev.key === key ? { ...prev, loadingMore: false } : prev));
+      })
+      .finally(() => {
+        loadingRef.current = false;
+      });
+  }, [key, state]);
+
+  const loading = state.key !== key;
+  return {
+    products: loading ? [] : state.products,
+    loading,
+    loadingMore: !loading && state.loadingMore,
+    hasMore: !loading && state.hasMore,
+    loadMore,
+  };
+};
+
+// Whether `product` passes the filters getFilterConstraints hands Firestore
+export const matchesQueryFilters = (product, filters) => {
+  const { categories = [], available = [] } = filters;
+  const minPrice = toPrice(filters.minPrice);
+  const maxPrice = toPrice(filters.maxPrice);
+
+  if (categories.length && !categories.slice(0, MAX_CATEGORY_FILTERS).includes(product.category)) return false;
+  if (available.length === 1 && product.available !== available[0]) return false;
+  if ((minPrice !== null && minPrice > 0) || maxPrice !== null) {
+    if (typeof product.price !== 'number') return false;
+    if (minPrice !== null && product.price < minPrice) return false;
+    if (maxPrice !== null && product.price > maxPrice) return false;
+  }
+  return true;
+};
+
+// Every product's filter fields – category, available, price, variations,
+// sizes, discountPercentage and title – from the `stats/productFacets` doc
+// functions/productStats.js keeps, read once. The listing's sidebars count
+// their colour and size options from these instead of reading products.
+export const useProductFacets = () => {
+  const [state, setState] = useState({ products: [], loading: true });
+
+  useEffect(() => {
+    let cancelled = false;
+    getDoc(doc(db, 'stats', 'productFacets'))
+      .then((snapshot) => {
+        if (cancelled) return;
+        const products = Object.entries(snapshot.get('products') || {}).map(([id, entry]) => ({ id, ...entry }));
+        setState({ products, loading: false });
+      })
+      .catch((error) => {
+        console.error('Error fetching product filters:', error);
+        if (!cancelled) setState({ products: [], loading: false });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return state;
+};
@@ -0,0 +1,67 @@
+import { useCallback, useMemo, useState } from 'react';
+import { doc, getDoc } from 'firebase/firestore';
+import { db } from './firebase';
+import { evaluatePromoCode, normalizeCode } from '../functions/shared/promoCodes.js';
+
+// The promo code rules are shared with placeOrder, which redeems codes
+export * from '../functions/shared/promoCodes.js';
+
+export const fetchPromoCode = async (code) => {
+  const promoCode = normalizeCode(code);
+  if (!promoCode) return null;
+  const snap = await getDoc(doc(db, 'promoCodes', promoCode));
+  return snap.exists() ? { id: snap.id, ...snap.data() } : null;
+};
+
+// Promo code state for a checkout. The applied code is re-checked on every
+// render, so the discount follows changes to the items and email.
+export const usePromoCode = ({ items, subtotal, email }) => {
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [promoError, setPromoError] = useState('');
+  const [checkingPromo, setCheckingPromo] = useState(false);
+
+  const promoResult = useMemo(
+    () => (appliedPromo ? evaluatePromoCode(appliedPromo, { items, subtotal, email }) : null),
+    [appliedPromo, items, subtotal, email]
+  );
+
+  const applyPromoCode = useCallback(async (code) => {
+    setPromoError('');
+    if (!normalizeCode(code)) {
+      setAppliedPromo(null);
+      return;
+    }
+
+    setCheckingPromo(true);
+    try {
+      const promo = await fetchPromoCode(code);
+      if (!promo) {
+        setAppliedPromo(null);
+        setPromoError('This promo code is not valid.');
+      } else {
+        setAppliedPromo(promo);
+      }
+    } catch (error) {
+      console.error('Error checking promo code:', error);
+      setPromoError('Could not check this promo code. Please try again.');
+    } finally {
+      setCheckingPromo(false);
+    }
+  }, []);
+
+  const removePromoCode = useCallback(() => {
+    setAppliedPromo(null);
+    setPromoError('');
+  }, []);
+
+  return {
+    appliedPromo,
+    // The applied code while it is still valid for this order, otherwise null
+    validPromo: promoResult?.valid ? appliedPromo : null,
+    checkingPromo,
+    promoError: promoError || (promoResult && !promoResult.valid ? promoResult.error : ''),
+    discount: promoResult?.valid ? promoResult.discount : 0,
+    applyPromoCode,
+    removePromoCode,
+  };
+};
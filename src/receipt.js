@@ -0,0 +1,118 @@
+import { CASH_ON_DELIVERY, PAYMENT_STATUS } from './cashOnDelivery';
+
+const formatPrice = (amount) => `PKR ${(amount || 0).toLocaleString()}`;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+export const describeOrderItem = (item) =>
+  [item.variation && `Color: ${item.variation}`, item.size && `Size: ${item.size}`, item.type, item.lining && 'Lining']
+    .filter(Boolean)
+    .join(' | ');
+
+// Receipt totals as [label, amount] rows, skipping charges that don't apply
+export const getReceiptTotals = (order) => [
+  ['Subtotal', formatPrice(order.subtotal)],
+  ['Shipping', order.shippingCost ? formatPrice(order.shippingCost) : 'Free'],
+  ...(order.codFee > 0 ? [['Cash on Delivery Fee', formatPrice(order.codFee)]] : []),
+  ...(order.discount > 0 ? [[`Discount${order.promoCode ? ` (${order.promoCode})` : ''}`, `-${formatPrice(order.discount)}`]] : []),
+  ['Total', formatPrice(order.total)],
+];
+
+// What the customer still has to pay, and how, as a list of sentences
+export const getOutstandingPayment = (order) => {
+  if (order.payment === CASH_ON_DELIVERY) {
+    return order.paymentStatus === PAYMENT_STATUS.COLLECTED
+      ? []
+      : [`Please keep ${formatPrice(order.total)} ready in cash to pay the rider when your order arrives.`];
+  }
+
+  // EasyPaisa covers the goods; delivery charges are paid to the rider
+  const lines = order.paymentStatus === PAYMENT_STATUS.VERIFIED
+    ? ['Your EasyPaisa payment has been verified.']
+    : [`We've received your EasyPaisa screenshot for ${formatPrice((order.subtotal || 0) - (order.discount || 0))} and will verify it shortly.`];
+  if (order.shippingCost > 0) {
+    lines.push(`Delivery charges of ${formatPrice(order.shippingCost)} are paid to the rider on delivery.`);
+  }
+  return lines;
+};
+
+export const formatShippingAddress = (address = {}) =>
+  [
+    address.fullName,
+    address.address,
+    [address.city, address.region].filter(Boolean).join(', '),
+    [address.country, address.postalCode].filter(Boolean).join(', '),
+    address.phone && `Phone: ${address.phone}`,
+  ].filter(Boolean);
+
+// Build the receipt with jsPDF (loaded on demand, it's only needed here) and download it
+export const downloadReceiptPdf = async (order) => {
+  const { jsPDF } = await import('jspdf');
+  const pdf = new jsPDF({ unit: 'pt', format: 'a4' });
+  const left = 48;
+  const right = pdf.internal.pageSize.getWidth() - 48;
+  const bottom = pdf.internal.pageSize.getHeight() - 48;
+  let y = 56;
+
+  const ensureSpace = (height) => {
+    if (y + height > bottom) {
+      pdf.addPage();
+      y = 56;
+    }
+  };
+
+  const writeLines = (text, { size = 10, bold = false, gap = 4 } = {}) => {
+    pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+    pdf.setFontSize(size);
+    pdf.splitTextToSize(text, right - left).forEach(line => {
+      ensureSpace(size + gap);
+      pdf.text(line, left, y);
+      y += size + gap;
+    });
+  };
+
+  const writeRow = (label, value, { bold = false } = {}) => {
+    ensureSpace(16);
+    pdf.setFont('helvetica', bold ? 'bold' : 'normal');
+    pdf.setFontSize(10);
+    pdf.text(label, left, y);
+    pdf.text(value, right, y, { align: 'right' });
+    y += 16;
+  };
+
+  const writeHeading = (text) => {
+    y += 10;
+    writeLines(text, { size: 12, bold: true });
+    pdf.setDrawColor(200);
+    pdf.line(left, y - 10, right, y - 10);
+    y += 4;
+  };
+
+  writeLines('Rose Blooms - Order Receipt', { size: 18, bold: true, gap: 8 });
+  writeLines(`Order ID: ${order.orderId || order.id}`);
+  const placedAt = toDate(order.createdAt);
+  if (placedAt) writeLines(`Placed on: ${placedAt.toLocaleString()}`);
+  writeLines(`Payment method: ${order.payment}`);
+
+  writeHeading('Items');
+  (order.items || []).forEach(item => {
+    writeRow(`${item.title} x ${item.quantity}`, formatPrice(item.price * item.quantity));
+    const details = describeOrderItem(item);
+    if (details) writeLines(details, { size: 9 });
+  });
+
+  writeHeading('Summary');
+  getReceiptTotals(order).forEach(([label, value]) => writeRow(label, value, { bold: label === 'Total' }));
+
+  const outstanding = getOutstandingPayment(order);
+  if (outstanding.length > 0) {
+    writeHeading('Payment');
+    outstanding.forEach(line => writeLines(line));
+  }
+
+  writeHeading('Delivery Address');
+  formatShippingAddress(order.shippingAddress).forEach(line => writeLines(line));
+  if (order.deliveryEstimate) writeLines(order.deliveryEstimate);
+
+  pdf.save(`receipt-${order.orderId || order.id}.pdf`);
+};
@@ -0,0 +1,105 @@
+import { useEffect, useState } from 'react';
+import { collection, doc, onSnapshot, orderBy, query, serverTimestamp, updateDoc, where } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { deleteObject, getDownloadURL, ref, uploadBytes } from 'firebase/storage';
+import { db, functions, storage } from './firebase';
+import { ORDER_STATUS, getOrderStatus } from './orderStatus';
+
+// Product reviews live in `reviews/{orderId}_{productId}`:
+//   productId, orderId, userId, authorName, rating (1-5), text, photoPaths[],
+//   status, createdAt, moderatedBy, moderatedAt
+// They are written by the submitReview function, which checks the order was
+// delivered to the reviewer, and shown once staff approve them. Approved
+// ratings are averaged into the product's `ratingAverage` and `ratingCount`.
+// Photos are uploaded first to `reviewPhotos/{uid}/{name}.jpg`.
+
+export const REVIEW_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+export const MAX_REVIEW_PHOTOS = 3;
+
+const createPhotoName = () => Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+export const uploadReviewPhoto = async (uid, blob) => {
+  const path = `reviewPhotos/${uid}/${createPhotoName()}.jpg`;
+  await uploadBytes(ref(storage, path), blob, { contentType: 'image/jpeg' });
+  return path;
+};
+
+export const getReviewPhotoUrl = (path) => getDownloadURL(ref(storage, path));
+
+export const deleteReviewPhoto = (path) => deleteObject(ref(storage, path));
+
+const submitReviewCallable = httpsCallable(functions, 'submitReview');
+
+// `review` is { orderId, productId, rating, text, photoPaths }; resolves to { reviewId }
+export const submitReview = async (review) => (await submitReviewCallable(review)).data;
+
+export const moderateReview = (reviewId, status, moderatorEmail) =>
+  updateDoc(doc(db, 'reviews', reviewId), {
+    status,
+    moderatedBy: moderatorEmail || null,
+    moderatedAt: serverTimestamp(),
+  });
+
+// Delivered orders containing the product that the customer hasn't reviewed yet
+export const getReviewableOrders = (orders, productId, ownReviews) =>
+  orders.filter(order =>
+    getOrderStatus(order) === ORDER_STATUS.DELIVERED &&
+    (order.items || []).some(item => item.productId === productId) &&
+    !ownReviews.some(review => review.orderId === order.id)
+  );
+
+// Live results of `makeQuery(...args)`; nothing is loaded while an arg is missing
+const useReviewQuery = (makeQuery, ...args) => {
+  const key = args.every(Boolean) ? args.join('|') : null;
+  const [state, setState] = useState({ key: null, reviews: [] });
+
+  useEffect(() => {
+    if (!key) return;
+    const unsubscribe = onSnapshot(
+      makeQuery(...key.split('|')),
+      (snapshot) => {
+        setState({ key, reviews: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) });
+      },
+      (error) => {
+        console.error('Error loading reviews:', error);
+        setState({ key, reviews: [] });
+      }
+    );
+    return () => unsubscribe();
+  }, [makeQuery, key]);
+
+  return key && state.key === key ? state.reviews : [];
+};
+
+const approvedReviewsQuery = (productId) => query(
+  collection(db, 'reviews'),
+  where('productId', '==', productId),
+  where('status', '==', REVIEW_STATUS.APPROVED),
+  orderBy('createdAt', 'desc')
+);
+
+const ownReviewsQuery = (uid, productId) => query(
+  collection(db, 'reviews'),
+  where('userId', '==', uid),
+  where('productId', '==', productId)
+);
+
+const pendingReviewsQuery = () => query(
+  collection(db, 'reviews'),
+  where('status', '==', REVIEW_STATUS.PENDING),
+  orderBy('createdAt', 'asc')
+);
+
+// A product's approved reviews, newest first
+export const useProductReviews = (productId) => useReviewQuery(approvedReviewsQuery, productId);
+
+// The signed-in customer's own reviews of a product, whatever their status
+export const useOwnProductReviews = (uid, productId) => useReviewQuery(ownReviewsQuery, uid, productId);
+
+// Reviews waiting for moderation, oldest first
+export const usePendingReviews = (enabled) => useReviewQuery(pendingReviewsQuery, enabled && REVIEW_STATUS.PENDING);
@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { db } from './firebase';
+import { normalizeEmail } from './promoCodes';
+
+// Staff live in `staff/{email}` (the document ID is the lower-cased email):
+//   email, role, invitedBy, createdAt
+// Anyone signed in with that email, once it's verified, gets the role;
+// deleting the document revokes it. The first owners are seeded with
+// `npm run seed:owners` in functions/ (see functions/scripts/seedOwners.js).
+
+export const ROLES = {
+  OWNER: 'owner',
+  MANAGER: 'manager',
+  FULFILMENT: 'fulfilment',
+  SUPPORT: 'support',
+};
+
+export const ROLE_LABELS = {
+  [ROLES.OWNER]: 'Owner',
+  [ROLES.MANAGER]: 'Manager',
+  [ROLES.FULFILMENT]: 'Fulfilment',
+  [ROLES.SUPPORT]: 'Support',
+};
+
+export const ROLE_DESCRIPTIONS = {
+  [ROLES.OWNER]: 'Everything, including staff access',
+  [ROLES.MANAGER]: 'Products, pricing, settings, orders, messages, reviews and sales',
+  [ROLES.FULFILMENT]: 'Inventory and moving orders through packing and shipping',
+  [ROLES.SUPPORT]: 'Viewing orders, customer messages and moderating reviews',
+};
+
+const { OWNER, MANAGER, FULFILMENT, SUPPORT } = ROLES;
+
+// Which roles can use each part of AdminPortal
+const ACCESS = {
+  products: [OWNER, MANAGER],
+  categories: [OWNER, MANAGER],
+  discounts: [OWNER, MANAGER],
+  promoCodes: [OWNER, MANAGER],
+  shipping: [OWNER, MANAGER],
+  cashOnDelivery: [OWNER, MANAGER],
+  inventory: [OWNER, MANAGER, FULFILMENT],
+  orders: [OWNER, MANAGER, FULFILMENT, SUPPORT],
+  updateOrders: [OWNER, MANAGER, FULFILMENT],
+  deleteOrders: [OWNER, MANAGER],
+  contacts: [OWNER, MANAGER, SUPPORT],
+  reviews: [OWNER, MANAGER, SUPPORT],
+  sales: [OWNER, MANAGER],
+  staff: [OWNER],
+};
+
+export const canAccess = (role, area) => !!role && (ACCESS[area] || []).includes(role);
+
+// The signed-in user's staff role, or null for customers.
+// `loading` stays true until the staff document has been checked.
+export const useStaffRole = (user) => {
+  // The rules only honour staff documents for verified emails, so an
+  // unverified account is treated as a customer rather than shown a portal
+  // whose every read fails
+  const email = user?.emailVerified ? normalizeEmail(user.email) : '';
+  const [state, setState] = useState({ email: null, role: null });
+
+  useEffect(() => {
+    if (!email) return;
+    const unsubscribe = onSnapshot(
+      doc(db, 'staff', email),
+      (snapshot) => {
+        setState({ email, role: snapshot.exists() ? snapshot.data().role || null : null });
+      },
+      (error) => {
+        console.error('Error loading staff role:', error);
+        setState({ email, role: null });
+      }
+    );
+    return () => unsubscribe();
+  }, [email]);
+
+  if (!email) return { role: null, loading: false };
+  return { role: state.email === email ? state.role : null, loading: state.email !== email };
+};
@@ -0,0 +1,24 @@
+import { useEffect, useState } from 'react';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { db } from './firebase';
+
+// Live `settings/{settingsId}` document merged over `defaults`, which are used
+// until an admin saves the document
+export const useSettings = (settingsId, defaults) => {
+  const [settings, setSettings] = useState(defaults);
+
+  useEffect(() => {
+    const unsubscribe = onSnapshot(
+      doc(db, 'settings', settingsId),
+      (snapshot) => {
+        setSettings(snapshot.exists() ? { ...defaults, ...snapshot.data() } : defaults);
+      },
+      (error) => {
+        console.error(`Error loading ${settingsId} settings:`, error);
+      }
+    );
+    return () => unsubscribe();
+  }, [settingsId, defaults]);
+
+  return settings;
+};
@@ -0,0 +1,8 @@
+import { useSettings } from './settings';
+import { DEFAULT_SHIPPING_SETTINGS } from '../functions/shared/shipping.js';
+
+// The shipping rules are shared with placeOrder, which charges the shipping
+export * from '../functions/shared/shipping.js';
+
+// Live shipping settings, falling back to the defaults until the document exists
+export const useShippingSettings = () => useSettings('shipping', DEFAULT_SHIPPING_SETTINGS);
@@ -0,0 +1,46 @@
+import { addDoc, collection, serverTimestamp } from 'firebase/firestore';
+import { db } from './firebase';
+import { normalizeEmail } from './promoCodes';
+
+// "Notify me when available" requests live in `stockAlerts/{id}`:
+//   productId, productTitle, variation, size, email, phone, status, createdAt, queuedAt
+// A missing variation or size means any. When the product comes back into
+// stock the notification functions queue an email and/or WhatsApp message for
+// each pending alert in `notifications` and mark the alert queued.
+
+export const STOCK_ALERT_STATUS = {
+  PENDING: 'pending',
+  QUEUED: 'queued',
+};
+
+// `code` set on the error subscribeToStockAlert throws without an email or phone
+export const MISSING_CONTACT = 'missing-contact';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const subscribeToStockAlert = async ({ product, variation, size, email, phone }) => {
+  const normalizedEmail = normalizeEmail(email);
+  const trimmedPhone = (phone || '').trim();
+
+  if (!normalizedEmail && !trimmedPhone) {
+    const error = new Error('Enter an email address or phone number.');
+    error.code = MISSING_CONTACT;
+    throw error;
+  }
+  if (normalizedEmail && !EMAIL_PATTERN.test(normalizedEmail)) {
+    const error = new Error('Enter a valid email address.');
+    error.code = MISSING_CONTACT;
+    throw error;
+  }
+
+  return addDoc(collection(db, 'stockAlerts'), {
+    productId: product.id,
+    productTitle: product.title || '',
+    variation: variation || null,
+    size: size || null,
+    email: normalizedEmail,
+    phone: trimmedPhone,
+    status: STOCK_ALERT_STATUS.PENDING,
+    createdAt: serverTimestamp(),
+  });
+};
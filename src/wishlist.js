@@ -0,0 +1,58 @@
+import { createContext, useContext } from 'react';
+import { getUnitPrice } from './discounts';
+
+// Signed-in customers keep their wishlist in `users/{uid}/wishlist/{productId}`;
+// guests keep the same entries in localStorage until they sign in, when they
+// are merged into the account. Entries: { productId, priceWhenAdded, addedAt }.
+export const WISHLIST_STORAGE_KEY = 'wishlist';
+
+export const parseWishlist = (value) => {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('Error parsing stored wishlist:', error);
+    return [];
+  }
+};
+
+export const loadWishlist = () => {
+  try {
+    return parseWishlist(localStorage.getItem(WISHLIST_STORAGE_KEY));
+  } catch (error) {
+    console.error('Error loading wishlist from storage:', error);
+    return [];
+  }
+};
+
+export const saveWishlist = (items) => {
+  try {
+    if (items.length === 0) {
+      localStorage.removeItem(WISHLIST_STORAGE_KEY);
+      return;
+    }
+    localStorage.setItem(WISHLIST_STORAGE_KEY, JSON.stringify(items));
+  } catch (error) {
+    console.error('Error saving wishlist to storage:', error);
+  }
+};
+
+// `priceWhenAdded` is the price the customer saw, after any running discount
+// in `discounts`; price-drop notices (functions/notifications.js) compare
+// against the discounted price too
+export const toWishlistEntry = (product, discounts = []) => ({
+  productId: product.id,
+  priceWhenAdded: getUnitPrice(product, discounts).price,
+  addedAt: new Date().toISOString(),
+});
+
+export const WishlistContext = createContext(null);
+
+export const useWishlist = () => {
+  const context = useContext(WishlistContext);
+  if (!context) {
+    throw new Error('useWishlist must be used inside a WishlistProvider');
+  }
+  return context;
+};
@@ -0,0 +1,226 @@
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+  where,
+} from 'firebase/firestore';
+
+// Runs against the Firestore emulator: `npm test` starts it (and the Storage
+// emulator the functions tests use) with `firebase emulators:exec`, which needs Java.
+
+let testEnv;
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-rose-bloom',
+    firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') },
+  });
+});
+
+after(() => testEnv?.cleanup());
+
+beforeEach(() => testEnv.clearFirestore());
+
+// Write documents as the functions would, past the rules
+const seed = (docs) =>
+  testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    for (const [path, data] of Object.entries(docs)) {
+      await setDoc(doc(db, path), data);
+    }
+  });
+
+const STAFF = {
+  'staff/owner@shop.pk': { email: 'owner@shop.pk', role: 'owner' },
+  'staff/manager@shop.pk': { email: 'manager@shop.pk', role: 'manager' },
+  'staff/fulfilment@shop.pk': { email: 'fulfilment@shop.pk', role: 'fulfilment' },
+  'staff/support@shop.pk': { email: 'support@shop.pk', role: 'support' },
+};
+
+const anonymous = () => testEnv.unauthenticatedContext().firestore();
+
+const customer = (uid = 'alice') =>
+  testEnv.authenticatedContext(uid, { email: `${uid}@mail.pk`, email_verified: true }).firestore();
+
+const staff = (role, { verified = true } = {}) =>
+  testEnv.authenticatedContext(`${role}-uid`, { email: `${role}@shop.pk`, email_verified: verified }).firestore();
+
+describe('orders', () => {
+  const order = {
+    orderId: 'ORDER_1_abc',
+    userId: 'alice',
+    customerEmail: 'alice@mail.pk',
+    status: 'pending',
+    payment: 'Cash on Delivery',
+    paymentStatus: 'pending',
+    total: 2500,
+  };
+
+  beforeEach(() => seed({ ...STAFF, 'orders/ORDER_1_abc': order, 'orders/ORDER_2_def': { ...order, userId: 'bob' } }));
+
+  it('hides orders from guests, who track them through trackOrder', async () => {
+    await assertFails(getDoc(doc(anonymous(), 'orders/ORDER_1_abc')));
+  });
+
+  it('lets customers read only the orders in their account', async () => {
+    await assertSucceeds(getDoc(doc(customer('alice'), 'orders/ORDER_1_abc')));
+    await assertFails(getDoc(doc(customer('alice'), 'orders/ORDER_2_def')));
+    await assertSucceeds(getDocs(query(collection(customer('alice'), 'orders'), where('userId', '==', 'alice'))));
+    await assertFails(getDocs(collection(customer('alice'), 'orders')));
+  });
+
+  it('lets every staff role read all orders', async () => {
+    for (const role of ['owner', 'manager', 'fulfilment', 'support']) {
+      await assertSucceeds(getDocs(collection(staff(role), 'orders')));
+    }
+  });
+
+  it('ignores staff roles on unverified emails', async () => {
+    await assertFails(getDoc(doc(staff('manager', { verified: false }), 'orders/ORDER_1_abc')));
+  });
+
+  it('leaves creating orders to placeOrder', async () => {
+    await assertFails(setDoc(doc(customer('alice'), 'orders/ORDER_3_ghi'), { ...order, orderId: 'ORDER_3_ghi' }));
+    await assertFails(setDoc(doc(staff('owner'), 'orders/ORDER_3_ghi'), { ...order, orderId: 'ORDER_3_ghi' }));
+  });
+
+  it('lets fulfilment mark a Cash on Delivery payment collected', async () => {
+    await assertSucceeds(updateDoc(doc(staff('fulfilment'), 'orders/ORDER_1_abc'), {
+      paymentStatus: 'collected',
+      paymentCollectedAt: serverTimestamp(),
+    }));
+  });
+
+  it('leaves status changes and other edits to updateOrderStatus', async () => {
+    await assertFails(updateDoc(doc(staff('fulfilment'), 'orders/ORDER_1_abc'), { status: 'delivered' }));
+    await assertFails(updateDoc(doc(staff('owner'), 'orders/ORDER_1_abc'), { total: 1 }));
+    await assertFails(updateDoc(doc(staff('fulfilment'), 'orders/ORDER_1_abc'), {
+      paymentStatus: 'collected',
+      paymentCollectedAt: serverTimestamp(),
+      total: 1,
+    }));
+    await assertFails(updateDoc(doc(staff('support'), 'orders/ORDER_1_abc'), {
+      paymentStatus: 'collected',
+      paymentCollectedAt: serverTimestamp(),
+    }));
+    await assertFails(updateDoc(doc(customer('alice'), 'orders/ORDER_1_abc'), {
+      paymentStatus: 'collected',
+      paymentCollectedAt: serverTimestamp(),
+    }));
+  });
+
+  it('leaves deleting orders to deleteOrder', async () => {
+    await assertFails(deleteDoc(doc(staff('owner'), 'orders/ORDER_1_abc')));
+  });
+});
+
+describe('promoCodes', () => {
+  beforeEach(() => seed({
+    ...STAFF,
+    'promoCodes/EID10': { type: 'percentage', value: 10, isActive: true, usedCount: 3, perEmailLimit: 1 },
+    'promoCodes/EID10/redemptions/alice@mail.pk': { count: 1 },
+  }));
+
+  it('lets anyone look a code up by name, but not list them', async () => {
+    await assertSucceeds(getDoc(doc(anonymous(), 'promoCodes/EID10')));
+    await assertFails(getDocs(collection(anonymous(), 'promoCodes')));
+    await assertFails(getDocs(collection(customer(), 'promoCodes')));
+  });
+
+  it('keeps who redeemed a code to managers', async () => {
+    await assertFails(getDoc(doc(anonymous(), 'promoCodes/EID10/redemptions/alice@mail.pk')));
+    await assertFails(getDoc(doc(customer('alice'), 'promoCodes/EID10/redemptions/alice@mail.pk')));
+    await assertFails(getDocs(collection(staff('support'), 'promoCodes/EID10/redemptions')));
+    await assertSucceeds(getDocs(collection(staff('manager'), 'promoCodes/EID10/redemptions')));
+  });
+
+  it('lets only managers write codes, and nobody write redemptions', async () => {
+    await assertFails(updateDoc(doc(customer(), 'promoCodes/EID10'), { usedCount: 0 }));
+    await assertFails(updateDoc(doc(staff('fulfilment'), 'promoCodes/EID10'), { isActive: false }));
+    await assertSucceeds(updateDoc(doc(staff('manager'), 'promoCodes/EID10'), { isActive: false }));
+    await assertFails(setDoc(doc(customer('alice'), 'promoCodes/EID10/redemptions/alice@mail.pk'), { count: 0 }));
+    await assertFails(setDoc(doc(staff('owner'), 'promoCodes/EID10/redemptions/alice@mail.pk'), { count: 0 }));
+  });
+});
+
+describe('products', () => {
+  beforeEach(() => seed({ ...STAFF, 'products/p1': { title: 'Lawn Suit', price: 4500, stock: { 'Red|M': 2 } } }));
+
+  it('lets anyone browse products', async () => {
+    await assertSucceeds(getDoc(doc(anonymous(), 'products/p1')));
+    await assertSucceeds(getDocs(collection(anonymous(), 'products')));
+  });
+
+  it('lets only managers change products, stock included', async () => {
+    await assertFails(updateDoc(doc(customer(), 'products/p1'), { price: 1 }));
+    await assertFails(updateDoc(doc(staff('fulfilment'), 'products/p1'), { stock: { 'Red|M': 3 } }));
+    await assertFails(updateDoc(doc(staff('support'), 'products/p1'), { price: 1 }));
+    await assertSucceeds(updateDoc(doc(staff('manager'), 'products/p1'), { price: 4000 }));
+    await assertSucceeds(setDoc(doc(staff('owner'), 'products/p2'), { title: 'Chiffon Dupatta', price: 1500 }));
+  });
+});
+
+describe('staff', () => {
+  beforeEach(() => seed(STAFF));
+
+  it('lets staff read their own role once their email is verified', async () => {
+    await assertSucceeds(getDoc(doc(staff('support'), 'staff/support@shop.pk')));
+    await assertFails(getDoc(doc(staff('support', { verified: false }), 'staff/support@shop.pk')));
+  });
+
+  it("hides other people's roles from everyone but owners", async () => {
+    await assertFails(getDoc(doc(staff('manager'), 'staff/owner@shop.pk')));
+    await assertFails(getDocs(collection(staff('manager'), 'staff')));
+    await assertFails(getDoc(doc(customer(), 'staff/owner@shop.pk')));
+    await assertSucceeds(getDocs(collection(staff('owner'), 'staff')));
+  });
+
+  it('lets only owners invite staff', async () => {
+    const invite = { email: 'new@shop.pk', role: 'support' };
+    await assertFails(setDoc(doc(staff('manager'), 'staff/new@shop.pk'), invite));
+    await assertFails(setDoc(doc(customer('alice'), 'staff/alice@mail.pk'), { email: 'alice@mail.pk', role: 'owner' }));
+    await assertSucceeds(setDoc(doc(staff('owner'), 'staff/new@shop.pk'), invite));
+  });
+
+  it('ignores an unverified owner', async () => {
+    await assertFails(setDoc(doc(staff('owner', { verified: false }), 'staff/new@shop.pk'), { role: 'owner' }));
+  });
+});
+
+describe('contacts', () => {
+  const message = () => ({
+    name: 'Alice',
+    email: 'alice@mail.pk',
+    message: 'Do you ship to Quetta?',
+    timestamp: serverTimestamp(),
+  });
+
+  beforeEach(() => seed({ ...STAFF, 'contacts/c1': { name: 'Bob', email: 'bob@mail.pk', message: 'Hi', timestamp: new Date() } }));
+
+  it('lets anyone send a message', async () => {
+    await assertSucceeds(setDoc(doc(anonymous(), 'contacts/c2'), message()));
+  });
+
+  it('rejects messages with extra fields, long fields or a made-up time', async () => {
+    await assertFails(setDoc(doc(anonymous(), 'contacts/c2'), { ...message(), status: 'resolved' }));
+    await assertFails(setDoc(doc(anonymous(), 'contacts/c2'), { ...message(), message: 'x'.repeat(5001) }));
+    await assertFails(setDoc(doc(anonymous(), 'contacts/c2'), { ...message(), timestamp: new Date(0) }));
+  });
+
+  it('shows messages to owners, managers and support only', async () => {
+    await assertFails(getDoc(doc(anonymous(), 'contacts/c1')));
+    await assertFails(getDoc(doc(customer(), 'contacts/c1')));
+    await assertFails(getDocs(collection(staff('fulfilment'), 'contacts')));
+    await assertSucceeds(getDocs(collection(staff('support'), 'contacts')));
+    await assertSucceeds(deleteDoc(doc(staff('manager'), 'contacts/c1')));
+  });
+});